@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * DesignTree CLI
+ *
+ * Runs the extraction engine and tech stack scanner from the command line,
+ * without the SvelteKit server.
+ *
+ * Usage: designtree <url> [--dark-mode] [--mobile] [--viewports [widths]] [--slow] [--crawl [pages]] [--ramps] [--visual] [--format css] [--out tokens.css]
+ */
+
+import { writeFileSync } from "fs";
+import { Command } from "commander";
+import ora from "ora";
+import chalk from "chalk";
+import { extractBranding, launchBrowser } from "../src/lib/extractors.js";
+import { exportResult, listExporters } from "../src/lib/exporters/index.js";
+import { normalizeUrl } from "../src/lib/url.js";
+
+const formats = listExporters().map((e) => e.id);
+
+const program = new Command();
+
+program
+  .name("designtree")
+  .description("Extract design tokens and tech stack from a website")
+  .argument("<url>", "website to analyze")
+  .option("--dark-mode", "also extract the dark theme as light/dark pairs")
+  .option("--mobile", "also extract mobile viewport colors")
+  .option("--viewports [widths]", "also compare typography, spacing and controls at these widths (default 375,768,1024,1440)")
+  .option("--slow", "3x timeouts for slow-loading sites")
+  .option("--no-tech", "skip tech stack scanning")
+  .option("--crawl [pages]", "also crawl same-origin links, up to <pages> pages (default 5)")
+  .option("--crawl-depth <depth>", "link hops to follow when crawling", "1")
+  .option("--ramps", "also generate 50-950 tonal ramps for the brand colors")
+  .option("--visual", "also sample dominant colors by area from a full-page screenshot")
+  .option("--fonts", "also capture the web font files (implied by -f fonts)")
+  .option("--color-threshold <deltaE>", "merge palette colors closer than this CIEDE2000 distance (default 5)")
+  .option("-f, --format <format>", `output format (${formats.join(", ")})`, "json")
+  .option("-o, --out <file>", "write output to a file instead of stdout")
+  .action(run);
+
+/**
+ * @param {string} url
+ * @param {{ darkMode?: boolean, mobile?: boolean, viewports?: boolean|string, slow?: boolean, tech: boolean, crawl?: boolean|string, crawlDepth: string, ramps?: boolean, visual?: boolean, fonts?: boolean, colorThreshold?: string, format: string, out?: string }} options
+ */
+async function run(url, options) {
+  if (!formats.includes(options.format)) {
+    program.error(`Unknown format "${options.format}". Supported formats: ${formats.join(", ")}`);
+  }
+
+  const targetUrl = normalizeUrl(url);
+  if (!targetUrl) {
+    program.error(`Invalid URL format: ${url}`);
+    return;
+  }
+
+  // Keep stdout clean for the exported file; progress goes to stderr
+  if (!options.out) {
+    console.log = console.error;
+  }
+
+  const spinner = ora({ stream: process.stderr });
+  /** @type {import('playwright').Browser|null} */
+  let browser = null;
+
+  try {
+    browser = await launchBrowser();
+    console.log(chalk.hex("#8BE9FD")(`\n  DesignTree → ${targetUrl}\n`));
+
+    const result = await extractBranding(targetUrl, spinner, browser, {
+      darkMode: options.darkMode || false,
+      mobile: options.mobile || false,
+      viewports: options.viewports === true ? true : options.viewports ? options.viewports.split(",").map(Number) : false,
+      slow: options.slow || false,
+      techStack: options.tech,
+      crawl: options.crawl
+        ? {
+            maxPages: options.crawl === true ? undefined : parseInt(options.crawl, 10),
+            maxDepth: parseInt(options.crawlDepth, 10),
+          }
+        : false,
+      ramps: options.ramps || false,
+      visual: options.visual || false,
+      // The fonts format bundles captured font files, so it needs them captured
+      fonts: options.fonts || options.format === "fonts",
+      colorMergeThreshold: options.colorThreshold,
+    });
+
+    const { body, filename } = exportResult(result, options.format);
+
+    if (options.out) {
+      writeFileSync(options.out, body);
+      console.log(chalk.hex("#50FA7B")(`\n  ✓ Wrote ${options.format} to ${options.out}`));
+    } else if (typeof body !== "string") {
+      process.stdout.write(body);
+    } else {
+      process.stdout.write(body.endsWith("\n") ? body : body + "\n");
+      console.log(chalk.dim(`\n  (suggested file name: ${filename})`));
+    }
+  } catch (error) {
+    spinner.stop();
+    console.error(chalk.hex("#FF5555")(`\n  ✗ ${/** @type {Error} */ (error).message}`));
+    process.exitCode = 1;
+  } finally {
+    if (browser) await browser.close();
+  }
+}
+
+program.parseAsync();
@@ -0,0 +1,6 @@
+import { startMonitorScheduler } from '$lib/monitors.js';
+
+// Scheduled monitoring runs inside the server process; set DESIGNTREE_MONITORS=off to disable it
+if (process.env.DESIGNTREE_MONITORS !== 'off') {
+	startMonitorScheduler();
+}
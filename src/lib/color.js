@@ -0,0 +1,1157 @@
+/**
+ * Color Utilities
+ *
+ * One CSS color parser for everything that reads colors: palette building
+ * in `extractColors`, link and hover/focus colors, diffing, monitoring and
+ * the exporters. Understands every CSS Color 4/5 form (hex, named colors,
+ * rgb()/hsl()/hwb() in comma and space syntax, lab()/lch(), oklab()/oklch(),
+ * color() with any predefined space, color-mix() and relative colors),
+ * keeps alpha, and remembers the space a color was written in so wide-gamut
+ * colors can be exported as authored.
+ *
+ * Distances are CIEDE2000 (delta-E 2000) in CIELAB with a D65 white point,
+ * where ~1 is a just-noticeable difference and ~2.3 is what most viewers
+ * notice side by side. Contrast is the WCAG 2 ratio of the sRGB fallbacks.
+ */
+
+/** Delta-E 2000 below which two palette colors are merged into one */
+export const COLOR_MERGE_THRESHOLD = 5;
+
+/** Delta-E 2000 below which a removed and an added color count as one changed color */
+export const SIMILAR_COLOR_THRESHOLD = 10;
+
+/**
+ * @typedef {{ l: number, a: number, b: number }} Lab
+ */
+
+/**
+ * @typedef {[number, number, number]} Triple
+ */
+
+/**
+ * @typedef {Object} ParsedColor
+ * @property {string} space - Space the color was written in: "srgb" (hex, named, rgb()), "hsl", "hwb", "lab", "lch", "oklab", "oklch", or a color() space such as "display-p3"
+ * @property {Triple} coords - Channel values in that space (rgb-like spaces 0-1, hsl/hwb 0-100 with hue in degrees, lab L 0-100, oklab L 0-1)
+ * @property {number} alpha - 0-1
+ * @property {string} hex - Nearest sRGB color as `#rrggbb` (gamut mapped), ignoring alpha
+ * @property {string} normalized - `hex`, or `#rrggbbaa` when the color is translucent
+ * @property {boolean} inGamut - Whether the color fits in sRGB without gamut mapping
+ */
+
+// ——— Color spaces ———
+// Matrices and transfer functions follow the CSS Color 4 sample code.
+
+// D50 reference white (CSS lab()/lch() use D50)
+const D50 = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+// D65 reference white (delta-E uses D65 Lab so it matches sRGB)
+const D65 = [0.3127 / 0.329, 1, (1 - 0.3127 - 0.329) / 0.329];
+
+const LIN_SRGB_TO_XYZ = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607],
+];
+const XYZ_TO_LIN_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+const LIN_P3_TO_XYZ = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976],
+];
+const XYZ_TO_LIN_P3 = [
+  [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+  [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+  [0.03584583024378447, -0.07617238926804182, 0.9568845240076872],
+];
+const LIN_A98_TO_XYZ = [
+  [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+  [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+  [0.02703136138641234, 0.07068885253582723, 0.9913375368376388],
+];
+const XYZ_TO_LIN_A98 = [
+  [2.0415879038107465, -0.5650069742788596, -0.34473135077832956],
+  [-0.9692436362808795, 1.8759675015077202, 0.04155505740717557],
+  [0.013444280632031142, -0.11836239223101838, 1.0151749943912054],
+];
+// ProPhoto is defined against D50
+const LIN_PROPHOTO_TO_XYZ_D50 = [
+  [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+  [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+  [0, 0, 0.8251046025104602],
+];
+const XYZ_D50_TO_LIN_PROPHOTO = [
+  [1.3457868816471583, -0.25557208737979464, -0.05110186497554526],
+  [-0.5446307051249019, 1.5082477428451468, 0.02052744743642139],
+  [0, 0, 1.2119675456389452],
+];
+const LIN_REC2020_TO_XYZ = [
+  [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+  [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+  [0, 0.028072693049087428, 1.060985057710791],
+];
+const XYZ_TO_LIN_REC2020 = [
+  [1.716651187971268, -0.355670783776392, -0.25336628137366],
+  [-0.666684351832489, 1.616481236634939, 0.0157685458139111],
+  [0.017639857445311, -0.042770613257809, 0.942103121235474],
+];
+// Bradford chromatic adaptation
+const D65_TO_D50 = [
+  [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+  [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+  [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008],
+];
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753],
+];
+const XYZ_TO_LMS = [
+  [0.819022437996703, 0.3619062600528904, -0.1288737815209879],
+  [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+  [0.0481771893596242, 0.2642395317527308, 0.6335478284694309],
+];
+const LMS_TO_XYZ = [
+  [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+  [-0.0405757452148008, 1.112286803280317, -0.0717110580655164],
+  [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816],
+];
+const LMS_TO_OKLAB = [
+  [0.210454268309314, 0.7936177747023054, -0.0040720430116193],
+  [1.9779985324311684, -2.42859224204858, 0.450593709617411],
+  [0.0259040424655478, 0.7827717124575296, -0.8086757549230774],
+];
+const OKLAB_TO_LMS = [
+  [1, 0.3963377773761749, 0.2158037573099136],
+  [1, -0.1055613458156586, -0.0638541728258133],
+  [1, -0.0894841775298119, -1.2914855480194092],
+];
+
+// Spaces whose third coordinate is a hue
+const POLAR_SPACES = new Set(["hsl", "hwb", "lch", "oklch"]);
+
+// Spaces accepted by color()
+const PREDEFINED_SPACES = new Set([
+  "srgb",
+  "srgb-linear",
+  "display-p3",
+  "a98-rgb",
+  "prophoto-rgb",
+  "rec2020",
+  "xyz",
+  "xyz-d50",
+  "xyz-d65",
+]);
+
+/**
+ * @param {number[][]} m
+ * @param {number[]} v
+ * @returns {Triple}
+ */
+function multiply(m, v) {
+  return /** @type {Triple} */ (m.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]));
+}
+
+/**
+ * sRGB transfer function (also used by display-p3), sign-preserving for out-of-range values
+ *
+ * @param {number} c - Gamma-encoded channel, 0-1
+ * @returns {number} Linear channel
+ */
+function srgbToLinear(c) {
+  const abs = Math.abs(c);
+  return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * @param {number} c - Linear channel
+ * @returns {number} Gamma-encoded channel
+ */
+function linearToSrgb(c) {
+  const abs = Math.abs(c);
+  return abs > 0.0031308 ? Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : 12.92 * c;
+}
+
+/**
+ * @param {number} c
+ * @returns {number}
+ */
+function a98ToLinear(c) {
+  return Math.sign(c) * Math.pow(Math.abs(c), 563 / 256);
+}
+
+/**
+ * @param {number} c
+ * @returns {number}
+ */
+function linearToA98(c) {
+  return Math.sign(c) * Math.pow(Math.abs(c), 256 / 563);
+}
+
+/**
+ * @param {number} c
+ * @returns {number}
+ */
+function prophotoToLinear(c) {
+  const abs = Math.abs(c);
+  return abs <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(abs, 1.8);
+}
+
+/**
+ * @param {number} c
+ * @returns {number}
+ */
+function linearToProphoto(c) {
+  const abs = Math.abs(c);
+  return abs >= 1 / 512 ? Math.sign(c) * Math.pow(abs, 1 / 1.8) : 16 * c;
+}
+
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA = 0.018053968510807;
+
+/**
+ * @param {number} c
+ * @returns {number}
+ */
+function rec2020ToLinear(c) {
+  const abs = Math.abs(c);
+  return abs < REC2020_BETA * 4.5
+    ? c / 4.5
+    : Math.sign(c) * Math.pow((abs + REC2020_ALPHA - 1) / REC2020_ALPHA, 1 / 0.45);
+}
+
+/**
+ * @param {number} c
+ * @returns {number}
+ */
+function linearToRec2020(c) {
+  const abs = Math.abs(c);
+  return abs > REC2020_BETA
+    ? Math.sign(c) * (REC2020_ALPHA * Math.pow(abs, 0.45) - (REC2020_ALPHA - 1))
+    : 4.5 * c;
+}
+
+/**
+ * @param {Triple} rgb - sRGB, 0-1
+ * @returns {Triple} [hue, saturation 0-100, lightness 0-100]
+ */
+function srgbToHsl([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  let h = 0;
+  let s = 0;
+  if (d !== 0) {
+    s = l === 0 || l === 1 ? 0 : (max - l) / Math.min(l, 1 - l);
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h *= 60;
+  }
+  return [h, s * 100, l * 100];
+}
+
+/**
+ * @param {Triple} hsl - [hue, saturation 0-100, lightness 0-100]
+ * @returns {Triple} sRGB, 0-1
+ */
+function hslToSrgb([h, s, l]) {
+  const hue = ((h % 360) + 360) % 360;
+  const sat = s / 100;
+  const light = l / 100;
+  /** @param {number} n */
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    return light - sat * Math.min(light, 1 - light) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+/**
+ * @param {Triple} hwb - [hue, whiteness 0-100, blackness 0-100]
+ * @returns {Triple} sRGB, 0-1
+ */
+function hwbToSrgb([h, w, b]) {
+  const white = w / 100;
+  const black = b / 100;
+  if (white + black >= 1) {
+    const gray = white / (white + black);
+    return [gray, gray, gray];
+  }
+  return /** @type {Triple} */ (hslToSrgb([h, 100, 50]).map((c) => c * (1 - white - black) + white));
+}
+
+/**
+ * @param {Triple} rgb - sRGB, 0-1
+ * @returns {Triple} [hue, whiteness 0-100, blackness 0-100]
+ */
+function srgbToHwb(rgb) {
+  const [h] = srgbToHsl(rgb);
+  const white = Math.min(...rgb);
+  const black = 1 - Math.max(...rgb);
+  return [h, white * 100, black * 100];
+}
+
+/**
+ * XYZ to CIELAB against a reference white
+ *
+ * @param {Triple} xyz
+ * @param {number[]} white
+ * @returns {Triple}
+ */
+function xyzToLab(xyz, white) {
+  const e = 216 / 24389;
+  const k = 24389 / 27;
+  const [fx, fy, fz] = xyz.map((v, i) => {
+    const t = v / white[i];
+    return t > e ? Math.cbrt(t) : (k * t + 16) / 116;
+  });
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * @param {Triple} lab
+ * @param {number[]} white
+ * @returns {Triple}
+ */
+function labToXyz([l, a, b], white) {
+  const e = 216 / 24389;
+  const k = 24389 / 27;
+  const fy = (l + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const x = Math.pow(fx, 3) > e ? Math.pow(fx, 3) : (116 * fx - 16) / k;
+  const y = l > k * e ? Math.pow(fy, 3) : l / k;
+  const z = Math.pow(fz, 3) > e ? Math.pow(fz, 3) : (116 * fz - 16) / k;
+  return [x * white[0], y * white[1], z * white[2]];
+}
+
+/**
+ * @param {Triple} lab - Rectangular [L, a, b]
+ * @returns {Triple} Polar [L, C, H]
+ */
+function toPolar([l, a, b]) {
+  const h = (Math.atan2(b, a) * 180) / Math.PI;
+  return [l, Math.hypot(a, b), (h + 360) % 360];
+}
+
+/**
+ * @param {Triple} lch - Polar [L, C, H]
+ * @returns {Triple} Rectangular [L, a, b]
+ */
+function fromPolar([l, c, h]) {
+  const rad = (h * Math.PI) / 180;
+  return [l, c * Math.cos(rad), c * Math.sin(rad)];
+}
+
+/**
+ * @param {Triple} xyz - XYZ D65
+ * @returns {Triple}
+ */
+function xyzToOklab(xyz) {
+  const lms = multiply(XYZ_TO_LMS, xyz).map(Math.cbrt);
+  return multiply(LMS_TO_OKLAB, lms);
+}
+
+/**
+ * @param {Triple} oklab
+ * @returns {Triple} XYZ D65
+ */
+function oklabToXyz(oklab) {
+  const lms = multiply(OKLAB_TO_LMS, oklab).map((v) => v * v * v);
+  return multiply(LMS_TO_XYZ, lms);
+}
+
+/**
+ * Convert coordinates in any supported space to XYZ D65
+ *
+ * @param {string} space
+ * @param {Triple} coords
+ * @returns {Triple}
+ */
+function toXyz(space, coords) {
+  switch (space) {
+    case "srgb":
+      return multiply(LIN_SRGB_TO_XYZ, coords.map(srgbToLinear));
+    case "srgb-linear":
+      return multiply(LIN_SRGB_TO_XYZ, coords);
+    case "hsl":
+      return toXyz("srgb", hslToSrgb(coords));
+    case "hwb":
+      return toXyz("srgb", hwbToSrgb(coords));
+    case "display-p3":
+      return multiply(LIN_P3_TO_XYZ, coords.map(srgbToLinear));
+    case "a98-rgb":
+      return multiply(LIN_A98_TO_XYZ, coords.map(a98ToLinear));
+    case "prophoto-rgb":
+      return multiply(D50_TO_D65, multiply(LIN_PROPHOTO_TO_XYZ_D50, coords.map(prophotoToLinear)));
+    case "rec2020":
+      return multiply(LIN_REC2020_TO_XYZ, coords.map(rec2020ToLinear));
+    case "xyz":
+    case "xyz-d65":
+      return coords;
+    case "xyz-d50":
+      return multiply(D50_TO_D65, coords);
+    case "lab":
+      return multiply(D50_TO_D65, labToXyz(coords, D50));
+    case "lch":
+      return toXyz("lab", fromPolar(coords));
+    case "oklab":
+      return oklabToXyz(coords);
+    case "oklch":
+      return oklabToXyz(fromPolar(coords));
+    default:
+      throw new Error(`Unsupported color space "${space}"`);
+  }
+}
+
+/**
+ * Convert XYZ D65 to coordinates in any supported space
+ *
+ * @param {string} space
+ * @param {Triple} xyz
+ * @returns {Triple}
+ */
+function fromXyz(space, xyz) {
+  switch (space) {
+    case "srgb":
+      return /** @type {Triple} */ (multiply(XYZ_TO_LIN_SRGB, xyz).map(linearToSrgb));
+    case "srgb-linear":
+      return multiply(XYZ_TO_LIN_SRGB, xyz);
+    case "hsl":
+      return srgbToHsl(fromXyz("srgb", xyz));
+    case "hwb":
+      return srgbToHwb(fromXyz("srgb", xyz));
+    case "display-p3":
+      return /** @type {Triple} */ (multiply(XYZ_TO_LIN_P3, xyz).map(linearToSrgb));
+    case "a98-rgb":
+      return /** @type {Triple} */ (multiply(XYZ_TO_LIN_A98, xyz).map(linearToA98));
+    case "prophoto-rgb":
+      return /** @type {Triple} */ (multiply(XYZ_D50_TO_LIN_PROPHOTO, multiply(D65_TO_D50, xyz)).map(linearToProphoto));
+    case "rec2020":
+      return /** @type {Triple} */ (multiply(XYZ_TO_LIN_REC2020, xyz).map(linearToRec2020));
+    case "xyz":
+    case "xyz-d65":
+      return xyz;
+    case "xyz-d50":
+      return multiply(D65_TO_D50, xyz);
+    case "lab":
+      return xyzToLab(multiply(D65_TO_D50, xyz), D50);
+    case "lch":
+      return toPolar(fromXyz("lab", xyz));
+    case "oklab":
+      return xyzToOklab(xyz);
+    case "oklch":
+      return toPolar(xyzToOklab(xyz));
+    default:
+      throw new Error(`Unsupported color space "${space}"`);
+  }
+}
+
+// ——— Gamut mapping ———
+
+/**
+ * @param {Triple} rgb
+ * @returns {boolean}
+ */
+function inSrgbGamut(rgb) {
+  return rgb.every((c) => c >= -0.0001 && c <= 1.0001);
+}
+
+/**
+ * @param {Triple} rgb
+ * @returns {Triple}
+ */
+function clip(rgb) {
+  return /** @type {Triple} */ (rgb.map((c) => Math.min(1, Math.max(0, c))));
+}
+
+/**
+ * @param {Triple} a - OKLab
+ * @param {Triple} b - OKLab
+ * @returns {number}
+ */
+function deltaEOK(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Map XYZ into sRGB by reducing OKLCH chroma until clipping is imperceptible
+ * (CSS Color 4 gamut mapping)
+ *
+ * @param {Triple} xyz
+ * @returns {Triple} sRGB, 0-1
+ */
+function mapToSrgb(xyz) {
+  const rgb = fromXyz("srgb", xyz);
+  if (inSrgbGamut(rgb)) return clip(rgb);
+
+  const [l, c, h] = toPolar(xyzToOklab(xyz));
+  if (l >= 1) return [1, 1, 1];
+  if (l <= 0) return [0, 0, 0];
+
+  const JND = 0.02;
+  const EPSILON = 0.0001;
+  /** @param {Triple} lch */
+  const srgbOf = (lch) => fromXyz("srgb", oklabToXyz(fromPolar(lch)));
+  /** @param {Triple} clipped @param {Triple} lch */
+  const errorOf = (clipped, lch) => deltaEOK(xyzToOklab(toXyz("srgb", clipped)), fromPolar(lch));
+
+  let clipped = clip(rgb);
+  if (errorOf(clipped, [l, c, h]) < JND) return clipped;
+
+  let min = 0;
+  let max = c;
+  let minInGamut = true;
+  while (max - min > EPSILON) {
+    const chroma = (min + max) / 2;
+    /** @type {Triple} */
+    const current = [l, chroma, h];
+    const candidate = srgbOf(current);
+    if (minInGamut && inSrgbGamut(candidate)) {
+      min = chroma;
+      continue;
+    }
+    clipped = clip(candidate);
+    const error = errorOf(clipped, current);
+    if (error < JND) {
+      if (JND - error < EPSILON) return clipped;
+      minInGamut = false;
+      min = chroma;
+    } else {
+      max = chroma;
+    }
+  }
+  return clipped;
+}
+
+// ——— Parsing ———
+
+// CSS named colors (CSS Color 4 §6.1), name -> 6-digit hex
+const NAMED_COLORS = new Map(
+  (
+    "aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc " +
+    "bisque:ffe4c4 black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a " +
+    "burlywood:deb887 cadetblue:5f9ea0 chartreuse:7fff00 chocolate:d2691e coral:ff7f50 " +
+    "cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff darkblue:00008b darkcyan:008b8b " +
+    "darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9 darkkhaki:bdb76b " +
+    "darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000 " +
+    "darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f " +
+    "darkslategrey:2f4f4f darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff " +
+    "dimgray:696969 dimgrey:696969 dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 " +
+    "forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ghostwhite:f8f8ff gold:ffd700 " +
+    "goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080 honeydew:f0fff0 " +
+    "hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa " +
+    "lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 " +
+    "lightcyan:e0ffff lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 " +
+    "lightgrey:d3d3d3 lightpink:ffb6c1 lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa " +
+    "lightslategray:778899 lightslategrey:778899 lightsteelblue:b0c4de lightyellow:ffffe0 " +
+    "lime:00ff00 limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000 " +
+    "mediumaquamarine:66cdaa mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db " +
+    "mediumseagreen:3cb371 mediumslateblue:7b68ee mediumspringgreen:00fa9a " +
+    "mediumturquoise:48d1cc mediumvioletred:c71585 midnightblue:191970 mintcream:f5fffa " +
+    "mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead navy:000080 oldlace:fdf5e6 olive:808000 " +
+    "olivedrab:6b8e23 orange:ffa500 orangered:ff4500 orchid:da70d6 palegoldenrod:eee8aa " +
+    "palegreen:98fb98 paleturquoise:afeeee palevioletred:db7093 papayawhip:ffefd5 " +
+    "peachpuff:ffdab9 peru:cd853f pink:ffc0cb plum:dda0dd powderblue:b0e0e6 purple:800080 " +
+    "rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f royalblue:4169e1 saddlebrown:8b4513 " +
+    "salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee sienna:a0522d silver:c0c0c0 " +
+    "skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa " +
+    "springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 " +
+    "turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5 yellow:ffff00 " +
+    "yellowgreen:9acd32"
+  )
+    .split(" ")
+    .map((entry) => /** @type {[string, string]} */ (entry.split(":")))
+);
+
+// Channel names usable as keywords in relative color syntax, per function
+const CHANNELS = /** @type {Record<string, string[]>} */ ({
+  rgb: ["r", "g", "b"],
+  hsl: ["h", "s", "l"],
+  hwb: ["h", "w", "b"],
+  lab: ["l", "a", "b"],
+  lch: ["l", "c", "h"],
+  oklab: ["l", "a", "b"],
+  oklch: ["l", "c", "h"],
+});
+
+/**
+ * @typedef {Object} ChannelSpec
+ * @property {number} percent - Value that 100% maps to
+ * @property {boolean} [hue] - Channel accepts angles
+ * @property {number} [scale] - Multiplier for plain numbers (rgb() channels are 0-255)
+ */
+
+// How each function's channels read percentages, per CSS Color 4
+const CHANNEL_SPECS = /** @type {Record<string, ChannelSpec[]>} */ ({
+  rgb: [
+    { percent: 1, scale: 1 / 255 },
+    { percent: 1, scale: 1 / 255 },
+    { percent: 1, scale: 1 / 255 },
+  ],
+  hsl: [{ percent: 0, hue: true }, { percent: 100 }, { percent: 100 }],
+  hwb: [{ percent: 0, hue: true }, { percent: 100 }, { percent: 100 }],
+  lab: [{ percent: 100 }, { percent: 125 }, { percent: 125 }],
+  lch: [{ percent: 100 }, { percent: 150 }, { percent: 0, hue: true }],
+  oklab: [{ percent: 1 }, { percent: 0.4 }, { percent: 0.4 }],
+  oklch: [{ percent: 1 }, { percent: 0.4 }, { percent: 0, hue: true }],
+  color: [{ percent: 1 }, { percent: 1 }, { percent: 1 }],
+});
+
+const NUMBER = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/;
+
+/**
+ * Split a function's arguments into tokens, keeping nested functions whole
+ * and emitting "," and "/" as their own tokens
+ *
+ * @param {string} args
+ * @returns {string[]}
+ */
+function tokenize(args) {
+  /** @type {string[]} */
+  const tokens = [];
+  let current = "";
+  let depth = 0;
+  for (const char of args) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (depth === 0 && (char === "," || char === "/" || /\s/.test(char))) {
+      if (current) tokens.push(current);
+      if (char === "," || char === "/") tokens.push(char);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Parse one channel value
+ *
+ * @param {string} token
+ * @param {ChannelSpec} spec
+ * @param {Record<string, number>} [keywords] - Channel keywords from a relative color's origin
+ * @returns {number|null}
+ */
+function parseChannel(token, spec, keywords) {
+  if (token === "none") return 0;
+  if (keywords && token in keywords) return keywords[token] * (spec.scale ?? 1);
+  const match = token.match(NUMBER);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  switch (match[2]) {
+    case "%":
+      return spec.hue ? null : (value / 100) * spec.percent;
+    case "deg":
+      return spec.hue ? value : null;
+    case "grad":
+      return spec.hue ? value * 0.9 : null;
+    case "rad":
+      return spec.hue ? (value * 180) / Math.PI : null;
+    case "turn":
+      return spec.hue ? value * 360 : null;
+    default:
+      return value * (spec.scale ?? 1);
+  }
+}
+
+/**
+ * @param {string|undefined} token
+ * @param {Record<string, number>} [keywords]
+ * @returns {number|null}
+ */
+function parseAlpha(token, keywords) {
+  if (token === undefined) return keywords?.alpha ?? 1;
+  const value = parseChannel(token, { percent: 1 }, keywords?.alpha !== undefined ? { alpha: keywords.alpha } : undefined);
+  return value === null ? null : Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Build a parsed color from coordinates
+ *
+ * @param {string} space
+ * @param {Triple} coords
+ * @param {number} alpha
+ * @returns {ParsedColor}
+ */
+function makeColor(space, coords, alpha) {
+  const xyz = toXyz(space, coords);
+  const srgb = fromXyz("srgb", xyz);
+  const hex =
+    "#" +
+    mapToSrgb(xyz)
+      .map((c) => Math.round(c * 255).toString(16).padStart(2, "0"))
+      .join("");
+  const normalized =
+    alpha >= 1 ? hex : hex + Math.round(alpha * 255).toString(16).padStart(2, "0");
+  return { space, coords, alpha, hex, normalized, inGamut: inSrgbGamut(srgb) };
+}
+
+/**
+ * Channel keywords a relative color exposes, read in the target function's space
+ *
+ * @param {ParsedColor} origin
+ * @param {string} fn - Function name (rgb, hsl, ...), or "color"
+ * @param {string} space - Target space
+ * @returns {Record<string, number>}
+ */
+function relativeKeywords(origin, fn, space) {
+  const coords = fromXyz(space, toXyz(origin.space, origin.coords));
+  const names =
+    fn === "color" ? (space.startsWith("xyz") ? ["x", "y", "z"] : ["r", "g", "b"]) : CHANNELS[fn];
+  const scale = fn === "rgb" ? 255 : 1;
+  /** @type {Record<string, number>} */
+  const keywords = { alpha: origin.alpha };
+  names.forEach((name, i) => {
+    keywords[name] = coords[i] * scale;
+  });
+  return keywords;
+}
+
+/**
+ * Parse the arguments of rgb()/hsl()/hwb()/lab()/lch()/oklab()/oklch()/color()
+ *
+ * @param {string} fn
+ * @param {string[]} tokens
+ * @returns {ParsedColor|null}
+ */
+function parseColorFunction(fn, tokens) {
+  /** @type {Record<string, number>|undefined} */
+  let keywords;
+  /** @type {ParsedColor|null} */
+  let origin = null;
+  let rest = tokens;
+
+  if (rest[0] === "from") {
+    origin = parseColor(rest[1]);
+    if (!origin) return null;
+    rest = rest.slice(2);
+  }
+
+  let space = fn === "rgb" ? "srgb" : fn;
+  if (fn === "color") {
+    space = rest[0];
+    if (!PREDEFINED_SPACES.has(space)) return null;
+    rest = rest.slice(1);
+  }
+  if (origin) keywords = relativeKeywords(origin, fn, space);
+
+  // Legacy comma syntax: rgb(0, 0, 0, 0.5)
+  const legacy = rest.includes(",");
+  /** @type {string[]} */
+  let channels;
+  /** @type {string|undefined} */
+  let alphaToken;
+  if (legacy) {
+    if (!["rgb", "hsl"].includes(fn) || origin || rest.length % 2 === 0) return null;
+    // Values at even positions, commas between them
+    const parts = rest.filter((_, i) => i % 2 === 0);
+    if (rest.some((token, i) => (i % 2 === 1) !== (token === ","))) return null;
+    if (parts.length < 3 || parts.length > 4 || parts.includes("none")) return null;
+    channels = parts.slice(0, 3);
+    alphaToken = parts[3];
+  } else {
+    const slash = rest.indexOf("/");
+    channels = slash === -1 ? rest : rest.slice(0, slash);
+    alphaToken = slash === -1 ? undefined : rest[slash + 1];
+    if (slash !== -1 && rest.length !== slash + 2) return null;
+    if (channels.length !== 3) return null;
+  }
+
+  const specs = CHANNEL_SPECS[fn];
+  const coords = channels.map((token, i) => parseChannel(token, specs[i], keywords));
+  if (coords.some((c) => c === null)) return null;
+  const alpha = parseAlpha(alphaToken, keywords);
+  if (alpha === null) return null;
+
+  return makeColor(space, /** @type {Triple} */ (coords), alpha);
+}
+
+/**
+ * Parse color-mix(in <space> [<hue-method> hue], <color> [<p>], <color> [<p>])
+ *
+ * @param {string[]} tokens
+ * @returns {ParsedColor|null}
+ */
+function parseColorMix(tokens) {
+  const groups = /** @type {string[][]} */ ([[]]);
+  for (const token of tokens) {
+    if (token === ",") groups.push([]);
+    else groups[groups.length - 1].push(token);
+  }
+  // Color 5 made the interpolation method optional (oklab)
+  let method = ["in", "oklab"];
+  if (groups[0][0] === "in") method = /** @type {string[]} */ (groups.shift());
+  if (groups.length !== 2) return null;
+
+  const space = method[1] === "srgb-linear" || PREDEFINED_SPACES.has(method[1]) || CHANNELS[method[1]] ? method[1] : null;
+  if (!space || space === "rgb") return null;
+  const hueMethod = method.length === 4 && method[3] === "hue" ? method[2] : "shorter";
+  if (method.length !== 2 && method.length !== 4) return null;
+
+  const stops = groups.map((group) => {
+    let percentage = null;
+    let color = null;
+    for (const token of group) {
+      const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+))%$/);
+      if (match && percentage === null) percentage = parseFloat(match[1]) / 100;
+      else if (!color) color = parseColor(token);
+      else return null;
+    }
+    return color ? { color, percentage } : null;
+  });
+  if (!stops[0] || !stops[1]) return null;
+  const [first, second] = /** @type {Array<{ color: ParsedColor, percentage: number|null }>} */ (stops);
+
+  // Normalize percentages; a sum under 100% scales the result's alpha
+  let p1 = first.percentage;
+  let p2 = second.percentage;
+  if (p1 === null && p2 === null) p1 = p2 = 0.5;
+  else if (p1 === null) p1 = 1 - /** @type {number} */ (p2);
+  else if (p2 === null) p2 = 1 - p1;
+  const p1n = /** @type {number} */ (p1);
+  const p2n = /** @type {number} */ (p2);
+  const sum = p1n + p2n;
+  if (p1n < 0 || p2n < 0 || sum === 0) return null;
+  const alphaMultiplier = Math.min(sum, 1);
+  const weight = p2n / sum;
+
+  const polar = POLAR_SPACES.has(space);
+  const a = fromXyz(space, toXyz(first.color.space, first.color.coords));
+  const b = fromXyz(space, toXyz(second.color.space, second.color.coords));
+
+  // Achromatic colors have no meaningful hue; borrow the other color's
+  if (polar) {
+    const chroma = space === "hwb" ? (/** @type {Triple} */ c) => 100 - c[1] - c[2] : (/** @type {Triple} */ c) => c[1];
+    if (chroma(a) < 1e-4) a[2] = b[2];
+    if (chroma(b) < 1e-4) b[2] = a[2];
+    const delta = b[2] - a[2];
+    if (hueMethod === "shorter") {
+      if (delta > 180) a[2] += 360;
+      else if (delta < -180) b[2] += 360;
+    } else if (hueMethod === "longer") {
+      if (delta > 0 && delta < 180) a[2] += 360;
+      else if (delta > -180 && delta <= 0) b[2] += 360;
+    } else if (hueMethod === "increasing") {
+      if (delta < 0) b[2] += 360;
+    } else if (hueMethod === "decreasing") {
+      if (delta > 0) a[2] += 360;
+    } else {
+      return null;
+    }
+  }
+
+  // Interpolate with premultiplied alpha (hue is never premultiplied)
+  const alphaA = first.color.alpha;
+  const alphaB = second.color.alpha;
+  const alpha = alphaA * (1 - weight) + alphaB * weight;
+  const coords = /** @type {Triple} */ (
+    a.map((value, i) => {
+      if (polar && i === 2) return (value * (1 - weight) + b[i] * weight) % 360;
+      const mixed = value * alphaA * (1 - weight) + b[i] * alphaB * weight;
+      return alpha === 0 ? mixed : mixed / alpha;
+    })
+  );
+
+  return makeColor(space, coords, alpha * alphaMultiplier);
+}
+
+/**
+ * Parse any CSS color
+ *
+ * @param {string|null|undefined} value - Any CSS Color 4/5 color: hex, named, rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color(), color-mix(), including relative colors
+ * @returns {ParsedColor|null} Null for values that aren't colors or can't be resolved (var(), calc(), currentcolor, system colors)
+ */
+export function parseColor(value) {
+  if (value == null) return null;
+  const source = String(value).trim().toLowerCase();
+  if (!source) return null;
+
+  const hexMatch = source.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length <= 4) hex = [...hex].map((c) => c + c).join("");
+    const channels = [0, 2, 4, 6].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+    return makeColor("srgb", [channels[0], channels[1], channels[2]], hex.length === 8 ? channels[3] : 1);
+  }
+
+  if (source === "transparent") return makeColor("srgb", [0, 0, 0], 0);
+  const named = NAMED_COLORS.get(source);
+  if (named) return parseColor(`#${named}`);
+
+  const fnMatch = source.match(/^([a-z-]+)\((.*)\)$/s);
+  if (!fnMatch) return null;
+  const fn = fnMatch[1].replace(/^(rgb|hsl)a$/, "$1");
+  const tokens = tokenize(fnMatch[2]);
+
+  try {
+    if (fn === "color-mix") return parseColorMix(tokens);
+    if (fn in CHANNEL_SPECS) return parseColorFunction(fn, tokens);
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Find the colors in a multi-value property (gradients, shadows, borders)
+ *
+ * @param {string|null|undefined} value - e.g. "rgb(0, 0, 0) 0px 1px 2px, oklch(0.7 0.1 250) 0px 0px 4px"
+ * @returns {string[]} Color substrings in order of appearance
+ */
+export function findColors(value) {
+  if (!value) return [];
+  /** @type {string[]} */
+  const colors = [];
+  const pattern = /#[0-9a-f]{3,8}\b|\b[a-z][a-z-]*(?:\(|\b)/gi;
+  let match;
+  while ((match = pattern.exec(value))) {
+    let token = match[0];
+    if (token.endsWith("(")) {
+      // Extend to the matching close paren
+      let depth = 0;
+      let end = match.index;
+      for (; end < value.length; end++) {
+        if (value[end] === "(") depth++;
+        if (value[end] === ")" && --depth === 0) break;
+      }
+      token = value.slice(match.index, end + 1);
+    }
+    // Not a color (e.g. linear-gradient): keep scanning inside it
+    if (!parseColor(token)) continue;
+    colors.push(token);
+    pattern.lastIndex = match.index + token.length;
+  }
+  return colors;
+}
+
+/**
+ * Normalize a CSS color to lowercase hex, keeping alpha
+ *
+ * @param {string|null|undefined} color - Any color `parseColor` understands
+ * @returns {string|null} `#rrggbb`, or `#rrggbbaa` when translucent; null if the value can't be parsed
+ */
+export function normalizeColor(color) {
+  return parseColor(color)?.normalized ?? null;
+}
+
+/**
+ * Normalize a CSS color to a 6-digit lowercase hex value
+ *
+ * @param {string|null|undefined} color - Any color `parseColor` understands
+ * @returns {string|null} Hex color (alpha dropped), or null if the value can't be parsed or is fully transparent
+ */
+export function toHex(color) {
+  const parsed = parseColor(color);
+  return parsed && parsed.alpha > 0 ? parsed.hex : null;
+}
+
+/**
+ * Convert a color to CIELAB (D65)
+ *
+ * @param {string} color - Any color `parseColor` understands
+ * @returns {Lab|null} L in 0-100, or null if the color can't be parsed
+ */
+export function toLab(color) {
+  const parsed = parseColor(color);
+  if (!parsed) return null;
+  const [l, a, b] = xyzToLab(toXyz(parsed.space, parsed.coords), D65);
+  return { l, a, b };
+}
+
+/**
+ * Convert a color to OKLab
+ *
+ * @param {string} color - Any color `parseColor` understands
+ * @returns {Lab|null} L in 0-1, or null if the color can't be parsed
+ */
+export function toOklab(color) {
+  const parsed = parseColor(color);
+  if (!parsed) return null;
+  const [l, a, b] = xyzToOklab(toXyz(parsed.space, parsed.coords));
+  return { l, a, b };
+}
+
+/**
+ * Convert a color to OKLCH
+ *
+ * @param {string} color - Any color `parseColor` understands
+ * @returns {{ l: number, c: number, h: number }|null} L in 0-1, hue in degrees; null if the color can't be parsed
+ */
+export function toOklch(color) {
+  const parsed = parseColor(color);
+  if (!parsed) return null;
+  const [l, c, h] = toPolar(xyzToOklab(toXyz(parsed.space, parsed.coords)));
+  return { l, c, h };
+}
+
+/**
+ * sRGB hex for an OKLCH color, gamut mapped by reducing chroma
+ *
+ * @param {number} l - Lightness, 0-1
+ * @param {number} c - Chroma
+ * @param {number} h - Hue in degrees
+ * @returns {string} `#rrggbb`
+ */
+export function oklchToHex(l, c, h) {
+  return makeColor("oklch", [l, c, h], 1).hex;
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ *
+ * @param {Lab} lab1
+ * @param {Lab} lab2
+ * @returns {number}
+ */
+export function ciede2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const pow7 = (/** @type {number} */ n) => Math.pow(n, 7);
+
+  // Chroma-dependent a* adjustment
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(pow7(cMean) / (pow7(cMean) + pow7(25))));
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+
+  const cp1 = Math.hypot(a1, lab1.b);
+  const cp2 = Math.hypot(a2, lab2.b);
+  /** @param {number} b @param {number} a */
+  const hue = (b, a) => (b === 0 && a === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360);
+  const hp1 = hue(lab1.b, a1);
+  const hp2 = hue(lab2.b, a2);
+
+  // Differences
+  const dL = lab2.l - lab1.l;
+  const dC = cp2 - cp1;
+  let dh = 0;
+  if (cp1 * cp2 !== 0) {
+    dh = hp2 - hp1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin((dh / 2) * rad);
+
+  // Means
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (cp1 + cp2) / 2;
+  let hMean = hp1 + hp2;
+  if (cp1 * cp2 !== 0) {
+    if (Math.abs(hp1 - hp2) <= 180) hMean /= 2;
+    else hMean = hp1 + hp2 < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+  }
+
+  // Weighting functions
+  const t =
+    1 -
+    0.17 * Math.cos((hMean - 30) * rad) +
+    0.24 * Math.cos(2 * hMean * rad) +
+    0.32 * Math.cos((3 * hMean + 6) * rad) -
+    0.2 * Math.cos((4 * hMean - 63) * rad);
+  const sL = 1 + (0.015 * Math.pow(lMean - 50, 2)) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+  const sC = 1 + 0.045 * cpMean;
+  const sH = 1 + 0.015 * cpMean * t;
+  const dTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+  const rC = 2 * Math.sqrt(pow7(cpMean) / (pow7(cpMean) + pow7(25)));
+  const rT = -rC * Math.sin(2 * dTheta * rad);
+
+  return Math.sqrt(
+    Math.pow(dL / sL, 2) +
+      Math.pow(dC / sC, 2) +
+      Math.pow(dH / sH, 2) +
+      rT * (dC / sC) * (dH / sH)
+  );
+}
+
+/**
+ * Perceptual distance between two colors (CIEDE2000), ignoring alpha
+ *
+ * @param {string} color1 - Any color `parseColor` understands
+ * @param {string} color2
+ * @returns {number} Delta-E 2000, or 999 if either color can't be parsed
+ */
+export function deltaE(color1, color2) {
+  const a = toLab(color1);
+  const b = toLab(color2);
+  if (!a || !b) return 999;
+  return ciede2000(a, b);
+}
+
+/**
+ * WCAG 2 relative luminance of a color as displayed (gamut-mapped to sRGB)
+ *
+ * @param {string} color - Any color `parseColor` understands
+ * @returns {number|null} 0 (black) to 1 (white), or null if the color can't be parsed
+ */
+export function relativeLuminance(color) {
+  const parsed = parseColor(color);
+  if (!parsed) return null;
+  const [r, g, b] = [1, 3, 5].map((i) => srgbToLinear(parseInt(parsed.hex.slice(i, i + 2), 16) / 255));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2 contrast ratio between two colors, ignoring alpha
+ *
+ * @param {string} color1 - Any color `parseColor` understands
+ * @param {string} color2
+ * @returns {number|null} 1-21, or null if either color can't be parsed
+ */
+export function contrastRatio(color1, color2) {
+  const a = relativeLuminance(color1);
+  const b = relativeLuminance(color2);
+  if (a === null || b === null) return null;
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * APCA lightness contrast (Lc) of text on a background, per the APCA-W3
+ * 0.0.98G-4g constants. Unlike the WCAG ratio it is signed and depends on
+ * polarity: positive for dark text on a light background, negative for
+ * light text on a dark one.
+ *
+ * @param {string} text - Any color `parseColor` understands
+ * @param {string} background
+ * @returns {number|null} Lc, roughly -108 to 106, or null if either color can't be parsed
+ */
+export function apcaContrast(text, background) {
+  /** @param {string} color */
+  const luminance = (color) => {
+    const parsed = parseColor(color);
+    if (!parsed) return null;
+    const [r, g, b] = [1, 3, 5].map((i) => Math.pow(parseInt(parsed.hex.slice(i, i + 2), 16) / 255, 2.4));
+    const y = 0.2126729 * r + 0.7151522 * g + 0.072175 * b;
+    // Soft clamp near black
+    return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+  };
+  const yText = luminance(text);
+  const yBackground = luminance(background);
+  if (yText === null || yBackground === null) return null;
+  if (Math.abs(yBackground - yText) < 0.0005) return 0;
+
+  if (yBackground > yText) {
+    const sapc = (Math.pow(yBackground, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  const sapc = (Math.pow(yBackground, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+/**
+ * Resolve a user-supplied merge threshold
+ *
+ * @param {any} value - Requested delta-E 2000 threshold
+ * @returns {number} The threshold, or `COLOR_MERGE_THRESHOLD` if it isn't a non-negative number
+ */
+export function resolveMergeThreshold(value) {
+  const threshold = typeof value === "string" ? parseFloat(value) : value;
+  return typeof threshold === "number" && threshold >= 0 ? threshold : COLOR_MERGE_THRESHOLD;
+}
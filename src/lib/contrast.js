@@ -0,0 +1,147 @@
+/**
+ * Palette Contrast Matrix
+ *
+ * Palette-level half of the accessibility audit. The in-page audit checks
+ * the text it finds on the page; this checks every foreground/background
+ * pair among the semantic colors and the palette, so it also says which
+ * combinations are safe for screens that don't exist yet. Each pair gets
+ * its WCAG 2 ratio, its APCA Lc and AA/AAA verdicts, and failing pairs get
+ * the nearest foreground (by OKLCH lightness) that passes AA.
+ */
+
+import { parseColor, contrastRatio, apcaContrast, toOklch, oklchToHex, deltaE } from "./color.js";
+
+// Colors in the matrix at most (pairs grow quadratically)
+const MAX_COLORS = 12;
+
+// WCAG 2 minimum ratios
+const WCAG = {
+  aa: { normal: 4.5, large: 3 },
+  aaa: { normal: 7, large: 4.5 },
+};
+
+// Bisection steps when searching for an accessible lightness
+const SEARCH_STEPS = 24;
+
+/**
+ * @typedef {Object} ContrastColor
+ * @property {string} color - `#rrggbb`
+ * @property {string[]} names - Semantic names and roles it is used as
+ */
+
+/**
+ * @typedef {Object} ContrastPair
+ * @property {string} foreground - `#rrggbb`
+ * @property {string} background - `#rrggbb`
+ * @property {number} ratio - WCAG 2 contrast ratio, 1-21
+ * @property {number} apca - APCA Lc of the foreground as text on the background
+ * @property {{ normal: boolean, large: boolean }} aa
+ * @property {{ normal: boolean, large: boolean }} aaa
+ * @property {{ color: string, ratio: number, deltaE: number }} [suggestion] - Nearest foreground passing AA for normal text
+ */
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {number}
+ */
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Nearest color to `foreground` (same OKLCH hue and chroma, lightness moved
+ * as little as possible) reaching `target` contrast on `background`
+ *
+ * @param {string} foreground
+ * @param {string} background
+ * @param {number} target - WCAG 2 ratio to reach
+ * @returns {{ color: string, ratio: number, deltaE: number }|null} Null when neither direction gets there
+ */
+export function suggestAccessibleColor(foreground, background, target) {
+  const oklch = toOklch(foreground);
+  if (!oklch) return null;
+  const { c, h } = oklch;
+
+  const candidates = [0, 1].flatMap((end) => {
+    // The lightness extreme in this direction has to pass for a search to make sense
+    if ((contrastRatio(oklchToHex(end, c, h), background) ?? 0) < target) return [];
+    let [passing, failing] = [end, oklch.l];
+    for (let i = 0; i < SEARCH_STEPS; i++) {
+      const mid = (passing + failing) / 2;
+      if ((contrastRatio(oklchToHex(mid, c, h), background) ?? 0) >= target) passing = mid;
+      else failing = mid;
+    }
+    const color = oklchToHex(passing, c, h);
+    const ratio = contrastRatio(color, background) ?? 0;
+    // Hex rounding can land a hair under the target
+    return ratio >= target ? [{ color, ratio: round(ratio, 2), deltaE: round(deltaE(foreground, color), 1) }] : [];
+  });
+
+  return candidates.sort((a, b) => a.deltaE - b.deltaE)[0] || null;
+}
+
+/**
+ * Build the contrast matrix for the semantic colors and the most used palette colors
+ *
+ * @param {Record<string, any>} colors - `colors` of an extraction result
+ * @returns {{ colors: ContrastColor[], pairs: ContrastPair[], passing: { aa: number, aaLarge: number, aaa: number } }}
+ */
+export function buildContrastMatrix(colors) {
+  /** @type {Map<string, ContrastColor>} */
+  const byHex = new Map();
+  /**
+   * @param {string|undefined|null} value
+   * @param {string} [name]
+   */
+  const add = (value, name) => {
+    const parsed = parseColor(value);
+    // Translucent colors change with whatever is behind them
+    if (!parsed || parsed.alpha < 1) return;
+    const entry = byHex.get(parsed.hex);
+    if (entry) {
+      if (name && !entry.names.includes(name)) entry.names.push(name);
+      return;
+    }
+    if (byHex.size >= MAX_COLORS) return;
+    byHex.set(parsed.hex, { color: parsed.hex, names: name ? [name] : [] });
+  };
+
+  for (const [name, value] of Object.entries(colors?.semantic || {})) add(value, name);
+  for (const color of colors?.palette || []) add(color.normalized);
+
+  const list = [...byHex.values()];
+  /** @type {ContrastPair[]} */
+  const pairs = [];
+  for (const background of list) {
+    for (const foreground of list) {
+      if (foreground === background) continue;
+      const ratio = /** @type {number} */ (contrastRatio(foreground.color, background.color));
+      /** @type {ContrastPair} */
+      const pair = {
+        foreground: foreground.color,
+        background: background.color,
+        ratio: round(ratio, 2),
+        apca: round(/** @type {number} */ (apcaContrast(foreground.color, background.color)), 1),
+        aa: { normal: ratio >= WCAG.aa.normal, large: ratio >= WCAG.aa.large },
+        aaa: { normal: ratio >= WCAG.aaa.normal, large: ratio >= WCAG.aaa.large },
+      };
+      if (!pair.aa.normal) {
+        const suggestion = suggestAccessibleColor(foreground.color, background.color, WCAG.aa.normal);
+        if (suggestion) pair.suggestion = suggestion;
+      }
+      pairs.push(pair);
+    }
+  }
+
+  return {
+    colors: list,
+    pairs,
+    passing: {
+      aa: pairs.filter((pair) => pair.aa.normal).length,
+      aaLarge: pairs.filter((pair) => pair.aa.large).length,
+      aaa: pairs.filter((pair) => pair.aaa.normal).length,
+    },
+  };
+}
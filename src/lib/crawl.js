@@ -0,0 +1,350 @@
+/**
+ * Multi-page Crawl
+ *
+ * Link selection for crawl mode and the merge step that folds the design
+ * tokens of every visited page into one site-wide result. Merged tokens keep
+ * a `pages` list (and `pageCounts` where the extractor counts usage) so
+ * inconsistencies can be traced back to the route they came from.
+ */
+
+import { dedupePalette } from "./palette.js";
+import { fitSpacingGrid } from "./spacing.js";
+
+/** Defaults used when `crawl: true` is passed without limits */
+export const DEFAULT_CRAWL = { maxPages: 5, maxDepth: 1 };
+
+/** Hard cap on pages per crawl, start page included */
+export const MAX_CRAWL_PAGES = 25;
+
+// Links to files rather than pages
+const ASSET_EXTENSIONS =
+  /\.(pdf|zip|gz|tar|dmg|exe|pkg|jpe?g|png|gif|webp|avif|svg|ico|mp4|webm|mov|mp3|wav|xml|json|txt|csv|rss)$/i;
+
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+/**
+ * @typedef {Object} CrawlOptions
+ * @property {number} maxPages - Pages to visit, start page included
+ * @property {number} maxDepth - Link hops to follow from the start page
+ */
+
+/**
+ * @typedef {Object} PageTokens
+ * @property {string} page - Page key (path + query) the tokens came from
+ * @property {Record<string, any>} colors
+ * @property {Record<string, any>} typography
+ * @property {Record<string, any>} spacing
+ * @property {Record<string, any>} borderRadius
+ * @property {Record<string, any>} borders
+ * @property {any[]} shadows
+ * @property {Record<string, any>} components
+ */
+
+/**
+ * Resolve the `crawl` extraction option into concrete limits
+ *
+ * @param {boolean|Partial<CrawlOptions>|undefined} crawl - `true`, an object with limits, or falsy
+ * @returns {CrawlOptions|null} Limits, or null when crawling is disabled
+ */
+export function resolveCrawlOptions(crawl) {
+  if (!crawl) return null;
+  const limits = crawl === true ? {} : crawl;
+
+  const maxPages = Math.floor(Number(limits.maxPages) || DEFAULT_CRAWL.maxPages);
+  const maxDepth = Math.floor(Number(limits.maxDepth) || DEFAULT_CRAWL.maxDepth);
+
+  return {
+    maxPages: Math.min(Math.max(maxPages, 1), MAX_CRAWL_PAGES),
+    maxDepth: Math.max(maxDepth, 1),
+  };
+}
+
+/**
+ * Short identifier for a crawled page ("/pricing?plan=pro")
+ *
+ * @param {string} url - Absolute page URL
+ * @returns {string}
+ */
+export function pageKey(url) {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+}
+
+/**
+ * Keep same-origin page links, without fragments, duplicates or file downloads
+ *
+ * @param {string[]} links - Absolute hrefs found on a page
+ * @param {string} origin - Origin of the start page (after redirects)
+ * @returns {string[]} Crawlable URLs, in document order
+ */
+export function filterCrawlLinks(links, origin) {
+  const seen = new Set();
+  const result = [];
+
+  for (const link of links) {
+    let url;
+    try {
+      url = new URL(link);
+    } catch {
+      continue;
+    }
+    if (url.origin !== origin) continue;
+    if (ASSET_EXTENSIONS.test(url.pathname)) continue;
+
+    url.hash = "";
+    const href = url.href;
+    if (seen.has(href)) continue;
+    seen.add(href);
+    result.push(href);
+  }
+
+  return result;
+}
+
+/**
+ * Pick the stronger of two confidence labels
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function higherConfidence(a, b) {
+  const rankA = CONFIDENCE_RANK[/** @type {keyof CONFIDENCE_RANK} */ (a)] ?? -1;
+  const rankB = CONFIDENCE_RANK[/** @type {keyof CONFIDENCE_RANK} */ (b)] ?? -1;
+  return rankB > rankA ? b : a;
+}
+
+/**
+ * Merge counted tokens (palette colors, spacing, radii, ...) across pages.
+ * Counts are summed and broken down per page in `pageCounts`.
+ *
+ * @param {Array<{ page: string, items: any[] }>} sources - Token lists per page
+ * @param {(item: any) => string} keyOf - Identity of a token across pages
+ * @param {(merged: any, item: any) => void} [combine] - Folds extra fields of a repeat sighting into the merged token
+ * @returns {any[]} Merged tokens, in first-seen order
+ */
+function mergeCounted(sources, keyOf, combine) {
+  const merged = new Map();
+
+  for (const { page, items } of sources) {
+    for (const item of items || []) {
+      const key = keyOf(item);
+      const count = item.count || 1;
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, { ...item, count, pages: [page], pageCounts: { [page]: count } });
+        continue;
+      }
+
+      existing.count += count;
+      existing.pageCounts[page] = (existing.pageCounts[page] || 0) + count;
+      if (!existing.pages.includes(page)) existing.pages.push(page);
+      if (item.confidence) {
+        existing.confidence = higherConfidence(existing.confidence, item.confidence);
+      }
+      combine?.(existing, item);
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Fold a merged token into another one that stands for the same value
+ * (summed counts, per-page counts and pages of both)
+ *
+ * @param {any} merged - Output entry of `mergeCounted`, updated in place
+ * @param {any} other - Output entry of `mergeCounted`
+ */
+function absorbCounted(merged, other) {
+  merged.count += other.count;
+  for (const [page, count] of Object.entries(other.pageCounts)) {
+    merged.pageCounts[page] = (merged.pageCounts[page] || 0) + count;
+  }
+  for (const page of other.pages) {
+    if (!merged.pages.includes(page)) merged.pages.push(page);
+  }
+  if (other.confidence) {
+    merged.confidence = higherConfidence(merged.confidence, other.confidence);
+  }
+}
+
+/**
+ * Merge uncounted entries (typography styles, components) across pages,
+ * keeping the first sighting and recording every page it appeared on
+ *
+ * @param {Array<{ page: string, items: any[] }>} sources - Entry lists per page
+ * @param {(item: any) => string} keyOf - Identity of an entry across pages
+ * @returns {any[]} Merged entries, in first-seen order
+ */
+function mergeUncounted(sources, keyOf) {
+  const merged = new Map();
+
+  for (const { page, items } of sources) {
+    for (const item of items || []) {
+      const key = keyOf(item);
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...item, pages: [page] });
+      } else if (!existing.pages.includes(page)) {
+        existing.pages.push(page);
+      }
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Union two short lists, keeping at most `limit` entries
+ *
+ * @param {any[]|undefined} a
+ * @param {any[]|undefined} b
+ * @param {number} limit
+ * @returns {any[]}
+ */
+function unionLimited(a, b, limit) {
+  return [...new Set([...(a || []), ...(b || [])])].slice(0, limit);
+}
+
+/**
+ * Fold the tokens of every crawled page into one site-wide set.
+ * The first page is treated as the start page: its semantic colors, color
+ * roles, variable graph, screenshot colors and font sources win, everything
+ * else is unioned. Palette colors from different pages that are within the
+ * color merge threshold of each other become one color, as on a single page.
+ *
+ * @param {PageTokens[]} pages - Per-page extraction output, start page first
+ * @param {number} colorThreshold - Delta-E 2000 under which palette colors merge
+ * @returns {Omit<PageTokens, "page">} Merged tokens
+ */
+export function mergePageTokens(pages, colorThreshold) {
+  /**
+   * @param {(tokens: PageTokens) => any[]} select
+   * @returns {Array<{ page: string, items: any[] }>}
+   */
+  const from = (select) => pages.map((tokens) => ({ page: tokens.page, items: select(tokens) }));
+  const [start] = pages;
+
+  // Colors: the same color across pages first, then near-duplicates (each
+  // page only deduplicated its own palette)
+  /** @type {(merged: any, c: any) => void} */
+  const combineSources = (merged, c) => {
+    merged.sources = unionLimited(merged.sources, c.sources, 3);
+  };
+  const palette = dedupePalette(
+    mergeCounted(from((t) => t.colors?.palette), (c) => c.normalized, combineSources).sort((a, b) => b.count - a.count),
+    colorThreshold,
+    (merged, c) => {
+      absorbCounted(merged, c);
+      combineSources(merged, c);
+    }
+  ).sort((a, b) => b.count - a.count);
+
+  const cssVariables = {};
+  for (const tokens of [...pages].reverse()) {
+    Object.assign(cssVariables, tokens.colors?.cssVariables);
+  }
+  const gradients = mergeCounted(
+    from((t) => t.colors?.gradients),
+    (g) => g.css,
+    (merged, g) => {
+      merged.contexts = unionLimited(merged.contexts, g.contexts, 5);
+    }
+  ).sort((a, b) => b.count - a.count);
+
+  // Typography
+  const styles = mergeUncounted(
+    from((t) => t.typography?.styles),
+    (s) => `${s.family}|${s.size}|${s.weight}|${s.context}|${s.spacing}|${s.transform}`
+  ).sort((a, b) => parseFloat(b.size) - parseFloat(a.size));
+
+  // Spacing: keep the 20 most used values site-wide, in numeric order. The
+  // grid is refitted on them (pages only keep their common values)
+  const commonValues = mergeCounted(
+    from((t) => t.spacing?.commonValues),
+    (v) => String(v.numericValue),
+    (merged, v) => {
+      merged.axes = { ...merged.axes };
+      for (const [axis, count] of Object.entries(v.axes || {})) merged.axes[axis] = (merged.axes[axis] || 0) + count;
+    }
+  )
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 20)
+    .sort((a, b) => a.numericValue - b.numericValue);
+  const grid = fitSpacingGrid(commonValues);
+  const byValue = (/** @type {any} */ a, /** @type {any} */ b) => a.numericValue - b.numericValue;
+  const gaps = mergeCounted(from((t) => t.spacing?.gaps), (v) => String(v.numericValue)).sort(byValue);
+  const containers = mergeCounted(from((t) => t.spacing?.containers), (c) => String(c.numericValue)).sort(byValue);
+  const gutters = mergeCounted(from((t) => t.spacing?.gutters), (g) => String(g.numericValue)).sort((a, b) => b.count - a.count);
+
+  // Radii: numeric order, percentages last
+  const radii = mergeCounted(
+    from((t) => t.borderRadius?.values),
+    (r) => r.value,
+    (merged, r) => {
+      merged.elements = unionLimited(merged.elements, r.elements, 5);
+    }
+  ).sort((a, b) => {
+    if (a.value.includes("%") && !b.value.includes("%")) return 1;
+    if (!a.value.includes("%") && b.value.includes("%")) return -1;
+    return a.numericValue - b.numericValue;
+  });
+
+  const borders = mergeCounted(
+    from((t) => t.borders?.combinations),
+    (b) => `${b.width}|${b.style}|${b.color}`,
+    (merged, b) => {
+      merged.elements = unionLimited(merged.elements, b.elements, 5);
+    }
+  ).sort((a, b) => b.count - a.count);
+
+  const shadows = mergeCounted(from((t) => t.shadows), (s) => s.shadow).sort(
+    (a, b) => b.count - a.count
+  );
+
+  // Components
+  const inputs = /** @type {Record<string, any[]>} */ ({});
+  for (const group of Object.keys(start?.components?.inputs || {})) {
+    inputs[group] = mergeUncounted(
+      from((t) => t.components?.inputs?.[group]),
+      (i) => `${i.states?.default?.border}|${i.states?.default?.borderRadius}|${i.states?.default?.backgroundColor}`
+    );
+  }
+
+  const components = {
+    buttons: mergeUncounted(
+      from((t) => t.components?.buttons),
+      (b) => `${b.states?.default?.backgroundColor}|${b.source || ""}`
+    ),
+    inputs,
+    links: mergeUncounted(
+      from((t) => t.components?.links),
+      (l) => `${l.color}|${l.textDecoration}|${l.fontWeight}|${l.source || ""}`
+    ),
+    badges: mergeUncounted(
+      from((t) => t.components?.badges),
+      (b) => `${b.type}|${b.styles?.backgroundColor}|${b.styles?.color}|${b.styles?.borderRadius}`
+    ),
+    forms: mergeUncounted(from((t) => t.components?.forms), (f) => JSON.stringify(f)),
+  };
+
+  return {
+    colors: {
+      semantic: start?.colors?.semantic || {},
+      roles: start?.colors?.roles || {},
+      palette,
+      cssVariables,
+      variables: start?.colors?.variables,
+      visual: start?.colors?.visual,
+      gradients: gradients.slice(0, 20),
+    },
+    typography: { styles, sources: start?.typography?.sources },
+    spacing: { scaleType: grid.scaleType, grid, commonValues, gaps, containers, gutters },
+    borderRadius: { values: radii },
+    borders: { combinations: borders },
+    shadows,
+    components,
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Cron Schedules
+ *
+ * Minimal parser for standard 5-field cron expressions
+ * (minute hour day-of-month month day-of-week), evaluated in server local
+ * time. Supports `*`, lists (`1,15`), ranges (`1-5`), steps (`0-30/10`, or
+ * `/15` after a `*` for "every 15") and the `@hourly`, `@daily`, `@weekly`,
+ * `@monthly` shortcuts. Expressions that can never fire (`0 0 31 2 *`) are
+ * rejected.
+ */
+
+const SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// [min, max] per field; day-of-week accepts 7 as Sunday
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Days in each month, February counted for leap years
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// How far ahead `nextCronRun` looks; 8 years covers February 29 across a skipped leap year (2100)
+const SEARCH_YEARS = 8;
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {string} expression - Normalized 5-field expression
+ * @property {Set<number>[]} fields - Allowed values for minute, hour, day of month, month, day of week
+ * @property {boolean} anyDayOfMonth - Day of month field was `*`
+ * @property {boolean} anyDayOfWeek - Day of week field was `*`
+ */
+
+/**
+ * Expand one cron field into the set of values it allows
+ *
+ * @param {string} field
+ * @param {{ name: string, min: number, max: number }} range
+ * @returns {Set<number>}
+ */
+function parseField(field, range) {
+  const values = new Set();
+
+  for (const part of field.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${range.name} field "${field}"`);
+    }
+
+    let start = range.min;
+    let end = range.max;
+    if (match[2] !== undefined) {
+      start = parseInt(match[2]);
+      // "5/15" means "from 5 to the end, every 15"
+      end = match[3] !== undefined ? parseInt(match[3]) : match[4] ? range.max : start;
+    }
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (start < range.min || end > range.max || start > end || step < 1) {
+      throw new Error(`Invalid ${range.name} field "${field}" (allowed ${range.min}-${range.max})`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ *
+ * @param {string} expression - e.g. "0 9 * * 1-5" or "@daily"
+ * @returns {CronSchedule}
+ * @throws {Error} If the expression is malformed or can never fire
+ */
+export function parseCron(expression) {
+  const source = String(expression || "").trim();
+  const normalized = SHORTCUTS[/** @type {keyof SHORTCUTS} */ (source.toLowerCase())] || source;
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${source}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const fields = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // Sunday can be written as 0 or 7
+  if (fields[4].has(7)) {
+    fields[4].delete(7);
+    fields[4].add(0);
+  }
+
+  // A day of month none of the months have ("0 0 31 2 *") never comes round;
+  // a restricted day of week would still fire on its own
+  const days = [...fields[2]];
+  if (parts[4] === "*" && ![...fields[3]].some((month) => days.some((day) => day <= MONTH_DAYS[month - 1]))) {
+    throw new Error(`Cron expression "${source}" never fires (no allowed month has day ${parts[2]})`);
+  }
+
+  return {
+    expression: parts.join(" "),
+    fields,
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*",
+  };
+}
+
+/**
+ * Check whether the day of `date` matches the two day fields
+ *
+ * @param {CronSchedule} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const [, , daysOfMonth, , daysOfWeek] = schedule.fields;
+  // Standard cron: when both day fields are restricted, either may match
+  const dayOfMonth = daysOfMonth.has(date.getDate());
+  const dayOfWeek = daysOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth && schedule.anyDayOfWeek) return true;
+  if (schedule.anyDayOfMonth) return dayOfWeek;
+  if (schedule.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Check whether a schedule fires in the minute containing `date`
+ *
+ * @param {CronSchedule} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function matchesCron(schedule, date) {
+  const [minutes, hours, , months] = schedule.fields;
+  if (!minutes.has(date.getMinutes())) return false;
+  if (!hours.has(date.getHours())) return false;
+  if (!months.has(date.getMonth() + 1)) return false;
+  return matchesDay(schedule, date);
+}
+
+/**
+ * Next time a schedule fires after `from`
+ *
+ * @param {CronSchedule} schedule
+ * @param {Date} [from]
+ * @returns {Date|null} Start of the next matching minute, or null if none within `SEARCH_YEARS`
+ */
+export function nextCronRun(schedule, from = new Date()) {
+  const [minutes, hours, , months] = schedule.fields;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Months, days and hours that can't match are skipped whole rather than minute by minute
+  const limit = from.getTime() + SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,322 @@
+/**
+ * Extraction Diff Engine
+ *
+ * Compares two extraction results — two snapshots of the same site, or two
+ * different sites — and reports added, removed and changed tokens for
+ * colors, typography, spacing, radii, shadows and button variants.
+ */
+
+import { toHex, normalizeColor, deltaE, SIMILAR_COLOR_THRESHOLD } from "./color.js";
+
+/**
+ * @typedef {Object} SectionDiff
+ * @property {any[]} added - Entries only in `after`
+ * @property {any[]} removed - Entries only in `before`
+ * @property {any[]} changed - Entries present in both with different values
+ * @property {number} unchanged - Entries identical in both
+ */
+
+/**
+ * @param {any} value
+ * @returns {any[]}
+ */
+function asList(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Read a dotted path ("states.default.color") from an object
+ *
+ * @param {any} item
+ * @param {string} path
+ * @returns {any}
+ */
+function pick(item, path) {
+  return path.split(".").reduce((value, key) => (value == null ? value : value[key]), item) ?? null;
+}
+
+/**
+ * Round a distance for display
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Diff two lists of entries that have an identity plus comparable fields.
+ * Entries whose identity and fields all match are unchanged; leftovers that
+ * share an identity are reported as changed, field by field.
+ *
+ * @param {any[]} before
+ * @param {any[]} after
+ * @param {(item: any) => string} identityOf - What makes two entries "the same thing"
+ * @param {string[]} fields - Dotted paths compared between entries with the same identity
+ * @param {(item: any) => any} [present] - Shapes entries for the report
+ * @returns {SectionDiff}
+ */
+function diffEntries(before, after, identityOf, fields, present = (item) => item) {
+  /** @param {any} item */
+  const signature = (item) =>
+    [identityOf(item), ...fields.map((field) => JSON.stringify(pick(item, field)))].join("|");
+
+  // Exact matches first
+  const afterBySignature = new Map();
+  after.forEach((item, i) => {
+    const key = signature(item);
+    if (!afterBySignature.has(key)) afterBySignature.set(key, []);
+    afterBySignature.get(key).push(i);
+  });
+
+  const matchedAfter = new Set();
+  const leftoverBefore = [];
+  let unchanged = 0;
+  for (const item of before) {
+    const candidates = afterBySignature.get(signature(item));
+    if (candidates?.length) {
+      matchedAfter.add(candidates.shift());
+      unchanged++;
+    } else {
+      leftoverBefore.push(item);
+    }
+  }
+
+  // Same identity, different values
+  const leftoverAfterByIdentity = new Map();
+  after.forEach((item, i) => {
+    if (matchedAfter.has(i)) return;
+    const key = identityOf(item);
+    if (!leftoverAfterByIdentity.has(key)) leftoverAfterByIdentity.set(key, []);
+    leftoverAfterByIdentity.get(key).push(item);
+  });
+
+  const changed = [];
+  const removed = [];
+  for (const item of leftoverBefore) {
+    const key = identityOf(item);
+    const counterpart = leftoverAfterByIdentity.get(key)?.shift();
+    if (!counterpart) {
+      removed.push(present(item));
+      continue;
+    }
+    const changes = fields
+      .map((field) => ({ field, before: pick(item, field), after: pick(counterpart, field) }))
+      .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after));
+    changed.push({ key, before: present(item), after: present(counterpart), changes });
+  }
+
+  const added = [...leftoverAfterByIdentity.values()].flat().map(present);
+
+  return { added, removed, changed, unchanged };
+}
+
+/**
+ * Diff two palettes. Exact hex matches are unchanged; a removed color with
+ * an added color within `threshold` is reported as changed (e.g. a brand
+ * color nudged from #4f46e5 to #4338ca), closest pairs first.
+ *
+ * @param {any[]} before - `colors.palette` entries
+ * @param {any[]} after
+ * @param {number} threshold - Maximum delta-E for a "changed" pairing
+ * @returns {SectionDiff}
+ */
+function diffPalette(before, after, threshold) {
+  /** @param {any[]} palette */
+  const byHex = (palette) => {
+    const map = new Map();
+    for (const color of palette) {
+      // Keeps alpha, so a translucent variant is a different color
+      const hex = normalizeColor(color.normalized) || normalizeColor(color.color);
+      if (hex && !map.has(hex)) map.set(hex, { hex, count: color.count, confidence: color.confidence });
+    }
+    return map;
+  };
+  const beforeColors = byHex(before);
+  const afterColors = byHex(after);
+
+  let unchanged = 0;
+  const onlyBefore = [];
+  for (const [hex, color] of beforeColors) {
+    if (afterColors.has(hex)) {
+      unchanged++;
+      afterColors.delete(hex);
+    } else {
+      onlyBefore.push(color);
+    }
+  }
+  const onlyAfter = [...afterColors.values()];
+
+  const pairs = [];
+  for (const a of onlyBefore) {
+    for (const b of onlyAfter) {
+      const distance = deltaE(a.hex, b.hex);
+      if (distance < threshold) pairs.push({ a, b, distance });
+    }
+  }
+  pairs.sort((x, y) => x.distance - y.distance);
+
+  const paired = new Set();
+  const changed = [];
+  for (const { a, b, distance } of pairs) {
+    if (paired.has(a) || paired.has(b)) continue;
+    paired.add(a);
+    paired.add(b);
+    changed.push({ key: a.hex, before: a, after: b, deltaE: round(distance) });
+  }
+
+  return {
+    added: onlyAfter.filter((c) => !paired.has(c)),
+    removed: onlyBefore.filter((c) => !paired.has(c)),
+    changed,
+    unchanged,
+  };
+}
+
+/**
+ * Diff semantic color roles (primary, background, ...)
+ *
+ * @param {Record<string, any>} before - `colors.semantic`
+ * @param {Record<string, any>} after
+ * @returns {SectionDiff}
+ */
+function diffSemantic(before, after) {
+  const roles = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  /** @type {SectionDiff} */
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const role of roles) {
+    const a = toHex(before?.[role]);
+    const b = toHex(after?.[role]);
+    if (a && b) {
+      if (a === b) diff.unchanged++;
+      else diff.changed.push({ key: role, before: a, after: b, deltaE: round(deltaE(a, b)) });
+    } else if (b) {
+      diff.added.push({ role, hex: b });
+    } else if (a) {
+      diff.removed.push({ role, hex: a });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Diff two sets of plain values (spacing, radii, shadows, font families)
+ *
+ * @param {any[]} before
+ * @param {any[]} after
+ * @returns {SectionDiff}
+ */
+function diffValues(before, after) {
+  const a = new Set(before.filter((v) => v != null));
+  const b = new Set(after.filter((v) => v != null));
+  return {
+    added: [...b].filter((v) => !a.has(v)),
+    removed: [...a].filter((v) => !b.has(v)),
+    changed: [],
+    unchanged: [...a].filter((v) => b.has(v)).length,
+  };
+}
+
+/**
+ * Font size in px from a style's "16px (1.00rem)" size label
+ *
+ * @param {any} style
+ * @returns {string}
+ */
+function sizeOf(style) {
+  return String(style.size).split(" ")[0];
+}
+
+/**
+ * Compare two extraction results
+ *
+ * @param {Record<string, any>} before - Baseline result (older snapshot, or the reference site)
+ * @param {Record<string, any>} after - Result compared against the baseline
+ * @param {{ colorThreshold?: number }} [options] - `colorThreshold`: delta-E under which two colors count as the same color, changed (default 10)
+ * @returns {Record<string, any>} Per-section diffs plus a `summary` of totals
+ */
+export function diffExtractions(before, after, options = {}) {
+  const threshold = options.colorThreshold ?? SIMILAR_COLOR_THRESHOLD;
+
+  const beforeStyles = asList(before.typography?.styles);
+  const afterStyles = asList(after.typography?.styles);
+
+  const sections = {
+    colors: diffPalette(asList(before.colors?.palette), asList(after.colors?.palette), threshold),
+    semanticColors: diffSemantic(before.colors?.semantic, after.colors?.semantic),
+    fontFamilies: diffValues(
+      beforeStyles.map((s) => s.family),
+      afterStyles.map((s) => s.family)
+    ),
+    typography: diffEntries(
+      beforeStyles,
+      afterStyles,
+      (s) => `${s.context}|${s.family}|${sizeOf(s)}`,
+      ["weight", "lineHeight", "spacing", "transform"],
+      (s) => ({
+        context: s.context,
+        family: s.family,
+        size: sizeOf(s),
+        weight: s.weight,
+        lineHeight: s.lineHeight,
+        spacing: s.spacing,
+        transform: s.transform,
+      })
+    ),
+    spacing: diffValues(
+      asList(before.spacing?.commonValues).map((v) => v.px),
+      asList(after.spacing?.commonValues).map((v) => v.px)
+    ),
+    borderRadius: diffValues(
+      asList(before.borderRadius?.values).map((v) => v.value),
+      asList(after.borderRadius?.values).map((v) => v.value)
+    ),
+    shadows: diffValues(
+      asList(before.shadows).map((s) => s.shadow),
+      asList(after.shadows).map((s) => s.shadow)
+    ),
+    buttons: diffEntries(
+      asList(before.components?.buttons),
+      asList(after.components?.buttons),
+      (b) => toHex(b.states?.default?.backgroundColor) || String(b.states?.default?.backgroundColor),
+      [
+        "states.default.color",
+        "states.default.padding",
+        "states.default.borderRadius",
+        "states.default.border",
+        "states.default.boxShadow",
+        "fontSize",
+        "fontWeight",
+      ],
+      (b) => ({
+        backgroundColor: b.states?.default?.backgroundColor,
+        color: b.states?.default?.color,
+        padding: b.states?.default?.padding,
+        borderRadius: b.states?.default?.borderRadius,
+        border: b.states?.default?.border,
+        boxShadow: b.states?.default?.boxShadow,
+        fontSize: b.fontSize,
+        fontWeight: b.fontWeight,
+      })
+    ),
+  };
+
+  const summary = { added: 0, removed: 0, changed: 0, identical: true };
+  for (const section of Object.values(sections)) {
+    summary.added += section.added.length;
+    summary.removed += section.removed.length;
+    summary.changed += section.changed.length;
+  }
+  summary.identical = summary.added + summary.removed + summary.changed === 0;
+
+  return {
+    before: { id: before.id, url: before.url, extractedAt: before.extractedAt },
+    after: { id: after.id, url: after.url, extractedAt: after.extractedAt },
+    colorThreshold: threshold,
+    summary,
+    ...sections,
+  };
+}
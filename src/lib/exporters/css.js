@@ -0,0 +1,280 @@
+/**
+ * CSS Variables Exporter
+ *
+ * Emits a `:root` block of custom properties for colors, tonal ramps,
+ * gradients, typography, spacing, gaps, containers, layout grid and section
+ * rhythm, radii, shadows, borders and breakpoints.
+ * Colors with a role (background, foreground, danger, ...) are named after
+ * it; only the rest of the palette is numbered, and font sizes are named
+ * after their type role (`--font-size-h1`). When the result carries the
+ * site's custom property graph, the site's own variables are emitted first,
+ * scope by scope, and colors that come from one of them reference it with
+ * var(). A dark theme extraction adds its colors in a `prefers-color-scheme`
+ * block and under the site's theme selector.
+ */
+
+import { normalizeColor } from "../color.js";
+import { asList, domainOf } from "./utils.js";
+
+/**
+ * Emit the site's custom properties scope by scope, var() references and
+ * enclosing at-rules intact
+ *
+ * @param {Record<string, any>} graph - `colors.variables` of an extraction result
+ * @returns {string}
+ */
+function siteVariables(graph) {
+  const variables = Object.entries(graph.variables || {});
+  let css = "";
+  asList(graph.scopes).forEach((scope) => {
+    const declarations = variables.filter(([, node]) => node.values?.[scope.id]);
+    if (declarations.length === 0) return;
+    const conditions = asList(scope.conditions);
+    const indent = "  ".repeat(conditions.length);
+    let block = `${indent}${scope.selector} {\n`;
+    declarations.forEach(([name, node]) => {
+      block += `${indent}  ${name}: ${node.values[scope.id].value};\n`;
+    });
+    block += `${indent}}\n`;
+    for (let i = conditions.length - 1; i >= 0; i--) {
+      const outer = "  ".repeat(i);
+      block = `${outer}${conditions[i]} {\n${block}${outer}}\n`;
+    }
+    css += `${block}\n`;
+  });
+  return css;
+}
+
+/**
+ * Convert an extraction result to a CSS custom property stylesheet
+ *
+ * @param {Record<string, any>} result - Output of `extractBranding`
+ * @returns {string}
+ */
+export function toCSS(result) {
+  let css = `/**\n * Design Tokens - Extracted from ${result.url || "website"}\n * Generated by DesignTree\n`;
+
+  // Add detected frameworks/libraries as comments
+  const frameworks = asList(result.frameworks);
+  if (frameworks.length > 0) {
+    css += ` *\n * Detected Frameworks: ${frameworks.map((f) => f.name).join(", ")}\n`;
+  }
+
+  // Add detected icon systems as comments
+  const iconSystem = asList(result.iconSystem);
+  if (iconSystem.length > 0) {
+    css += ` * Icon Systems: ${iconSystem.map((i) => i.name).join(", ")}\n`;
+  }
+
+  css += ` */\n\n`;
+
+  // The site's own variables, so the tokens below can point into them
+  const graph = result.colors?.variables;
+  if (graph?.variables && Object.keys(graph.variables).length > 0) {
+    css += "/* Site custom properties */\n";
+    css += siteVariables(graph);
+  }
+
+  css += ":root {\n";
+
+  const semantic = Object.entries(result.colors?.semantic || {}).filter(([, value]) => value);
+  const named = new Set(semantic.map(([, value]) => normalizeColor(value)));
+  const palette = asList(result.colors?.palette)
+    .slice(0, 20)
+    .filter((color) => !named.has(color.normalized));
+
+  // var() to the site variable a color comes from, unless that is one of our own names
+  const ownNames = new Set([
+    ...semantic.map(([name]) => `--color-${name}`),
+    ...palette.map((_, i) => `--color-${i + 1}`),
+  ]);
+  /**
+   * @param {string|null} normalized
+   * @param {string} fallback
+   * @returns {string}
+   */
+  const colorValue = (normalized, fallback) => {
+    const origin = asList(graph?.origins?.[normalized || ""]).find((name) => !ownNames.has(name));
+    return origin ? `var(${origin})` : fallback;
+  };
+
+  // Color roles and brand colors, by name
+  if (semantic.length > 0) {
+    css += "  /* Semantic Colors */\n";
+    semantic.forEach(([name, value]) => {
+      css += `  --color-${name}: ${colorValue(normalizeColor(value), value)};\n`;
+    });
+  }
+
+  // Remaining palette colors, numbered (colors that already have a name are skipped)
+  if (palette.length > 0) {
+    css += `${semantic.length > 0 ? "\n" : ""}  /* Colors */\n`;
+    palette.forEach((color, i) => {
+      css += `  --color-${i + 1}: ${colorValue(color.normalized, color.normalized)};\n`;
+    });
+  }
+
+  // Tonal ramps (only present when extracted with `ramps`)
+  const ramps = asList(result.colorRamps);
+  if (ramps.length > 0) {
+    css += "\n  /* Tonal Ramps */\n";
+    ramps.forEach((ramp) => {
+      Object.entries(ramp.steps).forEach(([step, value]) => {
+        css += `  --color-${ramp.name}-${step}: ${value};\n`;
+      });
+    });
+  }
+
+  // Gradients, most used first, in canonical form
+  const gradients = asList(result.colors?.gradients).filter((g) => g.css);
+  if (gradients.length > 0) {
+    css += "\n  /* Gradients */\n";
+    gradients.slice(0, 10).forEach((g, i) => {
+      css += `  --gradient-${i + 1}: ${g.css};\n`;
+    });
+  }
+
+  // Typography
+  if (result.typography?.styles) {
+    const styles = asList(result.typography.styles);
+    css += "\n  /* Typography */\n";
+    const families = [...new Set(styles.map((s) => s.family))];
+    families.forEach((family, i) => {
+      css += `  --font-family-${i + 1}: "${family}";\n`;
+    });
+    const scale = result.typography.scale;
+    const roles = Object.entries(scale?.roles || {});
+    if (roles.length > 0) {
+      // Sizes by role (--font-size-h1), with the line height and tracking they are set with
+      if (scale.ratio) css += `  /* Type scale: ${scale.base}px base, ${scale.ratio.value} (${scale.ratio.name}) */\n`;
+      roles.forEach(([role, style]) => {
+        css += `  --font-size-${role}: ${style.size};\n`;
+        if (style.lineHeight) css += `  --line-height-${role}: ${parseFloat(style.lineHeight)};\n`;
+        if (style.letterSpacing) css += `  --letter-spacing-${role}: ${style.letterSpacing};\n`;
+      });
+    } else {
+      // Font sizes (styles store "16px (1.00rem)", keep the px value)
+      const sizes = [...new Set(styles.map((s) => String(s.size).split(" ")[0]))].slice(0, 8);
+      sizes.forEach((size, i) => {
+        css += `  --font-size-${i + 1}: ${size};\n`;
+      });
+    }
+  }
+
+  // Spacing
+  if (result.spacing?.commonValues) {
+    css += "\n  /* Spacing */\n";
+    if (result.spacing.grid?.base) css += `  --spacing-unit: ${result.spacing.grid.base}px;\n`;
+    asList(result.spacing.commonValues).slice(0, 10).forEach((sp, i) => {
+      css += `  --spacing-${i + 1}: ${sp.px};\n`;
+    });
+    asList(result.spacing.gaps).slice(0, 6).forEach((gap, i) => {
+      css += `  --gap-${i + 1}: ${gap.px};\n`;
+    });
+  }
+
+  // Containers
+  const containers = asList(result.spacing?.containers);
+  if (containers.length > 0) {
+    css += "\n  /* Containers */\n";
+    containers.forEach((container, i) => {
+      css += `  --container-${i + 1}: ${container.maxWidth};\n`;
+    });
+    const gutter = asList(result.spacing?.gutters)[0];
+    if (gutter) css += `  --container-gutter: ${gutter.px};\n`;
+  }
+
+  // Layout grid and section rhythm
+  const layout = result.layout;
+  const columns = asList(layout?.columns)[0];
+  if (columns || layout?.gutter || layout?.rhythm?.padding) {
+    css += "\n  /* Layout */\n";
+    if (columns) css += `  --grid-columns: ${columns.columns};\n`;
+    if (layout.gutter) css += `  --grid-gutter: ${layout.gutter};\n`;
+    if (layout.rhythm?.padding) css += `  --section-padding: ${layout.rhythm.padding};\n`;
+    if (layout.rhythm?.gap) css += `  --section-gap: ${layout.rhythm.gap};\n`;
+  }
+
+  // Border Radius
+  if (result.borderRadius?.values) {
+    css += "\n  /* Border Radius */\n";
+    asList(result.borderRadius.values).slice(0, 6).forEach((r, i) => {
+      css += `  --radius-${i + 1}: ${r.value};\n`;
+    });
+  }
+
+  // Shadows
+  const shadows = asList(result.shadows);
+  if (shadows.length > 0) {
+    css += "\n  /* Shadows */\n";
+    shadows.slice(0, 4).forEach((s, i) => {
+      css += `  --shadow-${i + 1}: ${s.shadow};\n`;
+    });
+  }
+
+  // Borders
+  const borders = asList(result.borders?.combinations);
+  if (borders.length > 0) {
+    css += "\n  /* Borders */\n";
+    borders.slice(0, 4).forEach((b, i) => {
+      css += `  --border-${i + 1}: ${b.width} ${b.style} ${b.color};\n`;
+    });
+  }
+
+  // Breakpoints
+  const breakpoints = asList(result.breakpoints);
+  if (breakpoints.length > 0) {
+    css += "\n  /* Breakpoints */\n";
+    breakpoints.forEach((bp, i) => {
+      css += `  --breakpoint-${i + 1}: ${bp.px};\n`;
+    });
+  }
+
+  css += "}\n";
+
+  // Wide-gamut colors: hex fallback above, authored value where the display can show it
+  const wideGamut = palette
+    .map((color, i) => ({ color, i }))
+    .filter(({ color }) => color.wideGamut);
+  if (wideGamut.length > 0) {
+    css += "\n@media (color-gamut: p3) {\n  :root {\n";
+    wideGamut.forEach(({ color, i }) => {
+      css += `    --color-${i + 1}: ${color.color};\n`;
+    });
+    css += "  }\n}\n";
+  }
+
+  // Dark theme: the semantic colors that change, under the media query when
+  // the site follows it and under the site's own theme selector
+  const dark = result.darkMode;
+  const darkColors = Object.entries(dark?.pairs || {}).filter(([, pair]) => pair.dark && pair.dark !== pair.light);
+  if (dark?.strategy && darkColors.length > 0) {
+    /** @param {string} indent */
+    const declarations = (indent) =>
+      darkColors.map(([name, pair]) => `${indent}--color-${name}: ${pair.dark};\n`).join("");
+    if (dark.strategy === "media") {
+      css += `\n@media (prefers-color-scheme: dark) {\n  :root {\n${declarations("    ")}  }\n}\n`;
+    }
+    css += `\n${dark.selector || '[data-theme="dark"]'} {\n${declarations("  ")}}\n`;
+  }
+
+  // Results without a variable graph: list the site's variables for reference
+  if (!graph && result.colors?.cssVariables && Object.keys(result.colors.cssVariables).length > 0) {
+    css += "\n/* Original CSS Variables from site */\n/*\n";
+    Object.entries(result.colors.cssVariables).slice(0, 30).forEach(([name, value]) => {
+      css += `  ${name}: ${value};\n`;
+    });
+    css += "*/\n";
+  }
+
+  return css;
+}
+
+/** @type {import('./index.js').Exporter} */
+export default {
+  id: "css",
+  label: "CSS Variables",
+  mimeType: "text/css",
+  filename: (result) => `${domainOf(result, "design-tokens")}-tokens.css`,
+  render: toCSS,
+};
@@ -0,0 +1,327 @@
+/**
+ * W3C Design Tokens (DTCG) Exporter
+ *
+ * Converts an `extractBranding` result into a Design Tokens Community Group
+ * JSON document (`$value` / `$type` groups) that Style Dictionary and
+ * Tokens Studio can consume directly.
+ *
+ * Spec: https://tr.designtokens.org/format/
+ */
+
+import { toHex, normalizeColor, findColors } from "../color.js";
+import { asList, domainOf } from "./utils.js";
+
+const EXTENSION_KEY = "com.designtree";
+
+const BORDER_STYLES = [
+  "solid",
+  "dashed",
+  "dotted",
+  "double",
+  "groove",
+  "ridge",
+  "outset",
+  "inset",
+];
+
+/**
+ * Turn a free-form name into a token-safe key (no `.`, `{`, `}` or `$`)
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+  return (
+    String(name)
+      .toLowerCase()
+      .replace(/['"]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "token"
+  );
+}
+
+/**
+ * Return the first length in a possibly multi-value string ("1px 0px" -> "1px")
+ *
+ * @param {string|null|undefined} value
+ * @returns {string|null}
+ */
+function firstDimension(value) {
+  if (!value) return null;
+  const match = String(value).match(/-?\d*\.?\d+(px|rem|em|%)?/);
+  if (!match) return null;
+  return match[1] ? match[0] : `${match[0]}px`;
+}
+
+/**
+ * Split a comma-separated CSS list while respecting parentheses
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of value) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a computed `box-shadow` value into DTCG shadow objects
+ *
+ * @param {string} shadow - e.g. "rgba(0, 0, 0, 0.1) 0px 1px 3px 0px"
+ * @returns {Array<Object>} One entry per shadow layer
+ */
+function parseShadow(shadow) {
+  return splitTopLevel(shadow)
+    .map((layer) => {
+      const [color] = findColors(layer);
+      const rest = color ? layer.replace(color, " ") : layer;
+      const inset = /\binset\b/.test(rest);
+      const lengths = rest.match(/-?\d*\.?\d+px/g) || [];
+      if (lengths.length < 2) return null;
+
+      return {
+        color: color ? normalizeColor(color) || color : "#000000",
+        offsetX: lengths[0],
+        offsetY: lengths[1],
+        blur: lengths[2] || "0px",
+        spread: lengths[3] || "0px",
+        ...(inset ? { inset: true } : {}),
+      };
+    })
+    .filter((layer) => layer !== null);
+}
+
+/**
+ * Build a DTCG token
+ *
+ * @param {string} type - DTCG `$type`
+ * @param {any} value - DTCG `$value`
+ * @param {Object} [extensions] - Extraction metadata stored under `$extensions`
+ * @returns {Object}
+ */
+function token(type, value, extensions) {
+  const result = /** @type {Record<string, any>} */ ({ $type: type, $value: value });
+  const meta = Object.fromEntries(
+    Object.entries(extensions || {}).filter(([, v]) => v !== undefined)
+  );
+  if (Object.keys(meta).length > 0) {
+    result.$extensions = { [EXTENSION_KEY]: meta };
+  }
+  return result;
+}
+
+/**
+ * Convert an extraction result to a DTCG token document
+ *
+ * @param {Record<string, any>} result - Output of `extractBranding`
+ * @returns {Record<string, any>} DTCG token tree
+ */
+export function toDesignTokens(result) {
+  const tokens = /** @type {Record<string, any>} */ ({
+    $description: `Design tokens extracted from ${result.url || "website"} by DesignTree`,
+  });
+
+  // ——— Colors ———
+  const paletteByHex = new Map();
+  const palette = /** @type {Record<string, any>} */ ({});
+  asList(result.colors?.palette).forEach((color) => {
+    const hex = normalizeColor(color.normalized) || normalizeColor(color.color);
+    if (!hex || paletteByHex.has(hex)) return;
+    const key = String(paletteByHex.size + 1);
+    paletteByHex.set(hex, key);
+    // $value is sRGB hex; colors authored in another space keep the original alongside
+    const authored = color.space && color.space !== "srgb";
+    palette[key] = token("color", hex, {
+      variables: color.variables?.length ? color.variables : undefined,
+      count: color.count,
+      confidence: color.confidence,
+      sources: color.sources?.length ? color.sources : undefined,
+      colorSpace: authored ? color.space : undefined,
+      original: authored ? color.color : undefined,
+      wideGamut: color.wideGamut || undefined,
+    });
+  });
+
+  const semantic = /** @type {Record<string, any>} */ ({});
+  Object.entries(result.colors?.semantic || {}).forEach(([name, value]) => {
+    // Alpha-aware like the palette keys; fully transparent values are skipped
+    const hex = toHex(/** @type {string} */ (value)) && normalizeColor(/** @type {string} */ (value));
+    if (!hex) return;
+    // Alias to the palette entry when the semantic color is already in it
+    const role = result.colors?.roles?.[name];
+    const meta = role ? { confidence: role.confidence, evidence: role.evidence } : undefined;
+    semantic[slugify(name)] = paletteByHex.has(hex)
+      ? token("color", `{color.palette.${paletteByHex.get(hex)}}`, meta)
+      : token("color", hex, meta);
+  });
+
+  // Site color variables, aliases kept as DTCG references
+  const graph = result.colors?.variables;
+  const variables = /** @type {Record<string, any>} */ ({});
+  const colorVariables = Object.entries(graph?.variables || {}).filter(([, node]) => node.color);
+  const variableKeys = new Map(colorVariables.map(([name]) => [name, slugify(name)]));
+  colorVariables.forEach(([name, node]) => {
+    const declared = String(node.values?.[":root"]?.value || "");
+    const alias = declared.match(/^var\(\s*(--[\w-]+)\s*\)$/)?.[1];
+    const scopes = Object.fromEntries(
+      Object.entries(node.values || {})
+        .filter(([scope]) => scope !== ":root")
+        .map(([scope, value]) => [scope, normalizeColor(/** @type {any} */ (value).resolved)])
+        .filter(([, value]) => value)
+    );
+    variables[/** @type {string} */ (variableKeys.get(name))] = token(
+      "color",
+      alias && variableKeys.has(alias) ? `{color.variable.${variableKeys.get(alias)}}` : node.color,
+      { name, scopes: Object.keys(scopes).length > 0 ? scopes : undefined }
+    );
+  });
+
+  if (Object.keys(palette).length > 0 || Object.keys(semantic).length > 0 || Object.keys(variables).length > 0) {
+    tokens.color = {};
+    if (Object.keys(palette).length > 0) tokens.color.palette = palette;
+    if (Object.keys(semantic).length > 0) tokens.color.semantic = semantic;
+    if (Object.keys(variables).length > 0) tokens.color.variable = variables;
+  }
+
+  // ——— Font families and weights ———
+  const styles = asList(result.typography?.styles);
+  const familyKeys = new Map();
+  const families = /** @type {Record<string, any>} */ ({});
+  const weights = /** @type {Record<string, any>} */ ({});
+
+  styles.forEach((style) => {
+    if (style.family && !familyKeys.has(style.family)) {
+      const key = slugify(style.family);
+      familyKeys.set(style.family, key);
+      const stack = [style.family];
+      if (style.fallbacks) {
+        stack.push(...String(style.fallbacks).split(",").map((f) => f.trim()));
+      }
+      families[key] = token("fontFamily", stack);
+    }
+    const weight = parseInt(style.weight);
+    if (weight && !weights[weight]) {
+      weights[weight] = token("fontWeight", weight);
+    }
+  });
+
+  if (Object.keys(families).length > 0 || Object.keys(weights).length > 0) {
+    tokens.font = {};
+    if (Object.keys(families).length > 0) tokens.font.family = families;
+    if (Object.keys(weights).length > 0) tokens.font.weight = weights;
+  }
+
+  // ——— Typography composites ———
+  const typography = /** @type {Record<string, any>} */ ({});
+  const contextCounts = /** @type {Record<string, number>} */ ({});
+  styles.forEach((style) => {
+    // A composite needs every sub-value, and there is no family to alias without one
+    if (!familyKeys.has(style.family)) return;
+    const context = slugify(style.context || "text");
+    contextCounts[context] = (contextCounts[context] || 0) + 1;
+    const weight = parseInt(style.weight);
+
+    const value = /** @type {Record<string, any>} */ ({
+      fontFamily: `{font.family.${familyKeys.get(style.family)}}`,
+      fontSize: firstDimension(style.size),
+      fontWeight: weights[weight] ? `{font.weight.${weight}}` : 400,
+      lineHeight: style.lineHeight ? parseFloat(style.lineHeight) : 1.2,
+      letterSpacing: firstDimension(style.spacing) || "0px",
+    });
+
+    typography[`${context}-${contextCounts[context]}`] = token("typography", value, {
+      transform: style.transform || undefined,
+    });
+  });
+  if (Object.keys(typography).length > 0) tokens.typography = typography;
+
+  // ——— Spacing ———
+  const spacing = /** @type {Record<string, any>} */ ({});
+  asList(result.spacing?.commonValues).forEach((value) => {
+    spacing[String(value.numericValue ?? parseFloat(value.px))] = token(
+      "dimension",
+      value.px,
+      { count: value.count }
+    );
+  });
+  if (Object.keys(spacing).length > 0) tokens.spacing = spacing;
+
+  // ——— Containers ———
+  const container = /** @type {Record<string, any>} */ ({});
+  asList(result.spacing?.containers).forEach((value) => {
+    container[String(value.numericValue)] = token("dimension", value.maxWidth, {
+      count: value.count,
+      gutter: value.gutter || undefined,
+    });
+  });
+  if (Object.keys(container).length > 0) tokens.container = container;
+
+  // ——— Border radius ———
+  const radius = /** @type {Record<string, any>} */ ({});
+  asList(result.borderRadius?.values).forEach((value, i) => {
+    const dimension = firstDimension(value.value);
+    if (!dimension) return;
+    radius[String(i + 1)] = token("dimension", dimension, {
+      original: value.value !== dimension ? value.value : undefined,
+      count: value.count,
+      elements: value.elements,
+    });
+  });
+  if (Object.keys(radius).length > 0) tokens.radius = radius;
+
+  // ——— Shadows ———
+  const shadows = /** @type {Record<string, any>} */ ({});
+  asList(result.shadows).forEach((value) => {
+    const layers = parseShadow(value.shadow);
+    if (layers.length === 0) return;
+    shadows[String(Object.keys(shadows).length + 1)] = token(
+      "shadow",
+      layers.length === 1 ? layers[0] : layers,
+      { count: value.count }
+    );
+  });
+  if (Object.keys(shadows).length > 0) tokens.shadow = shadows;
+
+  // ——— Borders ———
+  const borders = /** @type {Record<string, any>} */ ({});
+  asList(result.borders?.combinations).forEach((border) => {
+    const hex = toHex(border.color) && normalizeColor(border.color);
+    const style = BORDER_STYLES.includes(border.style?.split(" ")[0])
+      ? border.style.split(" ")[0]
+      : "solid";
+    borders[String(Object.keys(borders).length + 1)] = token(
+      "border",
+      {
+        color: hex && paletteByHex.has(hex) ? `{color.palette.${paletteByHex.get(hex)}}` : hex || border.color,
+        width: firstDimension(border.width) || "1px",
+        style,
+      },
+      { count: border.count, elements: border.elements }
+    );
+  });
+  if (Object.keys(borders).length > 0) tokens.border = borders;
+
+  return tokens;
+}
+
+/** @type {import('./index.js').Exporter} */
+export default {
+  id: "dtcg",
+  label: "Design Tokens (DTCG)",
+  mimeType: "application/json",
+  filename: (result) => `${domainOf(result, "design-tokens")}.tokens.json`,
+  render: (result) => JSON.stringify(toDesignTokens(result), null, 2),
+};
@@ -0,0 +1,58 @@
+/**
+ * Web Fonts Exporter
+ *
+ * Bundles the font files captured with the `fonts` extraction option into a
+ * ZIP archive: the files under `fonts/`, a `fonts.css` with one
+ * `@font-face` rule per file, and a `fonts.json` with each file's metadata
+ * and license hints. Files missing from the data directory (an extraction
+ * made on another machine) are listed in `fonts.json` but left out.
+ */
+
+import { fontFaceCss, readFontFile } from "../fonts.js";
+import { createZip } from "../zip.js";
+import { asList, domainOf } from "./utils.js";
+
+/**
+ * Convert an extraction result to a font bundle
+ *
+ * @param {Record<string, any>} result - Output of `extractBranding`
+ * @returns {Buffer}
+ */
+export function toFontBundle(result) {
+  const fonts = asList(result.fonts?.files);
+  if (fonts.length === 0) {
+    throw new Error("No font files in this result. Extract with the fonts option to capture them.");
+  }
+
+  const entries = [];
+  const bundled = [];
+  const missing = [];
+  for (const font of fonts) {
+    try {
+      entries.push({ name: `fonts/${font.name}`, data: readFontFile(font.file) });
+      bundled.push(font);
+    } catch {
+      missing.push(font);
+    }
+  }
+  if (bundled.length === 0) {
+    throw new Error("The captured font files are no longer in the data directory. Extract again to capture them.");
+  }
+
+  const header = `/* Web fonts extracted from ${result.url || "website"} by DesignTree. Check each license before reuse. */\n\n`;
+  const strip = (/** @type {any} */ { file: _file, ...font }) => font;
+  entries.push(
+    { name: "fonts.css", data: header + fontFaceCss(bundled) },
+    { name: "fonts.json", data: JSON.stringify({ url: result.url, fonts: bundled.map(strip), missing: missing.map(strip) }, null, 2) }
+  );
+  return createZip(entries);
+}
+
+/** @type {import('./index.js').Exporter} */
+export default {
+  id: "fonts",
+  label: "Web Fonts",
+  mimeType: "application/zip",
+  filename: (result) => `${domainOf(result, "design").replace(/\./g, "-")}-fonts.zip`,
+  render: toFontBundle,
+};
@@ -0,0 +1,76 @@
+/**
+ * Exporter Registry
+ *
+ * Each export format lives in its own module and registers a descriptor
+ * here. The `/api/export` route, the UI and the CLI all resolve formats
+ * through this registry, so adding a format only means adding a module.
+ */
+
+import json from "./json.js";
+import css from "./css.js";
+import tailwind from "./tailwind.js";
+import dtcg from "./dtcg.js";
+import fonts from "./fonts.js";
+
+/**
+ * @typedef {Object} Exporter
+ * @property {string} id - Format identifier used in `?format=`
+ * @property {string} label - Human-readable name
+ * @property {string} mimeType - Content type of the rendered file
+ * @property {(result: Record<string, any>) => string} filename - Download file name
+ * @property {(result: Record<string, any>) => string|Buffer} render - Serialize an extraction result (binary formats return a Buffer)
+ */
+
+/** @type {Map<string, Exporter>} */
+const registry = new Map();
+
+/**
+ * Register an export format (replaces an existing format with the same id)
+ *
+ * @param {Exporter} exporter
+ */
+export function registerExporter(exporter) {
+  registry.set(exporter.id, exporter);
+}
+
+/**
+ * Look up an export format by id
+ *
+ * @param {string} id
+ * @returns {Exporter|undefined}
+ */
+export function getExporter(id) {
+  return registry.get(id);
+}
+
+/**
+ * All registered formats, in registration order
+ *
+ * @returns {Exporter[]}
+ */
+export function listExporters() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Render an extraction result in the given format
+ *
+ * @param {Record<string, any>} result - Output of `extractBranding`
+ * @param {string} format - Registered exporter id
+ * @returns {{ body: string|Buffer, filename: string, mimeType: string }}
+ */
+export function exportResult(result, format) {
+  const exporter = registry.get(format);
+  if (!exporter) {
+    throw new Error(
+      `Unknown export format "${format}". Supported formats: ${listExporters().map((e) => e.id).join(", ")}`
+    );
+  }
+  return {
+    body: exporter.render(result),
+    filename: exporter.filename(result),
+    mimeType: exporter.mimeType,
+  };
+}
+
+[json, css, tailwind, dtcg, fonts].forEach(registerExporter);
@@ -0,0 +1,16 @@
+/**
+ * JSON Exporter
+ *
+ * Complete extraction data, pretty-printed.
+ */
+
+import { domainOf } from "./utils.js";
+
+/** @type {import('./index.js').Exporter} */
+export default {
+  id: "json",
+  label: "JSON",
+  mimeType: "application/json",
+  filename: (result) => `${domainOf(result, "design-tokens")}-design-tokens.json`,
+  render: (result) => JSON.stringify(result, null, 2),
+};
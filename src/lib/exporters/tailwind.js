@@ -0,0 +1,183 @@
+/**
+ * Tailwind Config Exporter
+ *
+ * Emits a `tailwind.config.js` whose `theme.extend` holds the extracted
+ * colors, fonts, font sizes by type role, spacing, container widths,
+ * radii, shadows, gradients and breakpoints.
+ */
+
+import { normalizeColor } from "../color.js";
+import { asList, domainOf } from "./utils.js";
+
+/**
+ * Serialize a theme section with single quotes, indented under `extend`
+ *
+ * @param {Record<string, any>} value
+ * @returns {string}
+ */
+function formatSection(value) {
+  return JSON.stringify(value, null, 8)
+    .replace(/"/g, "'")
+    .split("\n")
+    .map((l, i) => (i === 0 ? l : "      " + l))
+    .join("\n");
+}
+
+/**
+ * Convert an extraction result to a Tailwind CSS config module
+ *
+ * @param {Record<string, any>} result - Output of `extractBranding`
+ * @returns {string}
+ */
+export function toTailwind(result) {
+  // Build colors object
+  const colors = /** @type {Record<string, string|Record<string, string>>} */ ({});
+  // Semantic colors and roles (background, foreground, danger, ...) by name
+  const semantic = Object.entries(result.colors?.semantic || {}).filter(([, value]) => value);
+  semantic.forEach(([name, value]) => {
+    colors[name] = value;
+  });
+  // Palette colors without a name are numbered
+  const named = new Set(semantic.map(([, value]) => normalizeColor(value)));
+  asList(result.colors?.palette)
+    .slice(0, 20)
+    .filter((color) => !named.has(color.normalized))
+    .forEach((color, i) => {
+      // Keep wide-gamut colors as authored (oklch(), color(display-p3 ...)) rather than clipped
+      colors[`brand-${i + 1}`] = color.wideGamut ? color.color : color.normalized;
+    });
+  // Tonal ramps become real scales (bg-primary-500); a flat semantic color stays as DEFAULT
+  asList(result.colorRamps).forEach((ramp) => {
+    const flat = colors[ramp.name];
+    colors[ramp.name] = { ...(typeof flat === "string" ? { DEFAULT: flat } : {}), ...ramp.steps };
+  });
+
+  const styles = asList(result.typography?.styles);
+
+  // Build font families
+  const fontFamily = /** @type {Record<string, string[]>} */ ({});
+  const families = /** @type {string[]} */ ([...new Set(styles.map((s) => s.family))]);
+  if (families.length > 0) {
+    fontFamily.sans = [families[0], "system-ui", "sans-serif"];
+    if (families.length > 1) {
+      fontFamily.heading = [families[1], "system-ui", "sans-serif"];
+    }
+  }
+
+  // Build font sizes: by type role (text-h1) with their line height and tracking, numbered without a scale
+  const fontSize = /** @type {Record<string, string|[string, Record<string, string>]>} */ ({});
+  const roles = Object.entries(result.typography?.scale?.roles || {});
+  if (roles.length > 0) {
+    roles.forEach(([role, style]) => {
+      const options = /** @type {Record<string, string>} */ ({});
+      if (style.lineHeight) options.lineHeight = String(parseFloat(style.lineHeight));
+      if (style.letterSpacing) options.letterSpacing = style.letterSpacing;
+      fontSize[role] = Object.keys(options).length > 0 ? [style.size, options] : style.size;
+    });
+  } else {
+    const sizes = /** @type {string[]} */ ([...new Set(styles.map((s) => String(s.size).split(" ")[0]))]);
+    sizes.slice(0, 8).forEach((size, i) => {
+      fontSize[`custom-${i + 1}`] = size;
+    });
+  }
+
+  // Build spacing
+  const spacing = /** @type {Record<string, string>} */ ({});
+  asList(result.spacing?.commonValues).slice(0, 10).forEach((sp) => {
+    const num = parseInt(sp.px);
+    if (num > 0) {
+      spacing[num.toString()] = sp.px;
+    }
+  });
+
+  // Build container widths (max-w-container-1, ...)
+  const maxWidth = /** @type {Record<string, string>} */ ({});
+  asList(result.spacing?.containers).forEach((container, i) => {
+    maxWidth[`container-${i + 1}`] = container.maxWidth;
+  });
+
+  // Build border radius
+  const borderRadius = /** @type {Record<string, string>} */ ({});
+  asList(result.borderRadius?.values).slice(0, 6).forEach((r, i) => {
+    borderRadius[`custom-${i + 1}`] = r.value;
+  });
+
+  // Build box shadows
+  const boxShadow = /** @type {Record<string, string>} */ ({});
+  asList(result.shadows).slice(0, 4).forEach((s, i) => {
+    boxShadow[`custom-${i + 1}`] = s.shadow;
+  });
+
+  // Build gradients (bg-gradient-1, ...)
+  const backgroundImage = /** @type {Record<string, string>} */ ({});
+  asList(result.colors?.gradients)
+    .filter((g) => g.css)
+    .slice(0, 10)
+    .forEach((g, i) => {
+      backgroundImage[`gradient-${i + 1}`] = g.css;
+    });
+
+  // Build breakpoints
+  const screens = /** @type {Record<string, string>} */ ({});
+  asList(result.breakpoints).forEach((bp) => {
+    const num = parseInt(bp.px);
+    if (num >= 320 && num <= 1920) {
+      screens[`${num}`] = bp.px;
+    }
+  });
+
+  // Build header comments
+  let headerComments = `// Tailwind CSS Config - Extracted from ${result.url || "website"}\n// Generated by DesignTree\n`;
+
+  const frameworks = asList(result.frameworks);
+  if (frameworks.length > 0) {
+    headerComments += `//\n// Detected Frameworks: ${frameworks.map((f) => f.name).join(", ")}\n`;
+  }
+  const iconSystem = asList(result.iconSystem);
+  if (iconSystem.length > 0) {
+    headerComments += `// Icon Systems: ${iconSystem.map((i) => `${i.name} (${i.type})`).join(", ")}\n`;
+  }
+  if (result.spacing?.grid?.base) {
+    headerComments += `// Spacing Grid: ${result.spacing.grid.base}px (${Math.round(result.spacing.grid.share * 100)}% of spacing on grid)\n`;
+  }
+  if (result.typography?.sources) {
+    const sources = result.typography.sources;
+    const fontSources = [];
+    if (sources.googleFonts?.length > 0) fontSources.push(`Google Fonts: ${sources.googleFonts.join(", ")}`);
+    if (sources.bunnyFonts?.length > 0) fontSources.push(`Bunny Fonts: ${sources.bunnyFonts.join(", ")}`);
+    if (sources.adobeFonts) fontSources.push("Adobe Fonts");
+    if (fontSources.length > 0) {
+      headerComments += `// Font Sources: ${fontSources.join("; ")}\n`;
+    }
+  }
+
+  return `${headerComments}
+/** @type {import('tailwindcss').Config} */
+export default {
+  theme: {
+    extend: {
+      colors: ${formatSection(colors)},
+      fontFamily: ${formatSection(fontFamily)},
+      fontSize: ${formatSection(fontSize)},
+      spacing: ${formatSection(spacing)},
+      maxWidth: ${formatSection(maxWidth)},
+      borderRadius: ${formatSection(borderRadius)},
+      boxShadow: ${formatSection(boxShadow)},
+      backgroundImage: ${formatSection(backgroundImage)},
+      screens: ${formatSection(screens)},
+    },
+  },
+  plugins: [],
+}
+`;
+}
+
+/** @type {import('./index.js').Exporter} */
+export default {
+  id: "tailwind",
+  label: "Tailwind Config",
+  mimeType: "text/javascript",
+  filename: (result) =>
+    `${domainOf(result, "design").replace(/\./g, "-")}-tailwind.config.js`,
+  render: toTailwind,
+};
@@ -0,0 +1,28 @@
+/**
+ * Shared helpers for exporters
+ */
+
+/**
+ * Hostname of the extracted site, used to build download file names
+ *
+ * @param {Record<string, any>} result - Output of `extractBranding`
+ * @param {string} fallback - Name to use when the result has no URL
+ * @returns {string}
+ */
+export function domainOf(result, fallback) {
+  try {
+    return result.url ? new URL(result.url).hostname.replace("www.", "") : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Treat a possibly missing result field as a list
+ *
+ * @param {any} value
+ * @returns {any[]}
+ */
+export function asList(value) {
+  return Array.isArray(value) ? value : [];
+}
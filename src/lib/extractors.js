@@ -10,58 +10,69 @@
 
 import { chromium } from "playwright";
 import chalk from "chalk";
+import { scanTechStack, detectBuiltInTech } from "./techstack.js";
+import { resolveCrawlOptions, filterCrawlLinks, mergePageTokens, pageKey } from "./crawl.js";
+import { parseColor, findColors, normalizeColor, resolveMergeThreshold, COLOR_MERGE_THRESHOLD } from "./color.js";
+import { generateBrandRamps } from "./ramps.js";
+import { inferColorRoles, variableRoleHints } from "./roles.js";
+import { buildVariableGraph } from "./variables.js";
+import { buildGradients } from "./gradients.js";
+import { darkThemeSelector, pairThemeColors, themeSelectorFromChange } from "./themes.js";
+import { resolveViewports, compareViewports, VIEWPORT_HEIGHT } from "./responsive.js";
+import { buildContrastMatrix } from "./contrast.js";
+import { buildTypeScale } from "./typescale.js";
+import { buildSpacingScale } from "./spacing.js";
+import { buildLayout } from "./layout.js";
+import { buildFontFiles, MAX_FONT_BYTES } from "./fonts.js";
+import { readExternalStylesheets, MAX_STYLESHEET_BYTES, NO_EXTERNAL_STYLESHEETS } from "./stylesheets.js";
+import { buildPalette, dedupePalette, dedupeCssVariables, mergePalette, toPaletteColor } from "./palette.js";
+import { decodePNG } from "./png.js";
+import { dominantColors, reconcileVisualColors } from "./visual.js";
+
+// Tallest slice of a page captured for visual color sampling (px)
+const MAX_SCREENSHOT_HEIGHT = 8000;
+
+// Font files by extension, for servers that don't mark them as fonts
+const FONT_FILE = /\.(woff2?|ttf|otf)(\?|#|$)/i;
 
 /**
- * Main extraction function - orchestrates the entire brand analysis process
+ * Launch a headless Chromium instance with stealth args
  *
- * @param {string} url - Target URL to analyze
- * @param {Object} spinner - Ora spinner instance for progress updates
- * @param {Object} passedBrowser - Optional pre-configured browser instance
- * @param {Object} options - Configuration options (navigationTimeout, etc.)
- * @returns {Object} Complete brand extraction data
+ * @returns {Promise<import('playwright').Browser>}
  */
-export async function extractBranding(
-  url,
-  spinner,
-  passedBrowser = null,
-  options = {}
-) {
-  const ownBrowser = !passedBrowser;
-  let browser = passedBrowser;
-
-  // Apply 3x timeout multiplier when --slow flag is enabled
-  const timeoutMultiplier = options.slow ? 3 : 1;
-
-  // Track timeouts for final report
-  const timeouts = [];
-
-  if (ownBrowser) {
-    // Launch Playwright browser with stealth args
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-blink-features=AutomationControlled",
-        "--disable-web-security",
-        "--disable-features=IsolateOrigins,site-per-process",
-        "--disable-dev-shm-usage",
-      ],
-    });
-  }
+export async function launchBrowser() {
+  return await chromium.launch({
+    headless: true,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-blink-features=AutomationControlled",
+      "--disable-web-security",
+      "--disable-features=IsolateOrigins,site-per-process",
+      "--disable-dev-shm-usage",
+    ],
+  });
+}
 
-  spinner.text = "Creating browser context with stealth mode...";
+/**
+ * Create a browser context with a desktop fingerprint and the anti-detection
+ * scripts every extraction page runs with
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {import('playwright').BrowserContextOptions} [overrides] - e.g. `{ colorScheme: "dark" }`
+ * @returns {Promise<import('playwright').BrowserContext>}
+ */
+async function createStealthContext(browser, overrides = {}) {
   const context = await browser.newContext({
     viewport: { width: 1920, height: 1080 },
     userAgent:
       "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
     locale: "en-US",
     permissions: ["clipboard-read", "clipboard-write"],
+    ...overrides,
   });
 
   // Full stealth — kills 99% of Cloudflare bot detection
-  spinner.text = "Injecting anti-detection scripts...";
-
   await context.addInitScript(() => {
     Object.defineProperty(navigator, "hardwareConcurrency", { get: () => 8 });
     Object.defineProperty(navigator, "deviceMemory", { get: () => 8 });
@@ -83,9 +94,104 @@ export async function extractBranding(
     delete window.cdc_adoQpoasnfa76pfcZLmcfl_Symbol;
   });
 
-  const page = await context.newPage();
+  return context;
+}
+
+/**
+ * Ora-compatible progress reporter
+ *
+ * @typedef {Object} Spinner
+ * @property {string} text
+ * @property {(text?: string) => any} start
+ * @property {() => any} stop
+ * @property {(text?: string) => any} succeed
+ * @property {(text?: string) => any} fail
+ * @property {(text?: string) => any} warn
+ * @property {(text?: string) => any} [info]
+ */
+
+/**
+ * @typedef {Object} ExtractOptions
+ * @property {number} [navigationTimeout] - Page load timeout in ms (default 20000)
+ * @property {boolean} [slow] - 3x all timeouts
+ * @property {boolean} [darkMode] - Also extract the dark theme, paired with the default one
+ * @property {boolean} [mobile] - Also extract mobile viewport colors
+ * @property {boolean|number[]} [viewports] - Also re-extract typography, spacing, buttons and inputs at these widths (true: 375, 768, 1024, 1440)
+ * @property {boolean} [techStack] - Scan the tech stack on the extracted page
+ * @property {boolean|{ maxPages?: number, maxDepth?: number }} [crawl] - Also visit same-origin links and merge their tokens
+ * @property {boolean} [ramps] - Also generate 50-950 tonal ramps for the brand colors
+ * @property {boolean} [visual] - Also sample dominant colors by area from a full-page screenshot
+ * @property {boolean} [fonts] - Also capture the web font files the page downloads (bundled by the fonts exporter)
+ * @property {number|null} [colorMergeThreshold] - Delta-E 2000 under which palette colors merge (default 5)
+ */
+
+/**
+ * The extraction options a request or monitor can set, with their defaults
+ * (also what a saved extraction records as its options)
+ *
+ * @param {Record<string, any>} [options]
+ * @returns {Required<Pick<ExtractOptions, "darkMode" | "mobile" | "viewports" | "slow" | "crawl" | "ramps" | "visual" | "fonts" | "colorMergeThreshold">>}
+ */
+export function resolveExtractOptions(options = {}) {
+  return {
+    darkMode: options.darkMode || false,
+    mobile: options.mobile || false,
+    viewports: options.viewports || false,
+    slow: options.slow || false,
+    crawl: options.crawl || false,
+    ramps: options.ramps || false,
+    visual: options.visual || false,
+    fonts: options.fonts || false,
+    colorMergeThreshold: options.colorMergeThreshold ?? null,
+  };
+}
+
+/**
+ * Main extraction function - orchestrates the entire brand analysis process
+ *
+ * @param {string} url - Target URL to analyze
+ * @param {Spinner} spinner - Ora spinner instance for progress updates
+ * @param {import('playwright').Browser|null} passedBrowser - Optional pre-configured browser instance
+ * @param {ExtractOptions} options - Configuration options
+ * @returns {Promise<Record<string, any>>} Complete brand extraction data
+ */
+export async function extractBranding(
+  url,
+  spinner,
+  passedBrowser = null,
+  options = {}
+) {
+  const ownBrowser = !passedBrowser;
+  let browser = passedBrowser;
+
+  // Apply 3x timeout multiplier when --slow flag is enabled
+  const timeoutMultiplier = options.slow ? 3 : 1;
+  const colorThreshold = resolveMergeThreshold(options.colorMergeThreshold);
+
+  // Track timeouts for final report
+  const timeouts = [];
+
+  if (ownBrowser) {
+    browser = await launchBrowser();
+  }
+
+  // Closed when the extraction ends either way, also in a browser shared across a batch
+  /** @type {import('playwright').BrowserContext|null} */
+  let context = null;
 
   try {
+    spinner.text = "Creating browser context with stealth mode...";
+    context = await createStealthContext(/** @type {import('playwright').Browser} */ (browser));
+
+    const page = await context.newPage();
+
+    // Stylesheet and font bodies have to be captured as the page downloads them
+    const stylesheetCapture = captureStylesheetResponses(page);
+    const fontCapture = options.fonts ? captureFontResponses(page) : null;
+
+    // Main document response headers, captured during navigation for tech detection
+    const responseHeaders = new Map();
+
     let attempts = 0;
     const maxAttempts = 2;
 
@@ -103,12 +209,19 @@ export async function extractBranding(
           throw new Error(`Invalid URL format: ${url}`);
         }
 
-        await page.goto(url, {
+        const response = await page.goto(url, {
           waitUntil: "domcontentloaded",
           timeout: (options.navigationTimeout || 20000) * timeoutMultiplier,
         });
         const finalUrl = page.url();
 
+        responseHeaders.clear();
+        if (response) {
+          for (const [key, value] of Object.entries(response.headers())) {
+            responseHeaders.set(key.toLowerCase(), value);
+          }
+        }
+
         // Check for redirects or domain changes
         if (initialUrl !== finalUrl) {
           spinner.stop();
@@ -245,11 +358,18 @@ export async function extractBranding(
     spinner.stop();
     console.log(chalk.hex('#50FA7B')(`  ✓ Logo and favicons extracted`));
 
+    spinner.start("Reading cross-origin stylesheets...");
+    const external = await stylesheetCapture();
+    spinner.stop();
+    if (external.hrefs.length > 0) {
+      console.log(chalk.hex('#50FA7B')(`  ✓ Cross-origin stylesheets: ${external.hrefs.length} read, ${external.rules.length} rules`));
+    }
+
     spinner.start("Analyzing design system (15 parallel tasks)...");
     const [
       colors,
       typography,
-      spacing,
+      layoutSamples,
       borderRadius,
       borders,
       shadows,
@@ -263,27 +383,32 @@ export async function extractBranding(
       forms,
       accessibility,
     ] = await Promise.all([
-      extractColors(page),
-      extractTypography(page),
-      extractSpacing(page),
+      extractColors(page, colorThreshold, external),
+      extractTypography(page, external),
+      extractLayout(page),
       extractBorderRadius(page),
       extractBorders(page),
       extractShadows(page),
-      extractButtonStyles(page),
-      extractInputStyles(page),
-      extractLinkStyles(page),
-      extractBreakpoints(page),
-      detectIconSystem(page),
-      detectFrameworks(page),
+      extractButtonStyles(page, external),
+      extractInputStyles(page, external),
+      extractLinkStyles(page, external),
+      extractBreakpoints(page, external),
+      detectIconSystem(page, external),
+      detectFrameworks(page, external),
       extractBadgesAndTags(page),
       extractForms(page),
       extractAccessibilityAudit(page),
     ]);
 
     spinner.stop();
+    const spacing = buildSpacingScale(layoutSamples);
     console.log(colors.palette.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Colors: ${colors.palette.length} found`) : chalk.hex('#FFB86C')(`  ⚠ Colors: 0 found`));
     console.log(typography.styles.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Typography: ${typography.styles.length} styles`) : chalk.hex('#FFB86C')(`  ⚠ Typography: 0 styles`));
-    console.log(spacing.commonValues.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Spacing: ${spacing.commonValues.length} values`) : chalk.hex('#FFB86C')(`  ⚠ Spacing: 0 values`));
+    console.log(spacing.commonValues.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Spacing: ${spacing.commonValues.length} values, ${spacing.grid.base ? `${spacing.grid.base}px grid (${Math.round(spacing.grid.share * 100)}% on grid)` : "no grid"}`) : chalk.hex('#FFB86C')(`  ⚠ Spacing: 0 values`));
+    const layoutSummary = buildLayout([layoutSamples]);
+    console.log(layoutSummary.container || layoutSummary.columns.length > 0 ?
+      chalk.hex('#50FA7B')(`  ✓ Layout: ${layoutSummary.container ? `${layoutSummary.container.maxWidth} container` : "no container"}, ${layoutSummary.columns.length > 0 ? `${layoutSummary.columns[0].columns} columns` : "no columns"}${layoutSummary.gutter ? `, ${layoutSummary.gutter} gutter` : ""}`) :
+      chalk.hex('#FFB86C')(`  ⚠ Layout: no containers or columns found`));
     console.log(borderRadius.values.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Border radius: ${borderRadius.values.length} values`) : chalk.hex('#FFB86C')(`  ⚠ Border radius: 0 values`));
 
     const bordersTotal = (borders?.widths?.length || 0) + (borders?.styles?.length || 0) + (borders?.colors?.length || 0);
@@ -293,7 +418,8 @@ export async function extractBranding(
 
     console.log(shadows.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Shadows: ${shadows.length} found`) : chalk.hex('#FFB86C')(`  ⚠ Shadows: 0 found`));
     console.log(buttons.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Buttons: ${buttons.length} variants`) : chalk.hex('#FFB86C')(`  ⚠ Buttons: 0 variants`));
-    console.log(inputs.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Inputs: ${inputs.length} styles`) : chalk.hex('#FFB86C')(`  ⚠ Inputs: 0 styles`));
+    const inputCount = Object.values(inputs).flat().length;
+    console.log(inputCount > 0 ? chalk.hex('#50FA7B')(`  ✓ Inputs: ${inputCount} styles`) : chalk.hex('#FFB86C')(`  ⚠ Inputs: 0 styles`));
     console.log(links.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Links: ${links.length} styles`) : chalk.hex('#FFB86C')(`  ⚠ Links: 0 styles`));
     console.log(breakpoints.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Breakpoints: ${breakpoints.length} detected`) : chalk.hex('#FFB86C')(`  ⚠ Breakpoints: 0 detected`));
     console.log(iconSystem.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Icon systems: ${iconSystem.length} detected`) : chalk.hex('#FFB86C')(`  ⚠ Icon systems: 0 detected`));
@@ -303,25 +429,52 @@ export async function extractBranding(
     console.log(accessibility.summary ? chalk.hex(accessibility.summary.passesMinimumAA ? '#50FA7B' : '#FFB86C')(`  ${accessibility.summary.passesMinimumAA ? '✓' : '⚠'} Accessibility: Score ${accessibility.summary.score}/100 (${accessibility.summary.errors} errors, ${accessibility.summary.warnings} warnings)`) : chalk.hex('#FFB86C')(`  ⚠ Accessibility: Not analyzed`));
     console.log();
 
+    // Collect crawl candidates while the start page is untouched
+    const crawl = resolveCrawlOptions(options.crawl);
+    const startLinks = crawl ? await collectPageLinks(page) : [];
+    const fontFaceRules = fontCapture ? [...(await extractFontFaceRules(page)), ...externalFontFaces(external)] : [];
+
+    // Scan the tech stack on the same page the tokens came from (before
+    // hover simulation starts mutating it)
+    let tech = null;
+    if (options.techStack) {
+      spinner.start("Scanning tech stack...");
+      const ingredients = await scanTechStack(page, responseHeaders);
+      const detectedTech = await detectBuiltInTech(page, responseHeaders, url);
+      tech = {
+        techStack: ingredients.matches,
+        techCategories: ingredients.categories,
+        detectedTech,
+      };
+      spinner.stop();
+      const techCount = Object.values(ingredients.matches).reduce((sum, list) => sum + list.length, 0);
+      console.log(techCount > 0 ? chalk.hex('#50FA7B')(`  ✓ Tech stack: ${techCount} technologies`) : chalk.hex('#FFB86C')(`  ⚠ Tech stack: 0 technologies`));
+    }
+
+    // Weight colors by painted area, from a screenshot of the untouched page
+    if (options.visual) {
+      spinner.start("Sampling colors from a screenshot...");
+      try {
+        const screenshot = await capturePageScreenshot(page, 30000 * timeoutMultiplier);
+        const visualColors = dominantColors(decodePNG(screenshot), colorThreshold);
+        const reconciled = reconcileVisualColors(colors.palette, visualColors, colorThreshold);
+        colors.palette = reconciled.palette;
+        colors.visual = reconciled.visual;
+        spinner.stop();
+        console.log(chalk.hex('#50FA7B')(`  ✓ Screenshot: ${visualColors.length} dominant colors, +${reconciled.added} not in the DOM palette`));
+      } catch (error) {
+        spinner.stop();
+        console.log(chalk.hex('#FFB86C')(`  ⚠ Screenshot sampling failed: ${/** @type {Error} */ (error).message}`));
+      }
+    }
+
     // Extract hover/focus state colors using actual interaction simulation
     spinner.start("Extracting hover/focus state colors...");
     const hoverFocusColors = [];
 
-    // Helper: Split multi-value color strings (e.g., "rgb(0,0,0) rgb(255,255,255) rgb(28,105,212)")
+    // Helper: Split multi-value color strings (e.g., "rgb(0,0,0) rgb(255,255,255) rgb(28,105,212)"), dropping transparent ones
     function splitMultiValueColors(colorValue) {
-      if (!colorValue) return [];
-
-      // Match all rgb/rgba/hsl/hsla/hex values in the string
-      const colorRegex = /(#[0-9a-f]{3,8}|rgba?\([^)]+\)|hsla?\([^)]+\))/gi;
-      const matches = colorValue.match(colorRegex) || [colorValue];
-
-      // Filter out invalid matches
-      return matches.filter(c =>
-        c !== 'transparent' &&
-        c !== 'rgba(0, 0, 0, 0)' &&
-        c !== 'rgba(0,0,0,0)' &&
-        c.length > 3
-      );
+      return findColors(colorValue).filter((c) => (parseColor(c)?.alpha ?? 0) > 0);
     }
 
     // Get all interactive elements
@@ -490,96 +643,35 @@ export async function extractBranding(
     await page.mouse.move(0, 0).catch(() => {});
 
     // Merge hover/focus colors into palette
-    hoverFocusColors.forEach(({ color }) => {
-      const isDuplicate = colors.palette.some((c) => c.color === color);
-      if (!isDuplicate && color) {
-        // Normalize and add to palette
-        const rgbaMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-        let normalized = color.toLowerCase();
-        if (rgbaMatch) {
-          const r = parseInt(rgbaMatch[1]).toString(16).padStart(2, "0");
-          const g = parseInt(rgbaMatch[2]).toString(16).padStart(2, "0");
-          const b = parseInt(rgbaMatch[3]).toString(16).padStart(2, "0");
-          normalized = `#${r}${g}${b}`;
-        }
-
-        colors.palette.push({
-          color,
-          normalized,
-          count: 1,
-          confidence: "medium",
-          sources: ["hover/focus"],
-        });
-      }
-    });
+    const hoverPalette = hoverFocusColors
+      .map(({ color }) => toPaletteColor(color, { count: 1, confidence: "medium", sources: ["hover/focus"] }))
+      .filter((color) => color !== null);
+    colors.palette = mergePalette(colors.palette, hoverPalette, "hover/focus", colorThreshold).palette;
 
     spinner.stop();
     console.log(hoverFocusColors.length > 0 ?
       chalk.hex('#50FA7B')(`  ✓ Hover/focus: ${hoverFocusColors.length} state colors found`) :
       chalk.hex('#FFB86C')(`  ⚠ Hover/focus: 0 state colors found`));
 
-    // Extract additional colors from dark mode if requested
+    // Extract the dark theme in its own browser context, paired with the default one
+    let darkMode = null;
     if (options.darkMode) {
       spinner.start("Extracting dark mode colors...");
-
-      // Try multiple methods to enable dark mode
-      await page.evaluate(() => {
-        // Method 1: Add data-theme attribute
-        document.documentElement.setAttribute("data-theme", "dark");
-        document.documentElement.setAttribute("data-mode", "dark");
-        document.body.setAttribute("data-theme", "dark");
-
-        // Method 2: Add dark mode classes
-        document.documentElement.classList.add(
-          "dark",
-          "dark-mode",
-          "theme-dark"
-        );
-        document.body.classList.add("dark", "dark-mode", "theme-dark");
-
-        // Method 3: Trigger prefers-color-scheme media query
-        // (Playwright can emulate this, but let's also try programmatically)
-      });
-
-      // Emulate prefers-color-scheme: dark
-      await page.emulateMedia({ colorScheme: "dark" });
-
-      // Wait for transitions to complete
-      await page.waitForTimeout(500 * timeoutMultiplier);
-
-      const darkModeColors = await extractColors(page);
-      const darkModeButtons = await extractButtonStyles(page);
-      const darkModeLinks = await extractLinkStyles(page);
-
-      // Merge dark mode colors into main palette
-      const mergedPalette = [...colors.palette];
-      darkModeColors.palette.forEach((darkColor) => {
-        // Check if this color is already in the palette using perceptual similarity
-        const isDuplicate = mergedPalette.some((existingColor) => {
-          // Simple check - could use delta-E here too
-          return existingColor.normalized === darkColor.normalized;
+      try {
+        darkMode = await extractDarkTheme(/** @type {import('playwright').Browser} */ (browser), page.url(), colors, {
+          navigationTimeout: (options.navigationTimeout || 20000) * timeoutMultiplier,
+          timeoutMultiplier,
+          colorThreshold,
         });
-
-        if (!isDuplicate) {
-          mergedPalette.push({ ...darkColor, source: "dark-mode" });
-        }
-      });
-
-      colors.palette = mergedPalette;
-
-      // Merge semantic colors
-      Object.assign(colors.semantic, darkModeColors.semantic);
-
-      // Merge dark mode buttons and links
-      buttons.push(
-        ...darkModeButtons.map((btn) => ({ ...btn, source: "dark-mode" }))
-      );
-      links.push(
-        ...darkModeLinks.map((link) => ({ ...link, source: "dark-mode" }))
-      );
-
-      spinner.stop();
-      console.log(chalk.hex('#50FA7B')(`  ✓ Dark mode: +${darkModeColors.palette.length} colors`));
+        spinner.stop();
+        console.log(darkMode.strategy ?
+          chalk.hex('#50FA7B')(`  ✓ Dark mode: ${darkMode.changed} colors change (${darkMode.strategy}${darkMode.selector ? ` ${darkMode.selector}` : ""})`) :
+          chalk.hex('#FFB86C')(`  ⚠ Dark mode: no dark theme found`));
+      } catch (error) {
+        spinner.stop();
+        timeouts.push("Dark mode");
+        console.log(chalk.hex('#FFB86C')(`  ⚠ Dark mode extraction failed: ${/** @type {Error} */ (error).message.split("\n")[0]}`));
+      }
     }
 
     // Extract additional colors from mobile viewport if requested
@@ -592,24 +684,89 @@ export async function extractBranding(
       // Wait for responsive changes
       await page.waitForTimeout(500 * timeoutMultiplier);
 
-      const mobileColors = await extractColors(page);
+      const mobileColors = await extractColors(page, colorThreshold, external);
 
-      // Merge mobile colors into main palette
-      const mergedPalette = [...colors.palette];
-      mobileColors.palette.forEach((mobileColor) => {
-        const isDuplicate = mergedPalette.some((existingColor) => {
-          return existingColor.normalized === mobileColor.normalized;
-        });
+      // Merge mobile colors into main palette, skipping perceptual duplicates
+      const mobileMerge = mergePalette(colors.palette, mobileColors.palette, "mobile", colorThreshold);
+      colors.palette = mobileMerge.palette;
 
-        if (!isDuplicate) {
-          mergedPalette.push({ ...mobileColor, source: "mobile" });
-        }
-      });
+      spinner.stop();
+      console.log(chalk.hex('#50FA7B')(`  ✓ Mobile: +${mobileMerge.added} colors`));
+    }
 
-      colors.palette = mergedPalette;
+    // Re-extract sizing tokens across the viewport matrix and compare widths
+    // (the layout is sampled at each width too, for containers per breakpoint)
+    let responsive = null;
+    const layoutSnapshots = [layoutSamples];
+    const viewports = resolveViewports(options.viewports);
+    if (viewports) {
+      spinner.start(`Extracting at ${viewports.length} viewport widths...`);
+      /** @type {import('./responsive.js').ViewportTokens[]} */
+      const snapshots = [];
+      for (const width of viewports) {
+        spinner.text = `Extracting at ${width}px...`;
+        await page.setViewportSize({ width, height: VIEWPORT_HEIGHT });
+        await page.waitForTimeout(500 * timeoutMultiplier);
+        const [typography, buttons, inputs, layoutAtWidth] = await Promise.all([
+          extractTypography(page, external),
+          extractButtonStyles(page, external),
+          extractInputStyles(page, external),
+          extractLayout(page),
+        ]);
+        const spacing = buildSpacingScale(layoutAtWidth);
+        snapshots.push({ width, typography, spacing, buttons, inputs, layout: layoutAtWidth.signature });
+        layoutSnapshots.push(layoutAtWidth);
+      }
+      await page.setViewportSize({ width: 1920, height: 1080 });
+      responsive = compareViewports(snapshots, breakpoints);
 
       spinner.stop();
-      console.log(chalk.hex('#50FA7B')(`  ✓ Mobile: +${mobileColors.palette.length} colors`));
+      const changedSteps = responsive.changes.filter((change) => change.changed).length;
+      console.log(chalk.hex('#50FA7B')(`  ✓ Viewports: ${viewports.join("/")}px, tokens change at ${changedSteps} of ${responsive.changes.length} steps`));
+    }
+
+    const startUrl = page.url();
+
+    // Detect canvas-only / WebGL sites (Tesla, Apple Vision Pro, etc.)
+    const isCanvasOnly = await page.evaluate(() => {
+      const canvases = document.querySelectorAll("canvas");
+      const hasRealContent = document.body.textContent.trim().length > 200;
+      const hasManyCanvases = canvases.length > 3;
+      const hasWebGL = Array.from(canvases).some((c) => {
+        const ctx = c.getContext("webgl") || c.getContext("webgl2");
+        return !!ctx;
+      });
+      return hasManyCanvases && hasWebGL && !hasRealContent;
+    });
+
+    // Visit same-origin pages and merge their tokens with the start page's
+    let crawled = null;
+    if (crawl) {
+      console.log(chalk.hex('#8BE9FD')(`\n  Crawling up to ${crawl.maxPages - 1} more page(s), depth ${crawl.maxDepth}...\n`));
+
+      // Undo the mobile emulation before moving on
+      await page.setViewportSize({ width: 1920, height: 1080 });
+
+      const startTokens = {
+        page: pageKey(startUrl),
+        colors,
+        typography,
+        spacing,
+        borderRadius,
+        borders,
+        shadows,
+        components: { buttons, inputs, links, badges, forms },
+      };
+      crawled = await crawlSite(page, startUrl, startLinks, startTokens, crawl, spinner, {
+        navigationTimeout: (options.navigationTimeout || 20000) * timeoutMultiplier,
+        timeoutMultiplier,
+        timeouts,
+        colorThreshold,
+        stylesheets: stylesheetCapture,
+      });
+
+      const okPages = crawled.visited.filter((p) => !p.error).length;
+      console.log(chalk.hex('#50FA7B')(`  ✓ Crawl: merged tokens from ${okPages} page(s)`));
     }
 
     spinner.stop();
@@ -626,13 +783,14 @@ export async function extractBranding(
     }
 
     const result = {
-      url: page.url(),
+      url: startUrl,
       extractedAt: new Date().toISOString(),
       logo,
       favicons,
       colors,
       typography,
       spacing,
+      layout: buildLayout(layoutSnapshots),
       borderRadius,
       borders,
       shadows,
@@ -641,19 +799,43 @@ export async function extractBranding(
       iconSystem,
       frameworks,
       accessibility,
+      ...tech,
     };
 
-    // Detect canvas-only / WebGL sites (Tesla, Apple Vision Pro, etc.)
-    const isCanvasOnly = await page.evaluate(() => {
-      const canvases = document.querySelectorAll("canvas");
-      const hasRealContent = document.body.textContent.trim().length > 200;
-      const hasManyCanvases = canvases.length > 3;
-      const hasWebGL = Array.from(canvases).some((c) => {
-        const ctx = c.getContext("webgl") || c.getContext("webgl2");
-        return !!ctx;
+    if (crawled) {
+      Object.assign(result, mergePageTokens(crawled.pages, colorThreshold), {
+        crawl: { ...crawl, pages: crawled.visited },
       });
-      return hasManyCanvases && hasWebGL && !hasRealContent;
-    });
+    }
+
+    if (darkMode) Object.assign(result, { darkMode });
+    if (responsive) Object.assign(result, { responsive });
+
+    // Captured font files are matched to the final (merged) typography
+    if (fontCapture) {
+      spinner.start("Packaging web fonts...");
+      try {
+        const fonts = await buildFontFiles(await fontCapture(), fontFaceRules, result.typography);
+        Object.assign(result, { fonts });
+        spinner.stop();
+        const families = new Set(fonts.files.map((font) => font.family)).size;
+        console.log(fonts.files.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Fonts: ${fonts.files.length} files, ${families} families`) : chalk.hex('#FFB86C')(`  ⚠ Fonts: no font files captured`));
+      } catch (error) {
+        spinner.stop();
+        console.log(chalk.hex('#FFB86C')(`  ⚠ Font capture failed: ${/** @type {Error} */ (error).message}`));
+      }
+    }
+
+    // The type scale is detected on the final (merged) styles
+    Object.assign(result.typography, { scale: buildTypeScale(result.typography.styles) });
+
+    // Palette contrast is checked on the final (merged) colors
+    Object.assign(result.accessibility, { paletteContrast: buildContrastMatrix(result.colors) });
+
+    // Ramps are generated from the final (merged) colors
+    if (options.ramps) {
+      Object.assign(result, { colorRamps: generateBrandRamps(result.colors) });
+    }
 
     if (isCanvasOnly) {
       result.note =
@@ -661,19 +843,371 @@ export async function extractBranding(
       result.isCanvasOnly = true;
     }
 
-    if (ownBrowser) await browser.close();
-
     return result;
   } catch (error) {
-    if (ownBrowser) await browser.close();
     spinner.fail("Extraction failed");
     console.error(`  ↳ Error during extraction: ${error.message}`);
     console.error(`  ↳ URL: ${url}`);
     console.error(`  ↳ Stage: ${spinner.text || "unknown"}`);
     throw error;
+  } finally {
+    await context?.close().catch(() => {});
+    if (ownBrowser) await browser?.close().catch(() => {});
   }
 }
 
+/**
+ * Capture the font files a page downloads from its network responses.
+ * Bodies are read as the responses arrive, since they are gone once the
+ * page navigates away
+ *
+ * @param {import('playwright').Page} page
+ * @returns {() => Promise<import('./fonts.js').FontResponse[]>} Resolves the captured responses
+ */
+function captureFontResponses(page) {
+  /** @type {Map<string, Promise<import('./fonts.js').FontResponse|null>>} */
+  const captured = new Map();
+  page.on("response", (response) => {
+    const url = response.url();
+    if (captured.has(url) || !response.ok()) return;
+    let font = response.request().resourceType() === "font";
+    try {
+      font ||= FONT_FILE.test(new URL(url).pathname);
+    } catch {
+      return;
+    }
+    if (!font || Number(response.headers()["content-length"]) > MAX_FONT_BYTES) return;
+    captured.set(
+      url,
+      response.body().then(
+        (body) => ({ url, body }),
+        () => null
+      )
+    );
+  });
+  return async () => (await Promise.all(captured.values())).filter((response) => response !== null);
+}
+
+/**
+ * Read the `@font-face` rules of the page's readable stylesheets
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Array<{ css: string, base: string }>>} Rule text and the URL its `src` resolves against
+ */
+async function extractFontFaceRules(page) {
+  return await page.evaluate(() => {
+    const rules = [];
+    for (const sheet of document.styleSheets) {
+      try {
+        for (const rule of sheet.cssRules || []) {
+          if (rule instanceof CSSFontFaceRule) rules.push({ css: rule.cssText, base: sheet.href || document.baseURI });
+        }
+      } catch {
+        // Cross-origin stylesheets (read from the network instead)
+      }
+    }
+    return rules;
+  });
+}
+
+/**
+ * `@font-face` rules of the cross-origin stylesheets, in the shape `extractFontFaceRules` returns
+ *
+ * @param {import('./stylesheets.js').ExternalStylesheets} external
+ * @returns {Array<{ css: string, base: string }>}
+ */
+function externalFontFaces(external) {
+  return external.rules.filter((rule) => rule.type === "font-face").map((rule) => ({ css: rule.cssText || "", base: rule.href }));
+}
+
+/**
+ * Capture the stylesheets a page downloads from its network responses, so
+ * the cross-origin ones its scripts can't read are still available to the
+ * extractors. The capture keeps running across navigations (crawled pages)
+ *
+ * @param {import('playwright').Page} page
+ * @returns {() => Promise<import('./stylesheets.js').ExternalStylesheets>} Resolves the rules of the page's current unreadable stylesheets
+ */
+function captureStylesheetResponses(page) {
+  /** @type {Map<string, Promise<string|null>>} */
+  const captured = new Map();
+  page.on("response", (response) => {
+    const url = response.url();
+    if (captured.has(url) || !response.ok() || response.request().resourceType() !== "stylesheet") return;
+    if (Number(response.headers()["content-length"]) > MAX_STYLESHEET_BYTES) return;
+    captured.set(
+      url,
+      response.text().then(
+        (body) => (body.length > MAX_STYLESHEET_BYTES ? null : body),
+        () => null
+      )
+    );
+  });
+  return async () => {
+    const blocked = await page.evaluate(() => {
+      /** @type {string[]} */
+      const hrefs = [];
+      // Readable stylesheets can still @import unreadable ones
+      const visit = (/** @type {CSSStyleSheet} */ sheet) => {
+        try {
+          for (const rule of sheet.cssRules) {
+            if (rule instanceof CSSImportRule && rule.styleSheet) visit(rule.styleSheet);
+          }
+        } catch {
+          if (sheet.href) hrefs.push(sheet.href);
+        }
+      };
+      for (const sheet of document.styleSheets) visit(sheet);
+      return hrefs;
+    });
+    if (blocked.length === 0) return NO_EXTERNAL_STYLESHEETS;
+    /** @type {Map<string, string|null>} */
+    const bodies = new Map();
+    for (const [url, body] of captured) bodies.set(url, await body);
+    return readExternalStylesheets(blocked, (href) => bodies.get(href) ?? null);
+  };
+}
+
+/**
+ * Full-page PNG screenshot at CSS pixel scale, cut off at
+ * `MAX_SCREENSHOT_HEIGHT` so very long pages don't exhaust memory
+ *
+ * @param {import('playwright').Page} page
+ * @param {number} timeout
+ * @returns {Promise<Buffer>}
+ */
+async function capturePageScreenshot(page, timeout) {
+  const { width, height } = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight,
+  }));
+  return await page.screenshot({
+    type: "png",
+    fullPage: true,
+    scale: "css",
+    animations: "disabled",
+    timeout,
+    ...(height > MAX_SCREENSHOT_HEIGHT ? { clip: { x: 0, y: 0, width, height: MAX_SCREENSHOT_HEIGHT } } : {}),
+  });
+}
+
+/**
+ * Extract the dark theme in a fresh `prefers-color-scheme: dark` context.
+ * Sites that ignore the media query get their own theme switch applied: the
+ * dark selector from their custom properties, or else a visible theme
+ * toggle is clicked and the class or attribute it sets is recorded.
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {string} url - Start page URL after redirects
+ * @param {Record<string, any>} light - Colors of the default theme
+ * @param {{ navigationTimeout: number, timeoutMultiplier: number, colorThreshold: number }} timing
+ * @returns {Promise<Record<string, any>>} Light/dark pairs per semantic color, plus the dark palette, roles and components
+ */
+async function extractDarkTheme(browser, url, light, timing) {
+  const context = await createStealthContext(browser, { colorScheme: "dark" });
+  try {
+    const page = await context.newPage();
+    const stylesheetCapture = captureStylesheetResponses(page);
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: timing.navigationTimeout });
+    await page.waitForTimeout(5000 * timing.timeoutMultiplier);
+
+    const external = await stylesheetCapture();
+    let colors = await extractColors(page, timing.colorThreshold, external);
+    let { pairs, changed } = pairThemeColors(light.semantic, colors.semantic);
+    /** @type {string|null} */
+    let strategy = changed > 0 ? "media" : null;
+    const theme = darkThemeSelector(light.variables);
+    /** @type {string|null} */
+    let selector = theme?.selector ?? null;
+    /** @type {string|null} */
+    let toggle = null;
+
+    // The site ignores prefers-color-scheme: switch its own theme on
+    if (!strategy) {
+      /** @returns {Promise<import('./themes.js').RootAttributes>} */
+      const rootAttributes = () =>
+        page.evaluate(() => {
+          /** @param {Element} el */
+          const attributes = (el) => Object.fromEntries(Array.from(el.attributes).map((a) => [a.name, a.value]));
+          return { html: attributes(document.documentElement), body: attributes(document.body) };
+        });
+
+      if (theme) {
+        await page.evaluate((t) => {
+          const el = t.target === "body" ? document.body : document.documentElement;
+          if (t.className) el.classList.add(t.className);
+          if (t.attribute) el.setAttribute(t.attribute.name, t.attribute.value);
+        }, theme);
+        strategy = "selector";
+      } else {
+        toggle = await page.evaluate(() => {
+          const pattern = /dark|theme|color[-_\s]?(mode|scheme)|appearance/i;
+          const candidates = Array.from(
+            document.querySelectorAll('button, [role="button"], [role="switch"], input[type="checkbox"]')
+          );
+          for (const el of candidates) {
+            const rect = el.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) continue;
+            const label = [
+              el.getAttribute("aria-label"),
+              el.getAttribute("title"),
+              el.id,
+              typeof el.className === "string" ? el.className : "",
+              ...Array.from(el.attributes).filter((a) => a.name.startsWith("data-")).map((a) => `${a.name} ${a.value}`),
+              (el.textContent || "").trim().substring(0, 40),
+            ].join(" ");
+            if (!pattern.test(label)) continue;
+            el.setAttribute("data-designtree-theme-toggle", "");
+            return (el.getAttribute("aria-label") || el.getAttribute("title") || (el.textContent || "").trim() || el.tagName.toLowerCase()).substring(0, 60);
+          }
+          return null;
+        });
+        if (toggle) {
+          const before = await rootAttributes();
+          await page.click("[data-designtree-theme-toggle]", { timeout: 2000 * timing.timeoutMultiplier });
+          await page.waitForTimeout(500 * timing.timeoutMultiplier);
+          selector = themeSelectorFromChange(before, await rootAttributes());
+          strategy = "toggle";
+        }
+      }
+
+      if (strategy) {
+        await page.waitForTimeout(500 * timing.timeoutMultiplier);
+        colors = await extractColors(page, timing.colorThreshold, external);
+        ({ pairs, changed } = pairThemeColors(light.semantic, colors.semantic));
+        if (changed === 0) strategy = null;
+      }
+    }
+
+    const [buttons, links] = await Promise.all([extractButtonStyles(page, external), extractLinkStyles(page, external)]);
+
+    return {
+      strategy,
+      selector,
+      toggle,
+      changed,
+      pairs,
+      semantic: colors.semantic,
+      roles: colors.roles,
+      palette: colors.palette,
+      components: { buttons, links },
+    };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Collect the absolute href of every link on the page
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string[]>}
+ */
+async function collectPageLinks(page) {
+  return await page.evaluate(() =>
+    Array.from(document.querySelectorAll("a[href]"))
+      .map((a) => /** @type {HTMLAnchorElement} */ (a).href)
+      .filter((href) => typeof href === "string")
+  );
+}
+
+/**
+ * Breadth-first crawl of same-origin pages, extracting the mergeable design
+ * tokens (colors, typography, spacing, radii, borders, shadows, components)
+ * from each. Pages that fail to load are recorded and skipped.
+ *
+ * @param {import('playwright').Page} page - Page currently showing the start URL
+ * @param {string} startUrl - Start page URL after redirects
+ * @param {string[]} startLinks - Links found on the start page
+ * @param {import('./crawl.js').PageTokens} startTokens - Tokens already extracted from the start page
+ * @param {import('./crawl.js').CrawlOptions} crawl - Page and depth limits
+ * @param {Spinner} spinner - Progress reporter
+ * @param {{ navigationTimeout: number, timeoutMultiplier: number, timeouts: string[], colorThreshold: number, stylesheets: () => Promise<import('./stylesheets.js').ExternalStylesheets> }} timing - `stylesheets` resolves the cross-origin stylesheets of the current page
+ * @returns {Promise<{ pages: import('./crawl.js').PageTokens[], visited: Array<{ url: string, page: string, depth: number, error?: string }> }>}
+ */
+async function crawlSite(page, startUrl, startLinks, startTokens, crawl, spinner, timing) {
+  const origin = new URL(startUrl).origin;
+  const pages = [startTokens];
+  /** @type {Array<{ url: string, page: string, depth: number, error?: string }>} */
+  const visited = [{ url: startUrl, page: startTokens.page, depth: 0 }];
+  const seen = new Set([startUrl.split("#")[0]]);
+  const queue = filterCrawlLinks(startLinks, origin).map((url) => ({ url, depth: 1 }));
+
+  while (queue.length > 0 && pages.length < crawl.maxPages) {
+    const next = /** @type {{ url: string, depth: number }} */ (queue.shift());
+    if (seen.has(next.url)) continue;
+    seen.add(next.url);
+
+    const key = pageKey(next.url);
+    spinner.start(`Crawling ${key} (${pages.length + 1}/${crawl.maxPages})...`);
+    try {
+      await page.goto(next.url, {
+        waitUntil: "domcontentloaded",
+        timeout: timing.navigationTimeout,
+      });
+
+      // Redirects can leave the site or land on an already visited page
+      const finalUrl = page.url().split("#")[0];
+      if (new URL(finalUrl).origin !== origin) {
+        throw new Error(`Redirected off-site to ${finalUrl}`);
+      }
+      if (finalUrl !== next.url && seen.has(finalUrl)) {
+        spinner.stop();
+        continue;
+      }
+      seen.add(finalUrl);
+
+      await page.waitForTimeout(3000 * timing.timeoutMultiplier);
+      const external = await timing.stylesheets();
+
+      const [colors, typography, layoutSamples, borderRadius, borders, shadows, buttons, inputs, links, badges, forms] =
+        await Promise.all([
+          extractColors(page, timing.colorThreshold, external),
+          extractTypography(page, external),
+          extractLayout(page),
+          extractBorderRadius(page),
+          extractBorders(page),
+          extractShadows(page),
+          extractButtonStyles(page, external),
+          extractInputStyles(page, external),
+          extractLinkStyles(page, external),
+          extractBadgesAndTags(page),
+          extractForms(page),
+        ]);
+
+      const spacing = buildSpacingScale(layoutSamples);
+      const finalKey = pageKey(finalUrl);
+      pages.push({
+        page: finalKey,
+        colors,
+        typography,
+        spacing,
+        borderRadius,
+        borders,
+        shadows,
+        components: { buttons, inputs, links, badges, forms },
+      });
+      visited.push({ url: finalUrl, page: finalKey, depth: next.depth });
+
+      if (next.depth < crawl.maxDepth) {
+        const links = filterCrawlLinks(await collectPageLinks(page), origin);
+        queue.push(...links.filter((url) => !seen.has(url)).map((url) => ({ url, depth: next.depth + 1 })));
+      }
+
+      spinner.stop();
+      console.log(chalk.hex('#50FA7B')(`  ✓ ${finalKey}: ${colors.palette.length} colors, ${typography.styles.length} type styles`));
+    } catch (err) {
+      spinner.stop();
+      const message = /** @type {Error} */ (err).message || String(err);
+      visited.push({ url: next.url, page: key, depth: next.depth, error: message });
+      timing.timeouts.push(`Crawl ${key}`);
+      console.log(chalk.hex('#FFB86C')(`  ⚠ ${key}: skipped (${message.split("\n")[0]})`));
+    }
+  }
+
+  return { pages, visited };
+}
+
 /**
  * Extract logo information from the page
  * Looks for common logo patterns: img with logo in class/id, SVG logos, etc.
@@ -839,41 +1373,20 @@ async function extractLogo(page, url) {
 
 /**
  * Extract color palette with confidence scoring
- * Analyzes semantic colors, CSS variables, gradients, and visual frequency
+ * Analyzes semantic colors, CSS variables, gradients, and visual frequency,
+ * infers color roles (background, surface, foreground, ...) from usage, and
+ * maps the custom property graph onto the palette
+ *
+ * @param {import('playwright').Page} page
+ * @param {number} [threshold] - Delta-E 2000 under which palette colors merge
+ * @param {import('./stylesheets.js').ExternalStylesheets} [external] - Rules of the cross-origin stylesheets
+ * @returns {Promise<Record<string, any>>}
  */
-async function extractColors(page) {
-  return await page.evaluate(() => {
-    // Helper: Convert any color to normalized hex for deduplication
-    function normalizeColor(color) {
-      const rgbaMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-      if (rgbaMatch) {
-        const r = parseInt(rgbaMatch[1]).toString(16).padStart(2, "0");
-        const g = parseInt(rgbaMatch[2]).toString(16).padStart(2, "0");
-        const b = parseInt(rgbaMatch[3]).toString(16).padStart(2, "0");
-        return `#${r}${g}${b}`;
-      }
-      // Handle HSL
-      const hslMatch = color.match(/hsla?\((\d+),\s*(\d+)%?,\s*(\d+)%?/);
-      if (hslMatch) {
-        const h = parseInt(hslMatch[1]);
-        const s = parseInt(hslMatch[2]) / 100;
-        const l = parseInt(hslMatch[3]) / 100;
-        // HSL to RGB conversion
-        const c = (1 - Math.abs(2 * l - 1)) * s;
-        const x = c * (1 - Math.abs((h / 60) % 2 - 1));
-        const m = l - c / 2;
-        let r, g, b;
-        if (h < 60) { r = c; g = x; b = 0; }
-        else if (h < 120) { r = x; g = c; b = 0; }
-        else if (h < 180) { r = 0; g = c; b = x; }
-        else if (h < 240) { r = 0; g = x; b = c; }
-        else if (h < 300) { r = x; g = 0; b = c; }
-        else { r = c; g = 0; b = x; }
-        const toHex = (n) => Math.round((n + m) * 255).toString(16).padStart(2, '0');
-        return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-      }
-      return color.toLowerCase();
-    }
+async function extractColors(page, threshold = COLOR_MERGE_THRESHOLD, external = NO_EXTERNAL_STYLESHEETS) {
+  const colors = await page.evaluate((external) => {
+    // Matches one color: hex, a color function (one level of nesting for
+    // color-mix() and relative colors) or, with the trailing alternative, a keyword
+    const COLOR_PATTERN = "#[0-9a-f]{3,8}\\b|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix)\\((?:[^()]|\\((?:[^()]|\\([^()]*\\))*\\))*\\)";
 
     // Helper: Check if value is a valid simple color (not calc/clamp/var)
     function isValidColorValue(value) {
@@ -884,18 +1397,17 @@ async function extractColors(page) {
         value.includes("clamp(") ||
         value.includes("var(")
       ) {
-        // Only accept if it contains rgb/hsl/# inside
-        return /#[0-9a-f]{3,6}|rgba?\(|hsla?\(/i.test(value);
+        // Only accept if it contains a color inside
+        return new RegExp(COLOR_PATTERN, "i").test(value);
       }
-      // Accept hex, rgb, hsl, named colors
-      return /^(#[0-9a-f]{3,8}|rgba?\(|hsla?\(|[a-z]+)/i.test(value);
+      // Accept hex, color functions, named colors
+      return new RegExp(`^(${COLOR_PATTERN}|[a-z]+)`, "i").test(value);
     }
 
     // Helper: Extract colors from gradients
     function extractGradientColors(gradient) {
       const colors = [];
-      const colorRegex = /(#[0-9a-f]{3,8}|rgba?\([^)]+\)|hsla?\([^)]+\))/gi;
-      const matches = gradient.match(colorRegex) || [];
+      const matches = gradient.match(new RegExp(COLOR_PATTERN, "gi")) || [];
       matches.forEach(c => {
         if (c !== 'rgba(0, 0, 0, 0)' && c !== 'transparent') {
           colors.push(c);
@@ -904,10 +1416,11 @@ async function extractColors(page) {
       return colors;
     }
 
-    const colorMap = new Map(); // Normalized color -> original representations
+    const colorMap = new Map(); // Color as computed -> usage; grouped by normalized value in Node
     const semanticColors = {};
     const cssVariables = {};
-    const gradients = [];
+    /** @type {Map<string, { count: number, contexts: Set<string> }>} */
+    const gradientUsage = new Map(); // Computed background-image -> usage; parsed in Node
 
     // Extract ALL CSS variables comprehensively
     const styles = getComputedStyle(document.documentElement);
@@ -951,11 +1464,68 @@ async function extractColors(page) {
             }
           }
         } catch (e) {
-          // Cross-origin
+          // Cross-origin (read from the network below)
+        }
+      }
+      for (const rule of external.rules) {
+        if (rule.type !== "style" || rule.conditions.length > 0) continue;
+        for (const [prop, value] of Object.entries(rule.style)) {
+          if (prop.startsWith("--") && value.trim() && !allCssVars.has(prop)) {
+            allCssVars.set(prop, { value: value.trim(), source: 'stylesheet' });
+          }
         }
       }
     } catch (e) {}
 
+    // Every custom property declaration with its selector and conditions,
+    // for the variable graph (variables.js)
+    /** @type {import('./variables.js').VariableDeclaration[]} */
+    const variableDeclarations = [];
+    /** @type {Record<string, string>} */
+    const rootVariables = {};
+    for (let i = 0; i < styles.length; i++) {
+      if (styles[i].startsWith("--")) rootVariables[styles[i]] = styles.getPropertyValue(styles[i]).trim();
+    }
+    /**
+     * @param {CSSRuleList} rules
+     * @param {string[]} conditions - Preludes of the enclosing at-rules ("@media (...)", "@supports (...)")
+     */
+    const collectDeclarations = (rules, conditions) => {
+      for (const rule of rules) {
+        if (variableDeclarations.length >= 2000) return;
+        if (rule instanceof CSSStyleRule) {
+          for (let i = 0; i < rule.style.length; i++) {
+            const name = rule.style[i];
+            if (!name.startsWith("--") || name.startsWith("--wp--preset")) continue;
+            variableDeclarations.push({
+              name,
+              value: rule.style.getPropertyValue(name).trim(),
+              selector: rule.selectorText,
+              conditions,
+            });
+          }
+        } else if ("cssRules" in rule) {
+          const prelude = rule.cssText.slice(0, rule.cssText.indexOf("{")).trim();
+          collectDeclarations(/** @type {CSSRuleList} */ (rule.cssRules), [...conditions, prelude]);
+        }
+      }
+    };
+    for (const sheet of document.styleSheets) {
+      try {
+        collectDeclarations(sheet.cssRules, []);
+      } catch (e) {
+        // Cross-origin (read from the network below)
+      }
+    }
+    for (const rule of external.rules) {
+      if (rule.type !== "style") continue;
+      for (const [name, value] of Object.entries(rule.style)) {
+        if (variableDeclarations.length >= 2000) break;
+        if (!name.startsWith("--") || name.startsWith("--wp--preset")) continue;
+        variableDeclarations.push({ name, value: value.trim(), selector: rule.selectorText, conditions: rule.conditions });
+      }
+    }
+
     // Now filter and categorize
     for (const [prop, { value }] of allCssVars) {
       // Skip WordPress presets (they're almost never customized)
@@ -1000,6 +1570,57 @@ async function extractColors(page) {
     const elements = document.querySelectorAll("*");
     const totalElements = elements.length;
 
+    // Role hints: where each color is used, scored into roles in roles.js
+    const roleHints = new Map(); // role|color|evidence -> hint
+    /** @param {string} color */
+    const isPainted = (color) => color && color !== "rgba(0, 0, 0, 0)" && color !== "transparent";
+    /**
+     * @param {string} role
+     * @param {string} color
+     * @param {string} evidence
+     * @param {number} weight
+     */
+    const addRoleHint = (role, color, evidence, weight) => {
+      if (!isPainted(color)) return;
+      const key = `${role}|${color}|${evidence}`;
+      const hint = roleHints.get(key) || { role, color, evidence, weight, count: 0 };
+      hint.count++;
+      roleHints.set(key, hint);
+    };
+
+    // Page background: body, then html, then the browser's white canvas
+    const pageBackground = [bodyStyles.backgroundColor, styles.backgroundColor].find(isPainted);
+    if (isPainted(bodyStyles.backgroundColor)) {
+      addRoleHint("background", bodyStyles.backgroundColor, "body background", 10);
+    } else if (isPainted(styles.backgroundColor)) {
+      addRoleHint("background", styles.backgroundColor, "html background", 10);
+    } else {
+      addRoleHint("background", "rgb(255, 255, 255)", "default canvas (no page background set)", 3);
+    }
+    addRoleHint("foreground", bodyStyles.color, "body text color", 5);
+
+    const STATUS_PATTERNS = {
+      success: /\b(success|successful|positive|valid|complete|completed|confirmed)\b/,
+      warning: /\b(warning|warn|caution|pending|attention)\b/,
+      danger: /\b(danger|error|errors|invalid|destructive|negative|critical|fail|failed|failure)\b/,
+      info: /\b(info|information|informational|notice)\b/,
+    };
+    const SURFACE_PATTERN = /\b(card|panel|tile|modal|dialog|popover|dropdown|menu|sheet|surface|box|well)\b/;
+    const MUTED_PATTERN = /\b(muted|subtle|secondary|caption|meta|helper|help|hint|description|subtitle|subheading|placeholder)\b/;
+    const CONTROL_TAGS = new Set(["A", "BUTTON", "INPUT", "SELECT", "TEXTAREA", "LABEL", "OPTION"]);
+
+    /**
+     * Short label for evidence: the first class (or the tag) naming the match
+     *
+     * @param {Element} el
+     * @param {RegExp} pattern
+     */
+    const describe = (el, pattern) => {
+      const className = typeof el.className === "string" ? el.className : "";
+      const match = className.split(/\s+/).find((name) => pattern.test(name.toLowerCase()));
+      return match ? `.${match.substring(0, 40)}` : el.tagName.toLowerCase();
+    };
+
     const contextScores = {
       logo: 5,
       brand: 5,
@@ -1034,25 +1655,23 @@ async function extractColors(page) {
       const fill = computed.fill;
       const stroke = computed.stroke;
 
-      // Extract gradient colors
-      if (backgroundImage && backgroundImage.includes('gradient')) {
-        const gradientColors = extractGradientColors(backgroundImage);
-        if (gradientColors.length > 0 && !gradients.some(g => g.value === backgroundImage)) {
-          gradients.push({
-            value: backgroundImage,
-            colors: gradientColors,
-            type: backgroundImage.includes('linear') ? 'linear' : backgroundImage.includes('radial') ? 'radial' : 'conic'
-          });
+      // Count gradient backgrounds with the elements they paint
+      if (backgroundImage && backgroundImage.includes("gradient")) {
+        const usage = gradientUsage.get(backgroundImage) || { count: 0, contexts: new Set() };
+        const className = typeof el.className === "string" ? el.className.trim().split(/\s+/)[0] : "";
+        const clip = computed.backgroundClip === "text" || computed.getPropertyValue("-webkit-background-clip") === "text";
+        usage.count++;
+        if (usage.contexts.size < 5) {
+          usage.contexts.add(`${el.tagName.toLowerCase()}${className ? `.${className.substring(0, 40)}` : ""}${clip ? " (text)" : ""}`);
         }
+        gradientUsage.set(backgroundImage, usage);
       }
 
       // Extract shadow colors
       if (boxShadow && boxShadow !== 'none') {
         const shadowColors = extractGradientColors(boxShadow);
         shadowColors.forEach(color => {
-          const normalized = normalizeColor(color);
-          const existing = colorMap.get(normalized) || {
-            original: color,
+          const existing = colorMap.get(color) || {
             count: 0,
             score: 0,
             sources: new Set(),
@@ -1060,7 +1679,7 @@ async function extractColors(page) {
           existing.count++;
           existing.score += 1;
           existing.sources.add('shadow');
-          colorMap.set(normalized, existing);
+          colorMap.set(color, existing);
         });
       }
 
@@ -1096,9 +1715,8 @@ async function extractColors(page) {
       function extractColorsFromValue(colorValue) {
         if (!colorValue) return [];
 
-        // Match all rgb/rgba/hsl/hsla/hex values in the string
-        const colorRegex = /(#[0-9a-f]{3,8}|rgba?\([^)]+\)|hsla?\([^)]+\)|[a-z]+)/gi;
-        const matches = colorValue.match(colorRegex) || [];
+        // Match every color (and keyword, for named colors) in the string
+        const matches = colorValue.match(new RegExp(`${COLOR_PATTERN}|[a-z]+`, "gi")) || [];
 
         // Filter out invalid matches
         return matches.filter(c =>
@@ -1123,9 +1741,7 @@ async function extractColors(page) {
 
       allColors.forEach((color) => {
         if (color && color !== "rgba(0, 0, 0, 0)" && color !== "transparent") {
-          const normalized = normalizeColor(color);
-          const existing = colorMap.get(normalized) || {
-            original: color, // Keep first seen format
+          const existing = colorMap.get(color) || {
             count: 0,
             score: 0,
             sources: new Set(),
@@ -1139,171 +1755,154 @@ async function extractColors(page) {
               existing.sources.add(source);
             }
           }
-          colorMap.set(normalized, existing);
+          colorMap.set(color, existing);
         }
       });
 
-      // Semantic color detection
-      if (context.includes("primary") || el.matches('[class*="primary"]')) {
-        semanticColors.primary =
-          bgColor !== "rgba(0, 0, 0, 0)" && bgColor !== "transparent"
-            ? bgColor
-            : textColor;
-      }
-      if (context.includes("secondary")) {
-        semanticColors.secondary = bgColor;
-      }
-    });
-
-    // Calculate threshold: 1% of elements or minimum 3 occurrences
-    const threshold = Math.max(3, Math.floor(totalElements * 0.01));
-
-    // Helper: Check if a color is "structural" (used on >40% of elements)
-    // Only filter blacks/whites/grays if they're clearly just scaffolding
-    function isStructuralColor(data, totalElements) {
-      const usagePercent = (data.count / totalElements) * 100;
-      const normalized = normalizeColor(data.original);
+      // Role hints
+      const tag = el.tagName;
+      const roleContext = `${context} ${el.getAttribute("role") || ""}`;
+      const hasBackground = isPainted(bgColor) && bgColor !== pageBackground;
+      const ownText = Array.from(el.childNodes).some(
+        (node) => node.nodeType === Node.TEXT_NODE && (node.textContent || "").trim().length > 0
+      );
 
-      // Pure transparent - always structural
-      if (
-        data.original === "rgba(0, 0, 0, 0)" ||
-        data.original === "transparent"
-      ) {
-        return true;
+      if (hasBackground) {
+        const rect = el.getBoundingClientRect();
+        const isControl = CONTROL_TAGS.has(tag) || /\b(btn|button)\b/.test(roleContext);
+        if (rect.width >= window.innerWidth * 0.9 && rect.height >= window.innerHeight * 0.5) {
+          addRoleHint("background", bgColor, "full-width section background", 2);
+        } else if (!isControl && SURFACE_PATTERN.test(roleContext)) {
+          addRoleHint("surface", bgColor, `card background (${describe(el, SURFACE_PATTERN)})`, 3);
+        } else if (
+          !isControl &&
+          rect.width >= 120 &&
+          rect.height >= 60 &&
+          (computed.boxShadow !== "none" || parseFloat(computed.borderTopLeftRadius) > 0)
+        ) {
+          addRoleHint("surface", bgColor, "raised box background", 1);
+        }
       }
 
-      // If a color is used on >40% of elements AND has very low semantic score, it's structural
-      if (usagePercent > 40 && data.score < data.count * 1.2) {
-        return true;
+      if (ownText) {
+        if (tag === "A" && el.hasAttribute("href")) {
+          addRoleHint("accent", textColor, "link color", 1);
+        } else if (MUTED_PATTERN.test(roleContext)) {
+          addRoleHint("muted", textColor, `muted text (${describe(el, MUTED_PATTERN)})`, 2);
+        } else if (["SMALL", "FIGCAPTION", "TIME", "CITE"].includes(tag)) {
+          addRoleHint("muted", textColor, `<${tag.toLowerCase()}> text`, 1);
+          addRoleHint("foreground", textColor, "text", 0.5);
+        } else if (/^H[1-6]$/.test(tag)) {
+          addRoleHint("foreground", textColor, "heading text", 1);
+        } else if (!CONTROL_TAGS.has(tag)) {
+          addRoleHint("foreground", textColor, "text", 1);
+        }
       }
 
-      return false;
-    }
-
-    // Helper: Calculate delta-E color distance (simplified CIE76)
-    function deltaE(rgb1, rgb2) {
-      // Convert hex to RGB if needed
-      function hexToRgb(hex) {
-        if (!hex.startsWith("#")) return null;
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result
-          ? {
-              r: parseInt(result[1], 16),
-              g: parseInt(result[2], 16),
-              b: parseInt(result[3], 16),
-            }
-          : null;
+      // Borders, hr dividers and form field outlines
+      const borderSide = ["top", "bottom", "left", "right"].find(
+        (side) =>
+          parseFloat(computed.getPropertyValue(`border-${side}-width`)) > 0 &&
+          computed.getPropertyValue(`border-${side}-style`) !== "none"
+      );
+      const sideBorderColor = borderSide ? computed.getPropertyValue(`border-${borderSide}-color`) : "";
+      if (borderSide) {
+        if (tag === "HR") addRoleHint("border", sideBorderColor, "<hr> divider", 2);
+        else if (["INPUT", "SELECT", "TEXTAREA"].includes(tag)) addRoleHint("border", sideBorderColor, "form field border", 2);
+        else addRoleHint("border", sideBorderColor, "element border", 1);
       }
 
-      const c1 = hexToRgb(rgb1);
-      const c2 = hexToRgb(rgb2);
-
-      if (!c1 || !c2) return 999; // Very different if can't parse
-
-      // Simple RGB distance (not true delta-E but good enough)
-      const rDiff = c1.r - c2.r;
-      const gDiff = c1.g - c2.g;
-      const bDiff = c1.b - c2.b;
-
-      return Math.sqrt(rDiff * rDiff + gDiff * gDiff + bDiff * bDiff);
-    }
-
-    const palette = Array.from(colorMap.entries())
-      .filter(([normalizedColor, data]) => {
-        // Filter out colors below threshold
-        if (data.count < threshold) return false;
-
-        // Filter out structural colors (very high usage without semantic context)
-        if (isStructuralColor(data, totalElements)) {
-          return false;
-        }
-
-        return true;
-      })
-      .map(([normalizedColor, data]) => ({
-        color: data.original,
-        normalized: normalizedColor,
-        count: data.count,
-        confidence:
-          data.score > 20 ? "high" : data.score > 5 ? "medium" : "low",
-        sources: Array.from(data.sources).slice(0, 3),
-      }))
-      .sort((a, b) => b.count - a.count);
-
-    // Apply perceptual deduplication using delta-E
-    // Merge colors that are visually very similar (delta-E < 15)
-    const perceptuallyDeduped = [];
-    const merged = new Set();
-
-    palette.forEach((color, index) => {
-      if (merged.has(index)) return;
-
-      // Find all similar colors
-      const similar = [color];
-      for (let i = index + 1; i < palette.length; i++) {
-        if (merged.has(i)) continue;
-
-        const distance = deltaE(color.normalized, palette[i].normalized);
-        if (distance < 15) {
-          // Threshold for "visually similar"
-          similar.push(palette[i]);
-          merged.add(i);
-        }
+      if (computed.accentColor && computed.accentColor !== "auto") {
+        addRoleHint("accent", computed.accentColor, "accent-color", 3);
       }
-
-      // Keep the one with highest count (most common variant)
-      const best = similar.sort((a, b) => b.count - a.count)[0];
-      perceptuallyDeduped.push(best);
-    });
-
-    // Deduplicate and filter CSS variables
-    const paletteNormalizedColors = new Set(
-      perceptuallyDeduped.map((c) => c.normalized)
-    );
-    const cssVarsByColor = new Map(); // normalized color -> variable names
-
-    Object.entries(cssVariables).forEach(([prop, value]) => {
-      const normalized = normalizeColor(value);
-
-      // Skip if this color is already in the palette
-      if (paletteNormalizedColors.has(normalized)) {
-        return;
+      if (score >= 25) {
+        addRoleHint("accent", bgColor, "colored button background", 2);
       }
 
-      // Apply perceptual deduplication to CSS variables too
-      let isDuplicate = false;
-      for (const paletteColor of perceptuallyDeduped) {
-        if (deltaE(normalized, paletteColor.normalized) < 15) {
-          isDuplicate = true;
-          break;
-        }
+      // Status components (alerts, badges, validation messages) by class, id or role
+      for (const [role, pattern] of Object.entries(STATUS_PATTERNS)) {
+        if (!pattern.test(roleContext)) continue;
+        const label = describe(el, pattern);
+        addRoleHint(role, bgColor, `background of ${label}`, 3);
+        if (ownText) addRoleHint(role, textColor, `text of ${label}`, 2);
+        if (borderSide) addRoleHint(role, sideBorderColor, `border of ${label}`, 2);
       }
-      if (isDuplicate) return;
-
-      if (!cssVarsByColor.has(normalized)) {
-        cssVarsByColor.set(normalized, { value, vars: [] });
+      if (el.getAttribute("aria-invalid") === "true") {
+        addRoleHint("danger", borderSide ? sideBorderColor : textColor, "aria-invalid form field", 3);
       }
-      cssVarsByColor.get(normalized).vars.push(prop);
-    });
 
-    // Convert back to object with deduplicated values
-    const filteredCssVariables = {};
-    cssVarsByColor.forEach(({ value, vars }) => {
-      // Only show first variable name if multiple have same value
-      filteredCssVariables[vars[0]] = value;
+      // Semantic color detection
+      if (context.includes("primary") || el.matches('[class*="primary"]')) {
+        semanticColors.primary =
+          bgColor !== "rgba(0, 0, 0, 0)" && bgColor !== "transparent"
+            ? bgColor
+            : textColor;
+      }
+      if (context.includes("secondary")) {
+        semanticColors.secondary = bgColor;
+      }
     });
 
     return {
       semantic: semanticColors,
-      palette: perceptuallyDeduped,
-      cssVariables: filteredCssVariables,
-      gradients: gradients.slice(0, 10),
+      usage: Array.from(colorMap.entries()).map(([color, data]) => ({
+        color,
+        count: data.count,
+        score: data.score,
+        sources: Array.from(data.sources),
+      })),
+      totalElements,
+      cssVariables,
+      gradients: Array.from(gradientUsage.entries()).map(([value, usage]) => ({
+        value,
+        count: usage.count,
+        contexts: Array.from(usage.contexts),
+      })),
+      roleHints: Array.from(roleHints.values()),
+      variableDeclarations,
+      rootVariables,
     };
-  });
+  }, external);
+
+  // Parsing, significance filtering and perceptual deduplication run here
+  // rather than in the page so they share the color science in color.js
+  const palette = dedupePalette(buildPalette(colors.usage, colors.totalElements), threshold);
+  const roles = inferColorRoles([
+    ...colors.roleHints,
+    ...variableRoleHints(/** @type {Record<string, string>} */ (colors.cssVariables)),
+  ]);
+  /** @type {Record<string, string>} */
+  const roleColors = {};
+  for (const [role, { color }] of Object.entries(roles)) roleColors[role] = color;
+
+  // Record which custom properties each palette color comes from
+  const variables = buildVariableGraph(colors.variableDeclarations, colors.rootVariables, palette);
+  for (const color of palette) {
+    const origin = variables.origins[color.normalized];
+    if (origin) color.variables = origin.slice(0, 5);
+  }
+
+  return {
+    // Class-name based brand colors first, then one color per inferred role
+    semantic: { ...colors.semantic, ...roleColors },
+    roles,
+    palette,
+    cssVariables: dedupeCssVariables(colors.cssVariables, palette, threshold),
+    variables,
+    gradients: buildGradients(colors.gradients),
+  };
 }
 
-async function extractTypography(page) {
-  return await page.evaluate(() => {
+/**
+ * Extract typography styles, with the tags and number of elements using
+ * each, and font sources. The type scale is detected from the styles in
+ * `extractBranding` (see typescale.js)
+ *
+ * @param {import('playwright').Page} page
+ * @param {import('./stylesheets.js').ExternalStylesheets} [external] - Rules of the cross-origin stylesheets
+ */
+async function extractTypography(page, external = NO_EXTERNAL_STYLESHEETS) {
+  return await page.evaluate((external) => {
     const seen = new Map();
     const sources = {
       googleFonts: [],
@@ -1390,57 +1989,63 @@ async function extractTypography(page) {
       sources.fontscom = true;
     }
 
-    // 7. Self-hosted fonts via @font-face
+    // 7. Self-hosted fonts via @font-face, cross-origin stylesheets included
     let fontDisplay = null;
     const fontFaceDeclarations = [];
+    /** @type {Array<CSSStyleDeclaration|Record<string, string>>} */
+    const fontFaces = [];
+    for (const sheet of document.styleSheets) {
+      try {
+        for (const rule of sheet.cssRules || []) {
+          if (rule instanceof CSSFontFaceRule) fontFaces.push(rule.style);
+        }
+      } catch (e) {
+        // Cross-origin stylesheets (read from the network below)
+      }
+    }
+    for (const rule of external.rules) {
+      if (rule.type === "font-face") fontFaces.push(rule.style);
+    }
     try {
-      for (const sheet of document.styleSheets) {
-        try {
-          for (const rule of sheet.cssRules || []) {
-            if (rule instanceof CSSFontFaceRule) {
-              const family = rule.style.fontFamily?.replace(/['"]/g, '');
-              const display = rule.style.fontDisplay;
-              const src = rule.style.src || '';
-              const weight = rule.style.fontWeight;
-              const style = rule.style.fontStyle;
-
-              if (display && display !== 'auto' && !fontDisplay) {
-                fontDisplay = display;
-              }
+      for (const fontFace of fontFaces) {
+        const family = fontFace.fontFamily?.replace(/['"]/g, '');
+        const display = fontFace.fontDisplay;
+        const src = fontFace.src || '';
+        const weight = fontFace.fontWeight;
+        const style = fontFace.fontStyle;
+
+        if (display && display !== 'auto' && !fontDisplay) {
+          fontDisplay = display;
+        }
 
-              if (family) {
-                // Check if it's a variable font (has wght range)
-                const isVariable = weight && weight.includes(' ');
-                if (isVariable) {
-                  sources.variableFonts.add(family);
-                }
+        if (family) {
+          // Check if it's a variable font (has wght range)
+          const isVariable = weight && weight.includes(' ');
+          if (isVariable) {
+            sources.variableFonts.add(family);
+          }
 
-                // Only add if not already from a CDN
-                const isFromCdn = sources.googleFonts.includes(family) ||
-                                  sources.bunnyFonts.includes(family) ||
-                                  sources.fontshare.includes(family);
-
-                if (!isFromCdn && !fontFaceDeclarations.some(f => f.family === family)) {
-                  // Determine format from src
-                  let format = 'unknown';
-                  if (src.includes('.woff2')) format = 'woff2';
-                  else if (src.includes('.woff')) format = 'woff';
-                  else if (src.includes('.ttf')) format = 'truetype';
-                  else if (src.includes('.otf')) format = 'opentype';
-                  else if (src.includes('.eot')) format = 'embedded-opentype';
-
-                  fontFaceDeclarations.push({
-                    family,
-                    format,
-                    display: display || 'auto',
-                    isVariable: isVariable || false,
-                  });
-                }
-              }
-            }
+          // Only add if not already from a CDN
+          const isFromCdn = sources.googleFonts.includes(family) ||
+                            sources.bunnyFonts.includes(family) ||
+                            sources.fontshare.includes(family);
+
+          if (!isFromCdn && !fontFaceDeclarations.some(f => f.family === family)) {
+            // Determine format from src
+            let format = 'unknown';
+            if (src.includes('.woff2')) format = 'woff2';
+            else if (src.includes('.woff')) format = 'woff';
+            else if (src.includes('.ttf')) format = 'truetype';
+            else if (src.includes('.otf')) format = 'opentype';
+            else if (src.includes('.eot')) format = 'embedded-opentype';
+
+            fontFaceDeclarations.push({
+              family,
+              format,
+              display: display || 'auto',
+              isVariable: isVariable || false,
+            });
           }
-        } catch (e) {
-          // Cross-origin stylesheets
         }
       }
     } catch (e) {
@@ -1483,7 +2088,8 @@ async function extractTypography(page) {
     // ——— Sample elements ———
     const els = document.querySelectorAll(`
       h1,h2,h3,h4,h5,h6,p,span,a,button,[role="button"],.btn,.button,
-      .hero,[class*="title"],[class*="heading"],[class*="text"],nav a
+      .hero,[class*="title"],[class*="heading"],[class*="text"],nav a,
+      li,blockquote,td,label,small,figcaption,code,pre,kbd
     `);
 
     els.forEach((el) => {
@@ -1506,7 +2112,8 @@ async function extractTypography(page) {
       const fontFeatures = s.fontFeatureSettings !== 'normal' ? s.fontFeatureSettings : null;
 
       // Build context label
-      let context = "heading-1";
+      const tag = el.tagName.toLowerCase();
+      let context = "text";
       const className = typeof el.className === 'string' ? el.className : (el.className.baseVal || '');
       if (
         el.tagName === "BUTTON" ||
@@ -1516,14 +2123,24 @@ async function extractTypography(page) {
         context = "button";
       } else if (el.tagName === "A" && el.href) {
         context = "link";
+      } else if (el.tagName.match(/^H[1-6]$/)) {
+        context = `heading-${tag[1]}`;
+      } else if (tag === "code" || tag === "pre" || tag === "kbd") {
+        context = "code";
+      } else if (tag === "label") {
+        context = "label";
       } else if (size <= 14) {
         context = "caption";
-      } else if (el.tagName.match(/^H[1-6]$/)) {
-        context = "heading-1";
       }
 
       const key = `${family}|${size}|${weight}|${context}|${letterSpacing}|${textTransform}`;
-      if (seen.has(key)) return;
+      // Count every element per style and the tags it is used on, for the type scale roles
+      const existing = seen.get(key);
+      if (existing) {
+        existing.count++;
+        existing.tags[tag] = (existing.tags[tag] || 0) + 1;
+        return;
+      }
 
       // Parse line-height to unitless if possible
       let lineHeightValue = null;
@@ -1549,6 +2166,8 @@ async function extractTypography(page) {
         transform: textTransform !== "none" ? textTransform : null,
         isFluid: isFluid || undefined,
         fontFeatures: fontFeatures || undefined,
+        count: 1,
+        tags: { [tag]: 1 },
       });
     });
 
@@ -1573,45 +2192,182 @@ async function extractTypography(page) {
         fontDisplay: sources.fontDisplay || undefined,
       },
     };
-  });
+  }, external);
 }
 
 /**
- * Extract spacing scale and detect grid system
+ * Sample the page's boxes at the current viewport width in one pass:
+ * margins, paddings and gaps by value, centered max-width containers with
+ * their gutters, grid templates, flex rows whose items fill the row, the
+ * vertical spacing of page sections, and the coarse layout signature the
+ * viewport comparison uses. Both the spacing scale (spacing.js) and the
+ * layout system (layout.js) are built from these samples, so they agree on
+ * what a container is.
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<import('./layout.js').LayoutSamples>}
  */
-async function extractSpacing(page) {
+async function extractLayout(page) {
   return await page.evaluate(() => {
+    const viewport = document.documentElement.clientWidth;
+    /** @type {Map<number, { px: number, count: number, vertical: number, horizontal: number, gap: number }>} */
     const spacings = new Map();
+    /** @type {Map<string, { maxWidth: number, width: number, gutter: number, count: number }>} */
+    const containers = new Map();
+    /** @type {Map<string, { columns: number, template: string, columnGap: number, rowGap: number, count: number }>} */
+    const grids = new Map();
+    /** @type {Map<string, { columns: number, gap: number, wrap: boolean, count: number }>} */
+    const flexRows = new Map();
+    /** @type {Element[]} */
+    const sections = [];
+    const signature = { hidden: 0, gridColumns: /** @type {Record<string, number>} */ ({}), flexRows: 0, flexColumns: 0 };
+    const TEXT_TAGS = /^(P|H[1-6]|A|SPAN|LI|LABEL|BUTTON|IMG|SVG|INPUT)$/;
+    const SECTION = /^(SECTION|HEADER|FOOTER|ARTICLE)$/;
+    // Grids, flex rows, sections and the signature are read on the first
+    // elements of the body only (measuring boxes is slow)
+    const MAX_LAYOUT_ELEMENTS = 3000;
+    let layoutElements = 0;
+
+    /**
+     * @param {string} value - Computed length
+     * @param {"vertical"|"horizontal"|"gap"} axis
+     */
+    const add = (value, axis) => {
+      const px = parseFloat(value);
+      if (!(px > 0)) return;
+      const entry = spacings.get(px) || { px, count: 0, vertical: 0, horizontal: 0, gap: 0 };
+      entry.count++;
+      entry[axis]++;
+      spacings.set(px, entry);
+    };
+
+    /**
+     * @param {Map<string, any>} map
+     * @param {Record<string, any>} sample
+     */
+    const count = (map, sample) => {
+      const key = JSON.stringify(sample);
+      const entry = map.get(key) || { ...sample, count: 0 };
+      entry.count++;
+      map.set(key, entry);
+    };
+
+    /**
+     * Centered container: a px max-width of at least 480px, content, equal
+     * side margins, at least 45% of the viewport wide, and either room to
+     * spare (auto margins) or narrower than its max-width (fluid)
+     *
+     * @param {Element} el
+     * @param {CSSStyleDeclaration} computed
+     * @returns {{ maxWidth: number, width: number, gutter: number }|null}
+     */
+    const containerOf = (el, computed) => {
+      const maxWidth = computed.maxWidth.endsWith("px") ? Math.round(parseFloat(computed.maxWidth)) : 0;
+      if (maxWidth < 480 || computed.marginLeft !== computed.marginRight || el.children.length === 0) return null;
+      if (TEXT_TAGS.test(el.tagName.toUpperCase())) return null;
+      const rect = el.getBoundingClientRect();
+      const width = Math.round(rect.width);
+      if (rect.height === 0 || width < viewport * 0.45) return null;
+      if (!(parseFloat(computed.marginLeft) > 0 || width < maxWidth)) return null;
+      const gutter = computed.paddingLeft === computed.paddingRight ? Math.round(parseFloat(computed.paddingLeft)) : 0;
+      return { maxWidth, width, gutter };
+    };
 
     document.querySelectorAll("*").forEach((el) => {
       const computed = getComputedStyle(el);
-      ["marginTop", "marginBottom", "paddingTop", "paddingBottom"].forEach(
-        (prop) => {
-          const value = parseFloat(computed[prop]);
-          if (value > 0) {
-            spacings.set(value, (spacings.get(value) || 0) + 1);
-          }
+      ["marginTop", "marginBottom", "paddingTop", "paddingBottom"].forEach((prop) => add(computed[prop], "vertical"));
+      add(computed.paddingLeft, "horizontal");
+      add(computed.paddingRight, "horizontal");
+
+      // A container's side margins are `auto`, resolved to whatever the
+      // viewport leaves, so they aren't spacing
+      const container = containerOf(el, computed);
+      if (container) {
+        count(containers, container);
+      } else {
+        add(computed.marginLeft, "horizontal");
+        add(computed.marginRight, "horizontal");
+      }
+
+      if (/flex|grid/.test(computed.display)) {
+        add(computed.rowGap, "gap");
+        add(computed.columnGap, "gap");
+      }
+
+      if (el === document.body || !document.body.contains(el) || layoutElements >= MAX_LAYOUT_ELEMENTS) return;
+      layoutElements++;
+
+      if (computed.display === "none") {
+        signature.hidden++;
+        return;
+      }
+      if (computed.display.includes("grid")) {
+        const columns = computed.gridTemplateColumns === "none" ? 1 : computed.gridTemplateColumns.split(/\s+(?![^(]*\))/).length;
+        signature.gridColumns[columns] = (signature.gridColumns[columns] || 0) + 1;
+      } else if (computed.display.includes("flex") && el.children.length > 1) {
+        if (computed.flexDirection.startsWith("column")) signature.flexColumns++;
+        else if (computed.flexWrap === "nowrap") signature.flexRows++;
+      }
+
+      if (TEXT_TAGS.test(el.tagName.toUpperCase())) return;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return;
+      const width = Math.round(rect.width);
+
+      const visibleChildren = Array.from(el.children).filter((child) => {
+        const box = child.getBoundingClientRect();
+        return box.width > 0 && box.height > 0;
+      });
+
+      if (computed.display.includes("grid") && width >= viewport * 0.25 && visibleChildren.length > 1) {
+        const tracks = computed.gridTemplateColumns === "none" ? [] : computed.gridTemplateColumns.split(/\s+(?![^(]*\))/);
+        count(grids, {
+          columns: Math.max(tracks.length, 1),
+          template: tracks.map((track) => (track.endsWith("px") ? `${Math.round(parseFloat(track))}px` : track)).join(" "),
+          columnGap: Math.round(parseFloat(computed.columnGap) || 0),
+          rowGap: Math.round(parseFloat(computed.rowGap) || 0),
+        });
+      } else if (computed.display.includes("flex") && !computed.flexDirection.startsWith("column") && width >= viewport * 0.4 && visibleChildren.length > 1) {
+        // Items on the first line that fill the row are columns, not a cluster (nav links, buttons)
+        const top = visibleChildren[0].getBoundingClientRect().top;
+        const line = visibleChildren.filter((child) => Math.abs(child.getBoundingClientRect().top - top) <= 2);
+        const boxes = line.map((child) => child.getBoundingClientRect());
+        const filled = boxes.reduce((sum, box) => sum + box.width, 0) / rect.width;
+        if (line.length > 1 && filled >= 0.7 && boxes.every((box) => box.width >= 80)) {
+          const gap = parseFloat(computed.columnGap) || Math.max(0, boxes[1].left - boxes[0].right);
+          count(flexRows, { columns: line.length, gap: Math.round(gap), wrap: computed.flexWrap !== "nowrap" });
         }
-      );
-    });
+      }
 
-    const values = Array.from(spacings.entries())
-      .sort((a, b) => b[1] - a[1]) // Sort by count first to get most common
-      .slice(0, 20)
-      .map(([px, count]) => ({
-        px: px + "px",
-        rem: (px / 16).toFixed(2) + "rem",
-        count,
-        numericValue: px,
-      }))
-      .sort((a, b) => a.numericValue - b.numericValue); // Then sort by numeric value
+      // Sections: wide blocks of the page flow, outermost only
+      const isSection = SECTION.test(el.tagName.toUpperCase()) || /(^|[-_\s])section([-_\s]|$)/i.test(typeof el.className === "string" ? el.className : "");
+      if (isSection && width >= viewport * 0.5 && rect.height >= 100 && !sections.some((section) => section.contains(el))) {
+        sections.push(el);
+      }
+    });
 
-    // Detect grid system
-    const is4px = values.some((v) => parseFloat(v.px) % 4 === 0);
-    const is8px = values.some((v) => parseFloat(v.px) % 8 === 0);
-    const scaleType = is8px ? "8px" : is4px ? "4px" : "custom";
+    // Vertical rhythm: padding of each section and the space to the next one in the same parent
+    const measured = sections
+      .map((el) => ({ el, rect: el.getBoundingClientRect(), computed: getComputedStyle(el) }))
+      .sort((a, b) => a.rect.top - b.rect.top)
+      .map(({ el, rect, computed }, i, all) => {
+        const next = all[i + 1];
+        return {
+          paddingTop: Math.round(parseFloat(computed.paddingTop) || 0),
+          paddingBottom: Math.round(parseFloat(computed.paddingBottom) || 0),
+          gap: next && next.el.parentElement === el.parentElement ? Math.max(0, Math.round(next.rect.top - rect.bottom)) : null,
+        };
+      });
 
-    return { scaleType, commonValues: values };
+    return {
+      width: viewport,
+      spacing: Array.from(spacings.values()),
+      containers: Array.from(containers.values()),
+      grids: Array.from(grids.values()),
+      flexRows: Array.from(flexRows.values()),
+      sections: measured,
+      signature,
+    };
   });
 }
 
@@ -1777,9 +2533,14 @@ async function extractShadows(page) {
 
 /**
  * Extract button component styles and variants - comprehensive
+ *
+ * @param {import('playwright').Page} page
+ * @param {import('./stylesheets.js').ExternalStylesheets} [external] - Rules of the cross-origin stylesheets
  */
-async function extractButtonStyles(page) {
-  return await page.evaluate(() => {
+async function extractButtonStyles(page, external = NO_EXTERNAL_STYLESHEETS) {
+  return await page.evaluate((external) => {
+    // Cross-origin stylesheet rules, walked as one more stylesheet
+    const externalSheet = /** @type {CSSStyleSheet} */ (/** @type {unknown} */ ({ cssRules: external.rules }));
     const buttons = Array.from(
       document.querySelectorAll(`
         button,
@@ -1929,7 +2690,7 @@ async function extractButtonStyles(page) {
 
       // Attempt to read CSS rules for hover, active, focus states
       try {
-        const sheets = Array.from(document.styleSheets);
+        const sheets = [...Array.from(document.styleSheets), externalSheet];
         for (const sheet of sheets) {
           try {
             const rules = Array.from(sheet.cssRules || []);
@@ -2005,14 +2766,19 @@ async function extractButtonStyles(page) {
     }
 
     return uniqueButtons.slice(0, 15);
-  });
+  }, external);
 }
 
 /**
  * Extract input field styles with states - comprehensive
+ *
+ * @param {import('playwright').Page} page
+ * @param {import('./stylesheets.js').ExternalStylesheets} [external] - Rules of the cross-origin stylesheets
  */
-async function extractInputStyles(page) {
-  return await page.evaluate(() => {
+async function extractInputStyles(page, external = NO_EXTERNAL_STYLESHEETS) {
+  return await page.evaluate((external) => {
+    // Cross-origin stylesheet rules, walked as one more stylesheet
+    const externalSheet = /** @type {CSSStyleSheet} */ (/** @type {unknown} */ ({ cssRules: external.rules }));
     const inputs = Array.from(
       document.querySelectorAll(`
         input[type="text"],
@@ -2096,7 +2862,7 @@ async function extractInputStyles(page) {
       let placeholderColor = null;
       try {
         // Try to get placeholder color from stylesheet rules
-        for (const sheet of document.styleSheets) {
+        for (const sheet of [...document.styleSheets, externalSheet]) {
           try {
             for (const rule of sheet.cssRules || []) {
               if (rule.selectorText && rule.selectorText.includes('::placeholder')) {
@@ -2138,7 +2904,7 @@ async function extractInputStyles(page) {
       // Try to extract focus state from CSS rules
       let focusState = null;
       try {
-        const sheets = Array.from(document.styleSheets);
+        const sheets = [...Array.from(document.styleSheets), externalSheet];
         const className = typeof input.className === 'string' ? input.className : input.className.baseVal || '';
         const classes = className.split(' ').filter(c => c);
 
@@ -2200,14 +2966,19 @@ async function extractInputStyles(page) {
       file: deduplicateGroup(inputGroups.file).slice(0, 3),
       range: deduplicateGroup(inputGroups.range).slice(0, 3),
     };
-  });
+  }, external);
 }
 
 /**
  * Extract link styles including hover, visited, active states - comprehensive
+ *
+ * @param {import('playwright').Page} page
+ * @param {import('./stylesheets.js').ExternalStylesheets} [external] - Rules of the cross-origin stylesheets
  */
-async function extractLinkStyles(page) {
-  return await page.evaluate(() => {
+async function extractLinkStyles(page, external = NO_EXTERNAL_STYLESHEETS) {
+  const links = await page.evaluate((external) => {
+    // Cross-origin stylesheet rules, walked as one more stylesheet
+    const externalSheet = /** @type {CSSStyleSheet} */ (/** @type {unknown} */ ({ cssRules: external.rules }));
     const links = Array.from(
       document.querySelectorAll(`
         a[href],
@@ -2227,22 +2998,6 @@ async function extractLinkStyles(page) {
 
     const uniqueStyles = new Map();
 
-    // Normalize color to hex for deduplication
-    const normalizeColor = (color) => {
-      try {
-        const rgbaMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
-        if (rgbaMatch) {
-          const r = parseInt(rgbaMatch[1]);
-          const g = parseInt(rgbaMatch[2]);
-          const b = parseInt(rgbaMatch[3]);
-          return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-        }
-        return color.toLowerCase();
-      } catch {
-        return color;
-      }
-    };
-
     links.forEach((link) => {
       const computed = getComputedStyle(link);
 
@@ -2252,7 +3007,8 @@ async function extractLinkStyles(page) {
         return;
       }
 
-      const key = normalizeColor(computed.color);
+      // Deduplicated by normalized color in Node
+      const key = computed.color;
 
       if (!uniqueStyles.has(key)) {
         // Try to extract hover, visited, active states from CSS rules
@@ -2262,7 +3018,7 @@ async function extractLinkStyles(page) {
         let focusState = null;
 
         try {
-          const sheets = Array.from(document.styleSheets);
+          const sheets = [...Array.from(document.styleSheets), externalSheet];
           const className = typeof link.className === 'string' ? link.className : link.className.baseVal || '';
           const classes = className.split(' ').filter(c => c);
 
@@ -2344,15 +3100,26 @@ async function extractLinkStyles(page) {
       }
     });
 
-    return Array.from(uniqueStyles.values()).slice(0, 12);
-  });
+    return Array.from(uniqueStyles.values());
+  }, external);
+
+  // Computed colors that serialize differently can still be the same color
+  const byColor = new Map();
+  for (const link of links) {
+    const key = normalizeColor(link.color) || link.color;
+    if (!byColor.has(key)) byColor.set(key, link);
+  }
+  return Array.from(byColor.values()).slice(0, 12);
 }
 
 /**
  * Detect responsive breakpoints from CSS
+ *
+ * @param {import('playwright').Page} page
+ * @param {import('./stylesheets.js').ExternalStylesheets} [external] - Rules of the cross-origin stylesheets
  */
-async function extractBreakpoints(page) {
-  return await page.evaluate(() => {
+async function extractBreakpoints(page, external = NO_EXTERNAL_STYLESHEETS) {
+  return await page.evaluate((external) => {
     const breakpoints = new Set();
 
     for (const sheet of document.styleSheets) {
@@ -2364,21 +3131,29 @@ async function extractBreakpoints(page) {
           }
         }
       } catch (e) {
-        // Cross-origin stylesheets may throw errors
+        // Cross-origin stylesheets may throw errors (read from the network below)
       }
     }
+    for (const rule of external.rules) {
+      const media = rule.conditions.find((condition) => condition.startsWith("@media"));
+      const match = media?.match(/(\d+)px/g);
+      if (match) match.forEach((m) => breakpoints.add(parseInt(m)));
+    }
 
     return Array.from(breakpoints)
       .sort((a, b) => a - b)
       .map((px) => ({ px: px + "px" }));
-  });
+  }, external);
 }
 
 /**
  * Detect icon systems in use - comprehensive detection
+ *
+ * @param {import('playwright').Page} page
+ * @param {import('./stylesheets.js').ExternalStylesheets} [external] - Rules of the cross-origin stylesheets
  */
-async function detectIconSystem(page) {
-  return await page.evaluate(() => {
+async function detectIconSystem(page, external = NO_EXTERNAL_STYLESHEETS) {
+  return await page.evaluate((external) => {
     const systems = [];
     const html = document.documentElement.outerHTML;
 
@@ -2661,16 +3436,29 @@ async function detectIconSystem(page) {
         // Ignore
       }
     }
+    if (systems.length === 0) {
+      const iconFont = external.rules.find((rule) => rule.type === "font-face" && /icon|glyph/i.test(rule.style.fontFamily || ""));
+      if (iconFont) {
+        systems.push({
+          name: `Custom Icon Font (${iconFont.style.fontFamily})`,
+          type: 'icon-font',
+          confidence: 'medium'
+        });
+      }
+    }
 
     return systems;
-  });
+  }, external);
 }
 
 /**
  * Detect CSS frameworks and libraries
+ *
+ * @param {import('playwright').Page} page
+ * @param {import('./stylesheets.js').ExternalStylesheets} [external] - Rules of the cross-origin stylesheets
  */
-async function detectFrameworks(page) {
-  return await page.evaluate(() => {
+async function detectFrameworks(page, external = NO_EXTERNAL_STYLESHEETS) {
+  return await page.evaluate((external) => {
     const frameworks = [];
     const html = document.documentElement.outerHTML;
     const body = document.body;
@@ -2690,6 +3478,17 @@ async function detectFrameworks(page) {
       return links.some(el => pattern.test(el.href || el.src));
     }
 
+    // Helper: Check the cross-origin stylesheets for a framework's banner
+    // comment or custom properties (bundled CSS served from a CDN or asset host)
+    /**
+     * @param {RegExp} banner
+     * @param {string} prefix
+     */
+    function inExternalStylesheets(banner, prefix) {
+      if (external.banners.some((text) => banner.test(text))) return true;
+      return external.rules.some((rule) => Object.keys(rule.style).some((name) => name.startsWith(prefix)));
+    }
+
     // 1. Tailwind CSS - Very specific detection
     const tailwindEvidence = [];
 
@@ -2704,7 +3503,7 @@ async function detectFrameworks(page) {
     }
 
     // CDN or build file
-    if (hasResource(/tailwindcss|tailwind\.css|cdn\.tailwindcss/)) {
+    if (hasResource(/tailwindcss|tailwind\.css|cdn\.tailwindcss/) || inExternalStylesheets(/tailwindcss/i, "--tw-")) {
       tailwindEvidence.push('stylesheet');
     }
 
@@ -2734,7 +3533,7 @@ async function detectFrameworks(page) {
     }
 
     // CDN or build file
-    if (hasResource(/bootstrap\.min\.css|bootstrap\.css|getbootstrap\.com/)) {
+    if (hasResource(/bootstrap\.min\.css|bootstrap\.css|getbootstrap\.com/) || inExternalStylesheets(/bootstrap/i, "--bs-")) {
       bootstrapEvidence.push('stylesheet');
     }
 
@@ -2992,7 +3791,7 @@ async function detectFrameworks(page) {
     }
 
     return frameworks;
-  });
+  }, external);
 }
 
 /**
@@ -3255,6 +4054,8 @@ async function extractForms(page) {
 
 /**
  * Accessibility audit - color contrast and WCAG compliance (#19)
+ * Checks live text on the page; `extractBranding` adds the palette-level
+ * contrast matrix (contrast.js) once the final palette is known.
  */
 async function extractAccessibilityAudit(page) {
   return await page.evaluate(() => {
@@ -0,0 +1,559 @@
+/**
+ * Web Font Files
+ *
+ * Node-side half of the font capture in `extractBranding`. The page's font
+ * downloads are captured from its network responses; this module matches each file to its `@font-face` rule, reads
+ * family, weight, style and variable axes from the font's own tables (WOFF
+ * and WOFF2 are unpacked with zlib and brotli), adds license hints, and keeps
+ * the files in the data directory so the fonts exporter can bundle them with
+ * a generated `@font-face` stylesheet.
+ */
+
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+import { brotliDecompressSync, inflateSync } from "zlib";
+import { dataDir } from "./history.js";
+
+// Font files kept per extraction
+const MAX_FONT_FILES = 40;
+
+// Larger files are skipped (bytes)
+export const MAX_FONT_BYTES = 2 * 1024 * 1024;
+
+// Stored file names: content hash + extension
+const STORED_FILE = /^[a-f0-9]{16}\.(woff2|woff|ttf|otf)$/;
+
+// Tables read from each font
+const WANTED_TABLES = ["name", "OS/2", "fvar"];
+
+// WOFF2 known table tags, by index in the table directory flags
+const WOFF2_TAGS = [
+  "cmap", "head", "hhea", "hmtx", "maxp", "name", "OS/2", "post", "cvt ", "fpgm", "glyf", "loca", "prep", "CFF ", "VORG", "EBDT",
+  "EBLC", "gasp", "hdmx", "kern", "LTSH", "PCLT", "VDMX", "vhea", "vmtx", "BASE", "GDEF", "GPOS", "GSUB", "EBSC", "JSTF", "MATH",
+  "CBDT", "CBLC", "COLR", "CPAL", "SVG ", "sbix", "acnt", "avar", "bdat", "bloc", "bsln", "cvar", "fdsc", "feat", "fmtx", "fvar",
+  "gvar", "hsty", "just", "lcar", "mort", "morx", "opbd", "prop", "trak", "Zapf", "Silf", "Glat", "Gloc", "Feat", "Sill",
+];
+
+const EXTENSIONS = /** @type {Record<string, string>} */ ({ woff2: "woff2", woff: "woff", truetype: "ttf", opentype: "otf" });
+
+// Font hosts, by the source names `extractTypography` uses
+const FONT_HOSTS = [
+  { pattern: /(^|\.)fonts\.(gstatic|googleapis)\.com$/, source: "google" },
+  { pattern: /(^|\.)fonts\.bunny\.net$/, source: "bunny" },
+  { pattern: /(^|\.)fontshare\.com$/, source: "fontshare" },
+  { pattern: /(^|\.)typekit\.net$/, source: "adobe" },
+];
+
+// Licenses recognized in the name table's license description and URL
+const KNOWN_LICENSES = [
+  { pattern: /open font licen[cs]e|\bOFL\b|scripts\.sil\.org|openfontlicense\.org/i, name: "SIL Open Font License", redistributable: true },
+  { pattern: /apache licen[cs]e/i, name: "Apache License 2.0", redistributable: true },
+  { pattern: /ubuntu font licen[cs]e/i, name: "Ubuntu Font License", redistributable: true },
+  { pattern: /\bMIT licen[cs]e/i, name: "MIT License", redistributable: true },
+];
+
+/**
+ * @typedef {Object} FontResponse
+ * @property {string} url
+ * @property {Buffer} body
+ */
+
+/**
+ * @typedef {Object} FontFace
+ * @property {string} family
+ * @property {string} weight - "400", or a range for variable fonts ("100 900")
+ * @property {string} style
+ * @property {string|null} display
+ * @property {string|null} unicodeRange
+ * @property {Array<{ url: string, format: string|null }>} src - Resolved URLs
+ */
+
+/**
+ * @typedef {Object} FontAxis
+ * @property {string} tag - e.g. "wght", "opsz"
+ * @property {string|null} name
+ * @property {number} min
+ * @property {number} default
+ * @property {number} max
+ */
+
+/**
+ * @typedef {Object} FontMetadata
+ * @property {string} format - woff2, woff, truetype or opentype
+ * @property {string|null} family - Typographic family (name ID 16, else 1)
+ * @property {string|null} subfamily
+ * @property {string|null} fullName
+ * @property {string|null} postscriptName
+ * @property {string|null} version
+ * @property {string|null} copyright
+ * @property {string|null} manufacturer
+ * @property {string|null} designer
+ * @property {string|null} licenseDescription
+ * @property {string|null} licenseUrl
+ * @property {number|null} weight - OS/2 usWeightClass
+ * @property {boolean} italic
+ * @property {number|null} fsType - OS/2 embedding permissions
+ * @property {FontAxis[]} axes
+ */
+
+/**
+ * @typedef {Object} FontLicense
+ * @property {string|null} name - Recognized license
+ * @property {string|null} url - License URL from the font
+ * @property {string|null} embedding - installable, editable, preview & print or restricted
+ * @property {boolean|null} redistributable - Null when it can't be told
+ * @property {string[]} notes
+ */
+
+/**
+ * @typedef {Object} FontFile
+ * @property {string} file - Stored file (content hash)
+ * @property {string} name - File name in the bundle
+ * @property {string} url
+ * @property {string} format
+ * @property {number} bytes
+ * @property {string} family
+ * @property {string} weight
+ * @property {string} style
+ * @property {string|null} display
+ * @property {string|null} unicodeRange
+ * @property {string} source - google, bunny, fontshare, adobe or self-hosted
+ * @property {FontAxis[]} axes
+ * @property {Omit<FontMetadata, "format" | "family" | "weight" | "italic" | "fsType" | "axes" | "licenseDescription" | "licenseUrl">} metadata
+ * @property {FontLicense} license
+ */
+
+/**
+ * Directory captured font files are kept in
+ *
+ * @returns {string}
+ */
+function fontsDir() {
+  return join(dataDir(), "fonts");
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} pos
+ * @returns {[number, number]} Value and the position after it
+ */
+function readBase128(buffer, pos) {
+  let value = 0;
+  for (let i = 0; i < 5; i++) {
+    const byte = buffer[pos++];
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) return [value, pos];
+  }
+  throw new Error("Invalid UIntBase128");
+}
+
+/**
+ * Read the wanted tables of a TrueType, OpenType, WOFF or WOFF2 font
+ *
+ * @param {Buffer} buffer
+ * @returns {{ format: string, tables: Map<string, Buffer> }}
+ */
+function readTables(buffer) {
+  const signature = buffer.toString("latin1", 0, 4);
+  /** @type {Map<string, Buffer>} */
+  const tables = new Map();
+
+  if (signature === "wOF2") {
+    if (buffer.toString("latin1", 4, 8) === "ttcf") throw new Error("Font collections are not supported");
+    const numTables = buffer.readUInt16BE(12);
+    const compressedSize = buffer.readUInt32BE(20);
+    const entries = [];
+    let pos = 48;
+    for (let i = 0; i < numTables; i++) {
+      const flags = buffer[pos++];
+      let tag = WOFF2_TAGS[flags & 0x3f];
+      if ((flags & 0x3f) === 63) {
+        tag = buffer.toString("latin1", pos, pos + 4);
+        pos += 4;
+      }
+      const version = flags >> 6;
+      let length;
+      [length, pos] = readBase128(buffer, pos);
+      // glyf and loca are transformed unless version 3, every other table unless version 0
+      const transformed = tag === "glyf" || tag === "loca" ? version !== 3 : version !== 0;
+      if (transformed) [length, pos] = readBase128(buffer, pos);
+      entries.push({ tag, length });
+    }
+    const data = brotliDecompressSync(buffer.subarray(pos, pos + compressedSize));
+    let offset = 0;
+    for (const { tag, length } of entries) {
+      if (WANTED_TABLES.includes(tag)) tables.set(tag, data.subarray(offset, offset + length));
+      offset += length;
+    }
+    return { format: "woff2", tables };
+  }
+
+  if (signature === "wOFF") {
+    const numTables = buffer.readUInt16BE(12);
+    for (let i = 0; i < numTables; i++) {
+      const record = 44 + i * 20;
+      const tag = buffer.toString("latin1", record, record + 4);
+      if (!WANTED_TABLES.includes(tag)) continue;
+      const offset = buffer.readUInt32BE(record + 4);
+      const compLength = buffer.readUInt32BE(record + 8);
+      const origLength = buffer.readUInt32BE(record + 12);
+      const table = buffer.subarray(offset, offset + compLength);
+      tables.set(tag, compLength < origLength ? inflateSync(table) : table);
+    }
+    return { format: "woff", tables };
+  }
+
+  const version = buffer.readUInt32BE(0);
+  if (version !== 0x00010000 && signature !== "true" && signature !== "OTTO") throw new Error("Not a font file");
+  const numTables = buffer.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const tag = buffer.toString("latin1", record, record + 4);
+    if (!WANTED_TABLES.includes(tag)) continue;
+    const offset = buffer.readUInt32BE(record + 8);
+    tables.set(tag, buffer.subarray(offset, offset + buffer.readUInt32BE(record + 12)));
+  }
+  return { format: signature === "OTTO" ? "opentype" : "truetype", tables };
+}
+
+/**
+ * Read the name table, preferring Windows English names
+ *
+ * @param {Buffer|undefined} table
+ * @returns {Record<number, string>} Strings by name ID
+ */
+function readNames(table) {
+  /** @type {Record<number, { score: number, value: string }>} */
+  const names = {};
+  if (!table) return {};
+  const count = table.readUInt16BE(2);
+  const stringOffset = table.readUInt16BE(4);
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    const platform = table.readUInt16BE(record);
+    const language = table.readUInt16BE(record + 4);
+    const id = table.readUInt16BE(record + 6);
+    const length = table.readUInt16BE(record + 8);
+    const start = stringOffset + table.readUInt16BE(record + 10);
+    const score = platform === 3 ? (language === 0x409 ? 3 : 2) : platform === 0 ? 2 : platform === 1 && language === 0 ? 1 : 0;
+    if (!score || (names[id] && names[id].score >= score)) continue;
+    const bytes = table.subarray(start, start + length);
+    // Mac Roman names are close enough to Latin-1; everything else is UTF-16BE
+    const value = platform === 1 ? bytes.toString("latin1") : Buffer.from(bytes.subarray(0, length & ~1)).swap16().toString("utf16le");
+    names[id] = { score, value: value.trim() };
+  }
+  return Object.fromEntries(Object.entries(names).map(([id, { value }]) => [id, value]));
+}
+
+/**
+ * Read family, style, weight, variable axes and license fields from a font file
+ *
+ * @param {Buffer} buffer - TrueType, OpenType, WOFF or WOFF2
+ * @returns {FontMetadata|null} Null when it isn't a font this can read
+ */
+export function readFontMetadata(buffer) {
+  try {
+    const { format, tables } = readTables(buffer);
+    const names = readNames(tables.get("name"));
+
+    const os2 = tables.get("OS/2");
+    const fsSelection = os2 && os2.length >= 64 ? os2.readUInt16BE(62) : 0;
+
+    /** @type {FontAxis[]} */
+    const axes = [];
+    const fvar = tables.get("fvar");
+    if (fvar) {
+      const axesOffset = fvar.readUInt16BE(4);
+      const axisCount = fvar.readUInt16BE(8);
+      const axisSize = fvar.readUInt16BE(10);
+      for (let i = 0; i < axisCount; i++) {
+        const record = axesOffset + i * axisSize;
+        axes.push({
+          tag: fvar.toString("latin1", record, record + 4),
+          name: names[fvar.readUInt16BE(record + 18)] || null,
+          min: Math.round((fvar.readInt32BE(record + 4) / 65536) * 100) / 100,
+          default: Math.round((fvar.readInt32BE(record + 8) / 65536) * 100) / 100,
+          max: Math.round((fvar.readInt32BE(record + 12) / 65536) * 100) / 100,
+        });
+      }
+    }
+
+    return {
+      format,
+      family: names[16] || names[1] || null,
+      subfamily: names[17] || names[2] || null,
+      fullName: names[4] || null,
+      postscriptName: names[6] || null,
+      version: names[5] || null,
+      copyright: names[0] || null,
+      manufacturer: names[8] || null,
+      designer: names[9] || null,
+      licenseDescription: names[13] || null,
+      licenseUrl: names[14] || null,
+      weight: os2 ? os2.readUInt16BE(4) : null,
+      italic: Boolean(fsSelection & 1),
+      fsType: os2 ? os2.readUInt16BE(8) : null,
+      axes,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split declarations on semicolons outside parentheses and quotes
+ *
+ * @param {string} body
+ * @returns {string[]}
+ */
+function splitDeclarations(body) {
+  const parts = [];
+  let depth = 0;
+  let quote = "";
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === quote) quote = "";
+    } else if (char === '"' || char === "'") quote = char;
+    else if (char === "(") depth++;
+    else if (char === ")") depth--;
+    else if (char === ";" && depth === 0) {
+      parts.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(body.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the `@font-face` rules of a stylesheet
+ *
+ * @param {string} css
+ * @param {string} base - URL relative `src` URLs resolve against (the stylesheet's)
+ * @returns {FontFace[]}
+ */
+export function parseFontFaceRules(css, base) {
+  /** @type {FontFace[]} */
+  const faces = [];
+  for (const [, body] of css.replace(/\/\*[\s\S]*?\*\//g, "").matchAll(/@font-face\s*\{([^}]*)\}/gi)) {
+    /** @type {Record<string, string>} */
+    const descriptors = {};
+    for (const declaration of splitDeclarations(body)) {
+      const colon = declaration.indexOf(":");
+      if (colon > 0) descriptors[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).trim();
+    }
+    const family = descriptors["font-family"]?.replace(/^["']|["']$/g, "");
+    if (!family) continue;
+
+    const src = [];
+    for (const [, quoted, bare, format] of (descriptors.src || "").matchAll(/url\(\s*(?:["']([^"']+)["']|([^)\s]+))\s*\)(?:\s*format\(\s*["']?([\w-]+)["']?\s*\))?/g)) {
+      const url = quoted || bare;
+      if (url.startsWith("data:")) continue;
+      try {
+        src.push({ url: new URL(url, base).href, format: format || null });
+      } catch {
+        // Unresolvable URL
+      }
+    }
+
+    const weight = (descriptors["font-weight"] || "400").replace(/\bnormal\b/g, "400").replace(/\bbold\b/g, "700");
+    faces.push({
+      family,
+      weight,
+      style: descriptors["font-style"] || "normal",
+      display: descriptors["font-display"] || null,
+      unicodeRange: descriptors["unicode-range"] || null,
+      src,
+    });
+  }
+  return faces;
+}
+
+/**
+ * @param {string} url
+ * @returns {string} google, bunny, fontshare, adobe or self-hosted
+ */
+function fontSource(url) {
+  try {
+    const { hostname } = new URL(url);
+    return FONT_HOSTS.find((host) => host.pattern.test(hostname))?.source || "self-hosted";
+  } catch {
+    return "self-hosted";
+  }
+}
+
+/**
+ * @param {number|null} fsType
+ * @returns {string|null}
+ */
+function embeddingOf(fsType) {
+  if (fsType === null) return null;
+  if (fsType & 0x0008) return "editable";
+  if (fsType & 0x0004) return "preview & print";
+  if (fsType & 0x0002) return "restricted";
+  return "installable";
+}
+
+/**
+ * License hints for a font file, from its name table, embedding bits and where it was served from
+ *
+ * @param {FontMetadata|null} metadata
+ * @param {string} source
+ * @returns {FontLicense}
+ */
+export function fontLicense(metadata, source) {
+  const text = `${metadata?.licenseDescription || ""} ${metadata?.licenseUrl || ""}`;
+  const known = KNOWN_LICENSES.find((license) => license.pattern.test(text));
+  const embedding = embeddingOf(metadata?.fsType ?? null);
+
+  const notes = [];
+  if (source === "google" || source === "bunny") notes.push("Google Fonts catalog: open source (OFL, Apache 2.0 or Ubuntu Font License)");
+  if (source === "fontshare") notes.push("Fontshare: ITF Free Font License, free for commercial use but not for redistribution");
+  if (source === "adobe") notes.push("Adobe Fonts: licensed to the site's Adobe account, not for reuse elsewhere");
+  if (!known && metadata?.licenseDescription) notes.push(metadata.licenseDescription.slice(0, 300));
+  if (embedding === "restricted") notes.push("The font restricts embedding (OS/2 fsType)");
+
+  let redistributable = known ? known.redistributable : null;
+  if (source === "adobe" || source === "fontshare" || embedding === "restricted") redistributable = false;
+  else if (redistributable === null && (source === "google" || source === "bunny")) redistributable = true;
+
+  return { name: known?.name || null, url: metadata?.licenseUrl || null, embedding, redistributable, notes };
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "font";
+}
+
+/**
+ * Families the page's text is set in, lowercased
+ *
+ * @param {Record<string, any>|undefined} typography - `typography` of an extraction result
+ * @returns {Set<string>}
+ */
+function usedFamilies(typography) {
+  const families = new Set();
+  for (const style of typography?.styles || []) {
+    families.add(String(style.family).toLowerCase());
+    for (const fallback of String(style.fallbacks || "").split(",")) families.add(fallback.trim().toLowerCase());
+  }
+  const sources = typography?.sources || {};
+  for (const name of [...(sources.googleFonts || []), ...(sources.bunnyFonts || []), ...(sources.fontshare || [])]) {
+    families.add(String(name).toLowerCase());
+  }
+  for (const font of sources.selfHosted || []) families.add(String(font.name).toLowerCase());
+  families.delete("");
+  return families;
+}
+
+/**
+ * Match captured font files to their `@font-face` rules, read their
+ * metadata and keep the files of the families the page uses
+ *
+ * @param {FontResponse[]} responses - Captured font files
+ * @param {Array<{ css: string, base: string }>} rules - `@font-face` rules of the page's stylesheets, cross-origin ones included
+ * @param {Record<string, any>|undefined} typography - `typography` of the extraction result
+ * @returns {Promise<{ files: FontFile[] }>}
+ */
+export async function buildFontFiles(responses, rules, typography) {
+  const faces = rules.flatMap((rule) => parseFontFaceRules(rule.css, rule.base));
+  /** @type {Map<string, FontFace>} */
+  const faceByUrl = new Map();
+  for (const face of faces) {
+    for (const { url } of face.src) if (!faceByUrl.has(url)) faceByUrl.set(url, face);
+  }
+
+  const used = usedFamilies(typography);
+  /** @type {Map<string, FontFile>} */
+  const files = new Map();
+  await mkdir(fontsDir(), { recursive: true });
+
+  for (const response of responses) {
+    if (response.body.length > MAX_FONT_BYTES || files.size >= MAX_FONT_FILES) continue;
+    const metadata = readFontMetadata(response.body);
+    if (!metadata) continue;
+    const face = faceByUrl.get(response.url);
+    const family = face?.family || metadata.family;
+    // Icon fonts and other families no text is set in are left out
+    if (!family || !used.has(family.toLowerCase())) continue;
+
+    const file = `${createHash("sha256").update(response.body).digest("hex").slice(0, 16)}.${EXTENSIONS[metadata.format]}`;
+    if (files.has(file)) continue;
+    await writeFile(join(fontsDir(), file), response.body);
+
+    const wght = metadata.axes.find((axis) => axis.tag === "wght");
+    const source = fontSource(response.url);
+    const { format, family: _family, weight: _weight, italic, fsType: _fsType, axes, licenseDescription: _description, licenseUrl: _url, ...names } = metadata;
+    files.set(file, {
+      file,
+      name: "",
+      url: response.url,
+      format,
+      bytes: response.body.length,
+      family,
+      weight: face?.weight || (wght ? `${wght.min} ${wght.max}` : String(metadata.weight || 400)),
+      style: face?.style || (italic ? "italic" : "normal"),
+      display: face?.display || null,
+      unicodeRange: face?.unicodeRange || null,
+      source,
+      axes,
+      metadata: names,
+      license: fontLicense(metadata, source),
+    });
+  }
+
+  const list = [...files.values()].sort(
+    (a, b) => a.family.localeCompare(b.family) || parseInt(a.weight) - parseInt(b.weight) || a.style.localeCompare(b.style)
+  );
+  // Bundle names: family-weight-style, numbered when a face is split into unicode-range subsets
+  /** @type {Map<string, number>} */
+  const taken = new Map();
+  for (const font of list) {
+    const stem = `${slugify(font.family)}-${font.weight.replace(/\s+/g, "-")}-${font.style}`;
+    const n = (taken.get(stem) || 0) + 1;
+    taken.set(stem, n);
+    font.name = `${n > 1 ? `${stem}-${n}` : stem}.${EXTENSIONS[font.format]}`;
+  }
+  return { files: list };
+}
+
+/**
+ * Read a captured font file back from the data directory
+ *
+ * @param {string} file - `file` of a captured font
+ * @returns {Buffer}
+ */
+export function readFontFile(file) {
+  if (!STORED_FILE.test(file)) throw new Error(`Invalid font file name "${file}"`);
+  return readFileSync(join(fontsDir(), file));
+}
+
+/**
+ * `@font-face` stylesheet for captured fonts
+ *
+ * @param {FontFile[]} files
+ * @param {string} [dir] - Directory the font files are in, relative to the stylesheet
+ * @returns {string}
+ */
+export function fontFaceCss(files, dir = "fonts") {
+  return files
+    .map((font) => {
+      const lines = [
+        `  font-family: "${font.family}";`,
+        `  font-style: ${font.style};`,
+        `  font-weight: ${font.weight};`,
+        `  font-display: ${font.display || "swap"};`,
+        `  src: url("${dir}/${font.name}") format("${font.format}");`,
+      ];
+      if (font.unicodeRange) lines.push(`  unicode-range: ${font.unicodeRange};`);
+      return `/* ${font.metadata.fullName || font.family}${font.license.name ? ` (${font.license.name})` : ""} */\n@font-face {\n${lines.join("\n")}\n}\n`;
+    })
+    .join("\n");
+}
@@ -0,0 +1,302 @@
+/**
+ * Gradient Tokens
+ *
+ * Node-side half of the gradient collection in `extractColors`. The page
+ * reports every computed `background-image` that contains a gradient, with
+ * how often and where it was used; this module splits the layers, parses
+ * each gradient into its type, geometry and ordered color stops, and merges
+ * gradients that only differ in how they were written (`to bottom` vs
+ * `180deg`, `red` vs `#ff0000`, implicit vs explicit defaults).
+ */
+
+import { parseColor, findColors } from "./color.js";
+
+// Gradients kept in a result
+const MAX_GRADIENTS = 20;
+
+// Element contexts kept per gradient
+const MAX_CONTEXTS = 5;
+
+// `to <side>` directions as angles; corners depend on the box and stay keywords
+const SIDE_ANGLES = /** @type {Record<string, number>} */ ({ top: 0, right: 90, bottom: 180, left: 270 });
+
+// Angle units in degrees
+const ANGLE_UNITS = /** @type {Record<string, number>} */ ({ deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 });
+
+// Positions that mean the center of the box
+const CENTER_POSITIONS = new Set(["center", "center center", "50% 50%", "50%"]);
+
+/**
+ * @typedef {Object} GradientStop
+ * @property {string|null} color - Color as written; null for a transition hint
+ * @property {string|null} normalized - sRGB hex, or null for a transition hint
+ * @property {string|null} position - Length or percentage, null when implicit
+ */
+
+/**
+ * @typedef {Object} Gradient
+ * @property {string} type - linear, radial or conic
+ * @property {boolean} repeating
+ * @property {number|null} [angle] - Linear direction or conic start, in degrees
+ * @property {string|null} [direction] - Linear corner direction ("to top right")
+ * @property {string} [shape] - Radial: circle or ellipse
+ * @property {string} [size] - Radial extent keyword or explicit size
+ * @property {string} [position] - Radial and conic center
+ * @property {string|null} interpolation - Color space ("in oklch"), null for the sRGB default
+ * @property {GradientStop[]} stops - In order, transition hints included
+ * @property {string} css - Canonical CSS
+ * @property {string} value - Layer as first seen in a computed style
+ * @property {string[]} colors - Stop colors as written
+ * @property {number} count - Elements using it
+ * @property {string[]} contexts - Where it was seen ("a.hero-cta", "h1 (text)")
+ */
+
+/**
+ * Split a value on top-level commas
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "(") depth++;
+    else if (value[i] === ")") depth--;
+    else if (value[i] === "," && depth === 0) {
+      parts.push(value.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(value.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * @param {string} value - e.g. "45deg", "0.25turn"
+ * @returns {number|null} Degrees in [0, 360)
+ */
+function parseAngle(value) {
+  const match = value.match(/^(-?[\d.]+)(deg|grad|rad|turn)$/);
+  if (!match) return value === "0" ? 0 : null;
+  const degrees = parseFloat(match[1]) * ANGLE_UNITS[match[2]];
+  return Math.round((((degrees % 360) + 360) % 360) * 100) / 100;
+}
+
+/**
+ * @param {string} position
+ * @returns {string}
+ */
+function normalizePosition(position) {
+  const trimmed = position.replace(/\s+/g, " ").trim();
+  return CENTER_POSITIONS.has(trimmed) ? "center" : trimmed;
+}
+
+/**
+ * Parse a color stop or transition hint
+ *
+ * @param {string} arg
+ * @returns {GradientStop[]|null} One stop, two for a double-position stop, or null if not a stop
+ */
+function parseStop(arg) {
+  const [color] = findColors(arg);
+  if (!color) {
+    return /^-?[\d.]+[a-z%]*$/i.test(arg) ? [{ color: null, normalized: null, position: arg }] : null;
+  }
+  const parsed = parseColor(color);
+  const positions = arg.replace(color, "").trim().split(/\s+/).filter(Boolean);
+  const stop = { color, normalized: parsed?.normalized ?? null };
+  if (positions.length === 0) return [{ ...stop, position: null }];
+  return positions.slice(0, 2).map((position) => ({ ...stop, position }));
+}
+
+/**
+ * Lay out stop positions the way the browser does (CSS Images 3): the first
+ * and last stops default to 0% and 100%, a position below an earlier one is
+ * raised to it, and runs of implicit positions are spread evenly
+ *
+ * @param {Array<number|null>} percents - Null for implicit positions
+ * @returns {number[]}
+ */
+function resolvePositions(percents) {
+  const resolved = [...percents];
+  if (resolved[0] === null) resolved[0] = 0;
+  if (resolved[resolved.length - 1] === null) resolved[resolved.length - 1] = 100;
+  let max = -Infinity;
+  for (let i = 0; i < resolved.length; i++) {
+    const value = resolved[i];
+    if (value !== null) resolved[i] = max = Math.max(max, value);
+  }
+  for (let i = 1; i < resolved.length; i++) {
+    if (resolved[i] !== null) continue;
+    let end = i;
+    while (resolved[end] === null) end++;
+    const from = /** @type {number} */ (resolved[i - 1]);
+    const to = /** @type {number} */ (resolved[end]);
+    for (let j = i; j < end; j++) resolved[j] = from + ((to - from) * (j - i + 1)) / (end - i + 1);
+    i = end;
+  }
+  return /** @type {number[]} */ (resolved);
+}
+
+/**
+ * Drop stop positions that restate the default (`red 0%, blue 100%` is
+ * `red, blue`), one at a time and only when the layout stays the same.
+ * Stops positioned with lengths or around transition hints are kept as written.
+ *
+ * @param {GradientStop[]} stops
+ * @returns {GradientStop[]}
+ */
+function dropDefaultPositions(stops) {
+  const percentOnly = stops.every((stop) => stop.color !== null && (stop.position === null || /^-?[\d.]+%$/.test(stop.position)));
+  if (!percentOnly) return stops;
+
+  const percents = stops.map((stop) => (stop.position === null ? null : parseFloat(stop.position)));
+  const layout = resolvePositions(percents);
+  for (let i = 0; i < percents.length; i++) {
+    if (percents[i] === null) continue;
+    const without = percents.map((percent, j) => (j === i ? null : percent));
+    if (resolvePositions(without).every((position, j) => Math.abs(position - layout[j]) < 0.001)) percents[i] = null;
+  }
+  return stops.map((stop, i) => (percents[i] === null && stop.position !== null ? { ...stop, position: null } : stop));
+}
+
+/**
+ * Parse the geometry prelude of a gradient into `gradient`
+ *
+ * @param {string} type
+ * @param {string} prelude - First argument, e.g. "to right in oklch", "circle at top"
+ * @param {Partial<Gradient>} gradient
+ */
+function parsePrelude(type, prelude, gradient) {
+  let rest = prelude.replace(/\s+/g, " ").trim();
+  const interpolation = rest.match(/\bin [a-z0-9-]+(?: (?:shorter|longer|increasing|decreasing) hue)?/);
+  if (interpolation) {
+    gradient.interpolation = interpolation[0] === "in srgb" ? null : interpolation[0];
+    rest = rest.replace(interpolation[0], "").trim();
+  }
+
+  if (type === "linear") {
+    const direction = rest.match(/^to ((?:top|bottom|left|right)(?: (?:top|bottom|left|right))?)$/);
+    if (direction) {
+      const sides = direction[1].split(" ");
+      gradient.angle = sides.length === 1 ? SIDE_ANGLES[sides[0]] : null;
+      gradient.direction = sides.length === 1 ? null : `to ${direction[1]}`;
+    } else if (rest) {
+      gradient.angle = parseAngle(rest);
+    }
+    return;
+  }
+
+  const [geometry, position] = rest.split(/\bat\b/).map((part) => part.trim());
+  if (position) gradient.position = normalizePosition(position);
+
+  if (type === "conic") {
+    const from = geometry.match(/^from (\S+)$/);
+    if (from) gradient.angle = parseAngle(from[1]);
+    return;
+  }
+
+  const words = geometry.split(" ").filter(Boolean);
+  const size = words.filter((word) => word !== "circle" && word !== "ellipse");
+  if (size.length) gradient.size = size.join(" ");
+  // A single length is only valid for circles
+  const shape = words.find((word) => word === "circle" || word === "ellipse");
+  gradient.shape = shape || (size.length === 1 && !/-(side|corner)$/.test(size[0]) ? "circle" : "ellipse");
+}
+
+/**
+ * Canonical CSS for a parsed gradient: defaults dropped, colors normalized
+ *
+ * @param {Omit<Gradient, "css" | "value" | "colors" | "count" | "contexts">} gradient
+ * @returns {string}
+ */
+function toCss(gradient) {
+  const prelude = [];
+  if (gradient.type === "linear") {
+    if (gradient.direction) prelude.push(gradient.direction);
+    else if (gradient.angle != null && gradient.angle !== 180) prelude.push(`${gradient.angle}deg`);
+  } else if (gradient.type === "radial") {
+    if (gradient.shape === "circle") prelude.push("circle");
+    if (gradient.size && gradient.size !== "farthest-corner") prelude.push(gradient.size);
+  } else if (gradient.angle) {
+    prelude.push(`from ${gradient.angle}deg`);
+  }
+  if (gradient.position && gradient.position !== "center") prelude.push(`at ${gradient.position}`);
+  if (gradient.interpolation) prelude.push(gradient.interpolation);
+
+  const stops = gradient.stops.map((stop) => {
+    if (stop.color === null) return stop.position;
+    // Keep wide-gamut colors as written; the hex would clip them
+    const color = parseColor(stop.color)?.inGamut === false ? stop.color : stop.normalized || stop.color;
+    return stop.position ? `${color} ${stop.position}` : color;
+  });
+
+  const args = [prelude.join(" "), ...stops].filter(Boolean).join(", ");
+  return `${gradient.repeating ? "repeating-" : ""}${gradient.type}-gradient(${args})`;
+}
+
+/**
+ * Parse one gradient function
+ *
+ * @param {string} value - e.g. "linear-gradient(to right, rgb(255, 0, 0), rgb(0, 0, 255) 80%)"
+ * @returns {Omit<Gradient, "value" | "colors" | "count" | "contexts">|null} Null when it isn't a gradient
+ */
+export function parseGradient(value) {
+  const match = value.trim().match(/^(repeating-)?(linear|radial|conic)-gradient\(([\s\S]*)\)$/i);
+  if (!match) return null;
+  const type = match[2].toLowerCase();
+  const args = splitTopLevel(match[3]);
+
+  /** @type {any} */
+  const gradient = { type, repeating: Boolean(match[1]), interpolation: null, stops: [] };
+  if (type === "linear") Object.assign(gradient, { angle: 180, direction: null });
+  if (type === "radial") Object.assign(gradient, { shape: "ellipse", size: "farthest-corner", position: "center" });
+  if (type === "conic") Object.assign(gradient, { angle: 0, position: "center" });
+
+  // Geometry preludes never contain a color
+  if (args[0] && findColors(args[0]).length === 0) parsePrelude(type, args.shift() || "", gradient);
+  for (const arg of args) {
+    const stops = parseStop(arg);
+    if (!stops) return null;
+    gradient.stops.push(...stops);
+  }
+  if (!gradient.stops.some((/** @type {GradientStop} */ stop) => stop.color)) return null;
+  gradient.stops = dropDefaultPositions(gradient.stops);
+
+  gradient.css = toCss(gradient);
+  return gradient;
+}
+
+/**
+ * Build gradient tokens from page usage, merging equivalent gradients
+ *
+ * @param {Array<{ value: string, count: number, contexts: string[] }>} usage - Computed background-image values
+ * @returns {Gradient[]} Most used first
+ */
+export function buildGradients(usage) {
+  /** @type {Map<string, Gradient>} */
+  const merged = new Map();
+  for (const entry of usage) {
+    // One token per gradient layer; url() and other layers are skipped
+    for (const layer of splitTopLevel(entry.value)) {
+      const parsed = parseGradient(layer);
+      if (!parsed) continue;
+      const existing = merged.get(parsed.css);
+      if (existing) {
+        existing.count += entry.count;
+        existing.contexts = [...new Set([...existing.contexts, ...entry.contexts])].slice(0, MAX_CONTEXTS);
+        continue;
+      }
+      merged.set(parsed.css, {
+        ...parsed,
+        value: layer,
+        colors: parsed.stops.flatMap((stop) => (stop.color ? [stop.color] : [])),
+        count: entry.count,
+        contexts: entry.contexts.slice(0, MAX_CONTEXTS),
+      });
+    }
+  }
+  return [...merged.values()].sort((a, b) => b.count - a.count).slice(0, MAX_GRADIENTS);
+}
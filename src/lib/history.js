@@ -0,0 +1,151 @@
+/**
+ * Extraction History
+ *
+ * Persists extraction results as JSON files on disk so they survive a page
+ * refresh. Each result is written to `<dataDir>/extractions/<id>.json`;
+ * `<dataDir>/extractions/index.json` holds the lightweight summaries used for
+ * listing. The data directory defaults to `.designtree/` in the working
+ * directory and can be moved with `DESIGNTREE_DATA_DIR`.
+ */
+
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { randomBytes } from "crypto";
+import { join, resolve } from "path";
+
+const ID_PATTERN = /^[a-z0-9]+-[a-f0-9]{6}$/;
+
+/**
+ * @typedef {Object} ExtractionSummary
+ * @property {string} id
+ * @property {string} url - Extracted URL (after redirects)
+ * @property {string} createdAt - ISO timestamp the record was saved
+ * @property {Record<string, any>} options - Extraction options the result was produced with
+ * @property {{ colors: number, fonts: number, pages?: number }} counts
+ */
+
+/**
+ * @typedef {ExtractionSummary & { result: Record<string, any> }} ExtractionRecord
+ */
+
+// Serializes index updates so concurrent saves (batch extraction) don't drop entries
+let indexLock = Promise.resolve();
+
+/**
+ * Directory all history files live under
+ *
+ * @returns {string}
+ */
+export function dataDir() {
+  return resolve(process.env.DESIGNTREE_DATA_DIR || ".designtree");
+}
+
+/**
+ * @returns {string}
+ */
+function extractionsDir() {
+  return join(dataDir(), "extractions");
+}
+
+/**
+ * Write a file atomically (temp file + rename) so readers never see half a record
+ *
+ * @param {string} path
+ * @param {string} contents
+ */
+export async function writeAtomic(path, contents) {
+  const temp = `${path}.${process.pid}.tmp`;
+  await writeFile(temp, contents);
+  await rename(temp, path);
+}
+
+/**
+ * @returns {Promise<ExtractionSummary[]>} Summaries, newest first
+ */
+async function readIndex() {
+  try {
+    return JSON.parse(await readFile(join(extractionsDir(), "index.json"), "utf8"));
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+/**
+ * Build the listing summary for an extraction result
+ *
+ * @param {Record<string, any>} result
+ * @returns {ExtractionSummary["counts"]}
+ */
+function countTokens(result) {
+  const styles = Array.isArray(result.typography?.styles) ? result.typography.styles : [];
+  const counts = /** @type {ExtractionSummary["counts"]} */ ({
+    colors: result.colors?.palette?.length || 0,
+    fonts: new Set(styles.map((/** @type {any} */ s) => s.family)).size,
+  });
+  if (result.crawl?.pages) counts.pages = result.crawl.pages.length;
+  return counts;
+}
+
+/**
+ * Save an extraction result to the history
+ *
+ * @param {Record<string, any>} result - Output of `extractBranding`
+ * @param {Record<string, any>} [options] - Options the extraction ran with
+ * @returns {Promise<ExtractionSummary>} The stored record's summary
+ */
+export async function saveExtraction(result, options = {}) {
+  const id = `${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`;
+  /** @type {ExtractionSummary} */
+  const summary = {
+    id,
+    url: result.url,
+    createdAt: new Date().toISOString(),
+    options,
+    counts: countTokens(result),
+  };
+
+  const dir = extractionsDir();
+  await mkdir(dir, { recursive: true });
+  await writeAtomic(join(dir, `${id}.json`), JSON.stringify({ ...summary, result }));
+
+  const update = indexLock.then(async () => {
+    const index = await readIndex();
+    index.unshift(summary);
+    await writeAtomic(join(dir, "index.json"), JSON.stringify(index, null, 2));
+  });
+  indexLock = update.catch(() => {});
+  await update;
+
+  return summary;
+}
+
+/**
+ * List stored extractions, newest first
+ *
+ * @param {{ url?: string, limit?: number }} [filter] - Only records whose URL contains `url`; at most `limit` records
+ * @returns {Promise<ExtractionSummary[]>}
+ */
+export async function listExtractions(filter = {}) {
+  let index = await readIndex();
+  if (filter.url) {
+    const needle = filter.url.toLowerCase();
+    index = index.filter((entry) => entry.url?.toLowerCase().includes(needle));
+  }
+  return filter.limit ? index.slice(0, filter.limit) : index;
+}
+
+/**
+ * Load a stored extraction
+ *
+ * @param {string} id
+ * @returns {Promise<ExtractionRecord|null>} The record, or null if no extraction has that id
+ */
+export async function getExtraction(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await readFile(join(extractionsDir(), `${id}.json`), "utf8"));
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT") return null;
+    throw error;
+  }
+}
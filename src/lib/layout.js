@@ -0,0 +1,166 @@
+/**
+ * Layout System
+ *
+ * Node-side summary of the layout samples taken by `extractLayout`: the
+ * page's main container (max-width, rendered width and gutter), the column
+ * counts and column gaps of its grid templates and flex rows, and the
+ * vertical rhythm of its sections. The spacing scale reads its containers
+ * from the same samples (see spacing.js). Samples taken at several viewport
+ * widths (the `viewports` option) give the container and columns per
+ * breakpoint.
+ */
+
+// Grid templates and flex rows kept per viewport
+const MAX_LAYOUTS = 6;
+
+/**
+ * @typedef {Object} LayoutSamples
+ * @property {number} width - Viewport width the samples were taken at
+ * @property {import('./spacing.js').SpacingSample[]} spacing - Margins, paddings and gaps by value
+ * @property {import('./spacing.js').ContainerSample[]} containers - Centered containers
+ * @property {Array<{ columns: number, template: string, columnGap: number, rowGap: number, count: number }>} grids - `display: grid` elements
+ * @property {Array<{ columns: number, gap: number, wrap: boolean, count: number }>} flexRows - Flex rows whose items fill the row
+ * @property {Array<{ paddingTop: number, paddingBottom: number, gap: number|null }>} sections - Page sections, top to bottom; `gap` to the next one
+ * @property {import('./responsive.js').LayoutSignature} signature - Coarse signature for the viewport comparison
+ */
+
+/**
+ * @typedef {Object} SectionRhythm
+ * @property {string|null} padding - Most used vertical padding of a section
+ * @property {string|null} gap - Most used space between two sections
+ * @property {string|null} between - Most used distance from one section's content to the next one's (padding + gap + padding)
+ * @property {number} sections - Sections measured
+ */
+
+/**
+ * @typedef {Object} ViewportLayout
+ * @property {number} width
+ * @property {{ maxWidth: string, width: string, gutter: string|null }|null} container - Most used centered container
+ * @property {Array<{ columns: number, count: number }>} columns - Multi-column layouts by column count, most used first
+ * @property {string|null} gutter - Most used column gap of the multi-column layouts
+ * @property {Array<{ columns: number, template: string, columnGap: string, rowGap: string, count: number }>} grids
+ * @property {Array<{ columns: number, gap: string, wrap: boolean, count: number }>} flexRows
+ * @property {SectionRhythm} rhythm
+ */
+
+/**
+ * @param {number} px
+ * @returns {string}
+ */
+function toPx(px) {
+  return `${px}px`;
+}
+
+/**
+ * Most used value of a weighted list
+ *
+ * @param {Array<[number, number]>} entries - Value and weight
+ * @returns {number|null}
+ */
+function mostUsed(entries) {
+  /** @type {Map<number, number>} */
+  const counts = new Map();
+  for (const [value, weight] of entries) counts.set(value, (counts.get(value) || 0) + weight);
+  const best = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+  return best ? best[0] : null;
+}
+
+/**
+ * Collapse repeated tracks of a computed grid template ("300px 300px 300px" -> "repeat(3, 300px)")
+ *
+ * @param {string} template
+ * @returns {string}
+ */
+export function compactTemplate(template) {
+  const tracks = template.split(/\s+(?![^(]*\))/).filter(Boolean);
+  if (tracks.length > 1 && tracks.every((track) => track === tracks[0])) return `repeat(${tracks.length}, ${tracks[0]})`;
+  return tracks.join(" ");
+}
+
+/**
+ * @param {LayoutSamples["sections"]} sections
+ * @returns {SectionRhythm}
+ */
+function sectionRhythm(sections) {
+  /** @type {Array<[number, number]>} */
+  const paddings = [];
+  /** @type {Array<[number, number]>} */
+  const gaps = [];
+  /** @type {Array<[number, number]>} */
+  const between = [];
+  sections.forEach((section, i) => {
+    if (section.paddingTop > 0) paddings.push([section.paddingTop, 1]);
+    if (section.paddingBottom > 0) paddings.push([section.paddingBottom, 1]);
+    const next = sections[i + 1];
+    if (section.gap === null || !next) return;
+    gaps.push([section.gap, 1]);
+    between.push([section.paddingBottom + section.gap + next.paddingTop, 1]);
+  });
+  const padding = mostUsed(paddings);
+  const gap = mostUsed(gaps);
+  const distance = mostUsed(between);
+  return {
+    padding: padding === null ? null : toPx(padding),
+    gap: gap === null ? null : toPx(gap),
+    between: distance === null ? null : toPx(distance),
+    sections: sections.length,
+  };
+}
+
+/**
+ * Summarize the layout samples of one viewport width
+ *
+ * @param {LayoutSamples} samples
+ * @returns {ViewportLayout}
+ */
+function summarizeViewport(samples) {
+  const container = [...samples.containers].sort((a, b) => b.count - a.count || b.width - a.width)[0];
+
+  const layouts = [
+    ...samples.grids.map((grid) => ({ columns: grid.columns, gap: grid.columnGap, count: grid.count })),
+    ...samples.flexRows.map((row) => ({ columns: row.columns, gap: row.gap, count: row.count })),
+  ].filter((layout) => layout.columns > 1);
+
+  /** @type {Map<number, number>} */
+  const columnCounts = new Map();
+  for (const layout of layouts) columnCounts.set(layout.columns, (columnCounts.get(layout.columns) || 0) + layout.count);
+  const gutter = mostUsed(layouts.filter((layout) => layout.gap > 0).map((layout) => [layout.gap, layout.count]));
+
+  return {
+    width: samples.width,
+    container: container
+      ? { maxWidth: toPx(container.maxWidth), width: toPx(container.width), gutter: container.gutter > 0 ? toPx(container.gutter) : null }
+      : null,
+    columns: [...columnCounts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0]).map(([columns, count]) => ({ columns, count })),
+    gutter: gutter === null ? null : toPx(gutter),
+    grids: [...samples.grids]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_LAYOUTS)
+      .map((grid) => ({ columns: grid.columns, template: compactTemplate(grid.template), columnGap: toPx(grid.columnGap), rowGap: toPx(grid.rowGap), count: grid.count })),
+    flexRows: [...samples.flexRows]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_LAYOUTS)
+      .map((row) => ({ columns: row.columns, gap: toPx(row.gap), wrap: row.wrap, count: row.count })),
+    rhythm: sectionRhythm(samples.sections),
+  };
+}
+
+/**
+ * Build the layout system of a page from its samples at one or more viewport widths
+ *
+ * @param {LayoutSamples[]} snapshots
+ * @returns {{ container: ViewportLayout["container"], columns: ViewportLayout["columns"], gutter: string|null, rhythm: SectionRhythm, viewports: ViewportLayout[] }} The widest viewport's layout, and every viewport's, narrowest first
+ */
+export function buildLayout(snapshots) {
+  // One snapshot per width (the viewport matrix can include the default width)
+  const byWidth = new Map(snapshots.map((snapshot) => [snapshot.width, snapshot]));
+  const viewports = [...byWidth.values()].sort((a, b) => a.width - b.width).map(summarizeViewport);
+  const widest = viewports[viewports.length - 1];
+  return {
+    container: widest?.container ?? null,
+    columns: widest?.columns ?? [],
+    gutter: widest?.gutter ?? null,
+    rhythm: widest?.rhythm ?? { padding: null, gap: null, between: null, sections: 0 },
+    viewports,
+  };
+}
@@ -0,0 +1,480 @@
+/**
+ * Scheduled Monitoring
+ *
+ * Re-extracts registered URLs on a cron schedule, diffs every run against
+ * the monitor's previous stored result and POSTs a summary to the monitor's
+ * webhook when the changes cross its thresholds (new colors, a shifted
+ * primary color, new font families).
+ *
+ * Monitors are stored in `<dataDir>/monitors.json`; each run's extraction is
+ * saved to the regular extraction history.
+ */
+
+import { mkdir, readFile } from "fs/promises";
+import { randomBytes } from "crypto";
+import { join } from "path";
+import chalk from "chalk";
+import { extractBranding, launchBrowser, resolveExtractOptions } from "./extractors.js";
+import { dataDir, getExtraction, saveExtraction, writeAtomic } from "./history.js";
+import { diffExtractions } from "./diff.js";
+import { toHex, deltaE } from "./color.js";
+import { parseCron, matchesCron, nextCronRun } from "./cron.js";
+import { createSilentSpinner } from "./spinner.js";
+import { normalizeUrl } from "./url.js";
+
+/** Thresholds used for any the monitor doesn't set; 0 disables a check */
+export const DEFAULT_THRESHOLDS = {
+  newColors: 1,
+  primaryColorDeltaE: 5,
+  newFontFamilies: 1,
+};
+
+const WEBHOOK_TIMEOUT = 10000;
+
+/**
+ * @typedef {Object} MonitorThresholds
+ * @property {number} newColors - Minimum number of new palette colors
+ * @property {number} primaryColorDeltaE - Minimum delta-E shift of the primary color
+ * @property {number} newFontFamilies - Minimum number of new font families
+ */
+
+/**
+ * @typedef {Object} MonitorRun
+ * @property {string} at - ISO timestamp the run finished
+ * @property {"baseline"|"unchanged"|"changed"|"failed"} status
+ * @property {string} [extractionId] - Saved extraction produced by the run
+ * @property {string} [previousExtractionId] - Extraction the run was compared with
+ * @property {Array<Record<string, any>>} [triggers] - Threshold checks that fired
+ * @property {{ status?: number, error?: string }} [webhook] - Delivery outcome, when a webhook was called
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} Monitor
+ * @property {string} id
+ * @property {string} url
+ * @property {string} schedule - Cron expression
+ * @property {string|null} webhook - URL notified when thresholds are crossed
+ * @property {MonitorThresholds} thresholds
+ * @property {Record<string, any>} options - Extraction options (see `resolveExtractOptions`)
+ * @property {boolean} enabled
+ * @property {string} createdAt
+ * @property {MonitorRun|null} lastRun
+ */
+
+// Serializes writes to monitors.json
+let storeLock = Promise.resolve();
+
+// Runs go through one queue so scheduled extractions never pile up browsers
+let runQueue = Promise.resolve();
+const queued = new Set();
+
+/**
+ * @returns {string}
+ */
+function monitorsPath() {
+  return join(dataDir(), "monitors.json");
+}
+
+/**
+ * @returns {Promise<Monitor[]>}
+ */
+async function readMonitors() {
+  try {
+    return JSON.parse(await readFile(monitorsPath(), "utf8"));
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+/**
+ * Apply `change` to the stored monitor list under the store lock
+ *
+ * @template T
+ * @param {(monitors: Monitor[]) => T} change - Mutates the list in place
+ * @returns {Promise<T>}
+ */
+async function updateMonitors(change) {
+  const update = storeLock.then(async () => {
+    const monitors = await readMonitors();
+    const value = change(monitors);
+    await mkdir(dataDir(), { recursive: true });
+    await writeAtomic(monitorsPath(), JSON.stringify(monitors, null, 2));
+    return value;
+  });
+  storeLock = update.then(
+    () => {},
+    () => {}
+  );
+  return update;
+}
+
+/**
+ * Check monitor fields, returning a message for the first invalid one
+ *
+ * @param {Record<string, any>} input - Fields to create or update a monitor with
+ * @param {boolean} [partial] - Only validate the fields present (updates)
+ * @returns {string|null} Error message, or null if the input is valid
+ */
+export function validateMonitorInput(input, partial = false) {
+  if (!input || typeof input !== "object") return "Monitor must be a JSON object";
+
+  if (!partial || input.url !== undefined) {
+    if (!normalizeUrl(input.url)) return "url must be a valid URL";
+  }
+  if (!partial || input.schedule !== undefined) {
+    try {
+      parseCron(input.schedule);
+    } catch (error) {
+      return /** @type {Error} */ (error).message;
+    }
+  }
+  if (input.webhook != null && input.webhook !== "") {
+    let webhook;
+    try {
+      webhook = new URL(input.webhook);
+    } catch {
+      return "webhook must be a valid http(s) URL";
+    }
+    if (!["http:", "https:"].includes(webhook.protocol)) return "webhook must be a valid http(s) URL";
+  }
+  if (input.thresholds !== undefined) {
+    if (!input.thresholds || typeof input.thresholds !== "object") return "thresholds must be an object";
+    for (const [key, value] of Object.entries(input.thresholds)) {
+      if (!(key in DEFAULT_THRESHOLDS)) return `Unknown threshold "${key}"`;
+      if (typeof value !== "number" || !(value >= 0)) return `Threshold "${key}" must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * List all monitors with their next scheduled run
+ *
+ * @returns {Promise<Array<Monitor & { nextRunAt: string|null }>>}
+ */
+export async function listMonitors() {
+  const monitors = await readMonitors();
+  return monitors.map((monitor) => ({ ...monitor, nextRunAt: nextRunOf(monitor) }));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<(Monitor & { nextRunAt: string|null })|null>}
+ */
+export async function getMonitor(id) {
+  const monitor = (await readMonitors()).find((m) => m.id === id);
+  return monitor ? { ...monitor, nextRunAt: nextRunOf(monitor) } : null;
+}
+
+/**
+ * @param {Monitor} monitor
+ * @returns {string|null}
+ */
+function nextRunOf(monitor) {
+  if (!monitor.enabled) return null;
+  try {
+    return nextCronRun(parseCron(monitor.schedule))?.toISOString() || null;
+  } catch {
+    // Saved before its schedule was rejected as never firing
+    return null;
+  }
+}
+
+/**
+ * Register a URL for scheduled extraction
+ *
+ * @param {Record<string, any>} input - `url`, `schedule`, optional `webhook`, `thresholds`, `options`, `enabled`
+ * @returns {Promise<Monitor>}
+ * @throws {Error} If the input is invalid
+ */
+export async function createMonitor(input) {
+  const invalid = validateMonitorInput(input);
+  if (invalid) throw new Error(invalid);
+
+  /** @type {Monitor} */
+  const monitor = {
+    id: `mon-${randomBytes(4).toString("hex")}`,
+    url: /** @type {string} */ (normalizeUrl(input.url)),
+    schedule: parseCron(input.schedule).expression,
+    webhook: input.webhook || null,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...input.thresholds },
+    options: resolveExtractOptions(input.options),
+    enabled: input.enabled !== false,
+    createdAt: new Date().toISOString(),
+    lastRun: null,
+  };
+
+  await updateMonitors((monitors) => monitors.push(monitor));
+  return monitor;
+}
+
+/**
+ * Update a monitor's settings
+ *
+ * @param {string} id
+ * @param {Record<string, any>} input - Any of `url`, `schedule`, `webhook`, `thresholds`, `options`, `enabled`
+ * @returns {Promise<Monitor|null>} Updated monitor, or null if it doesn't exist
+ * @throws {Error} If the input is invalid
+ */
+export async function updateMonitor(id, input) {
+  const invalid = validateMonitorInput(input, true);
+  if (invalid) throw new Error(invalid);
+
+  return updateMonitors((monitors) => {
+    const monitor = monitors.find((m) => m.id === id);
+    if (!monitor) return null;
+
+    if (input.url !== undefined) monitor.url = /** @type {string} */ (normalizeUrl(input.url));
+    if (input.schedule !== undefined) monitor.schedule = parseCron(input.schedule).expression;
+    if (input.webhook !== undefined) monitor.webhook = input.webhook || null;
+    if (input.thresholds !== undefined) monitor.thresholds = { ...monitor.thresholds, ...input.thresholds };
+    if (input.options !== undefined) monitor.options = resolveExtractOptions(input.options);
+    if (input.enabled !== undefined) monitor.enabled = Boolean(input.enabled);
+    return monitor;
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether a monitor was removed
+ */
+export async function deleteMonitor(id) {
+  return updateMonitors((monitors) => {
+    const index = monitors.findIndex((m) => m.id === id);
+    if (index === -1) return false;
+    monitors.splice(index, 1);
+    return true;
+  });
+}
+
+/**
+ * Primary brand color of a result: the semantic primary, else the most used palette color
+ *
+ * @param {Record<string, any>} result
+ * @returns {string|null}
+ */
+function primaryColorOf(result) {
+  return toHex(result.colors?.semantic?.primary) || toHex(result.colors?.palette?.[0]?.normalized);
+}
+
+/**
+ * Check a diff against a monitor's thresholds
+ *
+ * @param {Record<string, any>} diff - Output of `diffExtractions`
+ * @param {Record<string, any>} before - Previous result
+ * @param {Record<string, any>} after - New result
+ * @param {MonitorThresholds} thresholds
+ * @returns {Array<Record<string, any>>} One entry per threshold that was crossed
+ */
+export function evaluateThresholds(diff, before, after, thresholds) {
+  const triggers = [];
+
+  const newColors = diff.colors.added.map((/** @type {any} */ c) => c.hex);
+  if (thresholds.newColors > 0 && newColors.length >= thresholds.newColors) {
+    triggers.push({ type: "new-colors", count: newColors.length, colors: newColors });
+  }
+
+  const primaryBefore = primaryColorOf(before);
+  const primaryAfter = primaryColorOf(after);
+  if (thresholds.primaryColorDeltaE > 0 && primaryBefore && primaryAfter && primaryBefore !== primaryAfter) {
+    const distance = Math.round(deltaE(primaryBefore, primaryAfter) * 10) / 10;
+    if (distance >= thresholds.primaryColorDeltaE) {
+      triggers.push({ type: "primary-color-changed", before: primaryBefore, after: primaryAfter, deltaE: distance });
+    }
+  }
+
+  const newFamilies = diff.fontFamilies.added;
+  if (thresholds.newFontFamilies > 0 && newFamilies.length >= thresholds.newFontFamilies) {
+    triggers.push({ type: "new-font-families", count: newFamilies.length, families: newFamilies });
+  }
+
+  return triggers;
+}
+
+/**
+ * POST a change summary to a webhook
+ *
+ * @param {string} webhook
+ * @param {Record<string, any>} payload
+ * @returns {Promise<{ status?: number, error?: string }>}
+ */
+async function notifyWebhook(webhook, payload) {
+  try {
+    const response = await fetch(webhook, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "User-Agent": "DesignTree-Monitor" },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+    });
+    return response.ok
+      ? { status: response.status }
+      : { status: response.status, error: `Webhook responded with ${response.status}` };
+  } catch (error) {
+    return { error: /** @type {Error} */ (error).message };
+  }
+}
+
+/**
+ * Run a monitor's extraction in its own browser
+ *
+ * @param {Monitor} monitor
+ * @returns {Promise<Record<string, any>>}
+ */
+async function extractForMonitor(monitor) {
+  const browser = await launchBrowser();
+  try {
+    return await extractBranding(monitor.url, createSilentSpinner(), browser, {
+      navigationTimeout: 90000,
+      ...monitor.options,
+      techStack: true,
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Extract a monitor's URL now, compare with its previous run and notify the
+ * webhook if thresholds are crossed. Runs are queued one at a time.
+ *
+ * @param {string} id
+ * @param {(monitor: Monitor) => Promise<Record<string, any>>} [extract] - Extraction step (defaults to a fresh browser + `extractBranding`)
+ * @returns {Promise<MonitorRun|null>} The run, or null if the monitor doesn't exist
+ */
+export function runMonitor(id, extract = extractForMonitor) {
+  const run = runQueue.then(() => executeRun(id, extract));
+  runQueue = run.then(
+    () => {},
+    () => {}
+  );
+  return run;
+}
+
+/**
+ * @param {string} id
+ * @param {(monitor: Monitor) => Promise<Record<string, any>>} extract
+ * @returns {Promise<MonitorRun|null>}
+ */
+async function executeRun(id, extract) {
+  const monitor = (await readMonitors()).find((m) => m.id === id);
+  if (!monitor) return null;
+
+  /** @type {MonitorRun} */
+  let run;
+  try {
+    const result = await extract(monitor);
+    const saved = await saveExtraction(result, { ...monitor.options, monitorId: monitor.id });
+
+    const previous = monitor.lastRun?.extractionId ? await getExtraction(monitor.lastRun.extractionId) : null;
+
+    if (!previous) {
+      run = { at: new Date().toISOString(), status: "baseline", extractionId: saved.id };
+    } else {
+      const diff = diffExtractions({ id: previous.id, ...previous.result }, { id: saved.id, ...result });
+      const triggers = evaluateThresholds(diff, previous.result, result, monitor.thresholds);
+
+      run = {
+        at: new Date().toISOString(),
+        status: triggers.length > 0 ? "changed" : "unchanged",
+        extractionId: saved.id,
+        previousExtractionId: previous.id,
+        triggers,
+      };
+
+      if (triggers.length > 0 && monitor.webhook) {
+        run.webhook = await notifyWebhook(monitor.webhook, {
+          event: "tokens.changed",
+          monitor: { id: monitor.id, url: monitor.url, schedule: monitor.schedule },
+          extractionId: saved.id,
+          previousExtractionId: previous.id,
+          extractedAt: result.extractedAt,
+          triggers,
+          summary: diff.summary,
+          changes: {
+            colors: { added: diff.colors.added, removed: diff.colors.removed, changed: diff.colors.changed },
+            semanticColors: diff.semanticColors.changed,
+            fontFamilies: { added: diff.fontFamilies.added, removed: diff.fontFamilies.removed },
+          },
+        });
+      }
+    }
+  } catch (error) {
+    run = { at: new Date().toISOString(), status: "failed", error: /** @type {Error} */ (error).message };
+  }
+
+  // A failed run keeps the last good extraction as the comparison baseline
+  await updateMonitors((monitors) => {
+    const stored = monitors.find((m) => m.id === id);
+    if (!stored) return;
+    stored.lastRun =
+      run.status === "failed" && monitor.lastRun?.extractionId
+        ? { ...run, extractionId: monitor.lastRun.extractionId }
+        : run;
+  });
+
+  return run;
+}
+
+/**
+ * Start checking monitor schedules once a minute. Safe to call more than
+ * once (e.g. on dev server reloads); only the first call starts a timer.
+ *
+ * @returns {boolean} Whether a scheduler was started by this call
+ */
+export function startMonitorScheduler() {
+  const state = /** @type {Record<string, any>} */ (globalThis);
+  if (state.__designtreeMonitorScheduler) return false;
+
+  // Minute last checked, so a timer that fires early can't match a minute twice
+  let lastMinute = -1;
+
+  const tick = async () => {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / 60000);
+    if (minute === lastMinute) return;
+    lastMinute = minute;
+
+    let monitors;
+    try {
+      monitors = await readMonitors();
+    } catch (error) {
+      console.error("Monitor scheduler error:", error);
+      return;
+    }
+
+    for (const monitor of monitors) {
+      if (!monitor.enabled || queued.has(monitor.id)) continue;
+      try {
+        if (!matchesCron(parseCron(monitor.schedule), now)) continue;
+      } catch {
+        continue;
+      }
+
+      queued.add(monitor.id);
+      runMonitor(monitor.id)
+        .then((run) => {
+          if (!run) return;
+          const color = run.status === "failed" ? "#FF5555" : run.status === "changed" ? "#FFB86C" : "#50FA7B";
+          console.log(chalk.hex(color)(`  Monitor ${monitor.id} (${monitor.url}): ${run.status}${run.error ? ` - ${run.error}` : ""}`));
+        })
+        // Reading or writing monitors.json can still fail outside the run's own error handling
+        .catch((error) => console.error(`Monitor ${monitor.id} run error:`, error))
+        .finally(() => queued.delete(monitor.id));
+    }
+  };
+
+  // Every tick is timed to the start of the next minute (an interval drifts off it)
+  const schedule = () => {
+    const timeout = setTimeout(() => {
+      schedule();
+      tick();
+    }, 60000 - (Date.now() % 60000));
+    timeout.unref?.();
+  };
+  schedule();
+
+  state.__designtreeMonitorScheduler = true;
+  return true;
+}
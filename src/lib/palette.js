@@ -0,0 +1,229 @@
+/**
+ * Palette Building and Merging
+ *
+ * Node-side half of `extractColors`: turns the raw color usage collected in
+ * the page into palette entries (parsed with color.js, so every CSS color
+ * syntax groups with its equivalents), deduplicates them perceptually, and
+ * folds in dark-mode, mobile and hover/focus colors. Comparisons use
+ * delta-E 2000 against a caller-supplied threshold; colors whose alpha
+ * differs are never merged.
+ */
+
+import { parseColor, normalizeColor, toLab, ciede2000 } from "./color.js";
+
+// Alpha difference under which two colors can still be the same token
+const ALPHA_TOLERANCE = 0.05;
+
+/**
+ * @typedef {Object} PaletteColor
+ * @property {string} color - First seen representation, in the space it was written in
+ * @property {string} normalized - sRGB hex (`#rrggbbaa` when translucent) used for comparisons
+ * @property {number} count
+ * @property {string} confidence
+ * @property {string[]} sources
+ * @property {number} alpha - 0-1
+ * @property {string} space - Color space of `color` (srgb, hsl, oklch, display-p3, ...)
+ * @property {boolean} wideGamut - `color` lies outside sRGB; `normalized` is its gamut-mapped fallback
+ * @property {string} [source] - Extraction pass that contributed the color (dark-mode, mobile, hover/focus)
+ * @property {string[]} [variables] - Custom properties resolving to this color, aliases first
+ * @property {number} [area] - Share of the page screenshot it covers, in % (visual pass only)
+ */
+
+/**
+ * @typedef {Object} ColorUsage
+ * @property {string} color - Color as read from computed styles
+ * @property {number} count - Elements using it
+ * @property {number} score - Summed context score of those elements
+ * @property {string[]} sources - Context hints (class names) it was seen on
+ */
+
+/**
+ * @typedef {{ lab: import('./color.js').Lab|null, alpha: number }} ColorKey
+ */
+
+/**
+ * Comparison key of a palette entry; `lab` is null for values that aren't colors
+ *
+ * @param {{ normalized?: string, color?: string, alpha?: number }} entry
+ * @returns {ColorKey}
+ */
+function keyOf(entry) {
+  const value = [entry.color, entry.normalized].find((candidate) => parseColor(candidate));
+  return {
+    lab: value ? toLab(value) : null,
+    alpha: entry.alpha ?? parseColor(value)?.alpha ?? 1,
+  };
+}
+
+/**
+ * @param {ColorKey} a
+ * @param {ColorKey} b
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function isSimilar(a, b, threshold) {
+  if (!a.lab || !b.lab) return false;
+  return Math.abs(a.alpha - b.alpha) <= ALPHA_TOLERANCE && ciede2000(a.lab, b.lab) < threshold;
+}
+
+/**
+ * Build a palette entry for a color
+ *
+ * @param {string} color - Any CSS color
+ * @param {{ count: number, confidence: string, sources: string[] }} stats
+ * @returns {PaletteColor|null} Null if the value isn't a color or is fully transparent
+ */
+export function toPaletteColor(color, stats) {
+  const parsed = parseColor(color);
+  if (!parsed || parsed.alpha === 0) return null;
+  return {
+    color,
+    normalized: parsed.normalized,
+    ...stats,
+    alpha: parsed.alpha,
+    space: parsed.space,
+    wideGamut: !parsed.inGamut,
+  };
+}
+
+/**
+ * Group raw color usage by normalized color and keep the significant ones:
+ * used at least 3 times (or on 1% of elements), and not structural
+ * scaffolding (on >40% of elements with little semantic context).
+ *
+ * @param {ColorUsage[]} usage
+ * @param {number} totalElements - Elements scanned on the page
+ * @returns {PaletteColor[]} Sorted by count, descending
+ */
+export function buildPalette(usage, totalElements) {
+  /** @type {Map<string, { color: string, count: number, score: number, sources: Set<string> }>} */
+  const groups = new Map();
+  for (const entry of usage) {
+    const normalized = normalizeColor(entry.color);
+    if (!normalized) continue;
+    const group = groups.get(normalized);
+    if (group) {
+      group.count += entry.count;
+      group.score += entry.score;
+      entry.sources.forEach((source) => group.sources.add(source));
+    } else {
+      groups.set(normalized, { ...entry, sources: new Set(entry.sources) });
+    }
+  }
+
+  const minCount = Math.max(3, Math.floor(totalElements * 0.01));
+  /** @param {{ count: number, score: number }} group */
+  const isStructural = (group) =>
+    (group.count / totalElements) * 100 > 40 && group.score < group.count * 1.2;
+
+  return [...groups.values()]
+    .filter((group) => group.count >= minCount && !isStructural(group))
+    .map((group) =>
+      toPaletteColor(group.color, {
+        count: group.count,
+        confidence: group.score > 20 ? "high" : group.score > 5 ? "medium" : "low",
+        sources: Array.from(group.sources).slice(0, 3),
+      })
+    )
+    .filter((color) => color !== null)
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Merge visually similar palette colors. Colors are visited most used
+ * first; each absorbs the later colors within `threshold` of it, and the
+ * most used variant of the group is kept.
+ *
+ * @template {PaletteColor} T
+ * @param {T[]} palette - Sorted by count, descending
+ * @param {number} threshold - Delta-E 2000 under which colors merge
+ * @param {(kept: T, absorbed: T) => void} [combine] - Folds each absorbed color into the kept one (e.g. sums usage across pages)
+ * @returns {T[]}
+ */
+export function dedupePalette(palette, threshold, combine) {
+  const keys = palette.map(keyOf);
+  const merged = new Set();
+  /** @type {T[]} */
+  const deduped = [];
+
+  palette.forEach((color, index) => {
+    if (merged.has(index)) return;
+
+    const similar = [color];
+    for (let i = index + 1; i < palette.length; i++) {
+      if (merged.has(i)) continue;
+      if (isSimilar(keys[index], keys[i], threshold)) {
+        similar.push(palette[i]);
+        merged.add(i);
+      }
+    }
+
+    const [kept, ...absorbed] = similar.sort((a, b) => b.count - a.count);
+    if (combine) absorbed.forEach((color) => combine(kept, color));
+    deduped.push(kept);
+  });
+
+  return deduped;
+}
+
+/**
+ * Drop CSS variables whose color is already in the palette (or within
+ * `threshold` of a palette color), and keep only the first variable name
+ * for each distinct value.
+ *
+ * @param {Record<string, string>} cssVariables - Variable name -> value
+ * @param {PaletteColor[]} palette - Deduplicated palette
+ * @param {number} threshold - Delta-E 2000 under which a variable duplicates a palette color
+ * @returns {Record<string, string>}
+ */
+export function dedupeCssVariables(cssVariables, palette, threshold) {
+  const paletteKeys = palette.map(keyOf);
+  const seen = new Set();
+  /** @type {Record<string, string>} */
+  const filtered = {};
+
+  for (const [prop, value] of Object.entries(cssVariables)) {
+    const normalized = normalizeColor(value);
+    const key = normalized || value.toLowerCase();
+    if (seen.has(key)) continue;
+    if (normalized) {
+      const variableKey = keyOf({ color: value });
+      if (paletteKeys.some((paletteKey) => isSimilar(variableKey, paletteKey, threshold))) continue;
+    }
+
+    seen.add(key);
+    filtered[prop] = value;
+  }
+
+  return filtered;
+}
+
+/**
+ * Add colors from another extraction pass to a palette, skipping any within
+ * `threshold` of a color already present
+ *
+ * @param {PaletteColor[]} palette
+ * @param {PaletteColor[]} extra - Colors from the additional pass
+ * @param {string} source - Recorded on each added color
+ * @param {number} threshold - Delta-E 2000 under which a color counts as already present
+ * @returns {{ palette: PaletteColor[], added: number }} Merged palette and how many colors were new
+ */
+export function mergePalette(palette, extra, source, threshold) {
+  const merged = [...palette];
+  const keys = merged.map(keyOf);
+  let added = 0;
+
+  for (const color of extra) {
+    const key = keyOf(color);
+    const duplicate = key.lab
+      ? keys.some((existing) => isSimilar(key, existing, threshold))
+      : merged.some((existing) => existing.normalized === color.normalized);
+    if (duplicate) continue;
+
+    merged.push({ ...color, source });
+    keys.push(key);
+    added++;
+  }
+
+  return { palette: merged, added };
+}
@@ -0,0 +1,155 @@
+/**
+ * PNG Decoder
+ *
+ * Minimal pure-JS PNG decoder for the screenshots Playwright takes, so the
+ * visual color pass needs nothing beyond Node's zlib. Handles every
+ * non-interlaced PNG: grayscale, RGB, palette, gray + alpha and RGBA, at
+ * any legal bit depth. 16-bit channels are reduced to 8 bits; transparency
+ * chunks are honored for palette images only.
+ */
+
+import { inflateSync } from "zlib";
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Channels per pixel by color type
+const CHANNELS = /** @type {Record<number, number>} */ ({ 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 });
+
+/**
+ * @typedef {Object} DecodedImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} data - RGBA, 4 bytes per pixel, row by row
+ */
+
+/**
+ * Paeth predictor (PNG spec, filter type 4)
+ *
+ * @param {number} a - Left
+ * @param {number} b - Above
+ * @param {number} c - Upper left
+ * @returns {number}
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG file
+ *
+ * @param {Uint8Array} buffer - PNG file contents
+ * @returns {DecodedImage}
+ */
+export function decodePNG(buffer) {
+  if (!SIGNATURE.every((byte, i) => buffer[i] === byte)) {
+    throw new Error("Not a PNG file");
+  }
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  /** @type {Uint8Array|null} */
+  let palette = null;
+  /** @type {Uint8Array|null} */
+  let transparency = null;
+  /** @type {Uint8Array[]} */
+  const idat = [];
+
+  for (let offset = 8; offset + 8 <= buffer.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...buffer.subarray(offset + 4, offset + 8));
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12; // length, type, data, CRC
+
+    if (type === "IHDR") {
+      width = view.getUint32(chunk.byteOffset - buffer.byteOffset);
+      height = view.getUint32(chunk.byteOffset - buffer.byteOffset + 4);
+      [bitDepth, colorType] = [chunk[8], chunk[9]];
+      if (chunk[12] !== 0) throw new Error("Interlaced PNGs are not supported");
+      if (!(colorType in CHANNELS)) throw new Error(`Unknown PNG color type ${colorType}`);
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+  if (!width || !height) throw new Error("PNG has no image header");
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3); // filter distance
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const data = new Uint8Array(width * height * 4);
+  const maxValue = (1 << bitDepth) - 1;
+
+  let previous = new Uint8Array(stride);
+  let current = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const start = y * (stride + 1);
+    const filter = raw[start];
+    for (let i = 0; i < stride; i++) {
+      const x = raw[start + 1 + i];
+      const a = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const b = previous[i];
+      const c = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let value = x;
+      if (filter === 1) value = x + a;
+      else if (filter === 2) value = x + b;
+      else if (filter === 3) value = x + ((a + b) >> 1);
+      else if (filter === 4) value = x + paeth(a, b, c);
+      current[i] = value & 0xff;
+    }
+
+    /**
+     * Sample `n` of pixel `px`, scaled to 0-255
+     *
+     * @param {number} px
+     * @param {number} n
+     * @returns {number}
+     */
+    const sample = (px, n) => {
+      if (bitDepth === 8) return current[px * channels + n];
+      if (bitDepth === 16) return current[(px * channels + n) * 2];
+      const bit = (px * channels + n) * bitDepth;
+      const value = (current[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+      return colorType === 3 ? value : Math.round((value * 255) / maxValue);
+    };
+
+    for (let px = 0; px < width; px++) {
+      const out = (y * width + px) * 4;
+      if (colorType === 3) {
+        const index = sample(px, 0);
+        data[out] = palette?.[index * 3] ?? 0;
+        data[out + 1] = palette?.[index * 3 + 1] ?? 0;
+        data[out + 2] = palette?.[index * 3 + 2] ?? 0;
+        data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = sample(px, 0);
+        data[out] = data[out + 1] = data[out + 2] = gray;
+        data[out + 3] = colorType === 4 ? sample(px, 1) : 255;
+      } else {
+        data[out] = sample(px, 0);
+        data[out + 1] = sample(px, 1);
+        data[out + 2] = sample(px, 2);
+        data[out + 3] = colorType === 6 ? sample(px, 3) : 255;
+      }
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  return { width, height, data };
+}
@@ -0,0 +1,32 @@
+/**
+ * Concurrency-limited job runner
+ */
+
+/**
+ * Run `worker` over every item with at most `concurrency` jobs in flight.
+ * Jobs are started in order; a rejected job does not stop the others.
+ *
+ * @template T
+ * @param {T[]} items - Job inputs
+ * @param {number} concurrency - Maximum number of jobs running at once
+ * @param {(item: T, index: number) => Promise<void>} worker - Job to run for each item
+ * @param {AbortSignal} [signal] - Stops scheduling new jobs once aborted
+ * @returns {Promise<void>} Resolves once every started job has settled
+ */
+export async function runWithConcurrency(items, concurrency, worker, signal) {
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      try {
+        await worker(items[index], index);
+      } catch {
+        // Workers report their own failures
+      }
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+}
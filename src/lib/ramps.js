@@ -0,0 +1,154 @@
+/**
+ * Tonal Ramps
+ *
+ * Generates 50-950 tonal scales for the brand colors of an extraction, in
+ * the shape of a Tailwind color scale. Steps are spaced in OKLCH: lightness
+ * follows a fixed perceptual curve bent to pass exactly through the brand
+ * color, chroma peaks around the brand color's step and tapers towards the
+ * ends, and hue is held constant. Out-of-gamut steps are mapped into sRGB
+ * by reducing chroma.
+ */
+
+import { parseColor, toOklch, oklchToHex, deltaE } from "./color.js";
+
+export const RAMP_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+// Reference OKLCH lightness per step (close to Tailwind's own scales)
+const LIGHTNESS = [0.97, 0.935, 0.885, 0.81, 0.71, 0.63, 0.56, 0.495, 0.435, 0.385, 0.27];
+
+// Chroma per step relative to the peak
+const CHROMA = [0.1, 0.22, 0.42, 0.65, 0.88, 1, 0.97, 0.87, 0.75, 0.62, 0.45];
+
+// Below this OKLCH chroma a color reads as a neutral gray, not a brand color
+const MIN_BRAND_CHROMA = 0.03;
+
+// Brand colors closer than this (delta-E 2000) share one ramp
+const DISTINCT_THRESHOLD = 10;
+
+const MAX_RAMPS = 6;
+
+// OKLCH hue of each named hue family, used to name unlabelled ramps
+const HUE_NAMES = /** @type {Array<[string, number]>} */ ([
+  ["rose", 16],
+  ["red", 27],
+  ["orange", 50],
+  ["amber", 70],
+  ["yellow", 95],
+  ["lime", 130],
+  ["green", 150],
+  ["emerald", 163],
+  ["teal", 182],
+  ["cyan", 215],
+  ["sky", 237],
+  ["blue", 260],
+  ["indigo", 277],
+  ["violet", 293],
+  ["purple", 305],
+  ["fuchsia", 322],
+  ["pink", 350],
+]);
+
+/**
+ * @typedef {Object} ColorRamp
+ * @property {string} name - Semantic role (primary, secondary) or hue family (blue, rose, ...)
+ * @property {string} source - Brand color as extracted
+ * @property {number} anchor - Step the brand color sits on
+ * @property {Record<string, string>} steps - Step ("50" ... "950") -> `#rrggbb`
+ */
+
+/**
+ * Name of the hue family closest to an OKLCH hue
+ *
+ * @param {number} hue
+ * @returns {string}
+ */
+function hueName(hue) {
+  let best = HUE_NAMES[0];
+  let bestDistance = Infinity;
+  for (const entry of HUE_NAMES) {
+    const distance = Math.min(Math.abs(entry[1] - hue), 360 - Math.abs(entry[1] - hue));
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  }
+  return best[0];
+}
+
+/**
+ * Generate a 50-950 ramp through a color
+ *
+ * @param {string} color - Any CSS color
+ * @returns {{ anchor: number, steps: Record<string, string> }|null} Null if the color can't be parsed
+ */
+export function generateRamp(color) {
+  const parsed = parseColor(color);
+  const oklch = toOklch(color);
+  if (!parsed || !oklch) return null;
+
+  // The step whose reference lightness is closest holds the color itself
+  let anchor = 0;
+  LIGHTNESS.forEach((l, i) => {
+    if (Math.abs(l - oklch.l) < Math.abs(LIGHTNESS[anchor] - oklch.l)) anchor = i;
+  });
+
+  const first = LIGHTNESS[0];
+  const last = LIGHTNESS[LIGHTNESS.length - 1];
+  const peakChroma = oklch.c / CHROMA[anchor];
+
+  /** @type {Record<string, string>} */
+  const steps = {};
+  RAMP_STEPS.forEach((step, i) => {
+    if (i === anchor) {
+      steps[step] = parsed.hex;
+      return;
+    }
+    // Stretch the reference curve on each side so it meets the color at the anchor
+    const l =
+      i < anchor
+        ? oklch.l + ((LIGHTNESS[i] - LIGHTNESS[anchor]) / (first - LIGHTNESS[anchor])) * (first - oklch.l)
+        : oklch.l + ((LIGHTNESS[i] - LIGHTNESS[anchor]) / (last - LIGHTNESS[anchor])) * (last - oklch.l);
+    steps[step] = oklchToHex(l, Math.min(peakChroma * CHROMA[i], 0.37), oklch.h);
+  });
+
+  return { anchor: RAMP_STEPS[anchor], steps };
+}
+
+/**
+ * Generate ramps for the brand colors of an extraction: the semantic colors
+ * first, then the most used chromatic palette colors. Neutrals and colors
+ * too close to one already ramped are skipped.
+ *
+ * @param {Record<string, any>} colors - `colors` section of an extraction result
+ * @returns {ColorRamp[]}
+ */
+export function generateBrandRamps(colors) {
+  /** @type {Array<{ color: string, role?: string }>} */
+  const candidates = [
+    ...Object.entries(colors?.semantic || {}).map(([role, color]) => ({ color: String(color), role })),
+    ...(Array.isArray(colors?.palette) ? colors.palette : []).map((entry) => ({ color: entry.color })),
+  ];
+
+  /** @type {ColorRamp[]} */
+  const ramps = [];
+  /** @type {string[]} */
+  const used = [];
+  for (const { color, role } of candidates) {
+    if (ramps.length >= MAX_RAMPS) break;
+    const oklch = toOklch(color);
+    if (!oklch || oklch.c < MIN_BRAND_CHROMA) continue;
+    if (used.some((other) => deltaE(other, color) < DISTINCT_THRESHOLD)) continue;
+
+    const ramp = generateRamp(color);
+    if (!ramp) continue;
+
+    let name = role || hueName(oklch.h);
+    const base = name;
+    for (let n = 2; ramps.some((r) => r.name === name); n++) name = `${base}-${n}`;
+
+    used.push(color);
+    ramps.push({ name, source: color, ...ramp });
+  }
+
+  return ramps;
+}
@@ -0,0 +1,205 @@
+/**
+ * Responsive Comparison
+ *
+ * Node-side half of the viewport matrix in `extractBranding`. Typography,
+ * spacing, buttons, inputs and a coarse layout signature are extracted
+ * again at each viewport width; this module compares neighbouring widths,
+ * reports which tokens change between them (fluid type scales, responsive
+ * padding, controls that resize) and lines the changes up with the media
+ * query breakpoints found in the stylesheets.
+ */
+
+export const DEFAULT_VIEWPORTS = [375, 768, 1024, 1440];
+
+// Narrowest and widest viewport accepted (px)
+const MIN_VIEWPORT = 240;
+const MAX_VIEWPORT = 3840;
+
+// Widths extracted at most
+const MAX_VIEWPORTS = 8;
+
+// Viewport height used at every width (px)
+export const VIEWPORT_HEIGHT = 900;
+
+/**
+ * @typedef {Object} LayoutSignature
+ * @property {number} hidden - Elements with `display: none`
+ * @property {Record<string, number>} gridColumns - Column count -> grid containers with it
+ * @property {number} flexRows - Flex containers laid out in a row
+ * @property {number} flexColumns - Flex containers laid out in a column
+ */
+
+/**
+ * @typedef {Object} ViewportTokens
+ * @property {number} width
+ * @property {{ styles: any[] }} typography - Output of `extractTypography`
+ * @property {{ commonValues: any[] }} spacing - Spacing scale at this width (see spacing.js)
+ * @property {any[]} buttons - Output of `extractButtonStyles`
+ * @property {Record<string, any[]>} inputs - Output of `extractInputStyles`
+ * @property {LayoutSignature} layout
+ */
+
+/**
+ * @typedef {Object} PropertyChange
+ * @property {string} token - Button or input it belongs to
+ * @property {string} property
+ * @property {string|null} from - Value at the narrower width
+ * @property {string|null} to - Value at the wider width
+ */
+
+/**
+ * Resolve the `viewports` extraction option into widths
+ *
+ * @param {boolean|number[]|string|undefined|null} viewports - `true` for the defaults, a list of widths (or "375,768"), or falsy
+ * @returns {number[]|null} Ascending widths, or null when disabled
+ */
+export function resolveViewports(viewports) {
+  if (!viewports) return null;
+  const list = viewports === true ? DEFAULT_VIEWPORTS : Array.isArray(viewports) ? viewports : String(viewports).split(",");
+  const widths = [...new Set(list.map((width) => Math.round(Number(width))))]
+    .filter((width) => width >= MIN_VIEWPORT && width <= MAX_VIEWPORT)
+    .sort((a, b) => a - b)
+    .slice(0, MAX_VIEWPORTS);
+  return widths.length > 0 ? widths : null;
+}
+
+/**
+ * @param {any[]} styles - Typography styles ("24px (1.50rem)" sizes)
+ * @returns {number[]} Distinct font sizes in px, largest first
+ */
+function typeScale(styles) {
+  return [...new Set(styles.map((style) => parseFloat(style.size)).filter((size) => size > 0))].sort((a, b) => b - a);
+}
+
+/**
+ * Sizing of the buttons and inputs of one viewport, keyed the way the extractors deduplicate them
+ *
+ * @param {ViewportTokens} tokens
+ * @returns {Map<string, Record<string, string|null>>}
+ */
+function controlSizing(tokens) {
+  /** @type {Map<string, Record<string, string|null>>} */
+  const controls = new Map();
+  for (const button of tokens.buttons || []) {
+    const state = button.states?.default || {};
+    controls.set(`button ${state.backgroundColor}`, {
+      fontSize: button.fontSize ?? null,
+      padding: state.padding ?? null,
+      lineHeight: state.lineHeight ?? null,
+      borderRadius: state.borderRadius ?? null,
+    });
+  }
+  for (const [group, inputs] of Object.entries(tokens.inputs || {})) {
+    for (const input of inputs || []) {
+      const state = input.states?.default || {};
+      controls.set(`${group} input ${state.border}|${state.borderRadius}|${state.backgroundColor}`, {
+        fontSize: state.fontSize ?? null,
+        padding: state.padding ?? null,
+        height: state.height ?? null,
+      });
+    }
+  }
+  return controls;
+}
+
+/**
+ * @template T
+ * @param {T[]} before
+ * @param {T[]} after
+ * @returns {{ added: T[], removed: T[] }}
+ */
+function setDifference(before, after) {
+  return {
+    added: after.filter((value) => !before.includes(value)),
+    removed: before.filter((value) => !after.includes(value)),
+  };
+}
+
+/**
+ * @param {LayoutSignature} a
+ * @param {LayoutSignature} b
+ * @returns {string[]} What differs, in words
+ */
+function layoutDifferences(a, b) {
+  const differences = [];
+  if (a.hidden !== b.hidden) differences.push(`${Math.abs(b.hidden - a.hidden)} elements ${b.hidden < a.hidden ? "shown" : "hidden"}`);
+  const columns = (/** @type {LayoutSignature} */ layout) =>
+    Object.entries(layout.gridColumns).map(([n, count]) => `${n} col${n === "1" ? "" : "s"} (${count})`).sort().join(", ");
+  if (columns(a) !== columns(b)) differences.push(`grid columns ${columns(a) || "none"} → ${columns(b) || "none"}`);
+  if (a.flexRows !== b.flexRows || a.flexColumns !== b.flexColumns) {
+    differences.push(`flex rows/columns ${a.flexRows}/${a.flexColumns} → ${b.flexRows}/${b.flexColumns}`);
+  }
+  return differences;
+}
+
+/**
+ * Compare the tokens extracted at each viewport width
+ *
+ * @param {ViewportTokens[]} snapshots - One per width
+ * @param {Array<{ px: string }>} breakpoints - Output of `extractBreakpoints`
+ */
+export function compareViewports(snapshots, breakpoints) {
+  const sorted = [...snapshots].sort((a, b) => a.width - b.width);
+
+  const viewports = sorted.map((tokens) => {
+    const scale = typeScale(tokens.typography?.styles || []);
+    return {
+      width: tokens.width,
+      typeScale: scale,
+      spacing: (tokens.spacing?.commonValues || []).map((value) => value.numericValue).sort((a, b) => a - b),
+      layout: tokens.layout,
+    };
+  });
+
+  const changes = viewports.slice(1).map((to, i) => {
+    const from = viewports[i];
+    const [before, after] = [controlSizing(sorted[i]), controlSizing(sorted[i + 1])];
+    /** @type {PropertyChange[]} */
+    const controls = [];
+    for (const [token, sizing] of after) {
+      const previous = before.get(token);
+      if (!previous) continue;
+      for (const [property, value] of Object.entries(sizing)) {
+        if (previous[property] !== value) controls.push({ token, property, from: previous[property], to: value });
+      }
+    }
+    const typography = setDifference(from.typeScale, to.typeScale);
+    const spacing = setDifference(from.spacing, to.spacing);
+    const layout = layoutDifferences(from.layout, to.layout);
+    return {
+      from: from.width,
+      to: to.width,
+      // Queries whose threshold lies between the two widths (min-width: 768px flips at 768, max-width: 767px at 767)
+      breakpoints: breakpoints.map((bp) => parseInt(bp.px)).filter((px) => px >= from.width && px <= to.width),
+      typography: { largest: [from.typeScale[0] ?? null, to.typeScale[0] ?? null], ...typography },
+      spacing,
+      controls,
+      layout,
+      changed:
+        typography.added.length + typography.removed.length + spacing.added.length + spacing.removed.length + controls.length + layout.length > 0,
+    };
+  });
+
+  // Fluid sizing changes at every step, not just at a breakpoint
+  const largest = viewports.map((viewport) => viewport.typeScale[0]).filter((size) => size !== undefined);
+  const fluidTypography = largest.length >= 3 && new Set(largest).size === largest.length;
+  const paddingSteps = changes.map((change) => change.controls.some((c) => c.property === "padding"));
+  const fluidPadding = paddingSteps.length >= 2 && paddingSteps.every(Boolean);
+
+  return {
+    widths: viewports.map((viewport) => viewport.width),
+    viewports,
+    changes,
+    fluid: { typography: fluidTypography, padding: fluidPadding },
+    breakpoints: breakpoints.map((bp) => {
+      const px = parseInt(bp.px);
+      const step = changes.find((change) => px >= change.from && px <= change.to);
+      return {
+        px: bp.px,
+        // null when the breakpoint lies outside the sampled widths
+        changed: step ? step.changed : null,
+        ...(step && step.breakpoints.length > 1 ? { sharedWith: step.breakpoints.filter((other) => other !== px).map((other) => `${other}px`) } : {}),
+      };
+    }),
+  };
+}
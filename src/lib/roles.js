@@ -0,0 +1,209 @@
+/**
+ * Color Role Inference
+ *
+ * Node-side half of the role classifier in `extractColors`. The page reports
+ * where each color is used (body background, card backgrounds, running
+ * text, borders, links, alert and form-error components, ...) as weighted
+ * hints; this module adds hints from custom property names (`--bs-body-bg`,
+ * `--color-danger`, `--muted-foreground`), scores every color per role and
+ * keeps the best one with a confidence and the evidence behind it.
+ */
+
+import { parseColor, normalizeColor, toOklch, contrastRatio } from "./color.js";
+
+export const COLOR_ROLES = [
+  "background",
+  "surface",
+  "foreground",
+  "muted",
+  "border",
+  "accent",
+  "success",
+  "warning",
+  "danger",
+  "info",
+];
+
+// Roles that only make sense for a chromatic color
+const CHROMATIC_ROLES = new Set(["accent", "success", "warning", "danger", "info"]);
+
+// Below this OKLCH chroma a color reads as gray
+const MIN_CHROMA = 0.03;
+
+// OKLCH hue ranges status colors are expected in; [from, to) may wrap past 360
+const STATUS_HUES = /** @type {Record<string, [number, number]>} */ ({
+  danger: [345, 45],
+  warning: [45, 110],
+  success: [110, 185],
+  info: [185, 280],
+});
+
+// Custom property names (prefix and `color` segments stripped) per role
+const VARIABLE_NAMES = /** @type {Record<string, string[]>} */ ({
+  background: ["background", "bg", "body-bg", "bg-body", "page-bg", "bg-page", "canvas", "background-default", "bg-default"],
+  surface: ["surface", "card", "card-bg", "bg-card", "panel", "popover", "surface-default", "bg-surface", "background-paper", "paper"],
+  foreground: ["foreground", "fg", "text", "body", "body-text", "text-body", "text-primary", "fg-default", "on-background", "on-surface"],
+  muted: ["muted", "muted-foreground", "text-muted", "text-secondary", "text-subtle", "fg-muted", "fg-subtle", "secondary-text", "on-surface-variant"],
+  border: ["border", "divider", "border-default", "outline", "stroke", "separator", "hr"],
+  accent: ["accent", "primary", "brand", "link", "link-color"],
+  success: ["success", "positive", "valid"],
+  warning: ["warning", "warn", "caution"],
+  danger: ["danger", "error", "destructive", "negative", "critical", "invalid"],
+  info: ["info", "informational", "notice"],
+});
+
+// Name segments that carry no meaning for role matching
+const GENERIC_SEGMENTS = new Set(["color", "colors", "clr", "c", "bs", "theme", "sys", "md", "ui", "global", "base", "chakra", "mantine"]);
+
+/**
+ * @typedef {Object} RoleHint
+ * @property {string} role - One of `COLOR_ROLES`
+ * @property {string} color - Color as read from computed styles
+ * @property {string} evidence - Where it was seen ("body background", "link color", ...)
+ * @property {number} weight - Strength of one observation
+ * @property {number} count - Observations
+ */
+
+/**
+ * @typedef {Object} ColorRole
+ * @property {string} color - Color as first seen for the role
+ * @property {string} normalized - sRGB hex (`#rrggbbaa` when translucent)
+ * @property {string} confidence - high, medium or low
+ * @property {number} score
+ * @property {string[]} evidence - Strongest evidence first
+ */
+
+/**
+ * @param {number} hue
+ * @param {[number, number]} range
+ * @returns {boolean}
+ */
+function inHueRange(hue, [from, to]) {
+  return from <= to ? hue >= from && hue < to : hue >= from || hue < to;
+}
+
+/**
+ * Parse a custom property value; bare `h s% l%` triplets (shadcn/ui) are read as hsl()
+ *
+ * @param {string} value
+ * @returns {string|null} A parseable color, or null
+ */
+function variableColor(value) {
+  if (parseColor(value)) return value;
+  const bare = `hsl(${value})`;
+  return /^[\d.]+(deg)?\s+[\d.]+%\s+[\d.]+%$/.test(value.trim()) && parseColor(bare) ? bare : null;
+}
+
+/**
+ * Role hints from custom property names
+ *
+ * @param {Record<string, string>} cssVariables - Variable name -> value
+ * @returns {RoleHint[]}
+ */
+export function variableRoleHints(cssVariables) {
+  /** @type {RoleHint[]} */
+  const hints = [];
+  for (const [prop, value] of Object.entries(cssVariables || {})) {
+    const name = prop
+      .replace(/^--/, "")
+      .toLowerCase()
+      .split(/[-_]+/)
+      .filter((segment) => segment && !GENERIC_SEGMENTS.has(segment))
+      .join("-");
+    const role = Object.keys(VARIABLE_NAMES).find((r) => VARIABLE_NAMES[r].includes(name));
+    const color = role && variableColor(value);
+    if (role && color) hints.push({ role, color, evidence: `CSS variable ${prop}`, weight: 4, count: 1 });
+  }
+  return hints;
+}
+
+/**
+ * @param {number} score
+ * @param {number} kinds - Distinct pieces of evidence
+ * @returns {string}
+ */
+function confidenceOf(score, kinds) {
+  if (score >= 8 && kinds >= 2) return "high";
+  if (score >= 3) return "medium";
+  return "low";
+}
+
+/**
+ * Infer color roles from usage hints
+ *
+ * @param {RoleHint[]} hints - Collected in the page, plus `variableRoleHints`
+ * @returns {Record<string, ColorRole>} Role -> best color; roles without evidence are omitted
+ */
+export function inferColorRoles(hints) {
+  /** @type {Map<string, Map<string, { color: string, score: number, evidence: Array<{ label: string, score: number }> }>>} */
+  const candidates = new Map(COLOR_ROLES.map((role) => [role, new Map()]));
+
+  for (const hint of hints) {
+    const parsed = parseColor(hint.color);
+    const byColor = candidates.get(hint.role);
+    if (!parsed || parsed.alpha === 0 || !byColor) continue;
+    const oklch = toOklch(hint.color);
+    if (CHROMATIC_ROLES.has(hint.role) && (!oklch || oklch.c < MIN_CHROMA)) continue;
+
+    let score = hint.weight * (1 + Math.log2(Math.max(hint.count, 1)));
+    // Status colors that have the hue the role implies are far more likely
+    const hues = STATUS_HUES[hint.role];
+    if (hues && oklch) score *= inHueRange(oklch.h, hues) ? 1.5 : 0.5;
+
+    const candidate = byColor.get(parsed.normalized) || { color: hint.color, score: 0, evidence: [] };
+    candidate.score += score;
+    candidate.evidence.push({ label: hint.count > 1 ? `${hint.evidence} ×${hint.count}` : hint.evidence, score });
+    byColor.set(parsed.normalized, candidate);
+  }
+
+  /** @type {Record<string, ColorRole>} */
+  const roles = {};
+
+  /**
+   * @param {string} role
+   * @param {(normalized: string) => boolean} [accept]
+   */
+  const pick = (role, accept = () => true) => {
+    const [best] = [...(candidates.get(role)?.entries() || [])]
+      .filter(([normalized]) => accept(normalized))
+      .sort((a, b) => b[1].score - a[1].score);
+    if (!best) return;
+    const [normalized, candidate] = best;
+    const evidence = candidate.evidence.sort((a, b) => b.score - a.score);
+    roles[role] = {
+      color: candidate.color,
+      normalized,
+      confidence: confidenceOf(candidate.score, evidence.length),
+      score: Math.round(candidate.score * 10) / 10,
+      evidence: evidence.slice(0, 5).map((e) => e.label),
+    };
+  };
+
+  pick("background");
+  const background = roles.background?.normalized;
+  pick("surface", (c) => c !== background);
+  pick("foreground", (c) => c !== background);
+  const foreground = roles.foreground?.normalized;
+
+  // Gray text quieter than the main text color also counts towards muted
+  const mutedCandidates = /** @type {Map<string, any>} */ (candidates.get("muted"));
+  if (background && foreground) {
+    const mainContrast = contrastRatio(foreground, background) ?? 0;
+    for (const [normalized, candidate] of candidates.get("foreground") || []) {
+      const contrast = contrastRatio(normalized, background) ?? 0;
+      const chroma = toOklch(normalized)?.c ?? 1;
+      if (normalized === foreground || chroma >= MIN_CHROMA || contrast >= mainContrast || contrast < 2) continue;
+      const existing = mutedCandidates.get(normalized) || { color: candidate.color, score: 0, evidence: [] };
+      const score = candidate.score / 2;
+      existing.score += score;
+      existing.evidence.push({ label: `secondary text (${Math.round(contrast * 10) / 10}:1 vs ${Math.round(mainContrast * 10) / 10}:1)`, score });
+      mutedCandidates.set(normalized, existing);
+    }
+  }
+  pick("muted", (c) => c !== foreground && c !== background);
+  pick("border", (c) => c !== background);
+
+  for (const role of ["accent", "success", "warning", "danger", "info"]) pick(role);
+
+  return roles;
+}
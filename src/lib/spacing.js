@@ -0,0 +1,185 @@
+/**
+ * Spacing Scale
+ *
+ * Node-side analysis of the spacing values sampled by `extractLayout`:
+ * margins and paddings on both axes, flex and grid gaps, and the max-widths
+ * and inline paddings (gutters) of centered containers (the same container
+ * samples the layout system is built from, see layout.js). The spacing grid is
+ * a statistical fit: the share of all spacing usage that lands on multiples
+ * of each candidate base, with the values that don't listed as outliers.
+ */
+
+// Candidate grid bases; when several explain enough of the spacing, the largest is the grid (the more specific answer)
+export const GRID_BASES = [8, 4, 10, 6, 5];
+
+// Bases that make the standard scale types; others are reported as custom
+const STANDARD_BASES = [8, 4];
+
+// Share of spacing usage a base has to explain to be the grid
+const MIN_GRID_SHARE = 0.8;
+
+// Distance from a multiple still on the grid (sub-pixel rounding), px
+const GRID_TOLERANCE = 0.5;
+
+// Values kept in the scale
+const MAX_COMMON_VALUES = 20;
+
+const MAX_OUTLIERS = 10;
+
+// Where a spacing value is used
+const AXES = /** @type {const} */ (["vertical", "horizontal", "gap"]);
+
+/**
+ * @typedef {Object} SpacingSample
+ * @property {number} px
+ * @property {number} count - Uses on any axis
+ * @property {number} vertical - Uses as a top or bottom margin or padding
+ * @property {number} horizontal - Uses as a left or right margin or padding
+ * @property {number} gap - Uses as a flex or grid gap
+ */
+
+/**
+ * @typedef {Object} ContainerSample
+ * @property {number} maxWidth - px
+ * @property {number} width - Rendered width, px
+ * @property {number} gutter - Inline padding, px (0 when none or uneven)
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} SpacingGrid
+ * @property {number|null} base - Grid base in px, null when no candidate explains enough of the values
+ * @property {number} share - Share of spacing usage on the grid (0-1)
+ * @property {"8px"|"4px"|"custom"} scaleType
+ * @property {Array<{ px: string, count: number }>} outliers - Most used values off the grid
+ * @property {Array<{ base: number, share: number }>} candidates - Share explained by every candidate base
+ */
+
+/**
+ * @typedef {Object} SpacingTokens
+ * @property {"8px"|"4px"|"custom"} scaleType - Same as `grid.scaleType`
+ * @property {SpacingGrid} grid
+ * @property {Array<Record<string, any>>} commonValues - Most used values, in numeric order, with the `axes` they are used on
+ * @property {Array<Record<string, any>>} gaps - Flex and grid gaps
+ * @property {Array<Record<string, any>>} containers - Centered container max-widths with their usual gutter
+ * @property {Array<Record<string, any>>} gutters - Inline paddings of containers, most used first
+ */
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {number}
+ */
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * @param {number} px
+ * @param {number} base
+ * @returns {boolean}
+ */
+function onGrid(px, base) {
+  const steps = Math.round(px / base);
+  return steps >= 1 && Math.abs(px - steps * base) <= GRID_TOLERANCE;
+}
+
+/**
+ * @param {number} px
+ * @returns {{ px: string, rem: string, numericValue: number }}
+ */
+function dimension(px) {
+  return { px: `${px}px`, rem: `${(px / 16).toFixed(2)}rem`, numericValue: px };
+}
+
+/**
+ * Fit spacing values to a grid
+ *
+ * @param {Array<{ numericValue: number, count: number }>} values
+ * @returns {SpacingGrid}
+ */
+export function fitSpacingGrid(values) {
+  const sized = values.filter((value) => value.numericValue > 0);
+  const total = sized.reduce((sum, value) => sum + (value.count || 1), 0);
+  const candidates = GRID_BASES.map((base) => ({
+    base,
+    share: total > 0 ? round(sized.filter((value) => onGrid(value.numericValue, base)).reduce((sum, value) => sum + (value.count || 1), 0) / total, 3) : 0,
+  }));
+
+  const fit = candidates.filter((candidate) => candidate.share >= MIN_GRID_SHARE).sort((a, b) => b.base - a.base)[0];
+  const base = fit?.base ?? null;
+  const outliers = base === null ? [] : sized
+    .filter((value) => !onGrid(value.numericValue, base))
+    .sort((a, b) => (b.count || 1) - (a.count || 1))
+    .slice(0, MAX_OUTLIERS)
+    .map((value) => ({ px: `${value.numericValue}px`, count: value.count || 1 }));
+
+  return {
+    base,
+    share: fit?.share ?? 0,
+    scaleType: base !== null && STANDARD_BASES.includes(base) ? /** @type {"8px"|"4px"} */ (`${base}px`) : "custom",
+    outliers,
+    candidates,
+  };
+}
+
+/**
+ * Build the spacing tokens of a page
+ *
+ * @param {{ spacing: SpacingSample[], containers: ContainerSample[] }} samples - Collected by `extractLayout`
+ * @returns {SpacingTokens}
+ */
+export function buildSpacingScale(samples) {
+  const values = samples.spacing.filter((value) => value.px > 0);
+
+  const commonValues = [...values]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_COMMON_VALUES)
+    .map((value) => ({
+      ...dimension(value.px),
+      count: value.count,
+      axes: Object.fromEntries(AXES.filter((axis) => value[axis] > 0).map((axis) => [axis, value[axis]])),
+    }))
+    .sort((a, b) => a.numericValue - b.numericValue);
+
+  const gaps = values
+    .filter((value) => value.gap > 0)
+    .sort((a, b) => b.gap - a.gap)
+    .slice(0, 10)
+    .map((value) => ({ ...dimension(value.px), count: value.gap }))
+    .sort((a, b) => a.numericValue - b.numericValue);
+
+  // Containers: one entry per max-width, with the gutter most of them use
+  /** @type {Map<number, { count: number, gutters: Map<number, number> }>} */
+  const byWidth = new Map();
+  for (const container of samples.containers) {
+    const entry = byWidth.get(container.maxWidth) || { count: 0, gutters: new Map() };
+    entry.count += container.count;
+    if (container.gutter > 0) entry.gutters.set(container.gutter, (entry.gutters.get(container.gutter) || 0) + container.count);
+    byWidth.set(container.maxWidth, entry);
+  }
+  const containers = [...byWidth.entries()]
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, 6)
+    .map(([maxWidth, { count, gutters }]) => {
+      const gutter = [...gutters.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+      return { maxWidth: `${maxWidth}px`, numericValue: maxWidth, count, gutter: gutter ? `${gutter}px` : null };
+    })
+    .sort((a, b) => a.numericValue - b.numericValue);
+
+  /** @type {Map<number, number>} */
+  const gutterCounts = new Map();
+  for (const container of samples.containers) {
+    if (container.gutter > 0) gutterCounts.set(container.gutter, (gutterCounts.get(container.gutter) || 0) + container.count);
+  }
+  const gutters = [...gutterCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 6)
+    .map(([px, count]) => ({ ...dimension(px), count }));
+
+  // The grid is fitted on every value, not only the common ones
+  const grid = fitSpacingGrid(values.map((value) => ({ numericValue: value.px, count: value.count })));
+
+  return { scaleType: grid.scaleType, grid, commonValues, gaps, containers, gutters };
+}
@@ -0,0 +1,112 @@
+/**
+ * Spinner stand-ins for running `extractBranding` outside a terminal
+ *
+ * `extractBranding` reports progress through an Ora-like spinner
+ * (`text`, `start`, `stop`, `succeed`, `fail`, `warn`, `info`).
+ */
+
+/**
+ * Create a spinner that only remembers its current text (used in stage
+ * reporting when an extraction fails)
+ *
+ * @returns {{ text: string, start: (text?: string) => any, stop: () => any, succeed: (text?: string) => any, fail: (text?: string) => any, warn: (text?: string) => any, info: (text?: string) => any }}
+ */
+export function createSilentSpinner() {
+  const spinner = {
+    text: "",
+    /** @param {string} [text] */
+    start: (text) => {
+      if (text) spinner.text = text;
+      return spinner;
+    },
+    stop: () => spinner,
+    succeed: () => spinner,
+    fail: () => spinner,
+    warn: () => spinner,
+    info: () => spinner,
+  };
+  return spinner;
+}
+
+/**
+ * @typedef {"running"|"done"|"warning"|"failed"|"info"} ProgressStatus
+ */
+
+/**
+ * @typedef {Object} ProgressEvent
+ * @property {string} stage - Spinner text of the stage the event belongs to
+ * @property {ProgressStatus} status
+ * @property {string} [message] - Text passed to `warn`/`fail`/`info`/`succeed`, if it differs from the stage
+ * @property {number} at - Timestamp (ms since epoch)
+ */
+
+/**
+ * Create a spinner that reports every stage change to `onProgress`, so
+ * extraction progress can be forwarded to a client (e.g. over SSE)
+ *
+ * @param {(event: ProgressEvent) => void} onProgress - Called synchronously for every update
+ * @returns {{ text: string, start: (text?: string) => any, stop: () => any, succeed: (text?: string) => any, fail: (text?: string) => any, warn: (text?: string) => any, info: (text?: string) => any }}
+ */
+export function createProgressSpinner(onProgress) {
+  let text = "";
+  let running = false;
+
+  /**
+   * @param {ProgressStatus} status
+   * @param {string} [message]
+   */
+  const emit = (status, message) => {
+    if (!text && !message) return;
+    /** @type {ProgressEvent} */
+    const event = { stage: text || /** @type {string} */ (message), status, at: Date.now() };
+    if (message && message !== text) event.message = message;
+    onProgress(event);
+  };
+
+  const spinner = {
+    get text() {
+      return text;
+    },
+    set text(value) {
+      if (value === text) return;
+      text = value;
+      emit("running");
+    },
+    /** @param {string} [value] */
+    start: (value) => {
+      if (value) text = value;
+      running = true;
+      emit("running");
+      return spinner;
+    },
+    stop: () => {
+      if (running) emit("done");
+      running = false;
+      return spinner;
+    },
+    /** @param {string} [message] */
+    succeed: (message) => {
+      running = false;
+      emit("done", message);
+      return spinner;
+    },
+    /** @param {string} [message] */
+    fail: (message) => {
+      running = false;
+      emit("failed", message);
+      return spinner;
+    },
+    /** @param {string} [message] */
+    warn: (message) => {
+      running = false;
+      emit("warning", message);
+      return spinner;
+    },
+    /** @param {string} [message] */
+    info: (message) => {
+      emit("info", message);
+      return spinner;
+    },
+  };
+  return spinner;
+}
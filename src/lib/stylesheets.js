@@ -0,0 +1,158 @@
+/**
+ * External Stylesheets
+ *
+ * Stylesheets served from another origin (CDNs, asset hosts) can't be read
+ * through `document.styleSheets`: touching their `cssRules` throws. Their
+ * bodies are captured from the page's network responses instead and parsed
+ * here with PostCSS into plain rules shaped like the part of the CSSOM the
+ * in-page extractors read (`selectorText`, `style.backgroundColor`,
+ * `cssText`), so each extractor can walk them as one more stylesheet.
+ */
+
+import postcss from "postcss";
+import { parseColor } from "./color.js";
+
+// Stylesheets read per page, @imports included
+const MAX_STYLESHEETS = 30;
+
+// Larger stylesheets aren't read (bytes)
+export const MAX_STYLESHEET_BYTES = 3 * 1024 * 1024;
+
+// Rules passed to the page at most
+const MAX_RULES = 10000;
+
+// At-rules whose children aren't style rules
+const NON_STYLE_AT_RULES = /^(-\w+-)?(keyframes|font-feature-values|page|counter-style|property)$/i;
+
+/**
+ * @typedef {Object} SheetRule
+ * @property {"style"|"font-face"} type
+ * @property {string} selectorText - Empty for font-face rules
+ * @property {Record<string, string>} style - Declarations by CSSOM property name (`backgroundColor`, `--brand`); the last one wins
+ * @property {string} [cssText] - Font-face rules only
+ * @property {string[]} conditions - Preludes of the enclosing at-rules ("@media (min-width: 768px)")
+ * @property {string} href - Stylesheet it came from
+ */
+
+/**
+ * @typedef {Object} ExternalStylesheets
+ * @property {string[]} hrefs - Stylesheets read from network responses
+ * @property {SheetRule[]} rules
+ * @property {string[]} banners - Leading `/*! ... *\/` comments (framework name and version)
+ */
+
+/** @type {ExternalStylesheets} */
+export const NO_EXTERNAL_STYLESHEETS = { hrefs: [], rules: [], banners: [] };
+
+/**
+ * CSSOM name of a property: `background-color` -> `backgroundColor`, `-webkit-mask` -> `webkitMask`
+ *
+ * @param {string} property
+ * @returns {string}
+ */
+function cssomName(property) {
+  if (property.startsWith("--")) return property;
+  return property.toLowerCase().replace(/^-/, "").replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Declarations of a rule as a CSSOM-like style object
+ *
+ * @param {import('postcss').Container} node
+ * @returns {Record<string, string>}
+ */
+function styleOf(node) {
+  /** @type {Record<string, string>} */
+  const style = {};
+  node.each((child) => {
+    if (child.type !== "decl") return;
+    const name = cssomName(child.prop);
+    style[name] = child.value;
+    // The CSSOM expands shorthands; the one the extractors rely on is a lone background color
+    if (name === "background" && parseColor(child.value)) style.backgroundColor = child.value;
+  });
+  return style;
+}
+
+/**
+ * Parse one stylesheet
+ *
+ * @param {string} css
+ * @param {string} href - Stylesheet URL (`@import` URLs resolve against it)
+ * @returns {{ rules: SheetRule[], imports: string[], banner: string|null }} Empty when it doesn't parse
+ */
+export function parseStylesheet(css, href) {
+  /** @type {SheetRule[]} */
+  const rules = [];
+  /** @type {string[]} */
+  const imports = [];
+  let root;
+  try {
+    root = postcss.parse(css, { from: href });
+  } catch {
+    return { rules, imports, banner: null };
+  }
+
+  const first = root.first;
+  const banner = first?.type === "comment" && first.text.startsWith("!") ? first.text.slice(1).trim().split("\n")[0].slice(0, 120) : null;
+
+  root.walk((node) => {
+    if (node.type === "atrule" && node.name.toLowerCase() === "import") {
+      const url = node.params.match(/^(?:url\(\s*)?["']?([^"')\s]+)["']?/)?.[1];
+      if (url) {
+        try {
+          imports.push(new URL(url, href).href);
+        } catch {
+          // Unresolvable URL
+        }
+      }
+      return;
+    }
+    if (node.type !== "rule" && !(node.type === "atrule" && node.name.toLowerCase() === "font-face")) return;
+
+    /** @type {string[]} */
+    const conditions = [];
+    for (let parent = node.parent; parent && parent.type !== "root"; parent = parent.parent) {
+      if (parent.type !== "atrule") continue;
+      const atRule = /** @type {import('postcss').AtRule} */ (parent);
+      if (NON_STYLE_AT_RULES.test(atRule.name)) return;
+      conditions.unshift(`@${atRule.name}${atRule.params ? ` ${atRule.params}` : ""}`);
+    }
+
+    if (node.type === "rule") {
+      rules.push({ type: "style", selectorText: node.selector, style: styleOf(node), conditions, href });
+    } else {
+      rules.push({ type: "font-face", selectorText: "", style: styleOf(node), cssText: node.toString(), conditions, href });
+    }
+  });
+
+  return { rules, imports, banner };
+}
+
+/**
+ * Parse the stylesheets a page can't read, following their `@import`s
+ *
+ * @param {string[]} blocked - Hrefs of the page's unreadable stylesheets
+ * @param {(href: string) => string|null} bodyOf - Captured body of a stylesheet, null when it wasn't captured
+ * @returns {ExternalStylesheets}
+ */
+export function readExternalStylesheets(blocked, bodyOf) {
+  /** @type {ExternalStylesheets} */
+  const external = { hrefs: [], rules: [], banners: [] };
+  const queue = [...blocked];
+  const seen = new Set();
+  while (queue.length > 0 && external.hrefs.length < MAX_STYLESHEETS) {
+    const href = /** @type {string} */ (queue.shift());
+    if (seen.has(href)) continue;
+    seen.add(href);
+    const body = bodyOf(href);
+    if (body === null) continue;
+
+    const { rules, imports, banner } = parseStylesheet(body, href);
+    external.hrefs.push(href);
+    external.rules.push(...rules.slice(0, MAX_RULES - external.rules.length));
+    if (banner) external.banners.push(banner);
+    queue.push(...imports);
+  }
+  return external;
+}
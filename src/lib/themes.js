@@ -0,0 +1,120 @@
+/**
+ * Light / Dark Themes
+ *
+ * Node-side half of the dark mode pass in `extractBranding`. The dark pass
+ * loads the page in its own `prefers-color-scheme: dark` browser context;
+ * sites that ignore the media query usually switch themes with a class or
+ * attribute on the root element (`.dark`, `[data-theme="dark"]`), which is
+ * read off the custom property graph here. The two extractions are then
+ * paired up by semantic name.
+ */
+
+import { normalizeColor } from "./color.js";
+
+// Root-level theme selectors: `.dark`, `html.theme-dark`, `:root[data-theme="dark"]`, `body[data-mode=dark]`
+const THEME_SELECTOR = /^(html|body|:root)?(?:\.([\w-]*dark[\w-]*)|\[([\w-]+)(?:=["']?([\w-]*dark[\w-]*)["']?)?\])$/i;
+
+/**
+ * @typedef {Object} ThemeSelector
+ * @property {string} selector - As written in the stylesheet
+ * @property {"html"|"body"} target - Element it has to be applied to
+ * @property {string|null} className - Class to add
+ * @property {{ name: string, value: string }|null} attribute - Attribute to set
+ */
+
+/**
+ * @typedef {Object} ThemePair
+ * @property {string|null} light - sRGB hex in the default theme
+ * @property {string|null} dark - sRGB hex in the dark theme
+ */
+
+/**
+ * Parse one selector into the class or attribute that turns a theme on
+ *
+ * @param {string} selector - A single (comma-free) selector
+ * @returns {ThemeSelector|null} Null unless it is a dark theme switch on the root element or body
+ */
+export function parseThemeSelector(selector) {
+  const trimmed = selector.trim();
+  const match = trimmed.match(THEME_SELECTOR);
+  if (!match) return null;
+  const [, element, className, name, value] = match;
+  // An attribute without a value only counts when its name says dark ([dark], [data-dark])
+  if (name && !value && !/dark/i.test(name)) return null;
+  return {
+    selector: trimmed,
+    target: element === "body" ? "body" : "html",
+    className: className || null,
+    attribute: name ? { name, value: value || "" } : null,
+  };
+}
+
+/**
+ * Find the selector a site's own dark theme hangs off, from the scopes of
+ * its custom property graph
+ *
+ * @param {import('./variables.js').VariableGraph|null|undefined} graph
+ * @returns {ThemeSelector|null} The first one in stylesheet order
+ */
+export function darkThemeSelector(graph) {
+  for (const scope of graph?.scopes || []) {
+    // Scopes that also need the media query are the prefers-color-scheme variant
+    if (scope.conditions.some((condition) => condition.startsWith("@media"))) continue;
+    for (const part of scope.selector.split(",")) {
+      const parsed = parseThemeSelector(part);
+      if (parsed) return parsed;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pair the semantic colors (brand colors and roles) of two extractions
+ *
+ * @param {Record<string, string>} light - `colors.semantic` of the default theme
+ * @param {Record<string, string>} dark - `colors.semantic` of the dark theme
+ * @returns {{ pairs: Record<string, ThemePair>, changed: number }} Pairs by name, and how many differ
+ */
+export function pairThemeColors(light, dark) {
+  /** @type {Record<string, ThemePair>} */
+  const pairs = {};
+  let changed = 0;
+  for (const name of new Set([...Object.keys(light || {}), ...Object.keys(dark || {})])) {
+    const pair = { light: normalizeColor(light?.[name]), dark: normalizeColor(dark?.[name]) };
+    if (!pair.light && !pair.dark) continue;
+    pairs[name] = pair;
+    if (pair.light && pair.dark && pair.light !== pair.dark) changed++;
+  }
+  return { pairs, changed };
+}
+
+/**
+ * @typedef {{ html: Record<string, string>, body: Record<string, string> }} RootAttributes
+ */
+
+/**
+ * Work out the selector a theme switcher toggled, from the attributes of the
+ * root element and body before and after clicking it
+ *
+ * @param {RootAttributes} before
+ * @param {RootAttributes} after
+ * @returns {string|null} e.g. ".dark", `[data-theme="dark"]`, "body.dark-mode"; null when nothing changed
+ */
+export function themeSelectorFromChange(before, after) {
+  /** @type {string[]} */
+  const candidates = [];
+  for (const target of /** @type {const} */ (["html", "body"])) {
+    const prefix = target === "body" ? "body" : "";
+    const [was, now] = [before[target] || {}, after[target] || {}];
+    for (const [name, value] of Object.entries(now)) {
+      if (was[name] === value || name === "style") continue;
+      if (name === "class") {
+        const old = new Set((was.class || "").split(/\s+/));
+        value.split(/\s+/).filter((c) => c && !old.has(c)).forEach((c) => candidates.push(`${prefix}.${c}`));
+      } else {
+        candidates.push(`${prefix}[${name}="${value}"]`);
+      }
+    }
+  }
+  return candidates.find((selector) => /dark/i.test(selector)) || candidates[0] || null;
+}
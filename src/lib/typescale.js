@@ -0,0 +1,285 @@
+/**
+ * Type Scale
+ *
+ * Node-side analysis of the styles found by `extractTypography`. Font sizes
+ * that only differ by rounding are clustered, the base (body) size is taken
+ * from the cluster most used by running text, the modular ratio is the one
+ * whose steps from the base land closest to the other sizes, and each
+ * cluster is given a semantic role (display, h1–h6, body, caption, ...)
+ * from the tags it is actually used on.
+ */
+
+// Classic modular scale ratios
+export const SCALE_RATIOS = [
+  { value: 1.067, name: "minor second" },
+  { value: 1.125, name: "major second" },
+  { value: 1.2, name: "minor third" },
+  { value: 1.25, name: "major third" },
+  { value: 1.333, name: "perfect fourth" },
+  { value: 1.414, name: "augmented fourth" },
+  { value: 1.5, name: "perfect fifth" },
+  { value: 1.618, name: "golden ratio" },
+];
+
+// Sizes closer than this (relative) are the same size
+const CLUSTER_TOLERANCE = 0.03;
+
+// Below this fit the sizes aren't on a modular scale (0 = no better than chance)
+const MIN_RATIO_FIT = 0.5;
+
+// Roles in order, largest first
+export const TYPE_ROLES = ["display", "h1", "h2", "h3", "h4", "h5", "h6", "body-lg", "body", "small", "caption", "label", "code"];
+
+// Tags that hold running text
+const BODY_TAGS = ["p", "li", "td", "blockquote", "span", "a"];
+
+// Tags of small print
+const CAPTION_TAGS = ["figcaption", "small"];
+
+const CODE_TAGS = ["code", "pre", "kbd"];
+
+const MONOSPACE = /mono|courier|consolas|menlo|monaco/i;
+
+/**
+ * @typedef {Object} SizeCluster
+ * @property {number} px - Most used size in the cluster
+ * @property {number[]} sizes - Every size merged into it
+ * @property {number} count - Elements using it
+ * @property {Record<string, number>} tags - Elements per tag
+ * @property {number|null} step - Steps from the base on the detected scale
+ * @property {any[]} styles - Typography styles in it
+ */
+
+/**
+ * @typedef {Object} TypeRole
+ * @property {string} size - px
+ * @property {string} rem
+ * @property {string} family
+ * @property {number} weight
+ * @property {string|null} lineHeight - Unitless
+ * @property {string|null} letterSpacing
+ * @property {string|null} transform
+ * @property {number|null} step - Steps from the base on the detected scale
+ * @property {number} count - Elements using the style
+ */
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {number}
+ */
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Tags a style was seen on; styles from before tags were recorded fall back to their context
+ *
+ * @param {any} style
+ * @returns {Record<string, number>}
+ */
+function tagsOf(style) {
+  if (style.tags) return style.tags;
+  const heading = String(style.context || "").match(/^heading-([1-6])$/);
+  const tag = heading ? `h${heading[1]}` : style.context === "code" || style.context === "label" ? style.context : "span";
+  return { [tag]: style.count || 1 };
+}
+
+/**
+ * @param {Record<string, number>} tags
+ * @param {string[]} names
+ * @returns {number}
+ */
+function countTags(tags, names) {
+  return names.reduce((sum, name) => sum + (tags[name] || 0), 0);
+}
+
+/**
+ * Group near-identical font sizes
+ *
+ * @param {any[]} styles - Typography styles ("24px (1.50rem)" sizes)
+ * @returns {SizeCluster[]} Smallest first
+ */
+function clusterSizes(styles) {
+  const sized = styles
+    .map((style) => ({ style, px: parseFloat(style.size) }))
+    .filter(({ px }) => px > 0)
+    .sort((a, b) => a.px - b.px);
+
+  /** @type {SizeCluster[]} */
+  const clusters = [];
+  /** @type {Map<SizeCluster, Map<number, number>>} */
+  const usage = new Map();
+  for (const { style, px } of sized) {
+    let cluster = clusters[clusters.length - 1];
+    if (!cluster || px > cluster.sizes[0] * (1 + CLUSTER_TOLERANCE)) {
+      cluster = { px, sizes: [], count: 0, tags: {}, step: null, styles: [] };
+      clusters.push(cluster);
+      usage.set(cluster, new Map());
+    }
+    const count = style.count || 1;
+    if (!cluster.sizes.includes(px)) cluster.sizes.push(px);
+    cluster.count += count;
+    cluster.styles.push(style);
+    for (const [tag, n] of Object.entries(tagsOf(style))) cluster.tags[tag] = (cluster.tags[tag] || 0) + n;
+    const sizes = /** @type {Map<number, number>} */ (usage.get(cluster));
+    sizes.set(px, (sizes.get(px) || 0) + count);
+  }
+  // The size most elements use stands for the cluster
+  for (const [cluster, sizes] of usage) {
+    cluster.px = [...sizes.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+  }
+  return clusters;
+}
+
+/**
+ * Find the modular ratio that best explains the sizes, given the base
+ *
+ * The fit compares the mean distance of each size to its nearest step with
+ * what sizes placed at random would give (ln(ratio) / 4), so small ratios
+ * don't win just because their steps are close together.
+ *
+ * @param {number[]} sizes - Cluster sizes, base excluded
+ * @param {number} base
+ * @returns {{ value: number, name: string, fit: number }|null} Null for fewer than two sizes or no modular fit
+ */
+export function detectScaleRatio(sizes, base) {
+  if (sizes.length < 2) return null;
+  const scored = SCALE_RATIOS.map((ratio) => {
+    const log = Math.log(ratio.value);
+    const error =
+      sizes.reduce((sum, px) => {
+        const step = Math.round(Math.log(px / base) / log);
+        return sum + Math.abs(Math.log(px / (base * ratio.value ** step)));
+      }, 0) / sizes.length;
+    return { ...ratio, fit: round(Math.max(0, 1 - error / (log / 4)), 2) };
+  });
+  const best = scored.sort((a, b) => b.fit - a.fit || b.value - a.value)[0];
+  return best.fit >= MIN_RATIO_FIT ? best : null;
+}
+
+/**
+ * Most used style of a cluster among elements with the given tags
+ *
+ * @param {SizeCluster} cluster
+ * @param {string[]} [tags] - Any tag when omitted
+ * @returns {any}
+ */
+function dominantStyle(cluster, tags) {
+  const weight = (/** @type {any} */ style) => (tags ? countTags(tagsOf(style), tags) : style.count || 1);
+  return [...cluster.styles].sort((a, b) => weight(b) - weight(a))[0];
+}
+
+/**
+ * @param {any} style
+ * @param {SizeCluster} cluster
+ * @returns {TypeRole}
+ */
+function toRole(style, cluster) {
+  const px = parseFloat(style.size);
+  return {
+    size: `${px}px`,
+    rem: `${round(px / 16, 3)}rem`,
+    family: style.family,
+    weight: style.weight,
+    lineHeight: style.lineHeight ?? null,
+    letterSpacing: style.spacing ?? null,
+    transform: style.transform ?? null,
+    step: cluster.step,
+    count: style.count || 1,
+  };
+}
+
+/**
+ * Detect the type scale of a page and give its sizes semantic roles
+ *
+ * @param {any[]} styles - `typography.styles` of an extraction result
+ * @returns {{ base: number|null, ratio: { value: number, name: string, fit: number }|null, clusters: Array<Omit<SizeCluster, "styles" | "tags">>, roles: Record<string, TypeRole> }}
+ */
+export function buildTypeScale(styles) {
+  const clusters = clusterSizes(styles || []);
+  if (clusters.length === 0) return { base: null, ratio: null, clusters: [], roles: {} };
+
+  // Base: the size running text uses most, within body text range
+  const bodyCount = (/** @type {SizeCluster} */ cluster) => countTags(cluster.tags, BODY_TAGS);
+  const baseCluster =
+    [...clusters].filter((c) => c.px >= 12 && c.px <= 24 && bodyCount(c) > 0).sort((a, b) => bodyCount(b) - bodyCount(a))[0] ||
+    [...clusters].sort((a, b) => b.count - a.count)[0];
+  const base = baseCluster.px;
+
+  const ratio = detectScaleRatio(clusters.filter((c) => c !== baseCluster).map((c) => c.px), base);
+  if (ratio) {
+    for (const cluster of clusters) cluster.step = Math.round(Math.log(cluster.px / base) / Math.log(ratio.value));
+  }
+
+  /** @type {Record<string, TypeRole>} */
+  const roles = {};
+  /** @type {Set<SizeCluster>} */
+  const taken = new Set();
+
+  // Headings: the size each level is used at most
+  for (let level = 1; level <= 6; level++) {
+    const tag = `h${level}`;
+    const cluster = [...clusters].sort((a, b) => (b.tags[tag] || 0) - (a.tags[tag] || 0))[0];
+    if (!cluster.tags[tag]) continue;
+    roles[tag] = toRole(dominantStyle(cluster, [tag]), cluster);
+    taken.add(cluster);
+  }
+
+  // Display: a size clearly above the top heading (hero text, usually not an <h1>)
+  const largest = clusters[clusters.length - 1];
+  const topHeading = clusters.filter((c) => taken.has(c)).pop();
+  if (!taken.has(largest) && largest.px >= (topHeading ? topHeading.px * 1.2 : base * 2.5)) {
+    roles.display = toRole(dominantStyle(largest), largest);
+    taken.add(largest);
+  }
+
+  roles.body = toRole(dominantStyle(baseCluster, BODY_TAGS), baseCluster);
+  taken.add(baseCluster);
+
+  // Body large: running text a little above the base (lead paragraphs)
+  const lead = clusters
+    .filter((c) => !taken.has(c) && c.px > base && c.px <= base * 1.4 && bodyCount(c) > 0)
+    .sort((a, b) => bodyCount(b) - bodyCount(a))[0];
+  if (lead) {
+    roles["body-lg"] = toRole(dominantStyle(lead, BODY_TAGS), lead);
+    taken.add(lead);
+  }
+
+  // Small and caption: text below the base, caption being the smallest or the one captions use
+  const textTags = [...BODY_TAGS, ...CAPTION_TAGS];
+  const below = clusters.filter((c) => c.px < base && countTags(c.tags, textTags) > 0).reverse();
+  const captionCluster =
+    [...below].sort((a, b) => countTags(b.tags, CAPTION_TAGS) - countTags(a.tags, CAPTION_TAGS)).find((c) => countTags(c.tags, CAPTION_TAGS) > 0) ||
+    (below.length > 1 || (below[0] && below[0].px < base * 0.8) ? below[below.length - 1] : undefined);
+  const smallCluster = below.find((c) => c !== captionCluster);
+  if (smallCluster) roles.small = toRole(dominantStyle(smallCluster, textTags), smallCluster);
+  if (captionCluster) roles.caption = toRole(dominantStyle(captionCluster, textTags), captionCluster);
+
+  // Label and code go by tag (and font) rather than size
+  const byUsage = (/** @type {(style: any) => number} */ weightOf) => {
+    let best = null;
+    let bestWeight = 0;
+    for (const cluster of clusters) {
+      for (const style of cluster.styles) {
+        const weight = weightOf(style);
+        if (weight > bestWeight) [best, bestWeight] = [{ style, cluster }, weight];
+      }
+    }
+    return best;
+  };
+  const label =
+    byUsage((style) => tagsOf(style).label || 0) ||
+    byUsage((style) => (style.context === "button" ? style.count || 1 : 0));
+  if (label) roles.label = toRole(label.style, label.cluster);
+  const code = byUsage((style) => countTags(tagsOf(style), CODE_TAGS) || (MONOSPACE.test(style.family) ? style.count || 1 : 0));
+  if (code) roles.code = toRole(code.style, code.cluster);
+
+  return {
+    base,
+    ratio,
+    clusters: clusters.map(({ styles: _styles, tags: _tags, ...cluster }) => cluster).reverse(),
+    roles: Object.fromEntries(TYPE_ROLES.filter((role) => roles[role]).map((role) => [role, roles[role]])),
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Normalize a user-supplied URL, defaulting to https://
+ *
+ * @param {string} url - URL or bare domain ("example.com")
+ * @returns {string|null} Absolute URL, or null if it can't be parsed
+ */
+export function normalizeUrl(url) {
+  if (!url || typeof url !== "string") return null;
+
+  let targetUrl = url.trim();
+  if (!targetUrl.match(/^https?:\/\//)) {
+    targetUrl = "https://" + targetUrl;
+  }
+
+  try {
+    new URL(targetUrl);
+  } catch {
+    return null;
+  }
+
+  return targetUrl;
+}
@@ -0,0 +1,231 @@
+/**
+ * CSS Custom Property Graph
+ *
+ * Node-side half of the variable collection in `extractColors`. The page
+ * reports every `--*` declaration it can read from stylesheets, with the
+ * selector and the at-rules (@media, @supports, @layer) it sits under, plus the computed
+ * values on `:root`. This module links variables to the variables they
+ * reference, resolves each one in every scope it is declared in (falling
+ * back to the root declarations, like the cascade does for descendants of
+ * `:root`), and maps resolved colors back to palette entries.
+ */
+
+import { normalizeColor } from "./color.js";
+
+// Scope id of declarations on the document root
+export const ROOT_SCOPE = ":root";
+
+// Largest graph kept in a result
+const MAX_VARIABLES = 500;
+
+// Nesting limit for var() chains (cycles are caught separately)
+const MAX_DEPTH = 32;
+
+/**
+ * @typedef {Object} VariableDeclaration
+ * @property {string} name - `--*` property
+ * @property {string} value - Declared value, `var()` references intact
+ * @property {string} selector - Style rule selector
+ * @property {string[]} conditions - Preludes of the enclosing at-rules, outermost first ("@media (prefers-color-scheme: dark)")
+ */
+
+/**
+ * @typedef {Object} VariableScope
+ * @property {string} id - The at-rule preludes and the selector, space-separated
+ * @property {string} selector
+ * @property {string[]} conditions
+ */
+
+/**
+ * @typedef {Object} VariableNode
+ * @property {string[]} references - Variables its declarations reference
+ * @property {string[]} referencedBy - Variables whose declarations reference it
+ * @property {Record<string, { value: string, resolved: string|null }>} values - Scope id -> declared and resolved value
+ * @property {string|null} resolved - Value on the root element
+ * @property {string|null} color - `resolved` as normalized hex, when it is a color
+ */
+
+/**
+ * @typedef {Object} VariableGraph
+ * @property {VariableScope[]} scopes - Root first, then in stylesheet order
+ * @property {Record<string, VariableNode>} variables
+ * @property {Record<string, string[]>} origins - Normalized palette color -> variables resolving to it, aliases first
+ */
+
+/**
+ * Whether a selector targets the document root
+ *
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isRootSelector(selector) {
+  return selector.split(",").some((part) => [":root", "html", ":host"].includes(part.trim()));
+}
+
+/**
+ * @param {VariableDeclaration} declaration
+ * @returns {string}
+ */
+function scopeId(declaration) {
+  if (declaration.conditions.length === 0 && isRootSelector(declaration.selector)) return ROOT_SCOPE;
+  return [...declaration.conditions, declaration.selector].join(" ");
+}
+
+/**
+ * Names referenced with var() in a value
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function variableReferences(value) {
+  return [...new Set([...value.matchAll(/var\(\s*(--[\w-]+)/g)].map((match) => match[1]))];
+}
+
+/**
+ * Find the var() calls in a value, with their fallbacks
+ *
+ * @param {string} value
+ * @returns {Array<{ start: number, end: number, name: string, fallback: string|null }>}
+ */
+function findVarCalls(value) {
+  const calls = [];
+  const pattern = /var\(\s*(--[\w-]+)\s*(,)?/g;
+  let match;
+  while ((match = pattern.exec(value))) {
+    let depth = 1;
+    let i = pattern.lastIndex;
+    for (; i < value.length && depth > 0; i++) {
+      if (value[i] === "(") depth++;
+      if (value[i] === ")") depth--;
+    }
+    const fallback = match[2] ? value.slice(pattern.lastIndex, i - 1).trim() : null;
+    calls.push({ start: match.index, end: i, name: match[1], fallback });
+    pattern.lastIndex = i;
+  }
+  return calls;
+}
+
+/**
+ * Build the variable graph
+ *
+ * @param {VariableDeclaration[]} declarations - In stylesheet order
+ * @param {Record<string, string>} rootValues - Computed values on the root element
+ * @param {Array<{ normalized: string }>} palette - Palette to map resolved colors onto
+ * @returns {VariableGraph}
+ */
+export function buildVariableGraph(declarations, rootValues, palette) {
+  /** @type {Map<string, VariableScope>} */
+  const scopes = new Map([[ROOT_SCOPE, { id: ROOT_SCOPE, selector: ":root", conditions: [] }]]);
+  /** @type {Map<string, Map<string, string>>} */
+  const declared = new Map(); // name -> scope id -> value (last declaration wins)
+
+  for (const declaration of declarations) {
+    const id = scopeId(declaration);
+    if (!scopes.has(id)) {
+      scopes.set(id, { id, selector: declaration.selector, conditions: declaration.conditions });
+    }
+    if (!declared.has(declaration.name)) {
+      if (declared.size >= MAX_VARIABLES) continue;
+      declared.set(declaration.name, new Map());
+    }
+    declared.get(declaration.name)?.set(id, declaration.value.trim());
+  }
+  // Variables only visible in computed styles (set inline or by script)
+  for (const name of Object.keys(rootValues)) {
+    if (!declared.has(name) && declared.size < MAX_VARIABLES) {
+      declared.set(name, new Map([[ROOT_SCOPE, rootValues[name]]]));
+    }
+  }
+
+  /**
+   * Resolve a variable as seen by an element matched by `scope`
+   *
+   * @param {string} name
+   * @param {string} scope
+   * @param {string[]} chain - Variables being resolved, to catch cycles
+   * @returns {string|null} Null when undefined, cyclic or too deep
+   */
+  const resolve = (name, scope, chain) => {
+    if (chain.includes(name) || chain.length > MAX_DEPTH) return null;
+    const values = declared.get(name);
+    if (scope === ROOT_SCOPE && rootValues[name] !== undefined && !variableReferences(rootValues[name]).length) {
+      return rootValues[name];
+    }
+    const own = values?.get(scope);
+    // A descendant inherits the root's computed value; a conditional root
+    // block (@media ... :root) is the same element, so its overrides still apply
+    if (own === undefined && scope !== ROOT_SCOPE && !isRootSelector(scopes.get(scope)?.selector || "")) {
+      return resolve(name, ROOT_SCOPE, chain);
+    }
+    const value = own ?? values?.get(ROOT_SCOPE) ?? rootValues[name];
+    if (value === undefined) return null;
+    return substitute(value, scope, [...chain, name]);
+  };
+
+  /**
+   * @param {string} value
+   * @param {string} scope
+   * @param {string[]} chain
+   * @returns {string|null}
+   */
+  const substitute = (value, scope, chain) => {
+    let result = "";
+    let last = 0;
+    for (const call of findVarCalls(value)) {
+      let replacement = resolve(call.name, scope, chain);
+      if (replacement === null && call.fallback !== null) replacement = substitute(call.fallback, scope, chain);
+      if (replacement === null) return null;
+      result += value.slice(last, call.start) + replacement;
+      last = call.end;
+    }
+    return (result + value.slice(last)).trim();
+  };
+
+  /** @type {Record<string, VariableNode>} */
+  const variables = {};
+  for (const [name, values] of declared) {
+    /** @type {VariableNode["values"]} */
+    const scoped = {};
+    const references = new Set();
+    for (const [scope, value] of values) {
+      variableReferences(value).forEach((ref) => references.add(ref));
+      scoped[scope] = { value, resolved: resolve(name, scope, []) };
+    }
+    const resolved = resolve(name, ROOT_SCOPE, []);
+    variables[name] = {
+      references: [...references],
+      referencedBy: [],
+      values: scoped,
+      resolved,
+      color: resolved ? normalizeColor(resolved) : null,
+    };
+  }
+  for (const [name, node] of Object.entries(variables)) {
+    node.references.forEach((ref) => variables[ref]?.referencedBy.push(name));
+  }
+
+  /**
+   * Length of the alias chain below a variable (0 for literal values)
+   *
+   * @param {string} name
+   * @param {string[]} chain
+   * @returns {number}
+   */
+  const depth = (name, chain = []) => {
+    const node = variables[name];
+    if (!node || chain.includes(name)) return 0;
+    return node.references.length === 0
+      ? 0
+      : 1 + Math.max(...node.references.map((ref) => depth(ref, [...chain, name])));
+  };
+
+  /** @type {Record<string, string[]>} */
+  const origins = {};
+  const paletteColors = new Set(palette.map((color) => color.normalized));
+  for (const [name, node] of Object.entries(variables)) {
+    if (node.color && paletteColors.has(node.color)) (origins[node.color] ||= []).push(name);
+  }
+  for (const names of Object.values(origins)) names.sort((a, b) => depth(b) - depth(a));
+
+  return { scopes: [...scopes.values()], variables, origins };
+}
@@ -0,0 +1,223 @@
+/**
+ * Visual Color Sampling
+ *
+ * Dominant colors of a page by pixel area, from a full-page screenshot.
+ * The DOM pass in `extractColors` weights a color by how many elements use
+ * it, so one full-bleed hero counts once while hundreds of hairline borders
+ * dominate, and it can't see into images or canvases at all. Here pixels
+ * are binned, the bins clustered with weighted k-means in CIELAB, and the
+ * clusters matched back onto the DOM palette.
+ */
+
+import { toLab, ciede2000 } from "./color.js";
+import { toPaletteColor } from "./palette.js";
+
+// Pixels sampled at most (the screenshot is strided down to about this many)
+const MAX_SAMPLES = 250000;
+
+// Clusters k-means starts with (merged afterwards when perceptually close)
+const CLUSTERS = 12;
+
+const MAX_ITERATIONS = 15;
+
+// Clusters smaller than this share of the page (%) are dropped
+const MIN_AREA = 0.5;
+
+// Screenshot-only colors need this much area (%) to join the palette
+const MIN_NEW_AREA = 2;
+
+/**
+ * @typedef {Object} VisualColor
+ * @property {string} color - `#rrggbb`, mean of the cluster's pixels
+ * @property {number} area - Share of the sampled page area, in %
+ * @property {string|null} [match] - Normalized palette color it was matched to
+ */
+
+/**
+ * @typedef {{ r: number, g: number, b: number, count: number, lab: import('./color.js').Lab }} Bin
+ */
+
+/**
+ * @param {import('./color.js').Lab} a
+ * @param {import('./color.js').Lab} b
+ * @returns {number}
+ */
+function distance2(a, b) {
+  return (a.l - b.l) ** 2 + (a.a - b.a) ** 2 + (a.b - b.b) ** 2;
+}
+
+/**
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {string}
+ */
+function hex(r, g, b) {
+  return `#${[r, g, b].map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Bin the (opaque) pixels of an image by 5-bit RGB
+ *
+ * @param {import('./png.js').DecodedImage} image
+ * @returns {Bin[]}
+ */
+function binPixels(image) {
+  const step = Math.max(1, Math.floor(Math.sqrt((image.width * image.height) / MAX_SAMPLES)));
+  /** @type {Map<number, { r: number, g: number, b: number, count: number }>} */
+  const bins = new Map();
+  for (let y = 0; y < image.height; y += step) {
+    for (let x = 0; x < image.width; x += step) {
+      const i = (y * image.width + x) * 4;
+      if (image.data[i + 3] < 128) continue;
+      const [r, g, b] = [image.data[i], image.data[i + 1], image.data[i + 2]];
+      const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+      const bin = bins.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+      bin.r += r;
+      bin.g += g;
+      bin.b += b;
+      bin.count++;
+      bins.set(key, bin);
+    }
+  }
+  return [...bins.values()].map((bin) => {
+    const [r, g, b] = [bin.r / bin.count, bin.g / bin.count, bin.b / bin.count];
+    return { r, g, b, count: bin.count, lab: /** @type {import('./color.js').Lab} */ (toLab(hex(r, g, b))) };
+  });
+}
+
+/**
+ * Dominant colors of an image by area
+ *
+ * @param {import('./png.js').DecodedImage} image
+ * @param {number} threshold - Delta-E 2000 under which clusters merge
+ * @returns {VisualColor[]} Largest area first
+ */
+export function dominantColors(image, threshold) {
+  const bins = binPixels(image);
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  if (total === 0) return [];
+
+  // Deterministic k-means++ seeding: the most common bin, then the bins
+  // that are both common and far from every centroid so far
+  const centroids = [bins.reduce((best, bin) => (bin.count > best.count ? bin : best)).lab];
+  while (centroids.length < Math.min(CLUSTERS, bins.length)) {
+    let best = null;
+    let bestScore = 0;
+    for (const bin of bins) {
+      const score = bin.count * Math.min(...centroids.map((c) => distance2(c, bin.lab)));
+      if (score > bestScore) [best, bestScore] = [bin, score];
+    }
+    if (!best) break;
+    centroids.push(best.lab);
+  }
+
+  const assignment = new Array(bins.length).fill(-1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    bins.forEach((bin, i) => {
+      let nearest = 0;
+      centroids.forEach((c, k) => {
+        if (distance2(c, bin.lab) < distance2(centroids[nearest], bin.lab)) nearest = k;
+      });
+      if (assignment[i] !== nearest) [assignment[i], changed] = [nearest, true];
+    });
+    if (!changed) break;
+    centroids.forEach((_, k) => {
+      const members = bins.filter((_, i) => assignment[i] === k);
+      const weight = members.reduce((sum, bin) => sum + bin.count, 0);
+      if (weight === 0) return;
+      centroids[k] = {
+        l: members.reduce((sum, bin) => sum + bin.lab.l * bin.count, 0) / weight,
+        a: members.reduce((sum, bin) => sum + bin.lab.a * bin.count, 0) / weight,
+        b: members.reduce((sum, bin) => sum + bin.lab.b * bin.count, 0) / weight,
+      };
+    });
+  }
+
+  // Summarize clusters by their mean sRGB pixel, then merge near-identical ones
+  /** @type {Array<{ r: number, g: number, b: number, count: number }>} */
+  let clusters = centroids.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+  bins.forEach((bin, i) => {
+    const cluster = clusters[assignment[i]];
+    cluster.r += bin.r * bin.count;
+    cluster.g += bin.g * bin.count;
+    cluster.b += bin.b * bin.count;
+    cluster.count += bin.count;
+  });
+  clusters = clusters.filter((c) => c.count > 0).sort((a, b) => b.count - a.count);
+
+  /** @type {Array<{ r: number, g: number, b: number, count: number, lab: import('./color.js').Lab }>} */
+  const merged = [];
+  for (const cluster of clusters) {
+    const lab = /** @type {import('./color.js').Lab} */ (toLab(hex(cluster.r / cluster.count, cluster.g / cluster.count, cluster.b / cluster.count)));
+    const into = merged.find((m) => ciede2000(m.lab, lab) < threshold);
+    if (into) {
+      into.r += cluster.r;
+      into.g += cluster.g;
+      into.b += cluster.b;
+      into.count += cluster.count;
+    } else {
+      merged.push({ ...cluster, lab });
+    }
+  }
+
+  return merged
+    .map((c) => ({
+      color: hex(c.r / c.count, c.g / c.count, c.b / c.count),
+      area: Math.round((c.count / total) * 1000) / 10,
+    }))
+    .filter((c) => c.area >= MIN_AREA)
+    .sort((a, b) => b.area - a.area);
+}
+
+/**
+ * Match visual colors onto the DOM palette. Matched palette entries gain
+ * `area` (% of the page they cover); large colors the DOM pass missed
+ * (images, canvases, video) are added to the palette with source "screenshot".
+ *
+ * @param {import('./palette.js').PaletteColor[]} palette
+ * @param {VisualColor[]} visual - From `dominantColors`
+ * @param {number} threshold - Delta-E 2000 under which a visual color is a palette color
+ * @returns {{ palette: import('./palette.js').PaletteColor[], visual: VisualColor[], added: number }}
+ */
+export function reconcileVisualColors(palette, visual, threshold) {
+  const merged = palette.map((color) => ({ ...color }));
+  const labs = merged.map((color) => toLab(color.normalized));
+  let added = 0;
+
+  const matched = visual.map((entry) => {
+    const lab = /** @type {import('./color.js').Lab} */ (toLab(entry.color));
+    let nearest = -1;
+    let nearestDistance = Infinity;
+    labs.forEach((paletteLab, i) => {
+      // Translucent palette colors never paint as themselves
+      if (!paletteLab || merged[i].alpha < 1) return;
+      const d = ciede2000(lab, paletteLab);
+      if (d < nearestDistance) [nearest, nearestDistance] = [i, d];
+    });
+
+    if (nearest >= 0 && nearestDistance < threshold) {
+      const target = merged[nearest];
+      target.area = Math.round(((target.area || 0) + entry.area) * 10) / 10;
+      return { ...entry, match: target.normalized };
+    }
+
+    if (entry.area >= MIN_NEW_AREA) {
+      const color = toPaletteColor(entry.color, {
+        count: 0,
+        confidence: entry.area >= 10 ? "high" : entry.area >= 4 ? "medium" : "low",
+        sources: ["screenshot"],
+      });
+      if (color) {
+        merged.push({ ...color, area: entry.area, source: "screenshot" });
+        labs.push(lab);
+        added++;
+        return { ...entry, match: color.normalized };
+      }
+    }
+    return { ...entry, match: null };
+  });
+
+  return { palette: merged, visual: matched, added };
+}
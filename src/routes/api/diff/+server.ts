@@ -0,0 +1,52 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+import { diffExtractions } from '$lib/diff.js';
+import { getExtraction } from '$lib/history.js';
+
+// `before`/`after` may be extraction results or ids of saved extractions
+async function resolveSide(value: unknown): Promise<Record<string, any> | null> {
+	if (typeof value === 'string') {
+		const saved = await getExtraction(value);
+		return saved ? { id: saved.id, ...saved.result } : null;
+	}
+	if (value && typeof value === 'object' && !Array.isArray(value)) {
+		return value as Record<string, any>;
+	}
+	return null;
+}
+
+// Compare two extraction results
+export const POST: RequestHandler = async ({ request }) => {
+	let body: any;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ error: 'Request body must be JSON' }, { status: 400 });
+	}
+
+	const { before, after, options = {} } = body || {};
+
+	if (!before || !after) {
+		return json({ error: 'Both before and after are required' }, { status: 400 });
+	}
+
+	const colorThreshold = options.colorThreshold === undefined ? undefined : Number(options.colorThreshold);
+	if (colorThreshold !== undefined && !(colorThreshold >= 0)) {
+		return json({ error: 'colorThreshold must be a non-negative number' }, { status: 400 });
+	}
+
+	try {
+		const [beforeResult, afterResult] = await Promise.all([resolveSide(before), resolveSide(after)]);
+		if (!beforeResult) {
+			return json({ error: 'before is not an extraction result or a saved extraction id' }, { status: 404 });
+		}
+		if (!afterResult) {
+			return json({ error: 'after is not an extraction result or a saved extraction id' }, { status: 404 });
+		}
+
+		return json(diffExtractions(beforeResult, afterResult, { colorThreshold }));
+	} catch (error: any) {
+		console.error('Diff error:', error);
+		return json({ error: error.message || 'Failed to compare extractions' }, { status: 500 });
+	}
+};
@@ -0,0 +1,55 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+import { exportResult, getExporter, listExporters } from '$lib/exporters/index.js';
+
+// List the available export formats
+export const GET: RequestHandler = async ({ url }) => {
+	const format = url.searchParams.get('format');
+	const formats = listExporters().map(({ id, label, mimeType }) => ({ id, label, mimeType }));
+
+	if (format) {
+		const match = formats.find((f) => f.id === format);
+		if (!match) {
+			return json({ error: `Unknown export format "${format}"`, formats }, { status: 400 });
+		}
+		return json(match);
+	}
+
+	return json({ formats });
+};
+
+// Render an extraction result (the body returned by POST /api/extract) in the requested format
+export const POST: RequestHandler = async ({ request, url }) => {
+	const format = url.searchParams.get('format') || 'json';
+
+	if (!getExporter(format)) {
+		return json(
+			{ error: `Unknown export format "${format}"`, formats: listExporters().map((e) => e.id) },
+			{ status: 400 }
+		);
+	}
+
+	let result: Record<string, any>;
+	try {
+		result = await request.json();
+	} catch {
+		return json({ error: 'Request body must be an extraction result in JSON format' }, { status: 400 });
+	}
+
+	if (!result || typeof result !== 'object' || Array.isArray(result)) {
+		return json({ error: 'Request body must be an extraction result in JSON format' }, { status: 400 });
+	}
+
+	try {
+		const { body, filename, mimeType } = exportResult(result, format);
+		return new Response(typeof body === 'string' ? body : new Uint8Array(body), {
+			headers: {
+				'Content-Type': typeof body === 'string' ? `${mimeType}; charset=utf-8` : mimeType,
+				'Content-Disposition': `attachment; filename="${filename}"`
+			}
+		});
+	} catch (error: any) {
+		console.error('Export error:', error);
+		return json({ error: error.message || 'Failed to export design tokens' }, { status: 500 });
+	}
+};
@@ -0,0 +1,143 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+// @ts-ignore - extractors.js is a JS file
+import { extractBranding, launchBrowser, resolveExtractOptions } from '$lib/extractors.js';
+import { saveExtraction } from '$lib/history.js';
+import { runWithConcurrency } from '$lib/queue.js';
+import { createSilentSpinner } from '$lib/spinner.js';
+import { normalizeUrl } from '$lib/url.js';
+import type { Browser } from 'playwright';
+
+const MAX_URLS = 100;
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 8;
+
+// Extract many URLs through one shared browser, streaming one NDJSON line per finished URL
+export const POST: RequestHandler = async ({ request }) => {
+	let body: any;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ error: 'Request body must be JSON' }, { status: 400 });
+	}
+
+	const { urls, options = {} } = body || {};
+
+	if (!Array.isArray(urls) || urls.length === 0) {
+		return json({ error: 'urls must be a non-empty array' }, { status: 400 });
+	}
+	if (urls.length > MAX_URLS) {
+		return json({ error: `A batch can contain at most ${MAX_URLS} URLs` }, { status: 400 });
+	}
+
+	const concurrency = Math.min(
+		MAX_CONCURRENCY,
+		Math.max(1, parseInt(body.concurrency) || DEFAULT_CONCURRENCY)
+	);
+
+	const extractOptions = resolveExtractOptions(options);
+
+	const encoder = new TextEncoder();
+	const startedAt = Date.now();
+
+	const stream = new ReadableStream({
+		async start(controller) {
+			let closed = false;
+			const send = (event: Record<string, any>) => {
+				if (closed) return;
+				try {
+					controller.enqueue(encoder.encode(JSON.stringify(event) + '\n'));
+				} catch {
+					// Client went away
+					closed = true;
+				}
+			};
+
+			let succeeded = 0;
+			let failed = 0;
+			let browser: Browser | null = null;
+
+			// Closing the shared browser makes the in-flight extractions fail fast
+			const abort = () => {
+				closed = true;
+				browser?.close().catch(() => {});
+			};
+			request.signal.addEventListener('abort', abort);
+
+			send({ type: 'start', total: urls.length, concurrency });
+
+			try {
+				const shared = await launchBrowser();
+				browser = shared;
+
+				await runWithConcurrency(
+					urls,
+					concurrency,
+					async (url: string, index: number) => {
+						const targetUrl = normalizeUrl(url);
+						if (!targetUrl) {
+							failed++;
+							send({ type: 'error', index, url, error: 'Invalid URL format' });
+							return;
+						}
+
+						const jobStartedAt = Date.now();
+						try {
+							const result = await extractBranding(targetUrl, createSilentSpinner(), shared, {
+								navigationTimeout: 90000,
+								...extractOptions,
+								techStack: true
+							});
+
+							let id: string | null = null;
+							try {
+								id = (await saveExtraction(result, extractOptions)).id;
+							} catch (error) {
+								console.error('History save error:', error);
+							}
+
+							succeeded++;
+							send({
+								type: 'result',
+								index,
+								url,
+								id,
+								durationMs: Date.now() - jobStartedAt,
+								result
+							});
+						} catch (error: any) {
+							failed++;
+							console.error(`Batch extraction error (${targetUrl}):`, error);
+							send({
+								type: 'error',
+								index,
+								url,
+								durationMs: Date.now() - jobStartedAt,
+								error: error.message || 'Failed to extract design tokens'
+							});
+						}
+					},
+					request.signal
+				);
+			} catch (error: any) {
+				console.error('Batch extraction error:', error);
+				send({ type: 'fatal', error: error.message || 'Failed to start batch extraction' });
+			} finally {
+				request.signal.removeEventListener('abort', abort);
+				if (browser) {
+					await browser.close().catch(() => {});
+				}
+			}
+
+			send({ type: 'done', succeeded, failed, durationMs: Date.now() - startedAt });
+			if (!closed) controller.close();
+		}
+	});
+
+	return new Response(stream, {
+		headers: {
+			'Content-Type': 'application/x-ndjson; charset=utf-8',
+			'Cache-Control': 'no-cache'
+		}
+	});
+};
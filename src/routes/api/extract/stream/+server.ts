@@ -0,0 +1,99 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+// @ts-ignore - extractors.js is a JS file
+import { extractBranding, launchBrowser, resolveExtractOptions } from '$lib/extractors.js';
+import { saveExtraction } from '$lib/history.js';
+import { createProgressSpinner } from '$lib/spinner.js';
+import { normalizeUrl } from '$lib/url.js';
+import type { Browser } from 'playwright';
+
+// Same extraction as POST /api/extract, streamed as Server-Sent Events:
+// `progress` for every stage change, then a single `result` or `error`
+export const POST: RequestHandler = async ({ request }) => {
+	let body: any;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ error: 'Request body must be JSON' }, { status: 400 });
+	}
+
+	const { url, options = {} } = body || {};
+
+	if (!url) {
+		return json({ error: 'URL is required' }, { status: 400 });
+	}
+
+	const targetUrl = normalizeUrl(url);
+	if (!targetUrl) {
+		return json({ error: 'Invalid URL format' }, { status: 400 });
+	}
+
+	const extractOptions = resolveExtractOptions(options);
+
+	const encoder = new TextEncoder();
+
+	const stream = new ReadableStream({
+		async start(controller) {
+			let closed = false;
+			const send = (event: string, data: Record<string, any>) => {
+				if (closed) return;
+				try {
+					controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+				} catch {
+					// Client went away
+					closed = true;
+				}
+			};
+
+			const spinner = createProgressSpinner((progress) => send('progress', progress));
+			let browser: Browser | null = null;
+
+			// Closing the browser makes the in-flight extraction fail fast
+			const abort = () => {
+				closed = true;
+				browser?.close().catch(() => {});
+			};
+			request.signal.addEventListener('abort', abort);
+
+			try {
+				browser = await launchBrowser();
+
+				const result = await extractBranding(targetUrl, spinner, browser, {
+					navigationTimeout: 90000,
+					...extractOptions,
+					techStack: true
+				});
+
+				let id: string | null = null;
+				try {
+					id = (await saveExtraction(result, extractOptions)).id;
+				} catch (error) {
+					console.error('History save error:', error);
+				}
+
+				send('result', { id, ...result });
+			} catch (error: any) {
+				console.error('Extraction error:', error);
+				send('error', {
+					error: error.message || 'Failed to extract design tokens',
+					stage: spinner.text || null
+				});
+			} finally {
+				request.signal.removeEventListener('abort', abort);
+				if (browser) {
+					await browser.close().catch(() => {});
+				}
+			}
+
+			if (!closed) controller.close();
+		}
+	});
+
+	return new Response(stream, {
+		headers: {
+			'Content-Type': 'text/event-stream; charset=utf-8',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive'
+		}
+	});
+};
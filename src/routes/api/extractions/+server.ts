@@ -0,0 +1,25 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+import { listExtractions } from '$lib/history.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// List saved extractions, newest first (?url= filters by URL substring, ?limit= caps the count)
+export const GET: RequestHandler = async ({ url }) => {
+	const limit = Math.min(
+		MAX_LIMIT,
+		Math.max(1, parseInt(url.searchParams.get('limit') || '') || DEFAULT_LIMIT)
+	);
+
+	try {
+		const extractions = await listExtractions({
+			url: url.searchParams.get('url') || undefined,
+			limit
+		});
+		return json({ extractions });
+	} catch (error: any) {
+		console.error('History list error:', error);
+		return json({ error: error.message || 'Failed to read extraction history' }, { status: 500 });
+	}
+};
@@ -0,0 +1,17 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+import { getExtraction } from '$lib/history.js';
+
+// Load one saved extraction, including the full result
+export const GET: RequestHandler = async ({ params }) => {
+	try {
+		const extraction = await getExtraction(params.id);
+		if (!extraction) {
+			return json({ error: `Extraction "${params.id}" not found` }, { status: 404 });
+		}
+		return json(extraction);
+	} catch (error: any) {
+		console.error('History read error:', error);
+		return json({ error: error.message || 'Failed to read extraction' }, { status: 500 });
+	}
+};
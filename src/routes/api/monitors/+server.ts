@@ -0,0 +1,35 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+import { createMonitor, listMonitors, validateMonitorInput } from '$lib/monitors.js';
+
+// List registered monitors with their last run and next scheduled run
+export const GET: RequestHandler = async () => {
+	try {
+		return json({ monitors: await listMonitors() });
+	} catch (error: any) {
+		console.error('Monitor list error:', error);
+		return json({ error: error.message || 'Failed to read monitors' }, { status: 500 });
+	}
+};
+
+// Register a URL for scheduled extraction
+export const POST: RequestHandler = async ({ request }) => {
+	let body: any;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ error: 'Request body must be JSON' }, { status: 400 });
+	}
+
+	const invalid = validateMonitorInput(body);
+	if (invalid) {
+		return json({ error: invalid }, { status: 400 });
+	}
+
+	try {
+		return json(await createMonitor(body), { status: 201 });
+	} catch (error: any) {
+		console.error('Monitor create error:', error);
+		return json({ error: error.message || 'Failed to create monitor' }, { status: 500 });
+	}
+};
@@ -0,0 +1,54 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+import { deleteMonitor, getMonitor, updateMonitor, validateMonitorInput } from '$lib/monitors.js';
+
+export const GET: RequestHandler = async ({ params }) => {
+	try {
+		const monitor = await getMonitor(params.id);
+		if (!monitor) {
+			return json({ error: `Monitor "${params.id}" not found` }, { status: 404 });
+		}
+		return json(monitor);
+	} catch (error: any) {
+		console.error('Monitor read error:', error);
+		return json({ error: error.message || 'Failed to read monitor' }, { status: 500 });
+	}
+};
+
+// Change any of url, schedule, webhook, thresholds, options, enabled
+export const PATCH: RequestHandler = async ({ params, request }) => {
+	let body: any;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ error: 'Request body must be JSON' }, { status: 400 });
+	}
+
+	const invalid = validateMonitorInput(body, true);
+	if (invalid) {
+		return json({ error: invalid }, { status: 400 });
+	}
+
+	try {
+		const monitor = await updateMonitor(params.id, body);
+		if (!monitor) {
+			return json({ error: `Monitor "${params.id}" not found` }, { status: 404 });
+		}
+		return json(monitor);
+	} catch (error: any) {
+		console.error('Monitor update error:', error);
+		return json({ error: error.message || 'Failed to update monitor' }, { status: 500 });
+	}
+};
+
+export const DELETE: RequestHandler = async ({ params }) => {
+	try {
+		if (!(await deleteMonitor(params.id))) {
+			return json({ error: `Monitor "${params.id}" not found` }, { status: 404 });
+		}
+		return new Response(null, { status: 204 });
+	} catch (error: any) {
+		console.error('Monitor delete error:', error);
+		return json({ error: error.message || 'Failed to delete monitor' }, { status: 500 });
+	}
+};
@@ -0,0 +1,17 @@
+import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+import { runMonitor } from '$lib/monitors.js';
+
+// Run a monitor now instead of waiting for its schedule; responds once the run finishes
+export const POST: RequestHandler = async ({ params }) => {
+	try {
+		const run = await runMonitor(params.id);
+		if (!run) {
+			return json({ error: `Monitor "${params.id}" not found` }, { status: 404 });
+		}
+		return json(run);
+	} catch (error: any) {
+		console.error('Monitor run error:', error);
+		return json({ error: error.message || 'Failed to run monitor' }, { status: 500 });
+	}
+};
@@ -0,0 +1,64 @@
+/**
+ * Color parsing checks
+ *
+ * Modern CSS color syntax and alpha through `parseColor` and the hex
+ * helpers, and wide-gamut palette colors in the CSS and Tailwind exports.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { normalizeColor, parseColor, toHex } from "../src/lib/color.js";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { toTailwind } from "../src/lib/exporters/tailwind.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+describe("parseColor", () => {
+  it("reads legacy and space-separated syntax alike", () => {
+    for (const value of ["#6366f1", "#66f", "rgb(99, 102, 241)", "rgb(99 102 241)", "rgba(99, 102, 241, 1)"]) {
+      assert.equal(parseColor(value)?.space, "srgb", value);
+    }
+    assert.equal(normalizeColor("rgb(99 102 241)"), "#6366f1");
+    assert.equal(normalizeColor("RED"), "#ff0000");
+  });
+
+  it("keeps alpha in the normalized value and drops it from the hex", () => {
+    assert.equal(normalizeColor("rgb(99 102 241 / 50%)"), "#6366f180");
+    assert.equal(normalizeColor("#6366f180"), "#6366f180");
+    assert.equal(toHex("rgb(99 102 241 / 50%)"), "#6366f1");
+    assert.equal(normalizeColor("transparent"), "#00000000");
+    assert.equal(toHex("transparent"), null);
+  });
+
+  it("resolves color-mix() and relative colors", () => {
+    assert.equal(normalizeColor("color-mix(in srgb, red 50%, blue)"), "#800080");
+    assert.equal(normalizeColor("rgb(from red r g b / 0.5)"), "#ff000080");
+  });
+
+  it("flags colors outside sRGB and keeps their space", () => {
+    const p3 = parseColor("color(display-p3 1 0 0)");
+    assert.equal(p3?.space, "display-p3");
+    assert.equal(p3?.inGamut, false);
+    assert.equal(parseColor("oklch(0.7 0.25 145)")?.inGamut, false);
+    assert.equal(parseColor("oklch(0.6 0.1 250)")?.inGamut, true);
+  });
+
+  it("returns null for values it can't resolve", () => {
+    for (const value of ["var(--brand)", "currentcolor", "calc(1px + 2px)", "", null, undefined]) {
+      assert.equal(parseColor(value), null, String(value));
+    }
+  });
+});
+
+describe("wide-gamut exports", () => {
+  it("overrides the hex fallback with the authored color on P3 displays", () => {
+    const css = toCSS(fixture);
+    assert.match(css, /--color-1: #00c30b;/);
+    assert.match(css, /@media \(color-gamut: p3\) \{\n {2}:root \{\n {4}--color-1: oklch\(0\.7 0\.25 145\);\n {2}\}\n\}/);
+  });
+
+  it("keeps the authored color in the Tailwind palette", () => {
+    assert.match(toTailwind(fixture), /'brand-1': 'oklch\(0\.7 0\.25 145\)'/);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Palette contrast checks
+ *
+ * WCAG 2 and APCA values for every pair of the fixture's colors, the AA /
+ * AAA verdicts, and the nearest accessible foreground for failing pairs.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { contrastRatio, toOklch } from "../src/lib/color.js";
+import { buildContrastMatrix, suggestAccessibleColor } from "../src/lib/contrast.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+describe("buildContrastMatrix", () => {
+  const matrix = buildContrastMatrix(fixture.colors);
+
+  /**
+   * @param {string} foreground
+   * @param {string} background
+   */
+  const pair = (foreground, background) => matrix.pairs.find((p) => p.foreground === foreground && p.background === background);
+
+  it("merges semantic names and palette colors by hex", () => {
+    const indigo = matrix.colors.find((color) => color.color === "#6366f1");
+    assert.deepEqual(indigo?.names, ["primary", "accent"]);
+    assert.equal(new Set(matrix.colors.map((color) => color.color)).size, matrix.colors.length);
+    assert.equal(matrix.pairs.length, matrix.colors.length * (matrix.colors.length - 1));
+  });
+
+  it("rates each pair with WCAG 2 and APCA", () => {
+    const text = pair("#0f172a", "#ffffff");
+    assert.equal(text?.ratio, 17.85);
+    assert.ok((text?.apca ?? 0) > 100);
+    assert.deepEqual([text?.aa, text?.aaa], [{ normal: true, large: true }, { normal: true, large: true }]);
+    // Light on dark has a negative Lc
+    assert.ok((pair("#ffffff", "#0f172a")?.apca ?? 0) < -100);
+    assert.equal(text?.suggestion, undefined);
+  });
+
+  it("suggests a passing foreground for pairs that fail AA", () => {
+    const green = matrix.colors.find((color) => color.names.length === 0)?.color;
+    const failing = pair(/** @type {string} */ (green), "#ffffff");
+    assert.equal(failing?.aa.normal, false);
+    assert.ok((failing?.suggestion?.ratio ?? 0) >= 4.5);
+    assert.equal(matrix.passing.aa, matrix.pairs.filter((p) => p.ratio >= 4.5).length);
+  });
+
+  it("skips translucent colors and caps the matrix at 12 colors", () => {
+    const palette = Array.from({ length: 20 }, (_, i) => ({ normalized: `#${(i * 12).toString(16).padStart(2, "0")}3366` }));
+    const matrix = buildContrastMatrix({ semantic: { overlay: "rgba(0, 0, 0, 0.5)" }, palette });
+    assert.equal(matrix.colors.length, 12);
+    assert.ok(matrix.colors.every((color) => color.names.length === 0));
+  });
+});
+
+describe("suggestAccessibleColor", () => {
+  it("moves lightness only as far as the target needs, keeping the hue", () => {
+    const suggestion = suggestAccessibleColor("#6366f1", "#0f172a", 7);
+    assert.ok(suggestion);
+    assert.ok((contrastRatio(suggestion.color, "#0f172a") ?? 0) >= 7);
+    const [before, after] = [toOklch("#6366f1"), toOklch(suggestion.color)];
+    assert.ok((after?.l ?? 0) > (before?.l ?? 1));
+    assert.ok(Math.abs((after?.h ?? 0) - (before?.h ?? 0)) < 8);
+  });
+
+  it("returns null when no lightness reaches the target", () => {
+    assert.equal(suggestAccessibleColor("#777777", "#777777", 22), null);
+    assert.equal(suggestAccessibleColor("var(--brand)", "#ffffff", 4.5), null);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Cron schedule checks
+ *
+ * Parses expressions and matches them against local-time dates: steps,
+ * Sunday as 7, the standard either-day rule, shortcuts, and the next run
+ * search, including schedules that can never fire.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { matchesCron, nextCronRun, parseCron } from "../src/lib/cron.js";
+
+/**
+ * @param {Set<number>} values
+ * @returns {number[]}
+ */
+function sorted(values) {
+  return [...values].sort((a, b) => a - b);
+}
+
+describe("parseCron", () => {
+  it("expands lists, ranges and steps", () => {
+    const { fields } = parseCron("5/15 9-17/4 1,15 * 1-5");
+    assert.deepEqual(sorted(fields[0]), [5, 20, 35, 50]);
+    assert.deepEqual(sorted(fields[1]), [9, 13, 17]);
+    assert.deepEqual(sorted(fields[2]), [1, 15]);
+    assert.equal(fields[3].size, 12);
+    assert.deepEqual(sorted(fields[4]), [1, 2, 3, 4, 5]);
+    assert.deepEqual(sorted(parseCron("*/20 * * * *").fields[0]), [0, 20, 40]);
+  });
+
+  it("reads day of week 7 as Sunday", () => {
+    assert.deepEqual(sorted(parseCron("0 0 * * 7").fields[4]), [0]);
+    assert.deepEqual(sorted(parseCron("0 0 * * 5-7").fields[4]), [0, 5, 6]);
+  });
+
+  it("expands the @ shortcuts", () => {
+    assert.equal(parseCron("@hourly").expression, "0 * * * *");
+    assert.equal(parseCron("@daily").expression, "0 0 * * *");
+    assert.equal(parseCron("@midnight").expression, "0 0 * * *");
+    assert.equal(parseCron("@weekly").expression, "0 0 * * 0");
+    assert.equal(parseCron(" @MONTHLY ").expression, "0 0 1 * *");
+  });
+
+  it("rejects malformed expressions and out-of-range fields", () => {
+    assert.throws(() => parseCron("* * * *"), /must have 5 fields/);
+    assert.throws(() => parseCron("@yearly"), /must have 5 fields/);
+    assert.throws(() => parseCron("60 * * * *"), /Invalid minute field "60" \(allowed 0-59\)/);
+    assert.throws(() => parseCron("0 24 * * *"), /Invalid hour field/);
+    assert.throws(() => parseCron("0 0 0 * *"), /Invalid day of month field/);
+    assert.throws(() => parseCron("0 0 * 13 *"), /Invalid month field/);
+    assert.throws(() => parseCron("0 0 * * 8"), /Invalid day of week field/);
+    assert.throws(() => parseCron("0 0 * * 5-1"), /Invalid day of week field/);
+    assert.throws(() => parseCron("*/0 * * * *"), /Invalid minute field/);
+    assert.throws(() => parseCron("0 9 * * mon"), /Invalid day of week field "mon"/);
+  });
+
+  it("rejects schedules that never fire", () => {
+    assert.throws(() => parseCron("0 0 31 2 *"), /never fires/);
+    assert.throws(() => parseCron("0 0 31 4,6,9,11 *"), /never fires/);
+    assert.doesNotThrow(() => parseCron("0 0 29 2 *"));
+    assert.doesNotThrow(() => parseCron("0 0 31 2 1"));
+  });
+});
+
+describe("matchesCron", () => {
+  it("matches the minute the schedule fires in", () => {
+    const schedule = parseCron("30 9 * * *");
+    assert.ok(matchesCron(schedule, new Date(2026, 2, 4, 9, 30, 45)));
+    assert.ok(!matchesCron(schedule, new Date(2026, 2, 4, 9, 31)));
+    assert.ok(!matchesCron(schedule, new Date(2026, 2, 4, 10, 30)));
+  });
+
+  it("matches either day field when both are restricted", () => {
+    // The 13th of the month, or any Friday
+    const schedule = parseCron("0 12 13 * 5");
+    assert.ok(matchesCron(schedule, new Date(2026, 0, 13, 12, 0))); // Tuesday the 13th
+    assert.ok(matchesCron(schedule, new Date(2026, 0, 16, 12, 0))); // Friday the 16th
+    assert.ok(!matchesCron(schedule, new Date(2026, 0, 14, 12, 0)));
+  });
+
+  it("matches only the restricted day field when the other is *", () => {
+    const weekdays = parseCron("0 12 * * 1-5");
+    assert.ok(matchesCron(weekdays, new Date(2026, 0, 16, 12, 0)));
+    assert.ok(!matchesCron(weekdays, new Date(2026, 0, 17, 12, 0)));
+    const firsts = parseCron("0 12 1 * *");
+    assert.ok(matchesCron(firsts, new Date(2026, 1, 1, 12, 0)));
+    assert.ok(!matchesCron(firsts, new Date(2026, 1, 2, 12, 0)));
+  });
+
+  it("matches Sunday written as 7", () => {
+    assert.ok(matchesCron(parseCron("0 0 * * 7"), new Date(2026, 0, 18, 0, 0)));
+  });
+});
+
+describe("nextCronRun", () => {
+  it("returns the start of the next matching minute", () => {
+    const from = new Date(2026, 0, 15, 10, 7, 30);
+    assert.deepEqual(nextCronRun(parseCron("*/15 * * * *"), from), new Date(2026, 0, 15, 10, 15));
+    assert.deepEqual(nextCronRun(parseCron("@daily"), from), new Date(2026, 0, 16, 0, 0));
+    assert.deepEqual(nextCronRun(parseCron("0 9 * * 1"), from), new Date(2026, 0, 19, 9, 0));
+  });
+
+  it("runs strictly after the given time", () => {
+    const from = new Date(2026, 0, 15, 10, 15, 0);
+    assert.deepEqual(nextCronRun(parseCron("15 10 * * *"), from), new Date(2026, 0, 16, 10, 15));
+  });
+
+  it("finds dates months and years away", () => {
+    const from = new Date(2026, 2, 1);
+    assert.deepEqual(nextCronRun(parseCron("0 0 31 12 *"), from), new Date(2026, 11, 31, 0, 0));
+    assert.deepEqual(nextCronRun(parseCron("0 0 29 2 *"), from), new Date(2028, 1, 29, 0, 0));
+  });
+});
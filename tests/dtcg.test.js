@@ -0,0 +1,75 @@
+/**
+ * DTCG exporter checks
+ *
+ * Renders the fixture result as a Design Tokens document and checks that
+ * every token is typed, that aliases point at tokens of the document and
+ * the token groups the exporter is documented to emit.
+ */
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { toDesignTokens } from "../src/lib/exporters/dtcg.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+describe("toDesignTokens", () => {
+  /** @type {Record<string, any>} */
+  let tokens;
+  before(() => {
+    tokens = toDesignTokens(fixture);
+  });
+
+  it("gives every token a $type and $value", () => {
+    /** @param {Record<string, any>} group @param {string} path */
+    const walk = (group, path) => {
+      for (const [key, value] of Object.entries(group)) {
+        if (key.startsWith("$") || typeof value !== "object") continue;
+        if ("$value" in value) assert.ok(value.$type, `${path}.${key} has no $type`);
+        else walk(value, `${path}.${key}`);
+      }
+    };
+    walk(tokens, "");
+  });
+
+  it("resolves every alias to a token", () => {
+    const aliases = JSON.stringify(tokens).match(/\{[a-z0-9.-]+\}/g) || [];
+    assert.ok(aliases.length > 0);
+    for (const alias of aliases) {
+      const target = alias.slice(1, -1).split(".").reduce((node, key) => node?.[key], tokens);
+      assert.ok(target?.$value !== undefined, `${alias} does not resolve`);
+    }
+  });
+
+  it("aliases semantic colors to the palette and keeps authored color spaces", () => {
+    assert.equal(tokens.color.semantic.primary.$value, "{color.palette.3}");
+    assert.equal(tokens.color.semantic.danger.$value, "#dc2626");
+    assert.equal(tokens.color.palette["4"].$extensions["com.designtree"].colorSpace, "oklch");
+  });
+
+  it("emits font families and typography composites", () => {
+    assert.deepEqual(tokens.font.family.inter.$value, ["Inter", "system-ui", "sans-serif"]);
+    assert.deepEqual(tokens.typography["heading-1-1"].$value, {
+      fontFamily: "{font.family.inter}",
+      fontSize: "39.06px",
+      fontWeight: "{font.weight.700}",
+      lineHeight: 1.2,
+      letterSpacing: "-0.5px",
+    });
+  });
+
+  it("skips typography composites for styles without a family", () => {
+    const result = structuredClone(fixture);
+    result.typography.styles.unshift({ ...result.typography.styles[0], family: null });
+    const { typography } = toDesignTokens(result);
+    assert.equal(Object.keys(typography).length, fixture.typography.styles.length);
+    assert.equal(typography["heading-1-1"].$value.fontFamily, "{font.family.inter}");
+    assert.doesNotMatch(JSON.stringify(typography), /undefined/);
+  });
+
+  it("emits spacing, shadow layers and borders", () => {
+    assert.equal(tokens.spacing["16"].$value, "16px");
+    assert.equal(tokens.shadow["1"].$value.length, 2);
+    assert.equal(tokens.border["1"].$value.color, "{color.palette.3}");
+  });
+});
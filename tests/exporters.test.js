@@ -0,0 +1,126 @@
+/**
+ * Exporter checks
+ *
+ * Runs every registered exporter over the fixture extraction result and
+ * checks the core tokens of the CSS and Tailwind formats. The fixture's
+ * font file is written to a temporary data directory for the fonts bundle.
+ */
+
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { exportResult, listExporters } from "../src/lib/exporters/index.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+const FONT_BYTES = Buffer.from("wOF2 fixture font");
+
+/** @type {string} */
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), "designtree-test-"));
+  process.env.DESIGNTREE_DATA_DIR = dataDir;
+  mkdirSync(join(dataDir, "fonts"));
+  writeFileSync(join(dataDir, "fonts", fixture.fonts.files[0].file), FONT_BYTES);
+});
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+  delete process.env.DESIGNTREE_DATA_DIR;
+});
+
+/**
+ * @param {string} format
+ * @param {Record<string, any>} [result]
+ * @returns {string}
+ */
+function render(format, result = fixture) {
+  return String(exportResult(result, format).body);
+}
+
+describe("exporter registry", () => {
+  it("renders the fixture in every registered format", () => {
+    for (const exporter of listExporters()) {
+      const { body, filename, mimeType } = exportResult(fixture, exporter.id);
+      assert.ok(body.length > 0, `${exporter.id} rendered nothing`);
+      assert.match(filename, /^example-com|^example\.com/, `${exporter.id} file name`);
+      assert.equal(mimeType, exporter.mimeType);
+    }
+  });
+
+  it("renders a result with no tokens in every format but fonts", () => {
+    for (const exporter of listExporters().filter((e) => e.id !== "fonts")) {
+      assert.doesNotThrow(() => exportResult({ url: "https://example.com/" }, exporter.id), exporter.id);
+    }
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(() => exportResult(fixture, "sketch"), /Unknown export format "sketch"/);
+  });
+});
+
+describe("json exporter", () => {
+  it("round-trips the result", () => {
+    assert.deepEqual(JSON.parse(render("json")), fixture);
+  });
+});
+
+describe("css exporter", () => {
+  /** @type {string} */
+  let css;
+  before(() => {
+    css = render("css");
+  });
+
+  it("names semantic colors and numbers the rest of the palette", () => {
+    assert.match(css, /--color-danger: rgb\(220, 38, 38\);/);
+    assert.match(css, /--color-background: rgb\(255, 255, 255\);/);
+    assert.match(css, /--color-1: #00c30b;/);
+    assert.doesNotMatch(css, /--color-2:/);
+  });
+
+  it("emits font families, radii, shadows, borders and breakpoints", () => {
+    assert.match(css, /--font-family-1: "Inter";\n {2}--font-family-2: "JetBrains Mono";/);
+    assert.match(css, /--radius-2: 9999px;/);
+    assert.match(css, /--shadow-1: rgba\(0, 0, 0, 0\.1\) 0px 1px 3px 0px, rgba\(0, 0, 0, 0\.06\) 0px 1px 2px 0px;/);
+    assert.match(css, /--border-1: 1px solid rgb\(99, 102, 241\);/);
+    assert.match(css, /--breakpoint-2: 1024px;/);
+  });
+
+  it("lists the detected frameworks and icon systems", () => {
+    assert.match(css, / \* Detected Frameworks: Tailwind CSS\n \* Icon Systems: Lucide Icons\n/);
+  });
+
+  it("balances its braces", () => {
+    const body = css.replace(/\/\*[\s\S]*?\*\//g, "");
+    assert.equal(body.split("{").length, body.split("}").length);
+  });
+});
+
+describe("tailwind exporter", () => {
+  /** @type {Record<string, any>} */
+  let extend;
+  before(async () => {
+    const config = await import(`data:text/javascript,${encodeURIComponent(render("tailwind"))}`);
+    extend = config.default.theme.extend;
+  });
+
+  it("loads as a config module", () => {
+    assert.ok(extend);
+  });
+
+  it("emits colors, fonts, radii, shadows and screens", () => {
+    assert.equal(extend.colors.background, "rgb(255, 255, 255)");
+    assert.deepEqual(extend.fontFamily, {
+      sans: ["Inter", "system-ui", "sans-serif"],
+      heading: ["JetBrains Mono", "system-ui", "sans-serif"],
+    });
+    assert.equal(extend.borderRadius["custom-1"], "8px");
+    assert.equal(extend.boxShadow["custom-1"], fixture.shadows[0].shadow);
+    assert.deepEqual(extend.screens, { 768: "768px", 1024: "1024px" });
+  });
+});
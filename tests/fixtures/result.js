@@ -0,0 +1,24 @@
+/**
+ * Fixture extraction result
+ *
+ * result.json holds what the page-side extractors return for a small
+ * Tailwind site; the derived sections are built here the way
+ * `extractBranding` builds them (with `--ramps`), so they follow the real
+ * builders rather than a hand-written copy.
+ */
+
+import { readFileSync } from "node:fs";
+import { generateBrandRamps } from "../../src/lib/ramps.js";
+import { buildTypeScale } from "../../src/lib/typescale.js";
+
+/**
+ * Load a fresh copy of the fixture result
+ *
+ * @returns {Record<string, any>}
+ */
+export function loadResult() {
+  const result = JSON.parse(readFileSync(new URL("./result.json", import.meta.url), "utf8"));
+  Object.assign(result.typography, { scale: buildTypeScale(result.typography.styles) });
+  result.colorRamps = generateBrandRamps(result.colors);
+  return result;
+}
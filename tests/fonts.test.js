@@ -0,0 +1,287 @@
+/**
+ * Web font checks
+ *
+ * Reads fonts built here table by table (TrueType, WOFF and WOFF2 wrappers),
+ * parses `@font-face` rules, derives license hints, and bundles captured
+ * files from a temporary data directory with the fonts exporter.
+ */
+
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { brotliCompressSync, deflateSync } from "node:zlib";
+import { exportResult } from "../src/lib/exporters/index.js";
+import { buildFontFiles, fontFaceCss, fontLicense, parseFontFaceRules, readFontFile, readFontMetadata } from "../src/lib/fonts.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+/**
+ * @param {Record<number, string>} names - Strings by name ID
+ * @returns {Buffer} Name table with Windows English records
+ */
+function nameTable(names) {
+  const entries = Object.entries(names).map(([id, value]) => ({ id: Number(id), data: Buffer.from(value, "utf16le").swap16() }));
+  const table = Buffer.alloc(6 + entries.length * 12);
+  table.writeUInt16BE(entries.length, 2);
+  table.writeUInt16BE(table.length, 4);
+  let offset = 0;
+  entries.forEach(({ id, data }, i) => {
+    const record = 6 + i * 12;
+    table.writeUInt16BE(3, record);
+    table.writeUInt16BE(1, record + 2);
+    table.writeUInt16BE(0x409, record + 4);
+    table.writeUInt16BE(id, record + 6);
+    table.writeUInt16BE(data.length, record + 8);
+    table.writeUInt16BE(offset, record + 10);
+    offset += data.length;
+  });
+  return Buffer.concat([table, ...entries.map(({ data }) => data)]);
+}
+
+/**
+ * @param {{ weight: number, fsType: number, italic?: boolean }} os2
+ * @returns {Buffer}
+ */
+function os2Table({ weight, fsType, italic = false }) {
+  const table = Buffer.alloc(78);
+  table.writeUInt16BE(weight, 4);
+  table.writeUInt16BE(fsType, 8);
+  table.writeUInt16BE(italic ? 1 : 0x40, 62);
+  return table;
+}
+
+/**
+ * @param {Array<{ tag: string, min: number, default: number, max: number, nameId: number }>} axes
+ * @returns {Buffer}
+ */
+function fvarTable(axes) {
+  const table = Buffer.alloc(16 + axes.length * 20);
+  table.writeUInt16BE(1, 0);
+  table.writeUInt16BE(16, 4);
+  table.writeUInt16BE(axes.length, 8);
+  table.writeUInt16BE(20, 10);
+  axes.forEach((axis, i) => {
+    const record = 16 + i * 20;
+    table.write(axis.tag, record, "latin1");
+    table.writeInt32BE(axis.min * 65536, record + 4);
+    table.writeInt32BE(axis.default * 65536, record + 8);
+    table.writeInt32BE(axis.max * 65536, record + 12);
+    table.writeUInt16BE(axis.nameId, record + 18);
+  });
+  return table;
+}
+
+/** @type {Array<[string, Buffer]>} */
+const TABLES = [
+  [
+    "name",
+    nameTable({
+      1: "Inter Display",
+      2: "Regular",
+      4: "Inter Regular",
+      5: "Version 4.000",
+      6: "Inter-Regular",
+      13: "This Font Software is licensed under the SIL Open Font License, Version 1.1.",
+      14: "https://openfontlicense.org",
+      16: "Inter",
+      256: "Weight",
+    }),
+  ],
+  ["OS/2", os2Table({ weight: 400, fsType: 0 })],
+  ["fvar", fvarTable([{ tag: "wght", min: 100, default: 400, max: 900, nameId: 256 }])],
+];
+
+/**
+ * @returns {Buffer} TrueType font holding just the metadata tables
+ */
+function trueType() {
+  const directory = Buffer.alloc(12 + TABLES.length * 16);
+  directory.writeUInt32BE(0x00010000, 0);
+  directory.writeUInt16BE(TABLES.length, 4);
+  let offset = directory.length;
+  TABLES.forEach(([tag, data], i) => {
+    const record = 12 + i * 16;
+    directory.write(tag, record, "latin1");
+    directory.writeUInt32BE(offset, record + 8);
+    directory.writeUInt32BE(data.length, record + 12);
+    offset += data.length;
+  });
+  return Buffer.concat([directory, ...TABLES.map(([, data]) => data)]);
+}
+
+/**
+ * @returns {Buffer} WOFF font with zlib-compressed tables, stored as is where that isn't smaller
+ */
+function woff() {
+  const compressed = TABLES.map(([tag, data]) => {
+    const deflated = deflateSync(data);
+    return { tag, data, packed: deflated.length < data.length ? deflated : data };
+  });
+  const header = Buffer.alloc(44 + compressed.length * 20);
+  header.write("wOFF", 0, "latin1");
+  header.writeUInt16BE(compressed.length, 12);
+  let offset = header.length;
+  compressed.forEach(({ tag, data, packed }, i) => {
+    const record = 44 + i * 20;
+    header.write(tag, record, "latin1");
+    header.writeUInt32BE(offset, record + 4);
+    header.writeUInt32BE(packed.length, record + 8);
+    header.writeUInt32BE(data.length, record + 12);
+    offset += packed.length;
+  });
+  return Buffer.concat([header, ...compressed.map(({ packed }) => packed)]);
+}
+
+/**
+ * @returns {Buffer} WOFF2 font with untransformed tables in one brotli stream
+ */
+function woff2() {
+  const known = { name: 5, "OS/2": 6, fvar: 47 };
+  const directory = TABLES.flatMap(([tag, data]) => [known[/** @type {keyof typeof known} */ (tag)], 0x80 | (data.length >> 7), data.length & 0x7f]);
+  const stream = brotliCompressSync(Buffer.concat(TABLES.map(([, data]) => data)));
+  const header = Buffer.alloc(48);
+  header.write("wOF2", 0, "latin1");
+  header.writeUInt16BE(TABLES.length, 12);
+  header.writeUInt32BE(stream.length, 20);
+  return Buffer.concat([header, Buffer.from(directory), stream]);
+}
+
+describe("readFontMetadata", () => {
+  it("reads names, weight and axes from each container format", () => {
+    for (const [format, font] of /** @type {const} */ ([["truetype", trueType()], ["woff", woff()], ["woff2", woff2()]])) {
+      const metadata = readFontMetadata(font);
+      assert.equal(metadata?.format, format);
+      assert.equal(metadata?.family, "Inter", `${format} prefers the typographic family`);
+      assert.deepEqual([metadata?.subfamily, metadata?.fullName, metadata?.postscriptName], ["Regular", "Inter Regular", "Inter-Regular"]);
+      assert.deepEqual([metadata?.weight, metadata?.italic, metadata?.fsType], [400, false, 0]);
+      assert.deepEqual(metadata?.axes, [{ tag: "wght", name: "Weight", min: 100, default: 400, max: 900 }]);
+    }
+  });
+
+  it("returns null for files that aren't fonts", () => {
+    assert.equal(readFontMetadata(Buffer.from("<!doctype html><title>404</title>")), null);
+  });
+});
+
+describe("parseFontFaceRules", () => {
+  it("resolves sources against the stylesheet and normalizes weights", () => {
+    const faces = parseFontFaceRules(
+      `/* @font-face { font-family: Commented } */
+      @font-face {
+        font-family: "Inter";
+        font-weight: 100 900;
+        font-display: swap;
+        src: url("../fonts/inter.woff2") format("woff2"), url(data:font/woff2;base64,AAAA) format("woff2"), url(inter.woff);
+        unicode-range: U+0000-00FF;
+      }
+      @font-face { font-family: 'Serif; Pro'; font-weight: bold; font-style: italic; src: url('https://cdn.example/serif.ttf') format(truetype) }
+      @font-face { src: url(nameless.woff2) }`,
+      "https://example.com/css/site.css"
+    );
+    assert.equal(faces.length, 2);
+    assert.deepEqual(faces[0], {
+      family: "Inter",
+      weight: "100 900",
+      style: "normal",
+      display: "swap",
+      unicodeRange: "U+0000-00FF",
+      src: [
+        { url: "https://example.com/fonts/inter.woff2", format: "woff2" },
+        { url: "https://example.com/css/inter.woff", format: null },
+      ],
+    });
+    assert.deepEqual([faces[1].family, faces[1].weight, faces[1].style], ["Serif; Pro", "700", "italic"]);
+  });
+});
+
+describe("fontLicense", () => {
+  it("recognizes licenses from the name table", () => {
+    const license = fontLicense(readFontMetadata(trueType()), "self-hosted");
+    assert.deepEqual(license, { name: "SIL Open Font License", url: "https://openfontlicense.org", embedding: "installable", redistributable: true, notes: [] });
+  });
+
+  it("goes by the host and embedding bits when the font doesn't say", () => {
+    assert.equal(fontLicense(null, "google").redistributable, true);
+    assert.equal(fontLicense(null, "adobe").redistributable, false);
+    const restricted = fontLicense(/** @type {any} */ ({ fsType: 0x0002, licenseDescription: null, licenseUrl: null }), "self-hosted");
+    assert.deepEqual([restricted.embedding, restricted.redistributable], ["restricted", false]);
+    assert.equal(fontLicense(null, "self-hosted").redistributable, null);
+  });
+});
+
+describe("captured font files", () => {
+  /** @type {string} */
+  let dataDir;
+  before(() => {
+    dataDir = mkdtempSync(join(tmpdir(), "designtree-fonts-"));
+    process.env.DESIGNTREE_DATA_DIR = dataDir;
+  });
+
+  after(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DESIGNTREE_DATA_DIR;
+  });
+
+  const typography = { styles: [{ family: "Inter", fallbacks: "system-ui, sans-serif" }], sources: {} };
+  const rules = [
+    {
+      css: '@font-face { font-family: Inter; font-weight: 100 900; src: url(/inter.woff2) format("woff2"); unicode-range: U+0000-00FF }',
+      base: "https://example.com/",
+    },
+  ];
+
+  it("keeps the files of families the page uses, with their metadata", async () => {
+    const { files } = await buildFontFiles(
+      [
+        { url: "https://example.com/inter.woff2", body: woff2() },
+        { url: "https://example.com/inter-copy.woff2", body: woff2() },
+        { url: "https://example.com/not-a-font.woff2", body: Buffer.from("nope") },
+      ],
+      rules,
+      typography
+    );
+    assert.equal(files.length, 1);
+    const [font] = files;
+    assert.match(font.file, /^[a-f0-9]{16}\.woff2$/);
+    assert.equal(font.name, "inter-100-900-normal.woff2");
+    assert.deepEqual([font.weight, font.unicodeRange, font.source], ["100 900", "U+0000-00FF", "self-hosted"]);
+    assert.equal(font.license.name, "SIL Open Font License");
+    assert.deepEqual(readFontFile(font.file), woff2());
+  });
+
+  it("leaves out families no text is set in", async () => {
+    const { files } = await buildFontFiles([{ url: "https://example.com/icons.ttf", body: trueType() }], [], { styles: [{ family: "Roboto" }] });
+    assert.deepEqual(files, []);
+  });
+
+  it("only reads stored file names back", () => {
+    assert.throws(() => readFontFile("../history.json"), /Invalid font file name/);
+  });
+
+  it("bundles the files with a stylesheet and metadata", async () => {
+    const { files } = await buildFontFiles([{ url: "https://example.com/inter.woff2", body: woff2() }], rules, typography);
+    const zip = /** @type {Buffer} */ (exportResult({ ...fixture, fonts: { files } }, "fonts").body);
+    assert.equal(zip.readUInt32LE(0), 0x04034b50);
+    assert.ok(zip.includes(woff2()));
+    assert.ok(zip.includes("fonts/inter-100-900-normal.woff2"));
+    assert.ok(zip.includes(fontFaceCss(files)));
+    assert.ok(zip.includes('"missing": []'));
+  });
+
+  it("rejects results without font files, or whose files are gone", () => {
+    assert.throws(() => exportResult({ ...fixture, fonts: undefined }, "fonts"), /No font files/);
+    assert.throws(() => exportResult(fixture, "fonts"), /no longer in the data directory/);
+  });
+});
+
+describe("fontFaceCss", () => {
+  it("writes one rule per file with its license", () => {
+    const css = fontFaceCss(fixture.fonts.files, "assets");
+    assert.match(css, /^\/\* Inter Regular \(SIL Open Font License\) \*\/\n@font-face \{\n {2}font-family: "Inter";/);
+    assert.match(css, /font-weight: 100 900;\n {2}font-display: swap;\n {2}src: url\("assets\/inter-100-900-normal\.woff2"\) format\("woff2"\);\n\}/);
+    assert.doesNotMatch(css, /unicode-range/);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Gradient token checks
+ *
+ * Parsing of linear, radial and conic gradients into geometry and stops,
+ * the canonical form equivalent gradients merge on, and gradients in the
+ * CSS and Tailwind exports.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { toTailwind } from "../src/lib/exporters/tailwind.js";
+import { buildGradients, parseGradient } from "../src/lib/gradients.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+/**
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function css(value) {
+  return parseGradient(value)?.css;
+}
+
+describe("parseGradient", () => {
+  it("reads the geometry and stops of each gradient type", () => {
+    const linear = parseGradient("linear-gradient(45deg, rgb(255, 0, 0) 10%, rgb(0, 0, 255) 80%)");
+    assert.equal(linear?.type, "linear");
+    assert.equal(linear?.angle, 45);
+    assert.deepEqual(linear?.stops, [
+      { color: "rgb(255, 0, 0)", normalized: "#ff0000", position: "10%" },
+      { color: "rgb(0, 0, 255)", normalized: "#0000ff", position: "80%" },
+    ]);
+
+    const radial = parseGradient("radial-gradient(circle closest-side at top left, red, blue)");
+    assert.deepEqual([radial?.shape, radial?.size, radial?.position], ["circle", "closest-side", "top left"]);
+
+    const conic = parseGradient("repeating-conic-gradient(from 0.25turn at 50% 50%, red, blue 30deg)");
+    assert.deepEqual([conic?.repeating, conic?.angle, conic?.position], [true, 90, "center"]);
+  });
+
+  it("writes directions, angle units and colors one way", () => {
+    assert.equal(css("linear-gradient(to right, red, blue)"), css("linear-gradient(90deg, #ff0000, #0000ff)"));
+    assert.equal(css("linear-gradient(0.5turn, red, blue)"), "linear-gradient(#ff0000, #0000ff)");
+    assert.equal(css("linear-gradient(to top right, red, blue)"), "linear-gradient(to top right, #ff0000, #0000ff)");
+    assert.equal(css("radial-gradient(ellipse farthest-corner at center, red, blue)"), "radial-gradient(#ff0000, #0000ff)");
+    assert.equal(css("linear-gradient(in srgb, red, blue)"), css("linear-gradient(red, blue)"));
+    assert.equal(css("linear-gradient(in oklch, red, blue)"), "linear-gradient(in oklch, #ff0000, #0000ff)");
+  });
+
+  it("drops stop positions that restate the defaults", () => {
+    assert.equal(css("linear-gradient(rgb(255,0,0), rgb(0,0,255))"), css("linear-gradient(rgb(255,0,0) 0%, rgb(0,0,255) 100%)"));
+    assert.equal(css("linear-gradient(red 0%, lime 50%, blue 100%)"), "linear-gradient(#ff0000, #00ff00, #0000ff)");
+    assert.equal(css("linear-gradient(red, lime 25%, blue, yellow 75%, black)"), "linear-gradient(#ff0000, #00ff00, #0000ff, #ffff00, #000000)");
+    assert.equal(parseGradient("linear-gradient(red 0%, blue 100%)")?.stops[0].position, null);
+  });
+
+  it("keeps positions that move a stop", () => {
+    assert.equal(css("linear-gradient(red 0%, lime 30%, blue 100%)"), "linear-gradient(#ff0000, #00ff00 30%, #0000ff)");
+    assert.equal(css("linear-gradient(red 40%, lime 20%, blue)"), "linear-gradient(#ff0000 40%, #00ff00 20%, #0000ff)");
+    assert.equal(css("linear-gradient(red 0px, blue 100%)"), "linear-gradient(#ff0000 0px, #0000ff 100%)");
+    assert.equal(css("linear-gradient(red 0%, 30%, blue 100%)"), "linear-gradient(#ff0000 0%, 30%, #0000ff 100%)");
+  });
+
+  it("keeps wide-gamut stops as written", () => {
+    assert.equal(css("linear-gradient(oklch(0.7 0.25 145), white)"), "linear-gradient(oklch(0.7 0.25 145), #ffffff)");
+  });
+
+  it("returns null for values that aren't gradients", () => {
+    assert.equal(parseGradient("url(hero.png)"), null);
+    assert.equal(parseGradient("linear-gradient(to right, 10%, 20%)"), null);
+  });
+});
+
+describe("buildGradients", () => {
+  it("merges equivalent gradients across layers and keeps the most used first", () => {
+    const gradients = buildGradients([
+      { value: "url(noise.png), linear-gradient(to right, rgb(99, 102, 241) 0%, rgb(236, 72, 153) 100%)", count: 2, contexts: ["a.hero-cta"] },
+      { value: "linear-gradient(90deg, #6366f1, #ec4899)", count: 3, contexts: ["section.pricing", "a.hero-cta"] },
+      { value: "radial-gradient(circle, white, transparent)", count: 1, contexts: ["div.glow"] },
+    ]);
+    assert.equal(gradients.length, 2);
+    assert.equal(gradients[0].css, "linear-gradient(90deg, #6366f1, #ec4899)");
+    assert.equal(gradients[0].count, 5);
+    assert.deepEqual(gradients[0].contexts, ["a.hero-cta", "section.pricing"]);
+    assert.deepEqual(gradients[0].colors, ["rgb(99, 102, 241)", "rgb(236, 72, 153)"]);
+  });
+});
+
+describe("gradient exports", () => {
+  it("emits gradients in canonical form", () => {
+    assert.match(toCSS(fixture), /--gradient-1: linear-gradient\(90deg, #6366f1, #ec4899\);/);
+    assert.match(toTailwind(fixture), /'gradient-1': 'linear-gradient\(90deg, #6366f1, #ec4899\)'/);
+  });
+});
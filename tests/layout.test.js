@@ -0,0 +1,113 @@
+/**
+ * Layout system checks
+ *
+ * Grid template compaction, the container, columns, gutter and section
+ * rhythm summarized from layout samples at one or more viewport widths,
+ * and the layout variables in the CSS export.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { buildLayout, compactTemplate } from "../src/lib/layout.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+/**
+ * @param {number} width
+ * @param {Partial<import('../src/lib/layout.js').LayoutSamples>} [samples]
+ * @returns {import('../src/lib/layout.js').LayoutSamples}
+ */
+function snapshot(width, samples = {}) {
+  return {
+    width,
+    spacing: [],
+    containers: [],
+    grids: [],
+    flexRows: [],
+    sections: [],
+    signature: { hidden: 0, gridColumns: {}, flexRows: 0, flexColumns: 0 },
+    ...samples,
+  };
+}
+
+describe("compactTemplate", () => {
+  it("collapses repeated tracks, parentheses included", () => {
+    assert.equal(compactTemplate("300px 300px 300px"), "repeat(3, 300px)");
+    assert.equal(compactTemplate("minmax(0px, 1fr) minmax(0px, 1fr)"), "repeat(2, minmax(0px, 1fr))");
+  });
+
+  it("leaves mixed and single tracks as they are", () => {
+    assert.equal(compactTemplate("200px  1fr 200px"), "200px 1fr 200px");
+    assert.equal(compactTemplate("1fr"), "1fr");
+  });
+});
+
+describe("buildLayout", () => {
+  const desktop = snapshot(1440, {
+    containers: [
+      { maxWidth: 1200, width: 1200, gutter: 32, count: 5 },
+      { maxWidth: 720, width: 720, gutter: 0, count: 2 },
+    ],
+    grids: [
+      { columns: 3, template: "384px 384px 384px", columnGap: 24, rowGap: 24, count: 4 },
+      { columns: 1, template: "1fr", columnGap: 0, rowGap: 16, count: 9 },
+    ],
+    flexRows: [{ columns: 4, gap: 24, wrap: true, count: 2 }, { columns: 2, gap: 48, wrap: false, count: 1 }],
+    sections: [
+      { paddingTop: 0, paddingBottom: 80, gap: 0 },
+      { paddingTop: 80, paddingBottom: 80, gap: 0 },
+      { paddingTop: 80, paddingBottom: 64, gap: 32 },
+      { paddingTop: 64, paddingBottom: 64, gap: null },
+    ],
+  });
+  const mobile = snapshot(375, {
+    containers: [{ maxWidth: 1200, width: 343, gutter: 16, count: 5 }],
+    grids: [{ columns: 1, template: "343px", columnGap: 0, rowGap: 16, count: 13 }],
+  });
+  // The default width can be sampled twice; the matrix pass comes last and wins
+  const layout = buildLayout([snapshot(1440), desktop, mobile]);
+
+  it("reports the widest viewport at the top level", () => {
+    assert.deepEqual(layout.container, { maxWidth: "1200px", width: "1200px", gutter: "32px" });
+    assert.deepEqual(layout.columns, [{ columns: 3, count: 4 }, { columns: 4, count: 2 }, { columns: 2, count: 1 }]);
+    assert.equal(layout.gutter, "24px");
+  });
+
+  it("keeps one layout per width, narrowest first", () => {
+    assert.deepEqual(layout.viewports.map((viewport) => viewport.width), [375, 1440]);
+    assert.deepEqual(layout.viewports[0].container, { maxWidth: "1200px", width: "343px", gutter: "16px" });
+    assert.deepEqual(layout.viewports[0].columns, []);
+    assert.equal(layout.viewports[0].gutter, null);
+  });
+
+  it("lists grid templates compacted", () => {
+    assert.deepEqual(layout.viewports[1].grids[0], { columns: 1, template: "1fr", columnGap: "0px", rowGap: "16px", count: 9 });
+    assert.equal(layout.viewports[1].grids[1].template, "repeat(3, 384px)");
+  });
+
+  it("measures the section rhythm", () => {
+    assert.deepEqual(layout.rhythm, { padding: "80px", gap: "0px", between: "160px", sections: 4 });
+  });
+
+  it("is empty without samples", () => {
+    assert.deepEqual(buildLayout([]), {
+      container: null,
+      columns: [],
+      gutter: null,
+      rhythm: { padding: null, gap: null, between: null, sections: 0 },
+      viewports: [],
+    });
+  });
+});
+
+describe("layout export", () => {
+  it("emits the columns, gutter and section rhythm", () => {
+    assert.match(toCSS(fixture), /\/\* Layout \*\/\n {2}--grid-columns: 3;\n {2}--grid-gutter: 32px;\n {2}--section-padding: 96px;\n {2}--section-gap: 0px;\n/);
+  });
+
+  it("leaves the layout block out without layout samples", () => {
+    assert.doesNotMatch(toCSS({ ...fixture, layout: buildLayout([]) }), /\/\* Layout \*\//);
+  });
+});
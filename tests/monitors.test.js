@@ -0,0 +1,153 @@
+/**
+ * Monitor checks
+ *
+ * Runs monitors with a stubbed extraction step against a local HTTP server
+ * standing in for the webhook: threshold evaluation, the webhook payload
+ * and the delivery outcome recorded on the run.
+ */
+
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { diffExtractions } from "../src/lib/diff.js";
+import { DEFAULT_THRESHOLDS, createMonitor, evaluateThresholds, getMonitor, runMonitor, validateMonitorInput } from "../src/lib/monitors.js";
+import { loadResult } from "./fixtures/result.js";
+
+const baseline = loadResult();
+
+// The same site after a rebrand: new primary color, one new palette color and a new font family
+const rebranded = structuredClone(baseline);
+rebranded.colors.semantic.primary = "rgb(236, 72, 153)";
+rebranded.colors.palette[2] = { ...rebranded.colors.palette[2], color: "rgb(236, 72, 153)", normalized: "#ec4899" };
+rebranded.typography.styles.push({ ...baseline.typography.styles[3], family: "Roboto", size: "12px (0.75rem)", context: "caption", count: 3, tags: { small: 3 } });
+
+/** @type {Array<{ headers: import('node:http').IncomingHttpHeaders, body: any }>} */
+const deliveries = [];
+let webhookStatus = 200;
+
+const server = createServer((request, response) => {
+  let body = "";
+  request.on("data", (chunk) => (body += chunk));
+  request.on("end", () => {
+    deliveries.push({ headers: request.headers, body: JSON.parse(body) });
+    response.writeHead(webhookStatus).end();
+  });
+});
+
+/** @type {string} */
+let dataDir;
+/** @type {string} */
+let webhook;
+
+before(async () => {
+  dataDir = mkdtempSync(join(tmpdir(), "designtree-test-"));
+  process.env.DESIGNTREE_DATA_DIR = dataDir;
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  webhook = `http://127.0.0.1:${/** @type {import('node:net').AddressInfo} */ (server.address()).port}/hook`;
+});
+
+after(() => {
+  server.close();
+  rmSync(dataDir, { recursive: true, force: true });
+  delete process.env.DESIGNTREE_DATA_DIR;
+});
+
+/**
+ * Extraction step returning a fixed result
+ *
+ * @param {Record<string, any>} result
+ * @returns {() => Promise<Record<string, any>>}
+ */
+function returns(result) {
+  return async () => structuredClone(result);
+}
+
+describe("validateMonitorInput", () => {
+  it("rejects schedules that are malformed or never fire", () => {
+    assert.match(String(validateMonitorInput({ url: "https://example.com/", schedule: "0 25 * * *" })), /Invalid hour field/);
+    assert.match(String(validateMonitorInput({ url: "https://example.com/", schedule: "0 0 31 2 *" })), /never fires/);
+    assert.equal(validateMonitorInput({ schedule: "@daily" }, true), null);
+  });
+});
+
+describe("evaluateThresholds", () => {
+  const diff = diffExtractions(baseline, rebranded);
+
+  it("reports new colors, the primary color shift and new font families", () => {
+    const triggers = evaluateThresholds(diff, baseline, rebranded, DEFAULT_THRESHOLDS);
+    assert.deepEqual(triggers.map((t) => t.type), ["new-colors", "primary-color-changed", "new-font-families"]);
+    assert.deepEqual(triggers[0].colors, ["#ec4899"]);
+    assert.equal(triggers[1].before, "#6366f1");
+    assert.equal(triggers[1].after, "#ec4899");
+    assert.ok(triggers[1].deltaE >= DEFAULT_THRESHOLDS.primaryColorDeltaE);
+    assert.deepEqual(triggers[2].families, ["Roboto"]);
+  });
+
+  it("skips checks set to 0 and changes under their threshold", () => {
+    assert.deepEqual(evaluateThresholds(diff, baseline, rebranded, { newColors: 2, primaryColorDeltaE: 0, newFontFamilies: 0 }), []);
+  });
+
+  it("reports nothing for an identical result", () => {
+    assert.deepEqual(evaluateThresholds(diffExtractions(baseline, baseline), baseline, baseline, DEFAULT_THRESHOLDS), []);
+  });
+});
+
+describe("runMonitor", () => {
+  it("records a baseline, then notifies the webhook when thresholds are crossed", async () => {
+    const monitor = await createMonitor({ url: "https://example.com/", schedule: "0 * * * *", webhook });
+
+    const first = await runMonitor(monitor.id, returns(baseline));
+    assert.equal(first?.status, "baseline");
+
+    const unchanged = await runMonitor(monitor.id, returns(baseline));
+    assert.equal(unchanged?.status, "unchanged");
+    assert.equal(unchanged?.webhook, undefined);
+    assert.equal(deliveries.length, 0);
+
+    const changed = await runMonitor(monitor.id, returns(rebranded));
+    assert.equal(changed?.status, "changed");
+    assert.deepEqual(changed?.webhook, { status: 200 });
+    assert.equal(deliveries.length, 1);
+
+    const { headers, body } = deliveries[0];
+    assert.equal(headers["content-type"], "application/json");
+    assert.equal(headers["user-agent"], "DesignTree-Monitor");
+    assert.equal(body.event, "tokens.changed");
+    assert.deepEqual(body.monitor, { id: monitor.id, url: monitor.url, schedule: monitor.schedule });
+    assert.equal(body.extractionId, changed?.extractionId);
+    assert.equal(body.previousExtractionId, unchanged?.extractionId);
+    assert.deepEqual(body.triggers, changed?.triggers);
+    assert.deepEqual(body.changes.fontFamilies.added, ["Roboto"]);
+
+    assert.deepEqual((await getMonitor(monitor.id))?.lastRun, changed);
+  });
+
+  it("records a failed delivery on the run", async () => {
+    const monitor = await createMonitor({ url: "https://example.com/", schedule: "0 * * * *", webhook });
+    await runMonitor(monitor.id, returns(baseline));
+
+    webhookStatus = 500;
+    const run = await runMonitor(monitor.id, returns(rebranded));
+    webhookStatus = 200;
+
+    assert.equal(run?.status, "changed");
+    assert.deepEqual(run?.webhook, { status: 500, error: "Webhook responded with 500" });
+  });
+
+  it("keeps the last good extraction as the baseline after a failed run", async () => {
+    const monitor = await createMonitor({ url: "https://example.com/", schedule: "0 * * * *" });
+    const first = await runMonitor(monitor.id, returns(baseline));
+
+    const failed = await runMonitor(monitor.id, async () => {
+      throw new Error("Navigation timeout");
+    });
+    assert.equal(failed?.status, "failed");
+    assert.equal(failed?.error, "Navigation timeout");
+    assert.equal((await getMonitor(monitor.id))?.lastRun?.extractionId, first?.extractionId);
+  });
+});
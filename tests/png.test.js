@@ -0,0 +1,163 @@
+/**
+ * PNG decoder checks
+ *
+ * Decodes small PNGs built here byte by byte: every scanline filter,
+ * 16-bit and sub-byte depths, gray + alpha, and palette images with a
+ * transparency chunk.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { deflateSync } from "node:zlib";
+import { decodePNG } from "../src/lib/png.js";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const framed = Buffer.alloc(body.length + 8);
+  framed.writeUInt32BE(data.length, 0);
+  body.copy(framed, 4);
+  framed.writeUInt32BE(crc32(body), body.length + 4);
+  return framed;
+}
+
+/**
+ * Filter one scanline the way an encoder would
+ *
+ * @param {number} filter - 0 none, 1 sub, 2 up, 3 average, 4 Paeth
+ * @param {number[]} line
+ * @param {number[]} above - Previous unfiltered scanline (zeros for the first)
+ * @param {number} bpp - Bytes per complete pixel, at least 1
+ * @returns {number[]}
+ */
+function filterLine(filter, line, above, bpp) {
+  return line.map((x, i) => {
+    const a = i >= bpp ? line[i - bpp] : 0;
+    const b = above[i];
+    const c = i >= bpp ? above[i - bpp] : 0;
+    if (filter === 1) return (x - a) & 0xff;
+    if (filter === 2) return (x - b) & 0xff;
+    if (filter === 3) return (x - ((a + b) >> 1)) & 0xff;
+    if (filter === 4) {
+      const p = a + b - c;
+      const [pa, pb, pc] = [Math.abs(p - a), Math.abs(p - b), Math.abs(p - c)];
+      return (x - (pa <= pb && pa <= pc ? a : pb <= pc ? b : c)) & 0xff;
+    }
+    return x;
+  });
+}
+
+/**
+ * Build a PNG file
+ *
+ * @param {{ width: number, height: number, bitDepth: number, colorType: number, rows: number[][], filters?: number[], bpp: number, palette?: number[], transparency?: number[] }} image
+ *   `rows` are the packed, unfiltered scanline bytes
+ * @returns {Buffer}
+ */
+function encodePNG({ width, height, bitDepth, colorType, rows, filters = [], bpp, palette, transparency }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+
+  const raw = rows.flatMap((line, y) => {
+    const filter = filters[y] ?? 0;
+    return [filter, ...filterLine(filter, line, rows[y - 1] || line.map(() => 0), bpp)];
+  });
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    ...(palette ? [chunk("PLTE", Buffer.from(palette))] : []),
+    ...(transparency ? [chunk("tRNS", Buffer.from(transparency))] : []),
+    chunk("IDAT", deflateSync(Buffer.from(raw))),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * @param {import('../src/lib/png.js').DecodedImage} image
+ * @returns {number[][]} RGBA per pixel
+ */
+function pixels(image) {
+  return Array.from({ length: image.width * image.height }, (_, i) => [...image.data.subarray(i * 4, i * 4 + 4)]);
+}
+
+describe("decodePNG", () => {
+  // 3x5 RGB with gradients in every direction, so each filter has something to predict
+  const rgbRows = Array.from({ length: 5 }, (_, y) =>
+    Array.from({ length: 3 }, (_, x) => [x * 90 + y * 7, 255 - y * 50 - x * 3, (x * y * 40) % 256]).flat()
+  );
+  const expected = rgbRows.flatMap((line) => Array.from({ length: 3 }, (_, x) => [...line.slice(x * 3, x * 3 + 3), 255]));
+
+  it("undoes each scanline filter", () => {
+    for (const filter of [0, 1, 2, 3, 4]) {
+      const image = decodePNG(encodePNG({ width: 3, height: 5, bitDepth: 8, colorType: 2, rows: rgbRows, filters: rgbRows.map(() => filter), bpp: 3 }));
+      assert.deepEqual(pixels(image), expected, `filter ${filter}`);
+    }
+  });
+
+  it("undoes a different filter on every line", () => {
+    const image = decodePNG(encodePNG({ width: 3, height: 5, bitDepth: 8, colorType: 2, rows: rgbRows, filters: [4, 3, 2, 1, 0], bpp: 3 }));
+    assert.deepEqual(pixels(image), expected);
+  });
+
+  it("reduces 16-bit RGBA to its high bytes", () => {
+    const rows = [[0x12, 0x34, 0xab, 0xcd, 0xff, 0x00, 0x80, 0x01], [0x00, 0xff, 0x7f, 0xff, 0x01, 0x02, 0x00, 0x00]];
+    const image = decodePNG(encodePNG({ width: 1, height: 2, bitDepth: 16, colorType: 6, rows, filters: [1, 4], bpp: 8 }));
+    assert.deepEqual(pixels(image), [[0x12, 0xab, 0xff, 0x80], [0x00, 0x7f, 0x01, 0x00]]);
+  });
+
+  it("scales sub-byte grayscale to 0-255", () => {
+    // 2-bit gray, 5 pixels: 0 1 2 3 | 3 (padded to two bytes per line)
+    const rows = [[0b00011011, 0b11000000]];
+    const image = decodePNG(encodePNG({ width: 5, height: 1, bitDepth: 2, colorType: 0, rows, bpp: 1 }));
+    assert.deepEqual(pixels(image).map(([gray]) => gray), [0, 85, 170, 255, 255]);
+    assert.ok(pixels(image).every(([r, g, b, a]) => r === g && g === b && a === 255));
+  });
+
+  it("reads gray + alpha", () => {
+    const image = decodePNG(encodePNG({ width: 2, height: 1, bitDepth: 8, colorType: 4, rows: [[200, 255, 10, 0]], filters: [1], bpp: 2 }));
+    assert.deepEqual(pixels(image), [[200, 200, 200, 255], [10, 10, 10, 0]]);
+  });
+
+  it("looks up 1-bit and 4-bit palette indexes with tRNS alpha", () => {
+    const palette = [255, 0, 0, 0, 0, 255, 0, 128, 0];
+    const oneBit = decodePNG(
+      encodePNG({ width: 9, height: 1, bitDepth: 1, colorType: 3, rows: [[0b10100000, 0b10000000]], bpp: 1, palette, transparency: [64] })
+    );
+    assert.deepEqual(pixels(oneBit).slice(0, 3), [[0, 0, 255, 255], [255, 0, 0, 64], [0, 0, 255, 255]]);
+    assert.deepEqual(pixels(oneBit)[8], [0, 0, 255, 255]);
+
+    const fourBit = decodePNG(encodePNG({ width: 3, height: 1, bitDepth: 4, colorType: 3, rows: [[0x21, 0x00]], bpp: 1, palette, transparency: [0, 200] }));
+    assert.deepEqual(pixels(fourBit), [[0, 128, 0, 255], [0, 0, 255, 200], [255, 0, 0, 0]]);
+  });
+
+  it("rejects files that aren't PNGs and interlaced images", () => {
+    assert.throws(() => decodePNG(Buffer.from("GIF89a")), /Not a PNG file/);
+    const interlaced = encodePNG({ width: 1, height: 1, bitDepth: 8, colorType: 2, rows: [[0, 0, 0]], bpp: 3 });
+    interlaced[8 + 8 + 12] = 1;
+    assert.throws(() => decodePNG(interlaced), /Interlaced PNGs are not supported/);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tonal ramp checks
+ *
+ * Ramps through a color (anchor step, lightness order), the brand colors
+ * picked for ramps, and the ramps in the CSS and Tailwind exports.
+ */
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { toOklch } from "../src/lib/color.js";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { toTailwind } from "../src/lib/exporters/tailwind.js";
+import { RAMP_STEPS, generateBrandRamps, generateRamp } from "../src/lib/ramps.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+describe("generateRamp", () => {
+  it("puts the color itself on the step closest to its lightness", () => {
+    const ramp = generateRamp("rgb(99, 102, 241)");
+    assert.equal(ramp?.anchor, 600);
+    assert.equal(ramp?.steps["600"], "#6366f1");
+    assert.deepEqual(Object.keys(ramp?.steps || {}).map(Number).sort((a, b) => a - b), RAMP_STEPS);
+  });
+
+  it("gets darker at every step and keeps the hue", () => {
+    const ramp = /** @type {{ steps: Record<string, string> }} */ (generateRamp("#0ea5e9"));
+    const oklch = RAMP_STEPS.map((step) => /** @type {{ l: number, h: number }} */ (toOklch(ramp.steps[step])));
+    for (let i = 1; i < oklch.length; i++) assert.ok(oklch[i].l < oklch[i - 1].l, `step ${RAMP_STEPS[i]}`);
+    const hue = /** @type {{ h: number }} */ (toOklch("#0ea5e9")).h;
+    // Gamut mapping may clip the darker steps, which moves the hue a few degrees
+    for (const { h } of oklch.slice(1, -1)) assert.ok(Math.abs(h - hue) < 8, `hue ${h} vs ${hue}`);
+  });
+
+  it("returns null for values that aren't colors", () => {
+    assert.equal(generateRamp("var(--brand)"), null);
+  });
+});
+
+describe("generateBrandRamps", () => {
+  it("ramps semantic colors by role, then chromatic palette colors by hue", () => {
+    assert.deepEqual(fixture.colorRamps.map((/** @type {any} */ ramp) => ramp.name), ["primary", "danger", "foreground", "green"]);
+  });
+
+  it("skips neutrals and colors close to one already ramped", () => {
+    const ramps = generateBrandRamps({
+      semantic: { background: "#ffffff", primary: "#6366f1", accent: "#6467f2" },
+      palette: [{ color: "#6b7280" }, { color: "#f97316" }],
+    });
+    assert.deepEqual(ramps.map((ramp) => ramp.name), ["primary", "orange"]);
+  });
+});
+
+describe("ramp exports", () => {
+  /** @type {Record<string, any>} */
+  let colors;
+  before(async () => {
+    const config = await import(`data:text/javascript,${encodeURIComponent(toTailwind(fixture))}`);
+    colors = config.default.theme.extend.colors;
+  });
+
+  it("emits every step as a CSS variable", () => {
+    const css = toCSS(fixture);
+    for (const step of RAMP_STEPS) assert.match(css, new RegExp(`--color-primary-${step}: #[0-9a-f]{6};`));
+    assert.match(css, /--color-primary-600: #6366f1;/);
+  });
+
+  it("turns ramps into Tailwind scales and keeps the role color as DEFAULT", () => {
+    assert.equal(colors.primary.DEFAULT, "rgb(99, 102, 241)");
+    assert.equal(colors.primary["600"], "#6366f1");
+    assert.equal(colors.green.DEFAULT, undefined);
+    assert.equal(Object.keys(colors.green).length, RAMP_STEPS.length);
+  });
+});
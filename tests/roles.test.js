@@ -0,0 +1,116 @@
+/**
+ * Color role checks
+ *
+ * Role hints from custom property names, role inference from usage hints,
+ * and role colors named in the exports.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { toDesignTokens } from "../src/lib/exporters/dtcg.js";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { inferColorRoles, variableRoleHints } from "../src/lib/roles.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+/**
+ * @param {string} role
+ * @param {string} color
+ * @param {string} evidence
+ * @param {number} [weight]
+ * @param {number} [count]
+ * @returns {import('../src/lib/roles.js').RoleHint}
+ */
+function hint(role, color, evidence, weight = 3, count = 1) {
+  return { role, color, evidence, weight, count };
+}
+
+describe("variableRoleHints", () => {
+  it("matches names with library prefixes and color segments stripped", () => {
+    const hints = variableRoleHints({
+      "--bs-body-bg": "#ffffff",
+      "--color-text-muted": "#6b7280",
+      "--chakra-colors-error": "rgb(220, 38, 38)",
+      "--spacing-4": "1rem",
+      "--hero-shade": "#111827",
+    });
+    assert.deepEqual(hints.map((h) => [h.role, h.color]), [
+      ["background", "#ffffff"],
+      ["muted", "#6b7280"],
+      ["danger", "rgb(220, 38, 38)"],
+    ]);
+    assert.equal(hints[0].evidence, "CSS variable --bs-body-bg");
+  });
+
+  it("reads bare shadcn/ui hsl triplets", () => {
+    const [background] = variableRoleHints({ "--background": "0 0% 100%" });
+    assert.equal(background.color, "hsl(0 0% 100%)");
+  });
+});
+
+describe("inferColorRoles", () => {
+  it("picks the strongest color per role with its evidence", () => {
+    const roles = inferColorRoles([
+      hint("background", "rgb(255, 255, 255)", "body background", 5),
+      hint("background", "rgb(249, 250, 251)", "section background", 1, 3),
+      hint("foreground", "rgb(17, 24, 39)", "body text", 5),
+      hint("foreground", "rgb(17, 24, 39)", "heading text", 2, 6),
+    ]);
+    assert.equal(roles.background.normalized, "#ffffff");
+    assert.equal(roles.foreground.normalized, "#111827");
+    assert.deepEqual(roles.foreground.evidence, ["heading text ×6", "body text"]);
+    assert.equal(roles.foreground.confidence, "high");
+  });
+
+  it("keeps the surface and border apart from the background", () => {
+    const roles = inferColorRoles([
+      hint("background", "#ffffff", "body background", 5),
+      hint("surface", "#ffffff", "card background", 4),
+      hint("surface", "#f9fafb", "panel background", 1),
+      hint("border", "#ffffff", "card border", 4),
+    ]);
+    assert.equal(roles.surface.normalized, "#f9fafb");
+    assert.equal(roles.border, undefined);
+  });
+
+  it("needs chroma for accent and status roles, and prefers the hue a status implies", () => {
+    const roles = inferColorRoles([
+      hint("accent", "#6b7280", "button background", 5),
+      hint("danger", "#2563eb", "alert text", 3),
+      hint("danger", "#dc2626", "alert text", 2),
+    ]);
+    assert.equal(roles.accent, undefined);
+    assert.equal(roles.danger.normalized, "#dc2626");
+  });
+
+  it("counts gray text quieter than the main text as muted", () => {
+    const roles = inferColorRoles([
+      hint("background", "#ffffff", "body background", 5),
+      hint("foreground", "#111827", "body text", 5),
+      hint("foreground", "#6b7280", "paragraph text", 3),
+    ]);
+    assert.equal(roles.foreground.normalized, "#111827");
+    assert.equal(roles.muted.normalized, "#6b7280");
+    assert.match(roles.muted.evidence[0], /^secondary text \([\d.]+:1 vs [\d.]+:1\)$/);
+  });
+
+  it("omits roles without evidence", () => {
+    assert.deepEqual(inferColorRoles([]), {});
+  });
+});
+
+describe("role exports", () => {
+  it("names role colors in CSS and leaves them out of the numbered palette", () => {
+    const css = toCSS(fixture);
+    assert.match(css, /--color-foreground: rgb\(15, 23, 42\);/);
+    assert.doesNotMatch(css, /--color-\d+: #0f172a;/);
+  });
+
+  it("keeps the confidence and evidence of role tokens in DTCG", () => {
+    const { color } = toDesignTokens(fixture);
+    assert.equal(color.semantic.foreground.$value, "{color.palette.2}");
+    assert.deepEqual(color.semantic.foreground.$extensions["com.designtree"], { confidence: "medium", evidence: ["body text"] });
+    assert.equal(color.semantic.danger.$extensions, undefined);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Spacing scale checks
+ *
+ * Grid fits over known spacing usage (8, 4, 10 and 6px grids, and none),
+ * the spacing tokens built from layout samples, and spacing, gaps and
+ * containers in the CSS, Tailwind and DTCG exports.
+ */
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { toDesignTokens } from "../src/lib/exporters/dtcg.js";
+import { toTailwind } from "../src/lib/exporters/tailwind.js";
+import { buildSpacingScale, fitSpacingGrid } from "../src/lib/spacing.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+/**
+ * @param {Record<number, number>} counts - Uses by px
+ * @returns {Array<{ numericValue: number, count: number }>}
+ */
+function values(counts) {
+  return Object.entries(counts).map(([px, count]) => ({ numericValue: Number(px), count }));
+}
+
+describe("fitSpacingGrid", () => {
+  it("reports an 8px grid as 8 rather than 4", () => {
+    const grid = fitSpacingGrid(values({ 8: 30, 16: 50, 24: 12, 32: 8, 13: 2 }));
+    assert.equal(grid.base, 8);
+    assert.equal(grid.scaleType, "8px");
+    assert.equal(grid.share, 0.98);
+    assert.deepEqual(grid.outliers, [{ px: "13px", count: 2 }]);
+  });
+
+  it("reports a 4px grid when the 8px one leaves too much out", () => {
+    const grid = fitSpacingGrid(values({ 4: 20, 8: 30, 12: 25, 16: 25 }));
+    assert.deepEqual([grid.base, grid.scaleType], [4, "4px"]);
+  });
+
+  it("reports a 10px grid as 10 even when 4 and 5 fit too", () => {
+    // Mostly multiples of 20, which are on the 4px grid as well
+    const grid = fitSpacingGrid(values({ 10: 10, 20: 40, 40: 30, 60: 15, 80: 5 }));
+    assert.deepEqual([grid.base, grid.share, grid.scaleType], [10, 1, "custom"]);
+    assert.deepEqual(grid.candidates.filter((candidate) => candidate.share >= 0.8).map((candidate) => candidate.base), [4, 10, 5]);
+  });
+
+  it("reports a 6px grid as 6 even when 4 fits too", () => {
+    const grid = fitSpacingGrid(values({ 6: 10, 12: 40, 24: 30, 36: 20 }));
+    assert.deepEqual([grid.base, grid.scaleType], [6, "custom"]);
+    assert.equal(grid.candidates.find((candidate) => candidate.base === 4)?.share, 0.9);
+  });
+
+  it("finds no grid when no base explains enough usage", () => {
+    const grid = fitSpacingGrid(values({ 7: 10, 13: 10, 17: 10, 23: 10 }));
+    assert.deepEqual([grid.base, grid.share, grid.outliers], [null, 0, []]);
+    assert.deepEqual(grid.candidates.map((candidate) => candidate.base), [8, 4, 10, 6, 5]);
+  });
+
+  it("takes sub-pixel values as on the grid", () => {
+    assert.equal(fitSpacingGrid(values({ 7.6: 10, 16.4: 10 })).base, 8);
+  });
+});
+
+describe("buildSpacingScale", () => {
+  it("builds the fixture's values, gaps, containers and gutters", () => {
+    const { spacing } = fixture;
+    assert.deepEqual(spacing.commonValues.map((/** @type {any} */ value) => value.px), ["8px", "13px", "16px", "24px"]);
+    assert.deepEqual(spacing.commonValues[2].axes, { vertical: 52, horizontal: 24, gap: 8 });
+    assert.deepEqual(spacing.gaps.map((/** @type {any} */ gap) => gap.px), ["16px", "24px"]);
+    assert.deepEqual(spacing.containers, [{ maxWidth: "1280px", numericValue: 1280, count: 4, gutter: "24px" }]);
+  });
+
+  it("gives each max-width the gutter most of its containers use", () => {
+    const { containers, gutters } = buildSpacingScale({
+      spacing: [],
+      containers: [
+        { maxWidth: 1200, width: 1200, gutter: 16, count: 2 },
+        { maxWidth: 1200, width: 1200, gutter: 32, count: 5 },
+        { maxWidth: 720, width: 720, gutter: 0, count: 3 },
+      ],
+    });
+    assert.deepEqual(containers.map((container) => [container.maxWidth, container.count, container.gutter]), [
+      ["720px", 3, null],
+      ["1200px", 7, "32px"],
+    ]);
+    assert.deepEqual(gutters.map((gutter) => [gutter.px, gutter.count]), [["32px", 5], ["16px", 2]]);
+  });
+});
+
+describe("spacing exports", () => {
+  /** @type {Record<string, any>} */
+  let extend;
+  before(async () => {
+    const config = await import(`data:text/javascript,${encodeURIComponent(toTailwind(fixture))}`);
+    extend = config.default.theme.extend;
+  });
+
+  it("emits the grid unit, values, gaps and containers in CSS", () => {
+    const css = toCSS(fixture);
+    assert.match(css, /--spacing-unit: 8px;\n {2}--spacing-1: 8px;\n {2}--spacing-2: 13px;/);
+    assert.match(css, /--gap-1: 16px;\n {2}--gap-2: 24px;/);
+    assert.match(css, /--container-1: 1280px;\n {2}--container-gutter: 24px;/);
+  });
+
+  it("emits spacing and container widths in Tailwind", () => {
+    assert.deepEqual(extend.spacing, { 8: "8px", 13: "13px", 16: "16px", 24: "24px" });
+    assert.deepEqual(extend.maxWidth, { "container-1": "1280px" });
+  });
+
+  it("keeps containers with their gutter in DTCG", () => {
+    const { container, spacing } = toDesignTokens(fixture);
+    assert.equal(container["1280"].$value, "1280px");
+    assert.equal(container["1280"].$type, "dimension");
+    assert.equal(spacing["16"].$value, "16px");
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * External stylesheet checks
+ *
+ * Parses stylesheet bodies into CSSOM-shaped rules: at-rule conditions,
+ * skipped non-style at-rules, the lone background color mapping, banners,
+ * and the `@import` walk with its cycle guard and caps.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseStylesheet, readExternalStylesheets } from "../src/lib/stylesheets.js";
+
+const HREF = "https://cdn.example.com/css/site.css";
+
+describe("parseStylesheet", () => {
+  it("keeps the chain of enclosing conditions, outermost first", () => {
+    const { rules } = parseStylesheet(
+      `.a { color: red }
+      @media (min-width: 768px) {
+        @supports (display: grid) { .b { display: grid } }
+        .c { color: blue }
+      }
+      @layer base { .d { margin: 0 } }`,
+      HREF
+    );
+    assert.deepEqual(
+      rules.map((rule) => [rule.selectorText, rule.conditions]),
+      [
+        [".a", []],
+        [".b", ["@media (min-width: 768px)", "@supports (display: grid)"]],
+        [".c", ["@media (min-width: 768px)"]],
+        [".d", ["@layer base"]],
+      ]
+    );
+    assert.ok(rules.every((rule) => rule.type === "style" && rule.href === HREF));
+  });
+
+  it("skips keyframes and other at-rules without style rules", () => {
+    const { rules } = parseStylesheet(
+      `@keyframes spin { from { transform: rotate(0) } to { transform: rotate(360deg) } }
+      @-webkit-keyframes spin { 50% { opacity: 0.5 } }
+      @media print { @page { margin: 1cm } .e { color: black } }
+      .f { animation: spin 1s }`,
+      HREF
+    );
+    assert.deepEqual(rules.map((rule) => rule.selectorText), [".e", ".f"]);
+  });
+
+  it("names declarations the CSSOM way and maps a lone background color", () => {
+    const [card, hero, theme] = parseStylesheet(
+      `.card { background: #fff; border-radius: 8px; -webkit-box-shadow: none; }
+      .hero { background: url(hero.jpg) center / cover; }
+      :root { --Brand-Color: #6366f1; color: red; color: blue }`,
+      HREF
+    ).rules;
+    assert.deepEqual(card.style, { background: "#fff", backgroundColor: "#fff", borderRadius: "8px", webkitBoxShadow: "none" });
+    assert.equal(hero.style.backgroundColor, undefined);
+    assert.deepEqual(theme.style, { "--Brand-Color": "#6366f1", color: "blue" });
+  });
+
+  it("keeps font-face rules with their text", () => {
+    const [face] = parseStylesheet('@media screen { @font-face { font-family: "Inter"; src: url(inter.woff2) } }', HREF).rules;
+    assert.equal(face.type, "font-face");
+    assert.equal(face.selectorText, "");
+    assert.equal(face.style.fontFamily, '"Inter"');
+    assert.equal(face.cssText, '@font-face { font-family: "Inter"; src: url(inter.woff2) }');
+    assert.deepEqual(face.conditions, ["@media screen"]);
+  });
+
+  it("resolves imports against the stylesheet and reads the banner", () => {
+    const { imports, banner } = parseStylesheet(
+      `/*! Bootstrap v5.3.2 (https://getbootstrap.com/)
+       * Copyright 2011-2023 */
+      @import "base.css";
+      @import url('/shared/reset.css') screen;
+      @import url(https://fonts.example.com/inter.css);
+      .a { color: red }`,
+      HREF
+    );
+    assert.deepEqual(imports, [
+      "https://cdn.example.com/css/base.css",
+      "https://cdn.example.com/shared/reset.css",
+      "https://fonts.example.com/inter.css",
+    ]);
+    assert.equal(banner, "Bootstrap v5.3.2 (https://getbootstrap.com/)");
+  });
+
+  it("returns nothing for stylesheets that don't parse", () => {
+    assert.deepEqual(parseStylesheet(".a { color: red", HREF), { rules: [], imports: [], banner: null });
+  });
+});
+
+describe("readExternalStylesheets", () => {
+  it("follows imports once each, through cycles, and skips uncaptured bodies", () => {
+    /** @type {Record<string, string>} */
+    const bodies = {
+      "https://cdn.example.com/a.css": '@import "b.css"; @import "missing.css"; .a { color: red }',
+      "https://cdn.example.com/b.css": '@import "a.css"; .b { color: blue }',
+    };
+    /** @type {string[]} */
+    const requested = [];
+    const external = readExternalStylesheets(["https://cdn.example.com/a.css", "https://cdn.example.com/a.css"], (href) => {
+      requested.push(href);
+      return bodies[href] ?? null;
+    });
+    assert.deepEqual(external.hrefs, ["https://cdn.example.com/a.css", "https://cdn.example.com/b.css"]);
+    assert.deepEqual(requested, ["https://cdn.example.com/a.css", "https://cdn.example.com/b.css", "https://cdn.example.com/missing.css"]);
+    assert.deepEqual(external.rules.map((rule) => rule.selectorText), [".a", ".b"]);
+  });
+
+  it("stops at 30 stylesheets and 10000 rules", () => {
+    const rules = Array.from({ length: 400 }, (_, i) => `.r${i} { margin: ${i}px }`).join("\n");
+    // Every sheet imports the next one, so the walk only ends at the cap
+    const external = readExternalStylesheets(["https://cdn.example.com/0.css"], (href) => {
+      const n = Number(href.match(/(\d+)\.css$/)?.[1]);
+      return `@import "${n + 1}.css";\n${rules}`;
+    });
+    assert.equal(external.hrefs.length, 30);
+    assert.equal(external.rules.length, 10000);
+    assert.equal(external.rules[external.rules.length - 1].href, "https://cdn.example.com/24.css");
+  });
+});
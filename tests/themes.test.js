@@ -0,0 +1,89 @@
+/**
+ * Light / dark theme checks
+ *
+ * Theme switch selectors read from stylesheets and switcher clicks, the
+ * pairing of light and dark semantic colors, and the dark block in the
+ * CSS export.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { darkThemeSelector, pairThemeColors, parseThemeSelector, themeSelectorFromChange } from "../src/lib/themes.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+describe("parseThemeSelector", () => {
+  it("reads dark classes and attributes on the root element or body", () => {
+    assert.deepEqual(parseThemeSelector(" .dark "), { selector: ".dark", target: "html", className: "dark", attribute: null });
+    assert.deepEqual(parseThemeSelector('html[data-theme="dark"]'), {
+      selector: 'html[data-theme="dark"]',
+      target: "html",
+      className: null,
+      attribute: { name: "data-theme", value: "dark" },
+    });
+    assert.equal(parseThemeSelector("body.dark-mode")?.target, "body");
+    assert.deepEqual(parseThemeSelector(":root[data-dark]")?.attribute, { name: "data-dark", value: "" });
+  });
+
+  it("ignores other themes and selectors below the root", () => {
+    assert.equal(parseThemeSelector(".light"), null);
+    assert.equal(parseThemeSelector("[data-theme]"), null);
+    assert.equal(parseThemeSelector(".dark .card"), null);
+    assert.equal(parseThemeSelector("main.dark"), null);
+  });
+});
+
+describe("darkThemeSelector", () => {
+  it("takes the first theme scope that doesn't need the media query", () => {
+    const scope = (/** @type {string} */ selector, /** @type {string[]} */ conditions = []) => ({ id: selector, selector, conditions });
+    const graph = /** @type {any} */ ({
+      scopes: [scope(":root"), scope(":root", ["@media (prefers-color-scheme: dark)"]), scope(".card, html.theme-dark"), scope(".dark")],
+    });
+    assert.equal(darkThemeSelector(graph)?.selector, "html.theme-dark");
+    assert.equal(darkThemeSelector(null), null);
+  });
+});
+
+describe("pairThemeColors", () => {
+  it("pairs colors by name and counts the ones that change", () => {
+    const { pairs, changed } = pairThemeColors(
+      { background: "rgb(255, 255, 255)", primary: "#6366f1", muted: "#6b7280" },
+      { background: "#09090b", primary: "rgb(99, 102, 241)", border: "#27272a" }
+    );
+    assert.deepEqual(pairs.background, { light: "#ffffff", dark: "#09090b" });
+    assert.deepEqual(pairs.primary, { light: "#6366f1", dark: "#6366f1" });
+    assert.deepEqual(pairs.muted, { light: "#6b7280", dark: null });
+    assert.deepEqual(pairs.border, { light: null, dark: "#27272a" });
+    assert.equal(changed, 1);
+  });
+});
+
+describe("themeSelectorFromChange", () => {
+  it("prefers the changed class or attribute that says dark", () => {
+    const before = { html: { class: "js", lang: "en" }, body: {} };
+    assert.equal(themeSelectorFromChange(before, { html: { class: "js dark", lang: "en", style: "color-scheme: dark" }, body: {} }), ".dark");
+    assert.equal(
+      themeSelectorFromChange(before, { html: { class: "js ready", lang: "en", "data-theme": "dark" }, body: {} }),
+      '[data-theme="dark"]'
+    );
+    assert.equal(themeSelectorFromChange(before, { html: before.html, body: { class: "night" } }), "body.night");
+    assert.equal(themeSelectorFromChange(before, before), null);
+  });
+});
+
+describe("dark theme export", () => {
+  it("overrides only the colors that change, under the media query and an opt-in selector", () => {
+    const css = toCSS(fixture);
+    assert.match(css, /@media \(prefers-color-scheme: dark\) \{\n {2}:root \{\n {4}--color-background: #09090b;\n {4}--color-foreground: #fafafa;\n {2}\}\n\}/);
+    assert.match(css, /\[data-theme="dark"\] \{\n {2}--color-background: #09090b;\n {2}--color-foreground: #fafafa;\n\}/);
+    assert.doesNotMatch(css, /--color-primary: #6366f1;\n\}/);
+  });
+
+  it("uses the site's own selector for class-based themes", () => {
+    const css = toCSS({ ...fixture, darkMode: { ...fixture.darkMode, strategy: "class", selector: ".dark" } });
+    assert.doesNotMatch(css, /prefers-color-scheme/);
+    assert.match(css, /\n\.dark \{\n {2}--color-background: #09090b;/);
+  });
+});
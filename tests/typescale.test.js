@@ -0,0 +1,104 @@
+/**
+ * Type scale checks
+ *
+ * Ratio detection, size clustering and role assignment from the tags each
+ * style is used on, and the roles in the CSS and Tailwind exports.
+ */
+
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { toTailwind } from "../src/lib/exporters/tailwind.js";
+import { buildTypeScale, detectScaleRatio } from "../src/lib/typescale.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+/**
+ * @param {number} px
+ * @param {Record<string, number>} tags
+ * @param {Record<string, any>} [extra]
+ */
+function style(px, tags, extra = {}) {
+  const count = Object.values(tags).reduce((sum, n) => sum + n, 0);
+  return { family: "Inter", size: `${px}px (${(px / 16).toFixed(2)}rem)`, weight: 400, lineHeight: "1.50", count, tags, ...extra };
+}
+
+describe("detectScaleRatio", () => {
+  it("finds the ratio whose steps land on the sizes", () => {
+    assert.equal(detectScaleRatio([20, 25, 31.25, 39.06], 16)?.name, "major third");
+    assert.equal(detectScaleRatio([24, 36, 54], 16)?.name, "perfect fifth");
+  });
+
+  it("needs two sizes and a reasonable fit", () => {
+    assert.equal(detectScaleRatio([24], 16), null);
+    assert.equal(detectScaleRatio([17.3, 19.9, 29.7, 43.1], 16), null);
+  });
+});
+
+describe("buildTypeScale", () => {
+  it("detects the fixture's base, ratio and steps", () => {
+    const { scale } = fixture.typography;
+    assert.equal(scale.base, 16);
+    assert.deepEqual(scale.ratio, { value: 1.25, name: "major third", fit: 0.6 });
+    assert.deepEqual(scale.clusters.map((/** @type {any} */ c) => [c.px, c.step]), [[39.06, 4], [31.25, 3], [25, 2], [16, 0], [14, -1]]);
+    assert.deepEqual(Object.keys(scale.roles), ["h1", "h2", "h3", "body", "code"]);
+  });
+
+  it("merges sizes that only differ by rounding", () => {
+    const { clusters } = buildTypeScale([style(16, { p: 10 }), style(16.2, { li: 3 }), style(24, { h2: 2 })]);
+    assert.deepEqual(clusters.map((c) => [c.px, c.sizes, c.count]), [[24, [24], 2], [16, [16, 16.2], 13]]);
+  });
+
+  it("gives roles from the tags a size is used on", () => {
+    const { roles } = buildTypeScale([
+      style(64, { div: 1 }, { weight: 800 }),
+      style(40, { h1: 2 }, { weight: 700 }),
+      style(18, { p: 6 }),
+      style(16, { p: 40, li: 12 }),
+      style(14, { span: 3, label: 5 }),
+      style(12, { figcaption: 2 }),
+      style(13, { code: 9 }, { family: "Fira Code" }),
+    ]);
+    assert.deepEqual(Object.keys(roles), ["display", "h1", "body-lg", "body", "small", "caption", "label", "code"]);
+    assert.equal(roles.display.weight, 800);
+    assert.equal(roles.body.size, "16px");
+    assert.equal(roles["body-lg"].size, "18px");
+    assert.deepEqual([roles.small.size, roles.caption.size], ["14px", "12px"]);
+    assert.equal(roles.code.family, "Fira Code");
+  });
+
+  it("falls back to the context of styles recorded without tags", () => {
+    const { roles } = buildTypeScale([
+      { family: "Inter", size: "32px (2.00rem)", weight: 700, count: 1, context: "heading-1" },
+      { family: "Inter", size: "16px (1.00rem)", weight: 400, count: 5, context: "text" },
+    ]);
+    assert.equal(roles.h1.size, "32px");
+    assert.equal(roles.body.size, "16px");
+  });
+
+  it("returns an empty scale without sizes", () => {
+    assert.deepEqual(buildTypeScale([]), { base: null, ratio: null, clusters: [], roles: {} });
+  });
+});
+
+describe("type scale exports", () => {
+  /** @type {Record<string, any>} */
+  let fontSize;
+  before(async () => {
+    const config = await import(`data:text/javascript,${encodeURIComponent(toTailwind(fixture))}`);
+    fontSize = config.default.theme.extend.fontSize;
+  });
+
+  it("names CSS sizes by role with their line height and tracking", () => {
+    const css = toCSS(fixture);
+    assert.match(css, /--font-size-h1: 39\.06px;\n {2}--line-height-h1: 1\.2;\n {2}--letter-spacing-h1: -0\.5px;/);
+    assert.match(css, /--font-size-body: 16px;\n {2}--line-height-body: 1\.5;\n/);
+    assert.doesNotMatch(css, /--letter-spacing-body/);
+  });
+
+  it("turns roles into Tailwind font size tuples", () => {
+    assert.deepEqual(fontSize.h1, ["39.06px", { lineHeight: "1.2", letterSpacing: "-0.5px" }]);
+    assert.deepEqual(fontSize.body, ["16px", { lineHeight: "1.5" }]);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Custom property graph checks
+ *
+ * Builds graphs from declarations the way the page reports them: alias
+ * resolution per scope, fallbacks and cycles, palette origins, and the
+ * site variables in the CSS and DTCG exports.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { toCSS } from "../src/lib/exporters/css.js";
+import { toDesignTokens } from "../src/lib/exporters/dtcg.js";
+import { buildVariableGraph, variableReferences } from "../src/lib/variables.js";
+import { loadResult } from "./fixtures/result.js";
+
+const fixture = loadResult();
+
+const DARK = "@media (prefers-color-scheme: dark)";
+
+/**
+ * @param {string} name
+ * @param {string} value
+ * @param {string} [selector]
+ * @param {string[]} [conditions]
+ * @returns {import('../src/lib/variables.js').VariableDeclaration}
+ */
+function declare(name, value, selector = ":root", conditions = []) {
+  return { name, value, selector, conditions };
+}
+
+describe("variableReferences", () => {
+  it("lists each referenced variable once, fallbacks included", () => {
+    assert.deepEqual(variableReferences("var(--a) var( --b, var(--c)) var(--a)"), ["--a", "--b", "--c"]);
+    assert.deepEqual(variableReferences("#fff"), []);
+  });
+});
+
+describe("buildVariableGraph", () => {
+  const graph = buildVariableGraph(
+    [
+      declare("--blue-600", "#2563eb"),
+      declare("--primary", "var(--blue-600)"),
+      declare("--button-bg", "var(--primary)"),
+      declare("--surface", "#ffffff"),
+      declare("--surface", "#09090b", ":root", [DARK]),
+      declare("--primary", "#60a5fa", ".theme-dark"),
+      declare("--ring", "var(--missing, var(--primary))"),
+      declare("--loop-a", "var(--loop-b)"),
+      declare("--loop-b", "var(--loop-a)"),
+    ],
+    { "--blue-600": "#2563eb", "--primary": "#2563eb", "--button-bg": "#2563eb", "--surface": "#ffffff", "--inline": "#ff0000" },
+    [{ normalized: "#2563eb" }, { normalized: "#ffffff" }]
+  );
+
+  it("keeps one scope per selector and at-rule chain, root first", () => {
+    assert.deepEqual(graph.scopes.map((scope) => scope.id), [":root", `${DARK} :root`, ".theme-dark"]);
+    assert.deepEqual(graph.scopes[1].conditions, [DARK]);
+  });
+
+  it("links references both ways and resolves alias chains", () => {
+    assert.deepEqual(graph.variables["--button-bg"].references, ["--primary"]);
+    assert.deepEqual(graph.variables["--primary"].referencedBy, ["--button-bg", "--ring"]);
+    assert.equal(graph.variables["--button-bg"].resolved, "#2563eb");
+    assert.equal(graph.variables["--button-bg"].color, "#2563eb");
+  });
+
+  it("resolves each scope's declaration and keeps conditional root blocks on the root", () => {
+    assert.deepEqual(graph.variables["--primary"].values[".theme-dark"], { value: "#60a5fa", resolved: "#60a5fa" });
+    assert.deepEqual(graph.variables["--surface"].values[`${DARK} :root`], { value: "#09090b", resolved: "#09090b" });
+  });
+
+  it("uses fallbacks and gives up on cycles", () => {
+    assert.equal(graph.variables["--ring"].resolved, "#2563eb");
+    assert.equal(graph.variables["--loop-a"].resolved, null);
+    assert.equal(graph.variables["--loop-a"].color, null);
+  });
+
+  it("keeps variables only set on the computed root style", () => {
+    assert.equal(graph.variables["--inline"].resolved, "#ff0000");
+  });
+
+  it("maps palette colors to their variables, deepest alias first", () => {
+    assert.deepEqual(graph.origins["#2563eb"], ["--button-bg", "--ring", "--primary", "--blue-600"]);
+    assert.deepEqual(graph.origins["#ffffff"], ["--surface"]);
+    assert.equal(graph.origins["#ff0000"], undefined);
+  });
+});
+
+describe("variable exports", () => {
+  it("keeps the site's custom properties and references them from the tokens", () => {
+    const css = toCSS(fixture);
+    assert.match(css, /\/\* Site custom properties \*\/\n:root \{\n {2}--brand: #6366f1;\n {2}--accent: var\(--brand\);\n\}/);
+    assert.match(css, /--color-primary: var\(--accent\);/);
+    assert.match(css, /--color-accent: var\(--accent\);/);
+  });
+
+  it("turns variable aliases into DTCG references", () => {
+    const { color } = toDesignTokens(fixture);
+    assert.equal(color.variable.brand.$value, "#6366f1");
+    assert.equal(color.variable.accent.$value, "{color.variable.brand}");
+    assert.equal(color.variable.accent.$extensions["com.designtree"].name, "--accent");
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Visual color sampling checks
+ *
+ * Dominant colors of synthetic images whose area shares are known, and
+ * how they are matched onto a DOM palette.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { COLOR_MERGE_THRESHOLD } from "../src/lib/color.js";
+import { toPaletteColor } from "../src/lib/palette.js";
+import { dominantColors, reconcileVisualColors } from "../src/lib/visual.js";
+
+/**
+ * Image made of horizontal bands
+ *
+ * @param {number} width
+ * @param {Array<[number, number[]]>} bands - Rows and RGBA per band, top to bottom
+ * @returns {import('../src/lib/png.js').DecodedImage}
+ */
+function bands(width, ...bands) {
+  const height = bands.reduce((sum, [rows]) => sum + rows, 0);
+  const data = new Uint8Array(width * height * 4);
+  let offset = 0;
+  for (const [rows, rgba] of bands) {
+    for (let i = 0; i < rows * width; i++, offset += 4) data.set(rgba, offset);
+  }
+  return { width, height, data };
+}
+
+const WHITE = [255, 255, 255, 255];
+const INDIGO = [99, 102, 241, 255];
+const GREEN = [22, 163, 74, 255];
+
+describe("dominantColors", () => {
+  it("reports each color's share of the area, largest first", () => {
+    const image = bands(100, [60, WHITE], [30, INDIGO], [10, GREEN]);
+    assert.deepEqual(dominantColors(image, COLOR_MERGE_THRESHOLD), [
+      { color: "#ffffff", area: 60 },
+      { color: "#6366f1", area: 30 },
+      { color: "#16a34a", area: 10 },
+    ]);
+  });
+
+  it("merges shades within the threshold and drops specks", () => {
+    const image = bands(100, [250, WHITE], [125, [250, 250, 250, 255]], [124, INDIGO], [1, GREEN]);
+    assert.deepEqual(dominantColors(image, COLOR_MERGE_THRESHOLD).map((c) => c.area), [75, 24.8]);
+  });
+
+  it("ignores transparent pixels", () => {
+    const image = bands(10, [5, [0, 0, 0, 0]], [5, INDIGO]);
+    assert.deepEqual(dominantColors(image, COLOR_MERGE_THRESHOLD), [{ color: "#6366f1", area: 100 }]);
+    assert.deepEqual(dominantColors(bands(4, [4, [0, 0, 0, 0]]), COLOR_MERGE_THRESHOLD), []);
+  });
+});
+
+describe("reconcileVisualColors", () => {
+  const palette = /** @type {import('../src/lib/palette.js').PaletteColor[]} */ ([
+    toPaletteColor("rgb(255, 255, 255)", { count: 120, confidence: "high", sources: ["background"] }),
+    toPaletteColor("rgb(99, 102, 241)", { count: 42, confidence: "high", sources: ["button"] }),
+    toPaletteColor("rgba(99, 102, 241, 0.5)", { count: 9, confidence: "medium", sources: ["border"] }),
+  ]);
+
+  it("adds area to matched palette colors and large unmatched colors to the palette", () => {
+    const visual = [
+      { color: "#fefefe", area: 55 },
+      { color: "#6366f1", area: 30 },
+      { color: "#16a34a", area: 12 },
+      { color: "#f59e0b", area: 1.5 },
+    ];
+    const result = reconcileVisualColors(palette, visual, COLOR_MERGE_THRESHOLD);
+
+    assert.equal(result.added, 1);
+    assert.deepEqual(result.visual.map((v) => v.match), ["#ffffff", "#6366f1", "#16a34a", null]);
+    assert.equal(result.palette[0].area, 55);
+    assert.equal(result.palette[1].area, 30);
+    // Translucent colors never paint as themselves
+    assert.equal(result.palette[2].area, undefined);
+    assert.deepEqual(
+      { ...result.palette[3], area: result.palette[3].area },
+      { ...toPaletteColor("#16a34a", { count: 0, confidence: "high", sources: ["screenshot"] }), area: 12, source: "screenshot" }
+    );
+    assert.equal(palette[0].area, undefined, "the input palette is left untouched");
+  });
+});